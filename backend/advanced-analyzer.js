@@ -2,142 +2,1605 @@
  * Advanced Data Analyzer - Full dataset analysis with parsing
  */
 
-import { dataDownloader } from './data-downloader.js';
+import { dataDownloader, SUBSERIES_DIR } from './data-downloader.js';
 import { dataParser } from './data-parser.js';
+import { platformAnnotator } from './platform-annotation.js';
+import { geneCollapser, DEFAULT_COLLAPSE_STRATEGY } from './gene-collapse.js';
+import { differentialExpression } from './differential-expression.js';
+import { experimentalDesign } from './experimental-design.js';
+import { preprocessor } from './preprocessing.js';
+import { pcaAnalyzer, DEFAULT_TOP_GENES, DEFAULT_COMPONENTS } from './pca.js';
+import { sampleClustering } from './clustering.js';
+import { sampleQC } from './sample-qc.js';
+import { geneSetEnrichment } from './gene-set-enrichment.js';
+import { coExpression, DEFAULT_PARTNERS } from './coexpression.js';
+import { metaAnalysis } from './meta-analysis.js';
+import { survivalAnalyzer, SPLIT_METHODS } from './survival.js';
+import { batchEffects } from './batch-effects.js';
+import { rnaSeqCounts, DEFAULT_COUNT_UNITS } from './rnaseq-counts.js';
+import { characteristicHarmonizer } from './characteristic-harmonizer.js';
+import { drugRecognizer } from './drug-recognizer.js';
+import { metadataIndex } from './metadata-index.js';
+import { platformMatrices, PLATFORMS_DIR, MERGED_PLATFORM, MERGE_MODES } from './platform-matrices.js';
+import { geoAccession } from './geo-accession.js';
+import { mean, variance } from './stats.js';
+import { storeValue } from './matrix-store.js';
+import { promises as fs, createWriteStream } from 'fs';
+import { once } from 'events';
+import { finished } from 'stream/promises';
 import path from 'path';
 
+// Probes returned with a value preview by searchInDataset
+const SEARCH_GENE_LIMIT = 10;
+
+// Control-like levels make the natural reference group for survival comparisons
+const REFERENCE_LEVEL = /control|normal|healthy|untreated|vehicle|placebo|mock|wild|\bwt\b|negative|\blow\b|\bno\b/i;
+
+/**
+ * The probe with the largest variance among a gene's probes
+ */
+function mostVariableProbe(probes) {
+  const spread = (probe) => {
+    const present = probe.values.filter(v => !isNaN(v));
+    return present.length > 1 ? variance(present) : 0;
+  };
+  return probes.reduce((best, probe) => (spread(probe) > spread(best) ? probe : best));
+}
+
+/**
+ * " (did you mean ...?)" for a gene lookup that only had partial matches
+ */
+function formatSuggestions(result) {
+  return result?.suggestions?.length > 0 ? ` (did you mean ${result.suggestions.join(', ')}?)` : '';
+}
+
 class AdvancedAnalyzer {
   constructor() {
     this.cache = new Map(); // Cache parsed data
   }
 
   /**
-   * Get or parse dataset
+   * Get or parse dataset
+   */
+  async getDataset(datasetId) {
+    // Check cache first
+    if (this.cache.has(datasetId)) {
+      return this.cache.get(datasetId);
+    }
+
+    try {
+      // Check if downloaded
+      const isDownloaded = await dataDownloader.isDownloaded(datasetId);
+      if (!isDownloaded) {
+        return { error: 'Dataset not downloaded' };
+      }
+
+      const summary = await dataDownloader.getDatasetSummary(datasetId);
+      const datasetDir = summary.location;
+
+      // Find and decompress series matrix
+      const matrixFile = summary.files.find(f => f.name.includes('series_matrix'));
+      // A curated dataset (GDS) directory also holds its reference series' family SOFT, which has the samples.
+      // Records whose SOFT file was unavailable have a MINiML (.xml) one instead.
+      const softFile = summary.files.find(f => f.name.startsWith('family.')) || summary.files.find(f => f.name.includes('soft')) ||
+        summary.files.find(f => f.name.endsWith('.xml'));
+
+      let parsedMatrix = null;
+      let parsedSOFT = null;
+      let softPath = null;
+
+      if (matrixFile) {
+        const matrixPath = path.join(datasetDir, matrixFile.name);
+        console.error(`Decompressing and parsing matrix for ${datasetId}...`);
+
+        try {
+          const decompressed = await dataParser.decompressFile(matrixPath);
+          parsedMatrix = await dataParser.parseSeriesMatrix(decompressed);
+        } catch (error) {
+          console.error(`Error parsing matrix:`, error);
+        }
+      }
+
+      // Series run on several platforms: one sub-matrix per platform, the largest one active
+      const subMatrices = {};
+      for (const { platform, dir, file } of await platformMatrices.list(datasetDir)) {
+        console.error(`Decompressing and parsing ${platform} matrix for ${datasetId}...`);
+
+        try {
+          const matrix = await dataParser.parseSeriesMatrix(await dataParser.decompressFile(file));
+          if (matrix) {
+            subMatrices[platform] = { platform, dir, matrix };
+          }
+        } catch (error) {
+          console.error(`Error parsing ${platform} matrix:`, error);
+        }
+      }
+
+      let workDir = datasetDir;
+      let activePlatform = null;
+      if (!parsedMatrix && Object.keys(subMatrices).length > 0) {
+        const largest = Object.values(subMatrices)
+          .reduce((best, sub) => (sub.matrix.sampleCount > best.matrix.sampleCount ? sub : best));
+        parsedMatrix = largest.matrix;
+        workDir = largest.dir;
+        activePlatform = { id: largest.platform };
+      }
+
+      if (softFile) {
+        console.error(`Decompressing and parsing SOFT for ${datasetId}...`);
+
+        try {
+          softPath = await dataParser.decompressFile(path.join(datasetDir, softFile.name));
+          parsedSOFT = await dataParser.parseMetadataFile(softPath);
+          await metadataIndex.addSOFT(datasetId, parsedSOFT);
+        } catch (error) {
+          console.error(`Error parsing SOFT:`, error);
+        }
+      }
+
+      // RNA-seq series with an empty series matrix: use a supplementary count table
+      let counts = null;
+      if (!parsedMatrix?.store?.probeCount) {
+        try {
+          counts = await this.loadCountTable(datasetDir, parsedSOFT?.samples || []);
+          if (counts) {
+            parsedMatrix = {
+              ...dataParser.buildMatrixResult(parsedMatrix?.metadata || {}, counts.store),
+              counts: counts.info
+            };
+          }
+        } catch (error) {
+          console.error(`Error importing count table:`, error);
+        }
+      }
+
+      // Probe -> gene annotation; datasets downloaded without one get it from the local SOFT
+      let annotation = await platformAnnotator.load(datasetDir);
+      if (!annotation && softPath) {
+        try {
+          annotation = await platformAnnotator.buildFromSOFT(datasetDir, softPath);
+        } catch (error) {
+          console.error(`Error building platform annotation:`, error);
+        }
+      }
+
+      const dataset = {
+        id: datasetId,
+        summary,
+        matrix: parsedMatrix,
+        soft: parsedSOFT,
+        annotation,
+        rawCounts: counts ? counts.rawStore : null,
+        subMatrices: Object.keys(subMatrices).length > 0 ? subMatrices : null,
+        platform: counts ? null : activePlatform,
+        workDir: counts ? datasetDir : workDir,
+        parsed: true
+      };
+
+      // A platform (or merge) chosen earlier replaces the default sub-matrix
+      if (dataset.platform) {
+        const saved = await this.loadPlatformSelection(datasetDir);
+        if (saved) {
+          const selected = await this.activatePlatform(dataset, saved);
+          if (selected.error) {
+            console.error(`Could not restore platform selection for ${datasetId}: ${selected.error}`);
+          }
+        }
+      }
+
+      // A SuperSeries whose SubSeries were downloaded is analyzed as their combination
+      const members = await dataDownloader.readSubSeries(datasetDir);
+      if (members) {
+        const combined = await this.attachSubSeries(dataset, members);
+        if (combined.error) {
+          console.error(`Could not combine the SubSeries of ${datasetId}: ${combined.error}`);
+        }
+      }
+
+      // Cache result
+      this.cache.set(datasetId, dataset);
+
+      return dataset;
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Analyze a SuperSeries as one dataset: the matrices of its downloaded SubSeries
+   * merged side by side, and their samples in one table tagged with their SubSeries
+   * (Sample_subseries_id, also offered as a batch variable)
+   */
+  async attachSubSeries(dataset, { subSeries, downloaded }) {
+    const parts = [];
+    const skipped = [];
+    for (const id of downloaded) {
+      const sub = await this.getDataset(id);
+      if (sub.error || !sub.matrix?.store?.probeCount) {
+        skipped.push(id);
+        continue;
+      }
+      parts.push({ id, dir: sub.workDir, matrix: sub.matrix, annotation: sub.annotation, soft: sub.soft });
+    }
+
+    if (parts.length === 0) {
+      return { error: 'none of the downloaded SubSeries has expression data' };
+    }
+
+    let target = { matrix: parts[0].matrix, dir: parts[0].dir };
+    if (parts.length > 1) {
+      target = await this.mergeMatrices(parts, path.join(dataset.summary.location, SUBSERIES_DIR));
+      if (target.error) {
+        return { error: target.error };
+      }
+    }
+
+    const samples = new Map();
+    for (const part of parts) {
+      for (const sample of part.soft?.samples || []) {
+        if (!samples.has(sample.id)) {
+          samples.set(sample.id, { ...sample, Sample_subseries_id: part.id });
+        }
+      }
+    }
+
+    dataset.soft = { platform: {}, series: {}, raw: [], ...dataset.soft, samples: [...samples.values()] };
+    dataset.matrix = target.matrix;
+    dataset.workDir = target.dir;
+    dataset.annotation = dataset.annotation || parts[0].annotation;
+    dataset.rawCounts = null;
+    dataset.subMatrices = null;
+    dataset.platform = null;
+    dataset.processedStores = {};
+    dataset.preprocessing = {};
+    dataset.geneStores = {};
+    dataset.subSeries = {
+      subSeries,
+      included: parts.map(part => part.id),
+      skipped,
+      missing: subSeries.filter(id => !downloaded.includes(id)),
+      by: target.by,
+      strategy: target.strategy
+    };
+    return dataset.subSeries;
+  }
+
+  /**
+   * SuperSeries / SubSeries links of a downloaded series and, once the SubSeries
+   * are downloaded, the combined dataset with its sample table
+   */
+  async getSubSeries(datasetId) {
+    const dataset = await this.getDataset(datasetId);
+
+    if (dataset.error) {
+      return { error: dataset.error };
+    }
+
+    const relations = geoAccession.seriesRelations(dataset.soft?.series?.relations);
+    const downloaded = [];
+    for (const id of relations.subSeries) {
+      if (await dataDownloader.isDownloaded(id)) downloaded.push(id);
+    }
+
+    return {
+      datasetId,
+      ...relations,
+      downloaded,
+      combined: dataset.subSeries ? {
+        ...dataset.subSeries,
+        sampleCount: dataset.matrix.sampleCount,
+        probeCount: dataset.matrix.geneCount,
+        samples: dataset.soft.samples.map(s => ({
+          id: s.id,
+          title: s.Sample_title,
+          subSeries: s.Sample_subseries_id,
+          platform: s.Sample_platform_id,
+          characteristics: s.characteristics
+        }))
+      } : null
+    };
+  }
+
+  /**
+   * Import the best supplementary expression table of an RNA-seq series.
+   * The dataset matrix is the table in the default units (log2 CPM for raw counts);
+   * other units are derived from rawStore on request.
+   */
+  async loadCountTable(datasetDir, softSamples) {
+    const tables = await rnaSeqCounts.findTables(datasetDir);
+    if (tables.length === 0) return null;
+
+    const rawStore = await rnaSeqCounts.importTable(datasetDir, tables[0], softSamples);
+    const store = await rnaSeqCounts.getUnitsStore(datasetDir, rawStore, DEFAULT_COUNT_UNITS);
+    const { counts } = rawStore.meta;
+
+    return {
+      rawStore,
+      store,
+      info: {
+        file: counts.file,
+        kind: counts.kind,
+        units: store.meta.units,
+        mappedToSamples: counts.mappedToSamples,
+        hasLengths: Boolean(counts.lengths),
+        otherTables: tables.slice(1)
+      }
+    };
+  }
+
+  /**
+   * Per-platform sub-matrices of a multi-platform series and which one (or which merge) is active
+   */
+  async getPlatforms(datasetId) {
+    const dataset = await this.getDataset(datasetId);
+
+    if (dataset.error) {
+      return { error: dataset.error };
+    }
+
+    return this.describePlatforms(dataset);
+  }
+
+  describePlatforms(dataset) {
+    return {
+      datasetId: dataset.id,
+      multiPlatform: !!dataset.subMatrices,
+      active: dataset.platform,
+      platforms: Object.values(dataset.subMatrices || {}).map(sub => ({
+        platform: sub.platform,
+        samples: sub.matrix.sampleCount,
+        probes: sub.matrix.geneCount
+      })),
+      sampleCount: dataset.matrix?.sampleCount || 0,
+      probeCount: dataset.matrix?.geneCount || 0
+    };
+  }
+
+  /**
+   * Analyze one platform of a multi-platform series, or all of them merged
+   * (platform 'merged'). Merges join samples side by side on the probe IDs every
+   * platform shares, or on gene symbols after collapsing each platform
+   * (by: 'probe' | 'gene' | 'auto'). The choice is kept for later sessions.
+   */
+  async selectPlatform(datasetId, platform, { by = 'auto', strategy = DEFAULT_COLLAPSE_STRATEGY } = {}) {
+    const dataset = await this.getDataset(datasetId);
+
+    if (dataset.error) {
+      return { error: dataset.error };
+    }
+
+    if (!dataset.subMatrices) {
+      return { error: `${datasetId} has a single expression matrix; there is no platform to choose` };
+    }
+
+    const selection = { platform: String(platform).toUpperCase(), by, strategy };
+    if (/^(MERGED?|ALL|BOTH|COMBINED?)$/.test(selection.platform)) {
+      selection.platform = MERGED_PLATFORM;
+    }
+
+    const selected = await this.activatePlatform(dataset, selection);
+    if (selected.error) {
+      return { error: selected.error };
+    }
+
+    await this.savePlatformSelection(dataset.summary.location, selection);
+    return this.describePlatforms(dataset);
+  }
+
+  /**
+   * Make a sub-matrix (or a merge of all of them) the dataset matrix. Processed and
+   * gene-level stores are per matrix, so the in-memory ones are dropped.
+   */
+  async activatePlatform(dataset, { platform, by = 'auto', strategy = DEFAULT_COLLAPSE_STRATEGY }) {
+    let target;
+    if (platform === MERGED_PLATFORM) {
+      target = await this.mergePlatforms(dataset, { by, strategy });
+      if (target.error) return { error: target.error };
+    } else {
+      const sub = dataset.subMatrices[platform];
+      if (!sub) {
+        return { error: `Unknown platform ${platform}. Available: ${Object.keys(dataset.subMatrices).join(', ')}, or merged` };
+      }
+      target = { matrix: sub.matrix, dir: sub.dir, platform: { id: platform } };
+    }
+
+    dataset.matrix = target.matrix;
+    dataset.workDir = target.dir;
+    dataset.platform = target.platform;
+    dataset.processedStores = {};
+    dataset.preprocessing = {};
+    dataset.geneStores = {};
+    return dataset.platform;
+  }
+
+  /**
+   * Merged matrix of every platform
+   */
+  async mergePlatforms(dataset, { by = 'auto', strategy = DEFAULT_COLLAPSE_STRATEGY } = {}) {
+    const subs = Object.values(dataset.subMatrices).filter(sub => sub.matrix.store?.probeCount);
+    if (subs.length < 2) {
+      return { error: 'Merging needs at least two platforms with expression data' };
+    }
+
+    const merged = await this.mergeMatrices(
+      subs.map(sub => ({ id: sub.platform, dir: sub.dir, matrix: sub.matrix, annotation: dataset.annotation })),
+      path.join(dataset.summary.location, PLATFORMS_DIR),
+      { by, strategy }
+    );
+    if (merged.error) {
+      return { error: merged.error };
+    }
+
+    return {
+      matrix: merged.matrix,
+      dir: merged.dir,
+      platform: {
+        id: MERGED_PLATFORM,
+        by: merged.by,
+        strategy: merged.strategy,
+        platforms: subs.map(sub => sub.platform)
+      }
+    };
+  }
+
+  /**
+   * Merge matrices [{ id, dir, matrix, annotation }] into one under baseDir, built
+   * from their default-preprocessed (log2 when unlogged) stores so they share a
+   * scale. by: 'probe' joins on shared probe IDs, 'gene' on gene symbols after
+   * collapsing each part with the strategy, 'auto' picks by probe overlap.
+   */
+  async mergeMatrices(parts, baseDir, { by = 'auto', strategy = DEFAULT_COLLAPSE_STRATEGY } = {}) {
+    if (by !== 'auto' && !MERGE_MODES.includes(by)) {
+      return { error: `Unknown merge mode "${by}". Use one of: auto, ${MERGE_MODES.join(', ')}` };
+    }
+
+    try {
+      const mode = by === 'auto' ? platformMatrices.chooseMergeMode(parts.map(part => part.matrix.store)) : by;
+      if (mode === 'gene' && parts.some(part => !part.annotation)) {
+        return { error: 'Merging on gene symbols needs a platform annotation, which is not available for this dataset' };
+      }
+
+      const dir = platformMatrices.mergedDir(baseDir, mode, strategy);
+      const mergedPath = path.join(dir, 'series_matrix.txt');
+      const sourcePaths = parts.map(part => path.join(part.dir, part.matrix.store.meta.source.file));
+      // A gene-symbol merge is also stale once an annotation is saved again
+      const annotationPaths = mode === 'gene' ? parts.map(part => part.annotation.source?.file).filter(Boolean) : [];
+
+      if (!(await platformMatrices.isFresh(mergedPath, [...sourcePaths, ...annotationPaths]))) {
+        console.error(`Merging ${parts.map(part => part.id).join(', ')} on ${mode === 'gene' ? 'gene symbols' : 'shared probes'}...`);
+
+        const stores = [];
+        for (const [i, part] of parts.entries()) {
+          const processed = await preprocessor.getProcessedStore(part.dir, part.matrix.store, preprocessor.resolveOptions());
+          const store = mode === 'gene'
+            ? await geneCollapser.getGeneStore(part.dir, processed.store, part.annotation, strategy)
+            : processed.store;
+          stores.push({ id: part.id, store, file: sourcePaths[i] });
+        }
+
+        await platformMatrices.writeMerged(mergedPath, stores);
+      }
+
+      const matrix = await dataParser.parseSeriesMatrix(mergedPath);
+      if (!matrix?.store) {
+        return { error: 'Could not parse the merged matrix' };
+      }
+
+      return { matrix, dir, by: mode, strategy: mode === 'gene' ? strategy : undefined };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  async loadPlatformSelection(datasetDir) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(datasetDir, PLATFORMS_DIR, 'selection.json'), 'utf-8'));
+    } catch {
+      return null;
+    }
+  }
+
+  async savePlatformSelection(datasetDir, selection) {
+    await fs.writeFile(path.join(datasetDir, PLATFORMS_DIR, 'selection.json'), JSON.stringify(selection, null, 2));
+  }
+
+  /**
+   * Resolve the matrix store for an analysis level.
+   * 'probe' is the parsed series matrix; 'gene' collapses probes per gene symbol.
+   */
+  async getMatrixStore(dataset, { level = 'probe', strategy = DEFAULT_COLLAPSE_STRATEGY, log2, normalization, units, batch, preserve } = {}) {
+    if (!dataset.matrix?.store) {
+      return { error: 'No expression data available' };
+    }
+
+    if (level !== 'probe' && level !== 'gene') {
+      return { error: `Unknown level "${level}". Use 'probe' or 'gene'.` };
+    }
+
+    if (level === 'gene' && !dataset.annotation) {
+      return { error: 'Gene-level data needs a platform annotation, which is not available for this dataset' };
+    }
+
+    try {
+      const processed = await this.getProcessedStore(dataset, { log2, normalization, units, batch, preserve });
+      if (processed.error) {
+        return { error: processed.error };
+      }
+
+      if (level === 'probe') {
+        return { store: processed.store, level, preprocessing: processed.preprocessing };
+      }
+
+      // Rows of a gene-symbol merge are collapsed genes already
+      if (dataset.platform?.by === 'gene') {
+        return { store: processed.store, level, strategy: dataset.platform.strategy, preprocessing: processed.preprocessing };
+      }
+
+      const key = `${strategy}:${processed.preprocessing.key || 'raw'}`;
+      dataset.geneStores = dataset.geneStores || {};
+      if (!dataset.geneStores[key]) {
+        dataset.geneStores[key] = await geneCollapser.getGeneStore(
+          dataset.workDir,
+          processed.store,
+          dataset.annotation,
+          strategy
+        );
+      }
+      return { store: dataset.geneStores[key], level, strategy, preprocessing: processed.preprocessing };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Probe-level store after log2 detection/transform, normalization and, when a
+   * batch variable is named, ComBat correction (optionally preserving a factor).
+   * RNA-seq count tables start from the requested units (cpm, tpm, size-factors, counts).
+   * Every applied pipeline is recorded in dataset.preprocessing, keyed by its options.
+   */
+  async getProcessedStore(dataset, { batch, preserve, units, ...options } = {}) {
+    const resolved = preprocessor.resolveOptions(options);
+    const baseUnits = dataset.rawCounts ? units || DEFAULT_COUNT_UNITS : null;
+    const key = `${baseUnits ? `${baseUnits}:` : ''}${resolved.log2}:${resolved.normalization}`;
+
+    dataset.preprocessing = dataset.preprocessing || {};
+    dataset.processedStores = dataset.processedStores || {};
+
+    if (!dataset.processedStores[key]) {
+      const baseStore = baseUnits && baseUnits !== DEFAULT_COUNT_UNITS
+        ? await rnaSeqCounts.getUnitsStore(dataset.summary.location, dataset.rawCounts, baseUnits)
+        : dataset.matrix.store;
+      const processed = await preprocessor.getProcessedStore(
+        dataset.workDir,
+        baseStore,
+        resolved
+      );
+      dataset.processedStores[key] = processed.store;
+      dataset.preprocessing[key] = processed.preprocessing;
+    }
+
+    if (!batch) {
+      return { store: dataset.processedStores[key], preprocessing: dataset.preprocessing[key] };
+    }
+
+    const store = dataset.processedStores[key];
+    const softSamples = dataset.soft?.samples || [];
+    const batchVariable = batchEffects.resolveVariable(softSamples, store.samples, batch);
+    if (batchVariable.error) {
+      return { error: batchVariable.error };
+    }
+
+    let preserved = null;
+    if (preserve) {
+      preserved = this.characteristicValues(dataset, preserve, store.samples);
+      if (preserved.error) return { error: preserved.error };
+      if (preserved.missing.length > 0) {
+        return { error: `Characteristic "${preserved.key}" is missing for some samples (${preserved.missing.join(', ')}), so it cannot be preserved` };
+      }
+    }
+
+    const correctedKey = `${key}:combat:${batchVariable.key}:${preserved ? preserved.key : ''}`;
+    if (!dataset.processedStores[correctedKey]) {
+      const corrected = await batchEffects.getCorrectedStore(
+        dataset.workDir,
+        store,
+        dataset.preprocessing[key],
+        batchVariable,
+        preserved
+      );
+      dataset.processedStores[correctedKey] = corrected.store;
+      dataset.preprocessing[correctedKey] = corrected.preprocessing;
+    }
+
+    return { store: dataset.processedStores[correctedKey], preprocessing: dataset.preprocessing[correctedKey] };
+  }
+
+  /**
+   * Get comprehensive statistics
+   */
+  async getStatistics(datasetId, options = {}) {
+    const dataset = await this.getDataset(datasetId);
+
+    if (dataset.error) {
+      return { error: dataset.error };
+    }
+
+    if (!dataset.matrix) {
+      return { error: 'No expression matrix available' };
+    }
+
+    const matrix = await this.getMatrixStore(dataset, options);
+    if (matrix.error) {
+      return { error: matrix.error };
+    }
+
+    const stats = await dataParser.getSampleStatistics(matrix.store);
+
+    return {
+      datasetId,
+      level: matrix.level,
+      strategy: matrix.strategy,
+      preprocessing: matrix.preprocessing,
+      ...stats,
+      metadata: dataset.matrix.metadata
+    };
+  }
+
+  /**
+   * Query specific gene
+   */
+  async queryGene(datasetId, geneName, options = {}) {
+    const dataset = await this.getDataset(datasetId);
+
+    if (dataset.error) {
+      return { error: dataset.error };
+    }
+
+    const matrix = await this.getMatrixStore(dataset, options);
+    if (matrix.error) {
+      return { error: matrix.error };
+    }
+
+    let result;
+    if (matrix.level === 'gene') {
+      // Gene-level rows are keyed by symbol; resolve Entrez IDs through the annotation
+      let symbol = geneName;
+      if (/^\d+$/.test(geneName)) {
+        const [probeId] = dataset.annotation.getProbesForGene(geneName);
+        symbol = dataset.annotation.getGenesForProbe(probeId)?.symbols[0] || geneName;
+      }
+
+      result = await dataParser.queryGeneExpression(matrix.store, symbol);
+      if (result.found) {
+        const collapsed = matrix.store.meta.probesPerGene?.[result.geneId];
+        result.matchedBy = 'gene';
+        result.level = 'gene';
+        result.strategy = matrix.strategy;
+        result.probes[0].symbols = [result.geneId];
+        result.probes[0].sourceProbes = collapsed?.probes || [];
+        result.probes[0].representativeProbe = collapsed?.representative || null;
+      }
+    } else {
+      result = await dataParser.queryGeneExpression(matrix.store, geneName, dataset.annotation);
+      if (result.found) {
+        result.level = 'probe';
+      }
+    }
+
+    if (result.found) {
+      result.preprocessing = matrix.preprocessing;
+
+      // Add sample names
+      result.samples = matrix.store.samples;
+      result.expressionBySample = {};
+
+      matrix.store.samples.forEach((sample, idx) => {
+        result.expressionBySample[sample] = result.values[idx];
+      });
+
+      for (const probe of result.probes) {
+        probe.expressionBySample = {};
+        matrix.store.samples.forEach((sample, idx) => {
+          probe.expressionBySample[sample] = probe.values[idx];
+        });
+        probe.groupSummary = await this.summarizeByGroups(dataset, probe.values, matrix.store.samples);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Export the expression matrix as a tab-separated file in the dataset directory
+   */
+  async exportMatrix(datasetId, options = {}) {
+    const dataset = await this.getDataset(datasetId);
+
+    if (dataset.error) {
+      return { error: dataset.error };
+    }
+
+    const matrix = await this.getMatrixStore(dataset, options);
+    if (matrix.error) {
+      return { error: matrix.error };
+    }
+
+    const { store } = matrix;
+    const exportDir = path.join(dataset.summary.location, 'exports');
+    const variant = matrix.preprocessing.key ? `_${matrix.preprocessing.key}` : '';
+    const platform = dataset.platform ? `_${dataset.platform.id}${dataset.platform.by ? `-${dataset.platform.by}` : ''}` : '';
+    const fileName = `${datasetId}${platform}_${matrix.level}${matrix.strategy ? `_${matrix.strategy}` : ''}${variant}.tsv`;
+    const filePath = path.join(exportDir, fileName);
+    const withSymbols = matrix.level === 'probe' && !!dataset.annotation;
+
+    await fs.mkdir(exportDir, { recursive: true });
+    const values = await store.load();
+    const out = createWriteStream(filePath);
+
+    const header = [matrix.level === 'gene' ? 'GENE_SYMBOL' : 'ID_REF'];
+    if (withSymbols) header.push('GENE_SYMBOL');
+    out.write([...header, ...store.samples].join('\t') + '\n');
+
+    for (let i = 0; i < store.probeCount; i++) {
+      const cells = [store.probes[i]];
+      if (withSymbols) {
+        cells.push(dataset.annotation.getGenesForProbe(store.probes[i])?.symbols.join(' /// ') || '');
+      }
+      for (let j = 0; j < store.sampleCount; j++) {
+        const v = values[j * store.probeCount + i];
+        cells.push(isNaN(v) ? '' : storeValue(v));
+      }
+      if (!out.write(cells.join('\t') + '\n')) {
+        await once(out, 'drain');
+      }
+    }
+
+    out.end();
+    await finished(out);
+
+    return {
+      datasetId,
+      level: matrix.level,
+      strategy: matrix.strategy,
+      preprocessing: matrix.preprocessing,
+      path: filePath,
+      fileName,
+      rows: store.probeCount,
+      samples: store.sampleCount
+    };
+  }
+
+  /**
+   * Resolve a sample group spec against the matrix columns. A spec is one of:
+   *   'name' or { group: 'name' }            - a named group from the experimental design
+   *   { samples: ['GSM1', ...] }             - explicit sample IDs
+   *   { characteristic?: 'treatment', value } - SOFT characteristic value (any key if omitted)
+   *   { where: { treatment: 'drug', time: '24h' } } - all characteristic conditions
+   * A bare { value } that names a defined group resolves to that group.
+   */
+  async resolveSampleGroup(dataset, spec, sampleNames) {
+    if (!spec) {
+      return { error: 'Sample group is missing' };
+    }
+
+    const design = await experimentalDesign.load(dataset.id);
+    const groupName = typeof spec === 'string' ? spec
+      : spec.group || (!spec.characteristic && spec.value && experimentalDesign.findName(design.groups, spec.value) ? spec.value : null);
+
+    if (groupName) {
+      const key = experimentalDesign.findName(design.groups, groupName);
+      if (!key) {
+        return { error: `No group named "${groupName}" in the experimental design` };
+      }
+      spec = { ...design.groups[key], label: key };
+    }
+
+    let members = [];
+    let label = spec.label;
+
+    if (Array.isArray(spec.samples)) {
+      const wanted = new Set(spec.samples.map(s => s.trim().toUpperCase()));
+      members = sampleNames.filter(name => wanted.has(name.toUpperCase()));
+      label = label || (spec.samples.length <= 3 ? spec.samples.join(', ') : `${spec.samples.length} samples`);
+    } else if (spec.value || spec.where) {
+      if (!dataset.soft?.samples) {
+        return { error: 'Sample characteristics are not available for this dataset' };
+      }
+
+      const matching = new Set(experimentalDesign.matchSamples(spec, dataset.soft.samples));
+      members = sampleNames.filter(name => matching.has(name));
+      label = label || (spec.where
+        ? Object.entries(spec.where).map(([k, v]) => `${k}: ${v}`).join(' & ')
+        : spec.characteristic ? `${spec.characteristic}: ${spec.value}` : spec.value);
+    } else {
+      return { error: 'A sample group needs a group name, "samples", "value" or "where"' };
+    }
+
+    if (members.length === 0) {
+      return { error: `No samples match group "${label}"` };
+    }
+
+    return {
+      label,
+      samples: members,
+      indices: members.map(name => sampleNames.indexOf(name))
+    };
+  }
+
+  /**
+   * Group A / group B specs for a named contrast
+   */
+  async resolveContrast(datasetId, contrastName) {
+    const design = await experimentalDesign.load(datasetId);
+    const key = experimentalDesign.findName(design.contrasts, contrastName);
+    if (!key) {
+      return { error: `No contrast named "${contrastName}" in the experimental design` };
+    }
+    return { name: key, groupA: design.contrasts[key].groupA, groupB: design.contrasts[key].groupB };
+  }
+
+  /**
+   * Characteristic tabulation, suggested factors and the saved groups/contrasts
+   */
+  async getDesign(datasetId) {
+    const dataset = await this.getDataset(datasetId);
+
+    if (dataset.error) {
+      return { error: dataset.error };
+    }
+
+    const design = await experimentalDesign.load(datasetId);
+    const softSamples = dataset.soft?.samples || [];
+    const sampleNames = dataset.matrix?.samples?.length ? dataset.matrix.samples : softSamples.map(s => s.id);
+    const tabulation = experimentalDesign.tabulate(softSamples);
+
+    const groups = {};
+    for (const name of Object.keys(design.groups)) {
+      const resolved = await this.resolveSampleGroup(dataset, name, sampleNames);
+      groups[name] = {
+        spec: design.groups[name],
+        samples: resolved.samples || [],
+        error: resolved.error
+      };
+    }
+
+    return {
+      datasetId,
+      sampleCount: sampleNames.length,
+      characteristics: tabulation,
+      suggestedFactors: experimentalDesign.suggestFactors(tabulation, softSamples.length),
+      groups,
+      contrasts: design.contrasts
+    };
+  }
+
+  /**
+   * Mean/SD of a row of sample values within each named design group
+   */
+  async summarizeByGroups(dataset, values, sampleNames) {
+    const design = await experimentalDesign.load(dataset.id);
+    const summaries = [];
+
+    for (const name of Object.keys(design.groups)) {
+      const group = await this.resolveSampleGroup(dataset, name, sampleNames);
+      if (group.error) continue;
+
+      const groupValues = group.indices.map(idx => values[idx]).filter(v => !isNaN(v));
+      if (groupValues.length === 0) continue;
+
+      const groupMean = mean(groupValues);
+      summaries.push({
+        group: name,
+        n: groupValues.length,
+        mean: groupMean,
+        sd: groupValues.length > 1 ? Math.sqrt(variance(groupValues)) : NaN
+      });
+    }
+
+    return summaries;
+  }
+
+  /**
+   * Differential expression between two sample groups
+   */
+  async differentialExpression(datasetId, { groupA, groupB, contrast, limit = 50, ...matrixOptions } = {}) {
+    const dataset = await this.getDataset(datasetId);
+
+    if (dataset.error) {
+      return { error: dataset.error };
+    }
+
+    if (contrast) {
+      const resolved = await this.resolveContrast(datasetId, contrast);
+      if (resolved.error) return { error: resolved.error };
+      groupA = resolved.groupA;
+      groupB = resolved.groupB;
+    }
+
+    const matrix = await this.getMatrixStore(dataset, matrixOptions);
+    if (matrix.error) {
+      return { error: matrix.error };
+    }
+
+    const { store } = matrix;
+    const a = await this.resolveSampleGroup(dataset, groupA, store.samples);
+    if (a.error) return { error: `Group A: ${a.error}` };
+    const b = await this.resolveSampleGroup(dataset, groupB, store.samples);
+    if (b.error) return { error: `Group B: ${b.error}` };
+
+    const overlap = a.samples.filter(name => b.samples.includes(name));
+    if (overlap.length > 0) {
+      return { error: `Groups overlap (${overlap.join(', ')}); each sample can only be in one group` };
+    }
+
+    if (a.samples.length < 2 || b.samples.length < 2) {
+      return { error: `Each group needs at least 2 samples (got ${a.samples.length} and ${b.samples.length})` };
+    }
+
+    const values = await store.load();
+    const de = differentialExpression.run(values, store.probeCount, store.probes, a.indices, b.indices);
+
+    const results = de.results.slice(0, limit).map(r => {
+      const genes = matrix.level === 'probe' ? dataset.annotation?.getGenesForProbe(r.id) : null;
+      return { ...r, symbols: matrix.level === 'gene' ? [r.id] : genes?.symbols || [] };
+    });
+
+    return {
+      datasetId,
+      level: matrix.level,
+      strategy: matrix.strategy,
+      preprocessing: matrix.preprocessing,
+      contrast: contrast || null,
+      groupA: { label: a.label, samples: a.samples },
+      groupB: { label: b.label, samples: b.samples },
+      tested: de.tested,
+      significant: de.results.filter(r => r.adjPValue < 0.05).length,
+      prior: de.prior,
+      results
+    };
+  }
+
+  /**
+   * Values of one SOFT characteristic (case-insensitive key) for each matrix sample;
+   * samples without one are listed in missing and get the value 'NA'
    */
-  async getDataset(datasetId) {
-    // Check cache first
-    if (this.cache.has(datasetId)) {
-      return this.cache.get(datasetId);
+  characteristicValues(dataset, key, sampleNames) {
+    const softSamples = dataset.soft?.samples || [];
+    const keys = [...new Set(softSamples.flatMap(s => Object.keys(s.characteristics)))];
+    const match = keys.find(k => k.toLowerCase() === key.trim().toLowerCase());
+
+    if (!match) {
+      return { error: `Unknown characteristic "${key}". Available: ${keys.join(', ') || 'none'}` };
+    }
+
+    const byId = new Map(softSamples.map(s => [s.id, s.characteristics[match]]));
+    const missing = sampleNames.filter(name => (byId.get(name) ?? '') === '');
+    const values = sampleNames.map(name => byId.get(name) || 'NA');
+    const counts = {};
+    values.forEach(v => { counts[v] = (counts[v] || 0) + 1; });
+
+    return {
+      key: match,
+      values,
+      missing,
+      levels: Object.entries(counts).map(([value, count]) => ({ value, count }))
+    };
+  }
+
+  /**
+   * Load the matrix for sample-structure analyses and pick the top-variance rows
+   */
+  async getTopVarianceMatrix(dataset, { topGenes = DEFAULT_TOP_GENES, ...matrixOptions }) {
+    const matrix = await this.getMatrixStore(dataset, matrixOptions);
+    if (matrix.error) {
+      return { error: matrix.error };
+    }
+
+    const { store } = matrix;
+    if (store.sampleCount < 3) {
+      return { error: 'At least 3 samples are needed' };
+    }
+
+    const values = await store.load();
+    const rows = pcaAnalyzer.topVarianceRows(values, store.probeCount, store.sampleCount, topGenes);
+    if (rows.length < 2) {
+      return { error: 'Not enough complete, variable rows in the matrix' };
+    }
+
+    return { ...matrix, values, rows };
+  }
+
+  /**
+   * PCA of samples on the top-variance genes/probes.
+   * options: { topGenes, components, colorBy (characteristic key), level, strategy, log2, normalization }
+   */
+  async pca(datasetId, { components = DEFAULT_COMPONENTS, colorBy, ...options } = {}) {
+    const dataset = await this.getDataset(datasetId);
+
+    if (dataset.error) {
+      return { error: dataset.error };
+    }
+
+    const matrix = await this.getTopVarianceMatrix(dataset, options);
+    if (matrix.error) {
+      return { error: matrix.error };
+    }
+
+    const { store, values, rows } = matrix;
+    let colors = null;
+    if (colorBy) {
+      colors = this.characteristicValues(dataset, colorBy, store.samples);
+      if (colors.error) return { error: colors.error };
+    }
+
+    const pca = pcaAnalyzer.run(values, store.probeCount, store.sampleCount, rows, components);
+
+    return {
+      datasetId,
+      level: matrix.level,
+      strategy: matrix.strategy,
+      preprocessing: matrix.preprocessing,
+      rowsUsed: rows.length,
+      components: pca.components,
+      colorBy: colors ? colors.key : null,
+      levels: colors ? colors.levels : [],
+      points: store.samples.map((sample, j) => ({
+        sample,
+        scores: pca.scores[j],
+        color: colors ? colors.values[j] : null
+      }))
+    };
+  }
+
+  /**
+   * Hierarchical clustering of samples (1 - Pearson distance) on the top-variance genes/probes.
+   * options: { topGenes, linkage, clusters, colorBy, level, strategy, log2, normalization }
+   */
+  async clusterSamples(datasetId, { linkage = 'average', clusters = 2, colorBy, ...options } = {}) {
+    const dataset = await this.getDataset(datasetId);
+
+    if (dataset.error) {
+      return { error: dataset.error };
+    }
+
+    const matrix = await this.getTopVarianceMatrix(dataset, options);
+    if (matrix.error) {
+      return { error: matrix.error };
+    }
+
+    const { store, values, rows } = matrix;
+    let colors = null;
+    if (colorBy) {
+      colors = this.characteristicValues(dataset, colorBy, store.samples);
+      if (colors.error) return { error: colors.error };
+    }
+
+    const correlation = sampleClustering.correlationMatrix(values, store.probeCount, store.sampleCount, rows);
+    const distances = correlation.map(row => Array.from(row, r => 1 - r));
+    const tree = sampleClustering.cluster(distances, linkage);
+    const k = Math.min(Math.max(1, clusters), store.sampleCount);
+    const assignment = sampleClustering.cutTree(tree.merges, store.sampleCount, k);
+
+    return {
+      datasetId,
+      level: matrix.level,
+      strategy: matrix.strategy,
+      preprocessing: matrix.preprocessing,
+      rowsUsed: rows.length,
+      distance: '1 - Pearson correlation',
+      linkage,
+      samples: store.samples,
+      order: tree.order.map(j => store.samples[j]),
+      merges: tree.merges,
+      clusters: store.samples.map((sample, j) => ({
+        sample,
+        cluster: assignment[j],
+        color: colors ? colors.values[j] : null
+      })),
+      colorBy: colors ? colors.key : null
+    };
+  }
+
+  /**
+   * Gene set enrichment of a two-group comparison (groupA/groupB or a named contrast), or of
+   * the genes co-expressed with a target gene (coexpressedWith).
+   * method 'ora': hypergeometric test of genes passing the FDR cutoff (optionally one direction:
+   * higher in groupA / positively correlated is 'up') against all tested genes; method 'gsea':
+   * preranked GSEA on the moderated t-statistics or correlation coefficients.
+   * Always runs at gene level so rows carry gene symbols.
+   */
+  async enrichment(datasetId, {
+    method = 'ora',
+    groupA,
+    groupB,
+    contrast,
+    coexpressedWith,
+    correlation = 'pearson',
+    direction = 'both',
+    fdr = 0.05,
+    libraries,
+    minSize,
+    maxSize,
+    permutations,
+    limit = 20,
+    ...matrixOptions
+  } = {}) {
+    if (method !== 'ora' && method !== 'gsea') {
+      return { error: `Unknown enrichment method "${method}". Use 'ora' or 'gsea'.` };
+    }
+
+    const ranking = coexpressedWith
+      ? await this.coexpressionRanking(datasetId, coexpressedWith, correlation, matrixOptions)
+      : await this.differentialRanking(datasetId, { groupA, groupB, contrast }, matrixOptions);
+    if (ranking.error) {
+      return { error: ranking.error };
     }
 
+    const { tested } = ranking;
+    const setOptions = { libraries, minSize, maxSize, permutations };
+    let enrichment;
+    let selected = null;
+
     try {
-      // Check if downloaded
-      const isDownloaded = await dataDownloader.isDownloaded(datasetId);
-      if (!isDownloaded) {
-        return { error: 'Dataset not downloaded' };
+      if (method === 'ora') {
+        selected = tested.filter(r =>
+          r.adjPValue < fdr &&
+          (direction === 'both' || (direction === 'up' ? r.score > 0 : r.score < 0))
+        );
+        if (selected.length === 0) {
+          return {
+            error: `No genes pass adj. P < ${fdr}${direction !== 'both' ? ` (${direction})` : ''} for ${ranking.label}. Try the rank-based (GSEA) test or a looser cutoff.`
+          };
+        }
+        enrichment = await geneSetEnrichment.overRepresentation(
+          selected.map(r => r.id),
+          tested.map(r => r.id),
+          setOptions
+        );
+      } else {
+        enrichment = await geneSetEnrichment.preranked(
+          tested.map(r => ({ gene: r.id, score: r.score })),
+          setOptions
+        );
       }
+    } catch (error) {
+      return { error: error.message };
+    }
 
-      const summary = await dataDownloader.getDatasetSummary(datasetId);
-      const datasetDir = summary.location;
+    return {
+      datasetId,
+      source: ranking.source,
+      comparison: ranking.comparison || null,
+      coexpression: ranking.coexpression || null,
+      strategy: ranking.strategy,
+      preprocessing: ranking.preprocessing,
+      selection: method === 'ora' ? { fdr, direction, genes: selected.length } : null,
+      ...enrichment,
+      significant: enrichment.results.filter(r => r.adjPValue < 0.05).length,
+      results: enrichment.results.slice(0, limit)
+    };
+  }
 
-      // Find and decompress series matrix
-      const matrixFile = summary.files.find(f => f.name.includes('series_matrix'));
-      const softFile = summary.files.find(f => f.name.includes('soft'));
+  /**
+   * Gene-level genes of a two-group comparison scored by moderated t, for enrichment
+   */
+  async differentialRanking(datasetId, { groupA, groupB, contrast }, matrixOptions) {
+    const de = await this.differentialExpression(datasetId, {
+      groupA,
+      groupB,
+      contrast,
+      ...matrixOptions,
+      level: 'gene',
+      limit: Infinity
+    });
+    if (de.error) {
+      return { error: de.error };
+    }
 
-      let parsedMatrix = null;
-      let parsedSOFT = null;
+    return {
+      source: 'differential_expression',
+      label: `${de.groupA.label} vs ${de.groupB.label}`,
+      comparison: { groupA: de.groupA, groupB: de.groupB, contrast: de.contrast },
+      strategy: de.strategy,
+      preprocessing: de.preprocessing,
+      tested: de.results
+        .filter(r => !isNaN(r.pValue))
+        .map(r => ({ id: r.id, score: r.modT, adjPValue: r.adjPValue }))
+    };
+  }
 
-      if (matrixFile) {
-        const matrixPath = path.join(datasetDir, matrixFile.name);
-        console.log(`Decompressing and parsing matrix for ${datasetId}...`);
+  /**
+   * Gene-level genes scored by their correlation with a target gene, for enrichment
+   */
+  async coexpressionRanking(datasetId, gene, correlation, matrixOptions) {
+    const coexpression = await this.coexpression(datasetId, gene, {
+      ...matrixOptions,
+      method: correlation,
+      limit: Infinity,
+      level: 'gene'
+    });
+    if (coexpression.error) {
+      return { error: coexpression.error };
+    }
 
-        try {
-          const decompressed = await dataParser.decompressFile(matrixPath);
-          parsedMatrix = await dataParser.parseSeriesMatrix(decompressed);
-        } catch (error) {
-          console.error(`Error parsing matrix:`, error);
-        }
+    return {
+      source: 'coexpression',
+      label: `co-expression with ${coexpression.target}`,
+      coexpression: { gene: coexpression.target, method: correlation, sampleCount: coexpression.sampleCount },
+      strategy: coexpression.strategy,
+      preprocessing: coexpression.preprocessing,
+      tested: [...coexpression.positive, ...coexpression.negative]
+        .map(r => ({ id: r.id, score: r[correlation], adjPValue: r[`${correlation}AdjPValue`] }))
+    };
+  }
+
+  /**
+   * Genes co-expressed with a target gene: Pearson and Spearman correlation against every
+   * row, top positive and negative partners ranked by `method`. Runs on gene-level rows by
+   * default; at probe level the target's most variable probe is used.
+   */
+  async coexpression(datasetId, geneName, { method = 'pearson', limit = DEFAULT_PARTNERS, level = 'gene', ...matrixOptions } = {}) {
+    const dataset = await this.getDataset(datasetId);
+
+    if (dataset.error) {
+      return { error: dataset.error };
+    }
+
+    const matrix = await this.getMatrixStore(dataset, { level, ...matrixOptions });
+    if (matrix.error) {
+      return { error: matrix.error };
+    }
+
+    const { store } = matrix;
+    if (store.sampleCount < 4) {
+      return { error: 'At least 4 samples are needed for co-expression' };
+    }
+
+    const target = await dataParser.queryGeneExpression(store, geneName, matrix.level === 'probe' ? dataset.annotation : null);
+    if (!target?.found) {
+      return { error: `Gene ${geneName} not found in the ${matrix.level}-level matrix${formatSuggestions(target)}` };
+    }
+
+    const targetProbe = mostVariableProbe(target.probes);
+
+    const values = await store.load();
+    const result = coExpression.run(values, store.probeCount, store.sampleCount, store.probes, store.findProbe(targetProbe.probeId), {
+      method,
+      limit
+    });
+
+    const withSymbols = (partners) => partners.map(r => ({
+      ...r,
+      symbols: matrix.level === 'gene' ? [r.id] : dataset.annotation?.getGenesForProbe(r.id)?.symbols || []
+    }));
+
+    return {
+      datasetId,
+      gene: geneName,
+      target: targetProbe.probeId,
+      targetProbes: target.probes.length,
+      level: matrix.level,
+      strategy: matrix.strategy,
+      preprocessing: matrix.preprocessing,
+      sampleCount: store.sampleCount,
+      ...result,
+      positive: withSymbols(result.positive),
+      negative: withSymbols(result.negative)
+    };
+  }
+
+  /**
+   * Meta-analysis of one gene across downloaded datasets. Every dataset is compared with
+   * the same groupA/groupB (or contrast name) unless `comparisons` gives its own, e.g.
+   * { GSE1: { contrast: 'tumorVsNormal' }, GSE2: { groupA: 'tumor', groupB: 'normal' } }.
+   * Datasets where the comparison or gene can't be resolved are reported as skipped.
+   */
+  async metaAnalysis(geneName, { datasetIds, contrast, groupA, groupB, comparisons = {}, strategy, log2, normalization, units } = {}) {
+    const ids = datasetIds && datasetIds.length > 0 ? datasetIds : await dataDownloader.listDownloaded();
+    if (ids.length === 0) {
+      return { error: 'No downloaded datasets found' };
+    }
+
+    const gene = geneName.toUpperCase();
+    const studies = [];
+    const skipped = [];
+
+    for (const datasetId of ids) {
+      const comparison = comparisons[datasetId] || { contrast, groupA, groupB };
+      if (!comparison.contrast && (!comparison.groupA || !comparison.groupB)) {
+        skipped.push({ datasetId, reason: 'no comparison given' });
+        continue;
       }
 
-      if (softFile) {
-        const softPath = path.join(datasetDir, softFile.name);
-        console.log(`Decompressing and parsing SOFT for ${datasetId}...`);
+      const de = await this.differentialExpression(datasetId, {
+        ...comparison,
+        level: 'gene',
+        strategy,
+        log2,
+        normalization,
+        units,
+        limit: Infinity
+      });
+      if (de.error) {
+        skipped.push({ datasetId, reason: de.error });
+        continue;
+      }
 
-        try {
-          const decompressed = await dataParser.decompressFile(softPath);
-          parsedSOFT = await dataParser.parseSOFTFile(decompressed);
-        } catch (error) {
-          console.error(`Error parsing SOFT:`, error);
-        }
+      const row = de.results.find(r => r.id.toUpperCase() === gene);
+      if (!row) {
+        skipped.push({ datasetId, reason: `${geneName} not measured` });
+        continue;
       }
 
-      const dataset = {
-        id: datasetId,
-        summary,
-        matrix: parsedMatrix,
-        soft: parsedSOFT,
-        parsed: true
-      };
+      const effect = isNaN(row.pValue) ? null : metaAnalysis.hedgesG(row);
+      if (!effect) {
+        skipped.push({ datasetId, reason: `${geneName} has too few values or no variance` });
+        continue;
+      }
 
-      // Cache result
-      this.cache.set(datasetId, dataset);
+      studies.push({
+        datasetId,
+        groupA: de.groupA.label,
+        groupB: de.groupB.label,
+        nA: row.nA,
+        nB: row.nB,
+        n: row.nA + row.nB,
+        logFC: row.logFC,
+        ...effect,
+        ciLower: effect.g - 1.959964 * effect.se,
+        ciUpper: effect.g + 1.959964 * effect.se,
+        direction: row.logFC,
+        pValue: row.pValue,
+        adjPValue: row.adjPValue,
+        preprocessing: de.preprocessing.description
+      });
+    }
 
-      return dataset;
-    } catch (error) {
-      return { error: error.message };
+    if (studies.length === 0) {
+      return { error: `No dataset gave an effect for ${geneName}`, skipped };
     }
+
+    const combined = metaAnalysis.combine(studies);
+    const total = combined.random.estimate;
+
+    return {
+      gene: geneName,
+      effectSize: "Hedges' g",
+      strategy: strategy || DEFAULT_COLLAPSE_STRATEGY,
+      studies,
+      skipped,
+      ...combined,
+      consistency: {
+        up: studies.filter(s => s.g > 0).length,
+        down: studies.filter(s => s.g < 0).length,
+        agreeingWithPooled: studies.filter(s => Math.sign(s.g) === Math.sign(total)).length
+      }
+    };
   }
 
   /**
-   * Get comprehensive statistics
+   * Survival analysis from sample characteristics. The endpoint is a detected time/event
+   * pair (by name, e.g. 'OS', or explicit `time`/`event` keys; the first detected otherwise).
+   * Samples are split by a gene's expression (high vs low at the median or optimal cutpoint)
+   * or by a categorical `factor`; without either, one overall curve is returned.
    */
-  async getStatistics(datasetId) {
+  async survival(datasetId, { endpoint, time, event, gene, factor, split = 'median', ...matrixOptions } = {}) {
     const dataset = await this.getDataset(datasetId);
 
     if (dataset.error) {
       return { error: dataset.error };
     }
 
-    if (!dataset.matrix) {
-      return { error: 'No expression matrix available' };
+    if (!SPLIT_METHODS.includes(split)) {
+      return { error: `Unknown split "${split}". Use one of: ${SPLIT_METHODS.join(', ')}` };
     }
 
-    const stats = await dataParser.getSampleStatistics(
-      dataset.matrix.expressionData,
-      dataset.matrix.samples
-    );
+    const softSamples = dataset.soft?.samples || [];
+    if (softSamples.length === 0) {
+      return { error: 'No sample characteristics available (SOFT file missing)' };
+    }
+
+    const endpoints = survivalAnalyzer.detectEndpoints(softSamples);
+    let chosen;
+    if (time && event) {
+      const keys = [...new Set(softSamples.flatMap(s => Object.keys(s.characteristics)))];
+      const timeKey = keys.find(k => k.toLowerCase() === time.trim().toLowerCase());
+      const eventKey = keys.find(k => k.toLowerCase() === event.trim().toLowerCase());
+      if (!timeKey || !eventKey) {
+        return { error: `Unknown characteristic "${!timeKey ? time : event}". Available: ${keys.join(', ') || 'none'}` };
+      }
+      chosen = endpoints.find(e => e.timeKey === timeKey && e.eventKey === eventKey) ||
+        { endpoint: 'custom', label: `${timeKey} / ${eventKey}`, timeKey, eventKey, unit: 'unknown units' };
+    } else if (endpoint) {
+      chosen = endpoints.find(e => e.endpoint.toLowerCase() === endpoint.toLowerCase());
+      if (!chosen) {
+        return { error: `No ${endpoint} time/event characteristics found. Detected: ${endpoints.map(e => e.endpoint).join(', ') || 'none'}` };
+      }
+    } else {
+      chosen = endpoints[0];
+    }
+
+    if (!chosen) {
+      return { error: 'No survival time/event characteristics found in this dataset', endpoints };
+    }
+
+    let records = survivalAnalyzer.records(softSamples, chosen.timeKey, chosen.eventKey);
+    const grouping = { type: 'none' };
+    let groups = [{ name: 'All samples', records }];
+    let preprocessing = null;
+    let continuous = null;
+
+    if (gene) {
+      const matrix = await this.getMatrixStore(dataset, matrixOptions);
+      if (matrix.error) return { error: matrix.error };
+
+      const target = await dataParser.queryGeneExpression(matrix.store, gene, matrix.level === 'probe' ? dataset.annotation : null);
+      if (!target?.found) {
+        return { error: `Gene ${gene} not found in the ${matrix.level}-level matrix${formatSuggestions(target)}` };
+      }
+
+      const probe = mostVariableProbe(target.probes);
+      const bySample = new Map(matrix.store.samples.map((sample, j) => [sample, probe.values[j]]));
+      records = records.filter(r => isFinite(bySample.get(r.sample)));
+      const values = records.map(r => bySample.get(r.sample));
+      if (records.length < 4) {
+        return { error: `Only ${records.length} samples have both survival data and ${gene} expression` };
+      }
+
+      const cut = survivalAnalyzer.splitByValue(records, values, split);
+      groups = [{ name: `${gene} high`, records: cut.groups[0] }, { name: `${gene} low`, records: cut.groups[1] }];
+      Object.assign(grouping, {
+        type: 'gene',
+        gene,
+        row: probe.probeId,
+        level: matrix.level,
+        strategy: matrix.strategy,
+        split: cut.split,
+        cutpoint: cut.cutpoint,
+        candidates: cut.candidates,
+        correctedPValue: cut.correctedPValue ?? null
+      });
+      preprocessing = matrix.preprocessing;
+      continuous = survivalAnalyzer.cox(records, values);
+    } else if (factor) {
+      const levels = this.characteristicValues(dataset, factor, records.map(r => r.sample));
+      if (levels.error) return { error: levels.error };
+
+      const byLevel = new Map();
+      records.forEach((r, i) => {
+        const level = levels.values[i];
+        if (level === 'NA') return;
+        if (!byLevel.has(level)) byLevel.set(level, []);
+        byLevel.get(level).push(r);
+      });
+      records = [...byLevel.values()].flat();
+
+      // Reference last: a control-like level, else the largest group
+      const names = [...byLevel.keys()].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+      const largest = names.reduce((best, name) => (byLevel.get(name).length > byLevel.get(best).length ? name : best), names[0]);
+      const reference = names.find(name => REFERENCE_LEVEL.test(name)) || largest;
+      groups = [...names.filter(name => name !== reference), reference]
+        .filter(Boolean)
+        .map(name => ({ name, records: byLevel.get(name) }));
+      Object.assign(grouping, { type: 'factor', factor: levels.key, reference });
+    }
 
     return {
       datasetId,
-      ...stats,
-      metadata: dataset.matrix.metadata
+      endpoint: chosen,
+      availableEndpoints: endpoints,
+      grouping,
+      preprocessing,
+      samplesUsed: records.length,
+      samplesExcluded: softSamples.length - records.length,
+      ...survivalAnalyzer.compare(groups),
+      continuous
     };
   }
 
   /**
-   * Query specific gene
+   * Sample QC report: missing values, distribution shape, inter-sample correlation, outlier flags.
+   * Runs on the probe-level matrix after the default preprocessing unless options say otherwise.
    */
-  async queryGene(datasetId, geneName) {
+  async getQualityReport(datasetId, options = {}) {
     const dataset = await this.getDataset(datasetId);
 
     if (dataset.error) {
       return { error: dataset.error };
     }
 
-    if (!dataset.matrix || !dataset.matrix.expressionData) {
-      return { error: 'No expression data available' };
+    const matrix = await this.getMatrixStore(dataset, options);
+    if (matrix.error) {
+      return { error: matrix.error };
     }
 
-    const result = await dataParser.queryGeneExpression(
-      dataset.matrix.expressionData,
-      geneName
-    );
+    const { store } = matrix;
+    if (store.sampleCount < 2) {
+      return { error: 'At least 2 samples are needed for a QC report' };
+    }
 
-    if (result.found) {
-      // Add sample names
-      result.samples = dataset.matrix.samples;
-      result.expressionByDSample = {};
+    const values = await store.load();
+    const report = sampleQC.run(values, store.probeCount, store.sampleCount, store.samples);
 
-      dataset.matrix.samples.forEach((sample, idx) => {
-        result.expressionBySample[sample] = result.values[idx];
-      });
+    return {
+      datasetId,
+      level: matrix.level,
+      strategy: matrix.strategy,
+      preprocessing: matrix.preprocessing,
+      sampleCount: store.sampleCount,
+      rowCount: store.probeCount,
+      ...report
+    };
+  }
+
+  /**
+   * Candidate batch variables (batch-like characteristics and SOFT processing metadata)
+   * scored by their association with the top principal components. Pass `batch` to
+   * check how much association remains after ComBat correction.
+   * options: { topGenes, components, level, strategy, log2, normalization, batch, preserve }
+   */
+  async detectBatchEffects(datasetId, { components = DEFAULT_COMPONENTS, ...options } = {}) {
+    const dataset = await this.getDataset(datasetId);
+
+    if (dataset.error) {
+      return { error: dataset.error };
     }
 
-    return result;
+    const matrix = await this.getTopVarianceMatrix(dataset, options);
+    if (matrix.error) {
+      return { error: matrix.error };
+    }
+
+    const { store, values, rows } = matrix;
+    const softSamples = dataset.soft?.samples || [];
+    const candidates = batchEffects.candidates(softSamples, store.samples);
+
+    // Biological factors to check candidates against for confounding
+    const tabulation = experimentalDesign.tabulate(softSamples.filter(s => store.samples.includes(s.id)));
+    const factors = experimentalDesign.suggestFactors(tabulation, store.sampleCount)
+      .filter(f => f.type !== 'batch' && !candidates.some(c => c.key === f.key))
+      .map(f => ({ key: f.key, values: this.characteristicValues(dataset, f.key, store.samples).values }));
+
+    const pca = pcaAnalyzer.run(values, store.probeCount, store.sampleCount, rows, components);
+
+    return {
+      datasetId,
+      level: matrix.level,
+      strategy: matrix.strategy,
+      preprocessing: matrix.preprocessing,
+      rowsUsed: rows.length,
+      sampleCount: store.sampleCount,
+      components: pca.components,
+      factors: factors.map(f => f.key),
+      candidates: batchEffects.detect(candidates, pca, factors)
+    };
+  }
+
+  /**
+   * Drugs and compounds in the series and sample metadata, with doses and the
+   * samples that received each one (drug-sample pairs)
+   */
+  async getDrugSamplePairs(datasetId) {
+    const dataset = await this.getDataset(datasetId);
+
+    if (dataset.error) {
+      return { error: dataset.error };
+    }
+
+    if (!dataset.soft?.samples?.length) {
+      return { error: 'Drug recognition needs sample metadata from the SOFT file' };
+    }
+
+    return {
+      datasetId,
+      sampleCount: dataset.soft.samples.length,
+      ...drugRecognizer.recognizeDataset(dataset.soft)
+    };
   }
 
   /**
-   * Get sample details
+   * Get sample details, with characteristics harmonized into common fields
+   * (sex, age, tissue, cell type, treatment, dose, time, disease state)
    */
   async getSampleDetails(datasetId) {
     const dataset = await this.getDataset(datasetId);
@@ -162,11 +1625,14 @@ class AdvancedAnalyzer {
       details.samples = dataset.soft.samples.map(s => ({
         id: s.id,
         title: s['Sample_title'],
+        subSeries: s['Sample_subseries_id'],
         source: s['Sample_source_name_ch1'],
         organism: s['Sample_organism_ch1'],
         characteristics: s.characteristics,
+        harmonized: characteristicHarmonizer.harmonizeSample(s.characteristics).fields,
         treatment: s['Sample_treatment_protocol_ch1']
       }));
+      details.harmonizedFields = characteristicHarmonizer.summarize(details.samples);
     }
 
     return details;
@@ -194,8 +1660,7 @@ class AdvancedAnalyzer {
     if (dataset.matrix) {
       analysis.overview = {
         totalSamples: dataset.matrix.sampleCount,
-        totalGenes: dataset.matrix.geneCount,
-        hasMoreData: dataset.matrix.hasMoreData
+        totalGenes: dataset.matrix.geneCount
       };
 
       if (dataset.matrix.metadata?.Series) {
@@ -204,6 +1669,10 @@ class AdvancedAnalyzer {
       }
     }
 
+    if (dataset.subMatrices) {
+      analysis.platforms = this.describePlatforms(dataset);
+    }
+
     // Sample information
     if (dataset.soft?.samples) {
       analysis.samples = {
@@ -215,13 +1684,11 @@ class AdvancedAnalyzer {
       };
     }
 
-    // Statistics
-    if (dataset.matrix?.expressionData) {
-      const stats = await dataParser.getSampleStatistics(
-        dataset.matrix.expressionData,
-        dataset.matrix.samples
-      );
-      analysis.statistics = stats;
+    // Statistics, after the default preprocessing (log2 when the data is unlogged)
+    if (dataset.matrix?.store) {
+      const processed = await this.getProcessedStore(dataset);
+      analysis.statistics = await dataParser.getSampleStatistics(processed.store);
+      analysis.preprocessing = processed.preprocessing;
     }
 
     // Data quality indicators
@@ -229,9 +1696,16 @@ class AdvancedAnalyzer {
       matrixAvailable: !!dataset.matrix,
       metadataAvailable: !!dataset.soft,
       sampleInfoComplete: !!(dataset.soft?.samples && dataset.soft.samples.length > 0),
-      expressionDataParsed: !!(dataset.matrix?.expressionData && dataset.matrix.expressionData.length > 0)
+      expressionDataParsed: !!(dataset.matrix?.store && dataset.matrix.store.probeCount > 0)
     };
 
+    if (analysis.dataQuality.expressionDataParsed) {
+      const qc = await this.getQualityReport(datasetId);
+      if (!qc.error) {
+        analysis.dataQuality.qc = qc;
+      }
+    }
+
     return analysis;
   }
 
@@ -247,22 +1721,33 @@ class AdvancedAnalyzer {
 
     const results = {
       genes: [],
+      geneMatches: 0,
       samples: [],
       metadata: []
     };
 
     const queryLower = query.toLowerCase();
 
-    // Search genes
-    if (dataset.matrix?.expressionData) {
-      for (const row of dataset.matrix.expressionData.slice(0, 100)) {
-        if (row[0].toLowerCase().includes(queryLower)) {
-          results.genes.push({
-            geneId: row[0],
-            preview: row.slice(0, 4).join(', ')
-          });
+    // Search every probe by its ID and, with a platform annotation, its gene symbols;
+    // the first SEARCH_GENE_LIMIT matches come back with a preview of their values
+    if (dataset.matrix?.store) {
+      const { store } = dataset.matrix;
+      const symbolsOf = (probe) => dataset.annotation?.getGenesForProbe(probe)?.symbols || [];
+      const matches = [];
+      store.probes.forEach((probe, idx) => {
+        if (probe.toLowerCase().includes(queryLower) || symbolsOf(probe).some(s => s.toLowerCase().includes(queryLower))) {
+          matches.push(idx);
         }
-      }
+      });
+
+      const shown = matches.slice(0, SEARCH_GENE_LIMIT);
+      const previewRows = await store.getRows(shown);
+      results.geneMatches = matches.length;
+      results.genes = shown.map((idx, m) => ({
+        geneId: store.probes[idx],
+        symbols: symbolsOf(store.probes[idx]),
+        preview: [store.probes[idx], ...Array.from(previewRows[m].slice(0, 3), storeValue)].join(', ')
+      }));
     }
 
     // Search samples
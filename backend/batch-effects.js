@@ -0,0 +1,445 @@
+/**
+ * Batch Effects - Candidate batch variables, their footprint on the top
+ * principal components, and ComBat correction
+ *
+ * Candidates come from sample characteristics with batch-like keys (batch, run,
+ * scan date, chip, plate, ...) and from SOFT processing metadata such as
+ * Sample_submission_date or the scan/hybridization protocol text. Each candidate
+ * is tested against every PC with a one-way ANOVA of the sample scores.
+ *
+ * Correction is parametric empirical-Bayes ComBat (Johnson, Li & Rabinovic 2007):
+ * per-row location/scale batch effects are shrunk toward batch-wide priors and
+ * removed, optionally preserving a biological factor in the model.
+ */
+
+import path from 'path';
+import { MatrixStore, MatrixStoreWriter } from './matrix-store.js';
+import { fDistributionSf } from './stats.js';
+
+// Characteristic keys that usually record technical processing rather than biology
+const BATCH_KEY_PATTERN = /batch|\brun\b|lane|scan|date|chip|array|slide|plate|flow ?cell|cent(er|re)|\bsite\b|hospital|lot\b|operator|process/i;
+
+// SOFT sample fields describing when/how a sample was processed
+const METADATA_FIELDS = [
+  'Sample_submission_date',
+  'Sample_platform_id',
+  'Sample_subseries_id', // set on the combined sample table of a SuperSeries
+  'Sample_scan_protocol',
+  'Sample_hyb_protocol',
+  'Sample_extract_protocol_ch1',
+  'Sample_label_protocol_ch1',
+  'Sample_growth_protocol_ch1',
+  'Sample_data_processing',
+  'Sample_contact_institute',
+  'Sample_contact_laboratory'
+];
+
+const ASSOCIATION_P_CUTOFF = 0.01;
+const MIN_EXPLAINED = 0.05; // a PC must carry this share of variance to count
+const CONFOUNDED_V = 0.8;
+const EB_TOLERANCE = 1e-4;
+const EB_MAX_ITERATIONS = 1000;
+
+/**
+ * "Sample_submission_date" -> "submission date"
+ */
+function metadataLabel(field) {
+  return field.replace(/^Sample_/, '').replace(/_ch1$/, '').replace(/_/g, ' ');
+}
+
+/**
+ * Comparable form of a variable name typed by a user
+ */
+function normalizeName(name) {
+  return name.toLowerCase().replace(/^sample_/, '').replace(/_ch1$/, '').replace(/[_\s]+/g, ' ').trim();
+}
+
+/**
+ * File-system safe slug for store directory names
+ */
+function slug(name) {
+  return normalizeName(name).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'batch';
+}
+
+/**
+ * Level -> sample indices, in first-seen order
+ */
+function groupIndices(values) {
+  const groups = new Map();
+  values.forEach((value, j) => {
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(j);
+  });
+  return groups;
+}
+
+/**
+ * Invert a small symmetric positive-definite matrix (array of rows) by Gauss-Jordan
+ * elimination; null when it is singular
+ */
+function invert(matrix) {
+  const n = matrix.length;
+  const a = matrix.map((row, i) => {
+    const extended = new Float64Array(2 * n);
+    extended.set(row);
+    extended[n + i] = 1;
+    return extended;
+  });
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-10) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    const scale = a[col][col];
+    for (let k = 0; k < 2 * n; k++) a[col][k] /= scale;
+    for (let r = 0; r < n; r++) {
+      if (r === col || a[r][col] === 0) continue;
+      const factor = a[r][col];
+      for (let k = 0; k < 2 * n; k++) a[r][k] -= factor * a[col][k];
+    }
+  }
+
+  return a.map(row => row.slice(n));
+}
+
+class BatchEffects {
+  /**
+   * Batch-like variables with values for every sample that split them into
+   * 2+ levels, at least one of which is shared by several samples.
+   * Returns [{ key, label, source: 'characteristic' | 'metadata', values, levels }]
+   */
+  candidates(softSamples, sampleNames) {
+    const byId = new Map(softSamples.map(s => [s.id, s]));
+    const samples = sampleNames.map(name => byId.get(name));
+    if (samples.some(s => !s)) return [];
+
+    const keys = [...new Set(softSamples.flatMap(s => Object.keys(s.characteristics)))];
+    const variables = [
+      ...keys
+        .filter(key => BATCH_KEY_PATTERN.test(key))
+        .map(key => ({ key, label: key, source: 'characteristic', values: samples.map(s => s.characteristics[key]) })),
+      ...METADATA_FIELDS
+        .map(field => ({ key: field, label: metadataLabel(field), source: 'metadata', values: samples.map(s => s[field]) }))
+    ];
+
+    return variables
+      .filter(v => v.values.every(value => value !== undefined && value !== ''))
+      .map(v => ({ ...v, levels: [...groupIndices(v.values)].map(([value, idx]) => ({ value, count: idx.length })) }))
+      .filter(v => v.levels.length >= 2 && v.levels.length < sampleNames.length && v.levels.some(l => l.count >= 2));
+  }
+
+  /**
+   * Find a batch variable by key or label ("Sample_submission_date", "submission date",
+   * "scan date"). Characteristics that are not batch-like can still be named explicitly.
+   */
+  resolveVariable(softSamples, sampleNames, name) {
+    const wanted = normalizeName(name);
+    const candidates = this.candidates(softSamples, sampleNames);
+    const match = candidates.find(c => normalizeName(c.key) === wanted || normalizeName(c.label) === wanted);
+    if (match) return match;
+
+    const byId = new Map(softSamples.map(s => [s.id, s]));
+    const keys = [...new Set(softSamples.flatMap(s => Object.keys(s.characteristics)))];
+    const key = keys.find(k => normalizeName(k) === wanted);
+    if (key) {
+      const values = sampleNames.map(n => byId.get(n)?.characteristics[key]);
+      if (values.every(v => v !== undefined && v !== '')) {
+        return { key, label: key, source: 'characteristic', values };
+      }
+      return { error: `Characteristic "${key}" is missing for some samples` };
+    }
+
+    const available = candidates.map(c => c.label);
+    return { error: `Unknown batch variable "${name}". Candidates: ${available.join(', ') || 'none detected'}` };
+  }
+
+  /**
+   * One-way ANOVA of PC scores on a grouping: F, p-value and R^2 per component
+   */
+  associate(scores, components, values) {
+    const groups = [...groupIndices(values).values()];
+    const n = values.length;
+    const k = groups.length;
+
+    return components.map((component, c) => {
+      const x = scores.map(s => s[c]);
+      const grand = x.reduce((a, b) => a + b, 0) / n;
+      let between = 0;
+      let total = 0;
+      for (const idx of groups) {
+        const groupMean = idx.reduce((sum, j) => sum + x[j], 0) / idx.length;
+        between += idx.length * (groupMean - grand) ** 2;
+      }
+      x.forEach(v => { total += (v - grand) ** 2; });
+
+      const within = total - between;
+      const f = n > k && within > 0 ? (between / (k - 1)) / (within / (n - k)) : NaN;
+      return {
+        component: component.component,
+        explained: component.explained,
+        rSquared: total > 0 ? between / total : 0,
+        f,
+        pValue: n > k ? (within > 0 ? fDistributionSf(f, k - 1, n - k) : 0) : NaN
+      };
+    });
+  }
+
+  /**
+   * Cramer's V between two categorical assignments of the same samples
+   */
+  cramersV(a, b) {
+    const rows = [...new Set(a)];
+    const cols = [...new Set(b)];
+    if (rows.length < 2 || cols.length < 2) return 0;
+
+    const n = a.length;
+    const counts = new Map();
+    a.forEach((value, j) => {
+      const cell = `${value}\u0000${b[j]}`;
+      counts.set(cell, (counts.get(cell) || 0) + 1);
+    });
+    const rowTotals = new Map(rows.map(r => [r, a.filter(v => v === r).length]));
+    const colTotals = new Map(cols.map(c => [c, b.filter(v => v === c).length]));
+
+    let chi2 = 0;
+    for (const r of rows) {
+      for (const c of cols) {
+        const expected = rowTotals.get(r) * colTotals.get(c) / n;
+        const observed = counts.get(`${r}\u0000${c}`) || 0;
+        chi2 += (observed - expected) ** 2 / expected;
+      }
+    }
+    return Math.sqrt(chi2 / (n * (Math.min(rows.length, cols.length) - 1)));
+  }
+
+  /**
+   * Score candidates against the PCA and check them against biological factors.
+   * factors: [{ key, values }] for characteristics that are not batch-like.
+   */
+  detect(candidates, pca, factors = []) {
+    return candidates
+      .map(candidate => {
+        const components = this.associate(pca.scores, pca.components, candidate.values);
+        const varianceExplained = components.reduce((sum, c) => sum + c.explained * c.rSquared, 0);
+        const strongest = components.reduce((best, c) => (c.pValue < best.pValue ? c : best), components[0]);
+
+        const confounding = factors
+          .filter(f => f.key !== candidate.key)
+          .map(f => ({ factor: f.key, cramersV: this.cramersV(candidate.values, f.values) }))
+          .sort((a, b) => b.cramersV - a.cramersV);
+
+        return {
+          key: candidate.key,
+          label: candidate.label,
+          source: candidate.source,
+          levels: candidate.levels,
+          components,
+          varianceExplained,
+          strongest: strongest.component,
+          minPValue: strongest.pValue,
+          flagged: components.some(c => c.pValue < ASSOCIATION_P_CUTOFF && c.explained >= MIN_EXPLAINED),
+          confounding: confounding.slice(0, 3),
+          confounded: confounding.length > 0 && confounding[0].cramersV >= CONFOUNDED_V ? confounding[0].factor : null,
+          correctable: candidate.levels.every(l => l.count >= 2)
+        };
+      })
+      .sort((a, b) => b.flagged - a.flagged || b.varianceExplained - a.varianceExplained);
+  }
+
+  /**
+   * Empirical-Bayes location/scale estimates for one batch (sva's it.sol)
+   */
+  shrink(gammaHat, deltaHat, batchData, batchSize) {
+    const rows = gammaHat.length;
+    const meanOf = (arr) => arr.reduce((a, b) => a + b, 0) / arr.length;
+    const varOf = (arr, m) => arr.reduce((sum, v) => sum + (v - m) ** 2, 0) / (arr.length - 1);
+
+    const gammaBar = meanOf(gammaHat);
+    const t2 = varOf(gammaHat, gammaBar);
+    const deltaMean = meanOf(deltaHat);
+    const deltaVar = varOf(deltaHat, deltaMean);
+    const a = (2 * deltaVar + deltaMean ** 2) / deltaVar;
+    const b = (deltaMean * deltaVar + deltaMean ** 3) / deltaVar;
+
+    let gammaOld = Float64Array.from(gammaHat);
+    let deltaOld = Float64Array.from(deltaHat);
+    let iterations = 0;
+
+    for (; iterations < EB_MAX_ITERATIONS; iterations++) {
+      const gammaNew = new Float64Array(rows);
+      const deltaNew = new Float64Array(rows);
+      let change = 0;
+
+      for (let g = 0; g < rows; g++) {
+        gammaNew[g] = (t2 * batchSize * gammaHat[g] + deltaOld[g] * gammaBar) / (t2 * batchSize + deltaOld[g]);
+        let sum2 = 0;
+        for (const v of batchData[g]) sum2 += (v - gammaNew[g]) ** 2;
+        deltaNew[g] = (b + sum2 / 2) / (batchSize / 2 + a - 1);
+
+        change = Math.max(
+          change,
+          Math.abs(gammaNew[g] - gammaOld[g]) / Math.abs(gammaOld[g] || 1),
+          Math.abs(deltaNew[g] - deltaOld[g]) / deltaOld[g]
+        );
+      }
+
+      gammaOld = gammaNew;
+      deltaOld = deltaNew;
+      if (change < EB_TOLERANCE) break;
+    }
+
+    return { gamma: gammaOld, delta: deltaOld, iterations: iterations + 1, prior: { gammaBar, t2, a, b } };
+  }
+
+  /**
+   * ComBat on a column-major matrix, returning a corrected copy.
+   * Rows with missing values or no variance inside some batch are left unchanged
+   * and counted in rowsUncorrected. Every sample needs a preserved factor level.
+   */
+  combat(values, probeCount, sampleCount, batchValues, preserveValues = null) {
+    const batches = [...groupIndices(batchValues)];
+    if (batches.length < 2) {
+      throw new Error('The batch variable has a single level');
+    }
+    const small = batches.filter(([, idx]) => idx.length < 2).map(([value]) => value);
+    if (small.length > 0) {
+      throw new Error(`Every batch needs at least 2 samples (single-sample: ${small.join(', ')})`);
+    }
+
+    if (preserveValues?.some(v => v === undefined || v === null || v === '')) {
+      throw new Error('Some samples have no value for the preserved factor');
+    }
+
+    // Design: batch indicators, then treatment-coded preserved factor levels
+    const covariateLevels = preserveValues ? [...groupIndices(preserveValues).keys()].slice(1) : [];
+    const design = Array.from({ length: sampleCount }, (_, j) => [
+      ...batches.map(([value]) => (batchValues[j] === value ? 1 : 0)),
+      ...covariateLevels.map(level => (preserveValues[j] === level ? 1 : 0))
+    ]);
+    const p = design[0].length;
+
+    const xtx = Array.from({ length: p }, (_, a) =>
+      Array.from({ length: p }, (_, b) => design.reduce((sum, row) => sum + row[a] * row[b], 0))
+    );
+    const inverse = invert(xtx);
+    if (!inverse) {
+      throw new Error('The batch variable is confounded with the preserved factor, so their effects cannot be separated');
+    }
+    // (X'X)^-1 X', one row per coefficient
+    const hat = inverse.map(row => design.map(x => row.reduce((sum, v, k) => sum + v * x[k], 0)));
+
+    const batchCount = batches.length;
+    const weights = batches.map(([, idx]) => idx.length / sampleCount);
+    const usable = [];
+    const fits = [];
+
+    for (let i = 0; i < probeCount; i++) {
+      const y = new Float64Array(sampleCount);
+      let complete = true;
+      for (let j = 0; j < sampleCount; j++) {
+        y[j] = values[j * probeCount + i];
+        if (isNaN(y[j])) complete = false;
+      }
+      if (!complete) continue;
+      if (batches.some(([, idx]) => idx.every(j => y[j] === y[idx[0]]))) continue;
+
+      const beta = hat.map(row => row.reduce((sum, h, j) => sum + h * y[j], 0));
+      const grand = weights.reduce((sum, w, b) => sum + w * beta[b], 0);
+      const standMean = design.map(x => grand + covariateLevels.reduce((sum, _, c) => sum + x[batchCount + c] * beta[batchCount + c], 0));
+
+      let residual = 0;
+      for (let j = 0; j < sampleCount; j++) {
+        const fitted = design[j].reduce((sum, x, k) => sum + x * beta[k], 0);
+        residual += (y[j] - fitted) ** 2;
+      }
+      const pooledSd = Math.sqrt(residual / sampleCount);
+      if (!(pooledSd > 0)) continue;
+
+      usable.push(i);
+      fits.push({ standMean, pooledSd, standardized: y.map((v, j) => (v - standMean[j]) / pooledSd) });
+    }
+
+    if (usable.length < 2) {
+      throw new Error('Not enough complete rows with within-batch variance to estimate batch effects');
+    }
+
+    const corrected = Float32Array.from(values);
+    const adjustments = batches.map(([value, idx]) => {
+      const batchData = fits.map(fit => idx.map(j => fit.standardized[j]));
+      const gammaHat = batchData.map(d => d.reduce((a, b) => a + b, 0) / d.length);
+      const deltaHat = batchData.map((d, g) => d.reduce((sum, v) => sum + (v - gammaHat[g]) ** 2, 0) / (d.length - 1));
+      const estimates = this.shrink(gammaHat, deltaHat, batchData, idx.length);
+
+      usable.forEach((row, g) => {
+        const { standMean, pooledSd, standardized } = fits[g];
+        const scale = Math.sqrt(estimates.delta[g]);
+        for (const j of idx) {
+          corrected[j * probeCount + row] = (standardized[j] - estimates.gamma[g]) / scale * pooledSd + standMean[j];
+        }
+      });
+
+      return { batch: value, samples: idx.length, iterations: estimates.iterations, prior: estimates.prior };
+    });
+
+    return { values: corrected, rowsAdjusted: usable.length, rowsUncorrected: probeCount - usable.length, batches: adjustments };
+  }
+
+  /**
+   * Batch-corrected copy of a (preprocessed) probe store, built once and cached on disk
+   * next to the dataset. The preprocessing record gains a batchCorrection entry and
+   * a key that keeps gene-level stores of corrected and uncorrected data apart.
+   */
+  async getCorrectedStore(datasetDir, store, preprocessing, batch, preserve = null) {
+    const key = `${preprocessing.key || 'raw'}-combat-${slug(batch.key)}${preserve ? `-keep-${slug(preserve.key)}` : ''}`;
+    const storeDir = path.join(datasetDir, `processed-${key}`);
+    const sourcePath = path.join(datasetDir, store.meta.source.file);
+
+    const fresh = await MatrixStore.readFreshMeta(storeDir, sourcePath);
+    if (fresh?.preprocessing) {
+      return { store: await MatrixStore.open(storeDir), preprocessing: fresh.preprocessing };
+    }
+
+    console.error(`Correcting batch effects (${batch.label})...`);
+
+    const values = await store.load();
+    const result = this.combat(values, store.probeCount, store.sampleCount, batch.values, preserve?.values || null);
+
+    const record = {
+      ...preprocessing,
+      key,
+      batchCorrection: {
+        method: 'ComBat',
+        variable: batch.key,
+        label: batch.label,
+        preserve: preserve ? preserve.key : null,
+        rowsAdjusted: result.rowsAdjusted,
+        rowsUncorrected: result.rowsUncorrected,
+        batches: result.batches.map(b => ({ batch: b.batch, samples: b.samples }))
+      }
+    };
+    record.description = `${preprocessing.description}; ComBat batch correction on "${batch.label}"` +
+      `${preserve ? ` preserving "${preserve.key}"` : ''} (${result.rowsAdjusted} rows adjusted` +
+      `${result.rowsUncorrected > 0 ? `, ${result.rowsUncorrected} left uncorrected for missing values or no within-batch variance` : ''})`;
+
+    const writer = new MatrixStoreWriter(storeDir, store.samples);
+    await writer.open();
+    for (let i = 0; i < store.probeCount; i++) {
+      const row = new Array(store.sampleCount);
+      for (let j = 0; j < store.sampleCount; j++) row[j] = result.values[j * store.probeCount + i];
+      await writer.appendRow(store.probes[i], row);
+    }
+
+    const corrected = await writer.finish({
+      metadata: store.meta.metadata,
+      source: store.meta.source,
+      preprocessing: record
+    });
+    return { store: corrected, preprocessing: record };
+  }
+}
+
+export const batchEffects = new BatchEffects();
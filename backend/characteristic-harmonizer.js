@@ -0,0 +1,261 @@
+/**
+ * Characteristic Harmonizer - Common fields out of free-text SOFT characteristics
+ *
+ * Submitters write the same field many ways ("Sex", "gender", "sex (M/F)") with
+ * equally varied values ("F", "female", "Female "). Keys are mapped onto a small
+ * set of fields through a local synonym dictionary, and values are normalized:
+ * sex and disease state to controlled terms, age to years, dose to a canonical
+ * concentration unit and time to hours. The original key and value are kept.
+ */
+
+export const HARMONIZED_FIELDS = ['sex', 'age', 'tissue', 'cellType', 'treatment', 'dose', 'time', 'diseaseState'];
+
+// Key patterns per field, tested against the lowercased key without its unit suffix.
+// Order matters: "cell type" must win over "tissue", "treatment time" over "treatment".
+const KEY_SYNONYMS = [
+  { field: 'sex', pattern: /^(sex|gender)\b|\bsex$|\bgender$/ },
+  { field: 'age', pattern: /^age\b|\bage( at [a-z ]+)?$|^(donor|patient|subject) age|^age_/ },
+  { field: 'cellType', pattern: /cell[ _-]?(type|population|subset|lineage)|^celltype|^cell$/ },
+  { field: 'time', pattern: /time[ _-]?point|^time\b|\btime$|duration|^(hours?|days?|weeks?)\b|time (after|post)|^(treatment|exposure|infection) time/ },
+  { field: 'dose', pattern: /\bdose\b|dosage|concentration|^conc\b/ },
+  { field: 'treatment', pattern: /treatment|\bagent\b|\bdrugs?\b|compound|stimulat|stimulus|treated with|inhibitor|therapy/ },
+  { field: 'diseaseState', pattern: /disease|diagnosis|health[ _-]?(state|status)|^condition$|^status$|^phenotype$|clinical status/ },
+  { field: 'tissue', pattern: /tissue|\borgan\b|body[ _-]?site|organism part|anatomical|biopsy site|sample site/ }
+];
+
+// Follow-up times and events belong to survival analysis, not to the time/status fields
+const EXCLUDED_KEYS = /surviv|follow[ -]?up|\b(os|pfs|dfs|rfs|dmfs|dss|efs)\b|relapse|recurrence|death|\bevent\b|censor/;
+
+const SEX_VALUES = [
+  { value: 'male', pattern: /^(m|male|males|man|men|boy|xy)$/ },
+  { value: 'female', pattern: /^(f|female|females|woman|women|girl|xx)$/ },
+  { value: 'mixed', pattern: /^(mixed|pooled|both|m\s*\+\s*f|male and female)$/ }
+];
+
+const MISSING_VALUES = /^(n\/?a|na|nan|none given|not available|not applicable|not determined|unknown|unk|missing|-|--|\.|\?)$/;
+
+const HEALTHY_VALUES = /^(healthy|normal|healthy control|normal control|control|controls|non-?diseased|disease[- ]free|hc|nc)$/;
+const UNTREATED_VALUES = /^(none|no|untreated|no treatment|not treated|naive|unstimulated|baseline|mock|mock[- ]treated)$/;
+const VEHICLE_VALUES = /^(vehicle|dmso|pbs|saline|ethanol|etoh|vehicle control|vehicle \(.+\)|dmso control|carrier)$/;
+
+const TISSUE_SYNONYMS = {
+  'peripheral blood': 'blood',
+  'whole blood': 'blood',
+  'hepatic tissue': 'liver',
+  'lung tissue': 'lung',
+  'breast tissue': 'breast',
+  'mammary gland': 'breast',
+  'brain tissue': 'brain',
+  'bone marrow aspirate': 'bone marrow',
+  'skeletal muscle tissue': 'skeletal muscle',
+  'adipose': 'adipose tissue',
+  'fat': 'adipose tissue'
+};
+
+// Unit conversions to the canonical unit of each field
+const AGE_UNITS = [
+  { pattern: /^(y|yr|yrs|year|years|years? old|yo|y\.o\.)$/, factor: 1 },
+  { pattern: /^(m|mo|mos|month|months)$/, factor: 1 / 12 },
+  { pattern: /^(w|wk|wks|week|weeks)$/, factor: 7 / 365.25 },
+  { pattern: /^(d|day|days)$/, factor: 1 / 365.25 },
+  { pattern: /^(h|hr|hrs|hour|hours)$/, factor: 1 / 8766 }
+];
+
+const TIME_UNITS = [
+  { pattern: /^(h|hr|hrs|hour|hours|hpi|hpf|hpt)$/, factor: 1 },
+  { pattern: /^(min|mins|minute|minutes|m)$/, factor: 1 / 60 },
+  { pattern: /^(s|sec|secs|second|seconds)$/, factor: 1 / 3600 },
+  { pattern: /^(d|day|days|dpi)$/, factor: 24 },
+  { pattern: /^(w|wk|wks|week|weeks)$/, factor: 168 },
+  { pattern: /^(mo|month|months)$/, factor: 730.5 },
+  { pattern: /^(y|yr|yrs|year|years)$/, factor: 8766 }
+];
+
+// Dose units grouped by dimension; each dimension has one canonical unit
+const DOSE_UNITS = [
+  { pattern: /^(pm|pmol\/l|picomolar)$/, unit: 'µM', factor: 1e-6 },
+  { pattern: /^(nm|nmol\/l|nanomolar)$/, unit: 'µM', factor: 1e-3 },
+  { pattern: /^(um|µm|μm|umol\/l|µmol\/l|micromolar)$/, unit: 'µM', factor: 1 },
+  { pattern: /^(mm|mmol\/l|millimolar)$/, unit: 'µM', factor: 1e3 },
+  { pattern: /^(m|mol\/l|molar)$/, unit: 'µM', factor: 1e6 },
+  { pattern: /^(pg\/ml)$/, unit: 'ng/mL', factor: 1e-3 },
+  { pattern: /^(ng\/ml)$/, unit: 'ng/mL', factor: 1 },
+  { pattern: /^(ug\/ml|µg\/ml|μg\/ml|mg\/l)$/, unit: 'ng/mL', factor: 1e3 },
+  { pattern: /^(mg\/ml|g\/l)$/, unit: 'ng/mL', factor: 1e6 },
+  { pattern: /^(ug\/kg|µg\/kg|μg\/kg)$/, unit: 'mg/kg', factor: 1e-3 },
+  { pattern: /^(mg\/kg|mpk)$/, unit: 'mg/kg', factor: 1 },
+  { pattern: /^(gy|gray)$/, unit: 'Gy', factor: 1 },
+  { pattern: /^(u\/ml|iu\/ml)$/, unit: 'U/mL', factor: 1 },
+  { pattern: /^(%|percent)$/, unit: '%', factor: 1 }
+];
+
+/**
+ * "Age (months)" -> { name: 'age', unit: 'months' }
+ */
+function splitKey(key) {
+  const match = key.trim().toLowerCase().match(/^(.*?)\s*[([]\s*([^)\]]+?)\s*[)\]]\s*$/);
+  return match ? { name: match[1], unit: match[2] } : { name: key.trim().toLowerCase(), unit: null };
+}
+
+/**
+ * Leading number (or range midpoint) and the unit text after it: "24-48 h" -> { number: 36, unit: 'h' }
+ */
+function parseQuantity(text) {
+  const match = text.match(/^(-?\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(.*)$/);
+  if (!match) return null;
+
+  const low = parseFloat(match[1]);
+  const high = match[2] !== undefined ? parseFloat(match[2]) : null;
+  return {
+    number: high !== null ? (low + high) / 2 : low,
+    range: high !== null ? [low, high] : null,
+    unit: match[3].trim()
+  };
+}
+
+/**
+ * Trim number noise from a converted value (0.1 + 0.2 -> 0.3)
+ */
+function round(value) {
+  return Number(value.toPrecision(6));
+}
+
+class CharacteristicHarmonizer {
+  /**
+   * Field a characteristic key maps to, or null
+   */
+  harmonizeKey(key) {
+    const { name } = splitKey(key);
+    if (EXCLUDED_KEYS.test(name)) return null;
+    const match = KEY_SYNONYMS.find(s => s.pattern.test(name));
+    return match ? match.field : null;
+  }
+
+  /**
+   * Normalized value for a field: { value, number?, unit?, range? }, or null when
+   * the value is missing or cannot be interpreted
+   */
+  harmonizeValue(field, rawValue, key = '') {
+    const text = String(rawValue ?? '').trim().replace(/\s+/g, ' ');
+    const lower = text.toLowerCase();
+    if (!text || MISSING_VALUES.test(lower)) return null;
+
+    const keyUnit = splitKey(key).unit;
+
+    switch (field) {
+      case 'sex': {
+        const match = SEX_VALUES.find(s => s.pattern.test(lower));
+        return match ? { value: match.value } : null;
+      }
+      case 'age':
+        return this.quantity(lower, keyUnit, AGE_UNITS, 'years', 'years');
+      case 'time':
+        return this.quantity(lower.replace(/^(day|d|week|wk)\s*(\d+(?:\.\d+)?)/, '$2 $1'), keyUnit, TIME_UNITS, 'h', null);
+      case 'dose':
+        return this.dose(lower, keyUnit);
+      case 'diseaseState':
+        return { value: HEALTHY_VALUES.test(lower) ? 'healthy' : lower };
+      case 'treatment':
+        if (UNTREATED_VALUES.test(lower)) return { value: 'untreated' };
+        if (VEHICLE_VALUES.test(lower)) return { value: 'vehicle' };
+        return { value: lower };
+      case 'tissue':
+        return { value: TISSUE_SYNONYMS[lower] || lower };
+      default:
+        return { value: lower };
+    }
+  }
+
+  /**
+   * Number with a unit from the value or the key, converted to the canonical unit.
+   * A bare number takes the key's unit, else `defaultUnit` (null: leave unconverted).
+   */
+  quantity(text, keyUnit, units, canonical, defaultUnit) {
+    const parsed = parseQuantity(text);
+    if (!parsed) return { value: text };
+
+    const unitText = (parsed.unit || keyUnit || defaultUnit || '').toLowerCase().replace(/\.$/, '');
+    if (!unitText) return { value: text, number: parsed.number };
+
+    const unit = units.find(u => u.pattern.test(unitText));
+    if (!unit) return { value: text, number: parsed.number };
+
+    const number = round(parsed.number * unit.factor);
+    return {
+      value: `${number} ${canonical}`,
+      number,
+      unit: canonical,
+      ...(parsed.range ? { range: parsed.range.map(v => round(v * unit.factor)) } : {})
+    };
+  }
+
+  dose(text, keyUnit) {
+    const parsed = parseQuantity(text);
+    if (!parsed) return { value: text };
+
+    const unitText = (parsed.unit || keyUnit || '').toLowerCase().replace(/\s+/g, '');
+    const unit = DOSE_UNITS.find(u => u.pattern.test(unitText));
+    if (!unit) return { value: text, number: parsed.number };
+
+    const number = round(parsed.number * unit.factor);
+    return { value: `${number} ${unit.unit}`, number, unit: unit.unit };
+  }
+
+  /**
+   * Harmonized fields of one sample's characteristics; when several keys map to a
+   * field the first interpretable one wins. Returns { fields, unmapped }.
+   */
+  harmonizeSample(characteristics = {}) {
+    const fields = {};
+    const unmapped = [];
+
+    for (const [key, value] of Object.entries(characteristics)) {
+      const field = this.harmonizeKey(key);
+      if (!field) {
+        unmapped.push(key);
+        continue;
+      }
+      if (fields[field]) continue;
+
+      const harmonized = this.harmonizeValue(field, value, key);
+      if (harmonized) {
+        fields[field] = { ...harmonized, source: { key, value } };
+      }
+    }
+
+    return { fields, unmapped };
+  }
+
+  /**
+   * Per-field summary across samples: source keys, level counts and numeric range
+   */
+  summarize(samples) {
+    const summary = {};
+
+    for (const sample of samples) {
+      for (const [field, entry] of Object.entries(sample.harmonized || {})) {
+        if (!summary[field]) summary[field] = { field, keys: new Set(), levels: {}, numbers: [], sampleCount: 0 };
+        const s = summary[field];
+        s.keys.add(entry.source.key);
+        s.levels[entry.value] = (s.levels[entry.value] || 0) + 1;
+        if (entry.number !== undefined) s.numbers.push(entry.number);
+        s.sampleCount++;
+      }
+    }
+
+    return HARMONIZED_FIELDS.filter(field => summary[field]).map(field => {
+      const s = summary[field];
+      return {
+        field,
+        keys: [...s.keys],
+        sampleCount: s.sampleCount,
+        levels: Object.entries(s.levels)
+          .map(([value, count]) => ({ value, count }))
+          .sort((a, b) => b.count - a.count),
+        ...(s.numbers.length > 0 ? { min: Math.min(...s.numbers), max: Math.max(...s.numbers) } : {})
+      };
+    });
+  }
+}
+
+export const characteristicHarmonizer = new CharacteristicHarmonizer();
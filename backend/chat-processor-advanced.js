@@ -6,9 +6,15 @@
 import { advancedAnalyzer } from './advanced-analyzer.js';
 import { answerDataQuestion } from './data-analyzer.js';
 import { claudeAnalyzer } from './claude-analyzer.js';
+import { experimentalDesign } from './experimental-design.js';
+import { threadManager } from './thread-manager.js';
+import { geoClient } from './geo-client.js';
+import { MERGED_PLATFORM } from './platform-matrices.js';
+import { dataDownloader } from './data-downloader.js';
 
 export async function handleDatasetContextMessage(message, datasetId, history) {
   const lowerMessage = message.toLowerCase();
+  const matrixOptions = { ...parseLevelOptions(lowerMessage), ...parsePreprocessingOptions(lowerMessage) };
 
   // Check if this is a complex question that needs Claude
   if (claudeAnalyzer.isAvailable() && claudeAnalyzer.needsLLMAnalysis(message)) {
@@ -31,13 +37,422 @@ export async function handleDatasetContextMessage(message, datasetId, history) {
     }
   }
 
+  // Experimental design: define/remove named groups and contrasts, or show the design
+  const designResponse = await handleDesignMessage(message, lowerMessage, datasetId);
+  if (designResponse) {
+    return designResponse;
+  }
+
+  // Gene set enrichment of a comparison ("pathway enrichment drug vs control", "GSEA for contrast drugEffect")
+  // or of a gene's co-expression partners ("pathways of genes co-expressed with TP53")
+  if (lowerMessage.match(/\b(enrichment|enriched|pathways?|gene sets?|gsea|over-?representation)\b/)) {
+    const enrichmentContrast = message.match(/\bcontrast\s+["']?([\w.-]+)["']?/i);
+    const coexpressedWith = message.match(/\b(?:co-?expressed|correlated|correlating)\s+with\s+([\w.-]+)/i);
+    const comparison = coexpressedWith
+      ? { coexpressedWith: coexpressedWith[1], correlation: lowerMessage.includes('spearman') ? 'spearman' : 'pearson' }
+      : enrichmentContrast ? { contrast: enrichmentContrast[1] } : parseGroupComparison(message);
+
+    if (comparison) {
+      try {
+        const enrichment = await advancedAnalyzer.enrichment(datasetId, {
+          ...comparison,
+          ...parseEnrichmentOptions(lowerMessage),
+          strategy: matrixOptions.level === 'gene' ? matrixOptions.strategy : undefined,
+          log2: matrixOptions.log2,
+          normalization: matrixOptions.normalization
+        });
+
+        if (enrichment.error) {
+          return {
+            type: 'info',
+            message: `I couldn't run the enrichment analysis: ${enrichment.error}`
+          };
+        }
+
+        return {
+          type: 'enrichment',
+          message: formatEnrichment(enrichment),
+          datasetId,
+          enrichment
+        };
+      } catch (error) {
+        return {
+          type: 'error',
+          message: `Error running enrichment analysis: ${error.message}`
+        };
+      }
+    }
+  }
+
+  // Differential expression for a named contrast ("differential expression for contrast drugEffect")
+  const contrastMatch = message.match(/\bcontrast\s+["']?([\w.-]+)["']?/i);
+  if (contrastMatch && lowerMessage.match(/\b(differential(ly)?|degs?|fold[- ]change|run)\b/)) {
+    try {
+      const de = await advancedAnalyzer.differentialExpression(datasetId, {
+        contrast: contrastMatch[1],
+        ...matrixOptions,
+        limit: 20
+      });
+
+      if (de.error) {
+        return {
+          type: 'info',
+          message: `I couldn't run differential expression: ${de.error}\n\nSay "show design" to list the defined groups and contrasts.`
+        };
+      }
+
+      return {
+        type: 'differential_expression',
+        message: formatDifferentialExpression(de),
+        datasetId,
+        differentialExpression: de
+      };
+    } catch (error) {
+      return {
+        type: 'error',
+        message: `Error running differential expression: ${error.message}`
+      };
+    }
+  }
+
+  // Differential expression between two groups ("drug vs control")
+  if (lowerMessage.match(/\b(differential(ly)?|degs?|fold[- ]change)\b/) && lowerMessage.match(/\s(vs\.?|versus)\s/)) {
+    const comparison = parseGroupComparison(message);
+
+    if (comparison) {
+      try {
+        const de = await advancedAnalyzer.differentialExpression(datasetId, {
+          ...comparison,
+          ...matrixOptions,
+          limit: 20
+        });
+
+        if (de.error) {
+          return {
+            type: 'info',
+            message: `I couldn't run differential expression: ${de.error}\n\nDescribe the groups as sample characteristic values (e.g. "differential expression drug vs control"), as "key: value" pairs, or as lists of GSM IDs.`
+          };
+        }
+
+        return {
+          type: 'differential_expression',
+          message: formatDifferentialExpression(de),
+          datasetId,
+          differentialExpression: de
+        };
+      } catch (error) {
+        return {
+          type: 'error',
+          message: `Error running differential expression: ${error.message}`
+        };
+      }
+    }
+  }
+
+  // Batch effects ("check for batch effects", "batch effects after ComBat on submission date")
+  if (lowerMessage.match(/\bbatch[- ]effects?\b|\bbatch variables?\b|\b(detect|check|find)\w*\s+(for\s+)?batch/)) {
+    try {
+      const result = await advancedAnalyzer.detectBatchEffects(datasetId, matrixOptions);
+
+      if (result.error) {
+        return {
+          type: 'info',
+          message: `I couldn't check for batch effects: ${result.error}`
+        };
+      }
+
+      return {
+        type: 'batch_effects',
+        message: formatBatchEffects(result),
+        datasetId,
+        batchEffects: result
+      };
+    } catch (error) {
+      return {
+        type: 'error',
+        message: `Error checking batch effects: ${error.message}`
+      };
+    }
+  }
+
+  // Sample QC report ("run QC", "any outlier samples?"); outliers in a PCA go to the PCA
+  if (lowerMessage.match(/\b(qc|quality( control| report)?)\b/)
+    || (lowerMessage.match(/\boutliers?\b/) && !lowerMessage.match(/\b(pca|principal)\b/))) {
+    try {
+      const qc = await advancedAnalyzer.getQualityReport(datasetId, matrixOptions);
+
+      if (qc.error) {
+        return {
+          type: 'info',
+          message: `I couldn't build a QC report: ${qc.error}`
+        };
+      }
+
+      return {
+        type: 'quality_report',
+        message: formatQualityReport(qc),
+        datasetId,
+        qc
+      };
+    } catch (error) {
+      return {
+        type: 'error',
+        message: `Error building QC report: ${error.message}`
+      };
+    }
+  }
+
+  // PCA of samples ("show PCA colored by treatment")
+  if (lowerMessage.match(/\b(pca|principal components?)\b/)) {
+    try {
+      const pca = await advancedAnalyzer.pca(datasetId, {
+        ...matrixOptions,
+        ...parseSampleStructureOptions(message)
+      });
+
+      if (pca.error) {
+        return {
+          type: 'info',
+          message: `I couldn't compute a PCA: ${pca.error}`
+        };
+      }
+
+      return {
+        type: 'pca',
+        message: formatPCA(pca),
+        datasetId,
+        pca
+      };
+    } catch (error) {
+      return {
+        type: 'error',
+        message: `Error computing PCA: ${error.message}`
+      };
+    }
+  }
+
+  // Hierarchical clustering of samples ("cluster samples", "show dendrogram")
+  if (lowerMessage.match(/\b(cluster(ing)?|dendrogram|hclust)\b/)) {
+    try {
+      const clustering = await advancedAnalyzer.clusterSamples(datasetId, {
+        ...matrixOptions,
+        ...parseSampleStructureOptions(message)
+      });
+
+      if (clustering.error) {
+        return {
+          type: 'info',
+          message: `I couldn't cluster the samples: ${clustering.error}`
+        };
+      }
+
+      return {
+        type: 'clustering',
+        message: formatClustering(clustering),
+        datasetId,
+        clustering
+      };
+    } catch (error) {
+      return {
+        type: 'error',
+        message: `Error clustering samples: ${error.message}`
+      };
+    }
+  }
+
+  // Survival analysis ("survival by TP53 expression", "Kaplan-Meier by stage", "PFS by EGFR optimal cutpoint")
+  if (lowerMessage.match(/\b(survival|kaplan|km curves?|log-?rank|hazard ratios?|pfs|dfs|rfs|dmfs|efs)\b/)) {
+    try {
+      const survival = await advancedAnalyzer.survival(datasetId, {
+        ...parseSurvivalOptions(message, lowerMessage),
+        ...matrixOptions
+      });
+
+      if (survival.error) {
+        return {
+          type: 'info',
+          message: `I couldn't run the survival analysis: ${survival.error}`
+        };
+      }
+
+      return {
+        type: 'survival',
+        message: formatSurvival(survival),
+        datasetId,
+        survival
+      };
+    } catch (error) {
+      return {
+        type: 'error',
+        message: `Error running survival analysis: ${error.message}`
+      };
+    }
+  }
+
+  // Co-expression partners of a gene ("genes co-expressed with EGFR", "what correlates with TP53")
+  if (lowerMessage.match(/\b(co-?express(ed|ion)?|correlat(ed|es|ion|ing)|co-?var(y|ies|ying)|partners?)\b/)) {
+    const geneMatch = message.match(/\b(?:with|to|of|for)\s+([A-Z0-9][\w.-]*[A-Za-z0-9])\b/) || message.match(/\b([A-Z][A-Z0-9]{2,10})\b/);
+    if (geneMatch) {
+      const topMatch = lowerMessage.match(/\btop\s+(\d+)/);
+      try {
+        const coexpression = await advancedAnalyzer.coexpression(datasetId, geneMatch[1], {
+          method: lowerMessage.match(/\b(spearman|rank)/) ? 'spearman' : 'pearson',
+          limit: topMatch ? parseInt(topMatch[1]) : 15,
+          level: lowerMessage.match(/\bprobe[- ]level\b/) ? 'probe' : 'gene',
+          strategy: matrixOptions.strategy,
+          log2: matrixOptions.log2,
+          normalization: matrixOptions.normalization
+        });
+
+        if (coexpression.error) {
+          return {
+            type: 'info',
+            message: `I couldn't run the co-expression search: ${coexpression.error}`
+          };
+        }
+
+        return {
+          type: 'coexpression',
+          message: formatCoexpression(coexpression),
+          datasetId,
+          coexpression
+        };
+      } catch (error) {
+        return {
+          type: 'error',
+          message: `Error running co-expression search: ${error.message}`
+        };
+      }
+    }
+  }
+
+  // Linked records ("related datasets", "which papers cite this?", "SRA runs")
+  if (lowerMessage.match(/\brelated (datasets?|series|records?|studies|study)\b|\b(publications?|papers?|pubmed|bioprojects?|sra)\b/)
+    && !lowerMessage.match(/\b(genes?|expression|correlat\w*)\b/)) {
+    try {
+      const related = await geoClient.getRelatedRecords(datasetId);
+
+      return {
+        type: 'related',
+        message: formatRelatedRecords(related),
+        datasetId,
+        related,
+        datasets: related.relatedSeries.map(s => ({ id: s.id, title: s.title }))
+      };
+    } catch (error) {
+      return {
+        type: 'error',
+        message: `Error looking up related records: ${error.message}`
+      };
+    }
+  }
+
+  // Drugs and compounds given to samples ("which drugs were used?", "drug-sample pairs")
+  if (lowerMessage.match(/\b(drugs?|compounds?|chemicals?|doses?|dosage)\b|\b(which|what) (treatments?|agents?)\b/)
+    && !lowerMessage.match(/\b(expression|levels?|genes?)\b/)) {
+    try {
+      const drugs = await advancedAnalyzer.getDrugSamplePairs(datasetId);
+
+      if (drugs.error) {
+        return {
+          type: 'info',
+          message: `I couldn't look for drugs: ${drugs.error}`
+        };
+      }
+
+      return {
+        type: 'drugs',
+        message: formatDrugs(drugs),
+        datasetId,
+        drugs
+      };
+    } catch (error) {
+      return {
+        type: 'error',
+        message: `Error recognizing drugs: ${error.message}`
+      };
+    }
+  }
+
+  // SuperSeries and their SubSeries ("show the SubSeries", "download all SubSeries")
+  if (lowerMessage.match(/\bsub-?series\b|\bsuper-?series\b/)) {
+    try {
+      const result = await advancedAnalyzer.getSubSeries(datasetId);
+
+      if (result.error) {
+        return {
+          type: 'info',
+          message: `I couldn't look up SubSeries: ${result.error}`
+        };
+      }
+
+      if (lowerMessage.match(/\b(download|fetch|get|load|combine|merge|analy[sz]e)\b/) && result.subSeries.length > 0) {
+        downloadSubSeriesInBackground(datasetId);
+        return {
+          type: 'info',
+          message: `Downloading the ${result.subSeries.length} SubSeries of **${datasetId}** (${result.subSeries.join(', ')}). I'll post the combined sample table here once they are ready; analyses of ${datasetId} then run on all of their samples together.`,
+          datasetId
+        };
+      }
+
+      const summaries = await geoClient.getSeriesSummaries([...result.subSeries, ...result.superSeries]).catch(() => []);
+      return {
+        type: 'subseries',
+        message: formatSubSeries(result, summaries),
+        datasetId,
+        subSeries: result,
+        datasets: summaries.map(s => ({ id: s.id, title: s.title }))
+      };
+    } catch (error) {
+      return {
+        type: 'error',
+        message: `Error looking up SubSeries: ${error.message}`
+      };
+    }
+  }
+
+  // Platforms of a multi-platform series ("which platforms?", "use platform GPL96", "merge platforms by gene")
+  const platformChoice = message.match(/\b(?:use|switch to|select|choose|only)\s+(?:the\s+)?(?:platform\s+)?(GPL\d+)\b/i);
+  const mergePlatforms = lowerMessage.match(/\b(merge|combine|pool)\w*\s+(?:the\s+|all\s+|both\s+)*(platforms|matri(?:x|ces)|arrays)\b/);
+  const listPlatforms = lowerMessage.match(/\b(which|what) platforms?\b|\b(list|show)( me)?( the| all)? platforms\b/);
+  if (platformChoice || mergePlatforms || listPlatforms) {
+    try {
+      const result = platformChoice || mergePlatforms
+        ? await advancedAnalyzer.selectPlatform(datasetId, platformChoice ? platformChoice[1] : MERGED_PLATFORM, {
+          by: lowerMessage.match(/\b(by|on)\s+(genes?|gene symbols?)\b|\bgene[- ]level\b/) ? 'gene'
+            : lowerMessage.match(/\b(by|on)\s+(shared\s+)?probes?\b/) ? 'probe' : 'auto',
+          strategy: parseLevelOptions(lowerMessage).strategy
+        })
+        : await advancedAnalyzer.getPlatforms(datasetId);
+
+      if (result.error) {
+        return {
+          type: 'info',
+          message: `I couldn't change the platform: ${result.error}`
+        };
+      }
+
+      return {
+        type: 'platforms',
+        message: formatPlatforms(result),
+        datasetId,
+        platforms: result
+      };
+    } catch (error) {
+      return {
+        type: 'error',
+        message: `Error selecting platform: ${error.message}`
+      };
+    }
+  }
+
   // Gene-specific queries
   if (lowerMessage.match(/\b(gene|expression|level|BRCA|TP53|EGFR)\b/i)) {
     const geneMatch = message.match(/\b([A-Z][A-Z0-9]{2,10})\b/);
     if (geneMatch) {
       const geneName = geneMatch[1];
       try {
-        const result = await advancedAnalyzer.queryGene(datasetId, geneName);
+        const result = await advancedAnalyzer.queryGene(datasetId, geneName, matrixOptions);
 
         if (result.error) {
           return {
@@ -47,32 +462,32 @@ export async function handleDatasetContextMessage(message, datasetId, history) {
         }
 
         if (result.found) {
-          let response = `## Gene Expression: ${result.geneId}\n\n`;
-          response += `Found gene **${result.geneId}** in ${datasetId}!\n\n`;
-          response += `**Expression Values Across Samples:**\n\n`;
+          let response;
+          if (result.matchedBy === 'gene') {
+            const probe = result.probes[0];
+            response = `## Gene Expression: ${result.geneId} (gene level)\n\n`;
+            response += `Collapsed from **${probe.sourceProbes.length}** probe(s) using **${result.strategy}**`;
+            response += probe.representativeProbe ? ` (representative probe: ${probe.representativeProbe}).\n\n` : `.\n\n`;
+          } else if (result.matchedBy === 'symbol') {
+            response = `## Gene Expression: ${geneName}\n\n`;
+            response += `Found **${result.probes.length}** probe(s) for gene **${geneName}** in ${datasetId}.\n\n`;
+          } else {
+            response = `## Gene Expression: ${result.geneId}\n\n`;
+            response += `Found probe **${result.geneId}** in ${datasetId}!\n\n`;
+          }
 
-          // Show first 10 samples
-          const samples = result.samples.slice(0, 10);
-          const values = result.values.slice(0, 10);
+          response += formatPreprocessing(result.preprocessing) + `\n`;
 
-          samples.forEach((sample, idx) => {
-            response += `- **${sample}**: ${values[idx]?.toFixed(2) || 'N/A'}\n`;
+          result.probes.slice(0, 5).forEach(probe => {
+            if (result.probes.length > 1) {
+              response += `### ${probe.probeId}${probe.symbols.length > 0 ? ` (${probe.symbols.join(', ')})` : ''}\n\n`;
+            }
+            response += formatProbeExpression(probe, result.samples);
+            response += formatGroupSummary(probe.groupSummary);
           });
 
-          if (result.samples.length > 10) {
-            response += `\n_...and ${result.samples.length - 10} more samples_\n`;
-          }
-
-          // Calculate basic stats
-          const validValues = result.values.filter(v => !isNaN(v) && isFinite(v));
-          if (validValues.length > 0) {
-            const mean = validValues.reduce((a, b) => a + b, 0) / validValues.length;
-            const max = Math.max(...validValues);
-            const min = Math.min(...validValues);
-
-            response += `\n**Statistics:**\n`;
-            response += `- Mean expression: ${mean.toFixed(2)}\n`;
-            response += `- Range: ${min.toFixed(2)} - ${max.toFixed(2)}\n`;
+          if (result.probes.length > 5) {
+            response += `_...and ${result.probes.length - 5} more probes_\n`;
           }
 
           return {
@@ -84,7 +499,8 @@ export async function handleDatasetContextMessage(message, datasetId, history) {
         } else {
           return {
             type: 'info',
-            message: `I couldn't find gene **${geneName}** in the available data for ${datasetId}.\n\nNote: I'm searching through the first 1000 genes. The gene might be in the full dataset but not in the preview data.`
+            message: `I couldn't find gene **${geneName}** in the expression matrix for ${datasetId}.\n\nI looked it up as a gene symbol / Entrez ID in the platform annotation and as a probe ID across the full matrix.` +
+              (result.suggestions?.length > 0 ? `\n\nDid you mean: ${result.suggestions.join(', ')}?` : '')
           };
         }
       } catch (error) {
@@ -99,7 +515,7 @@ export async function handleDatasetContextMessage(message, datasetId, history) {
   // Statistics queries
   if (lowerMessage.match(/\b(statistics|stats|mean|median|distribution|summary)\b/i)) {
     try {
-      const stats = await advancedAnalyzer.getStatistics(datasetId);
+      const stats = await advancedAnalyzer.getStatistics(datasetId, matrixOptions);
 
       if (stats.error) {
         return {
@@ -110,7 +526,15 @@ export async function handleDatasetContextMessage(message, datasetId, history) {
 
       let response = `## Sample Statistics for ${datasetId}\n\n`;
       response += `**Total Samples:** ${stats.sampleCount}\n`;
-      response += `**Genes Analyzed:** ${stats.geneCount} (preview)\n\n`;
+      if (stats.level === 'gene') {
+        response += `**Genes Analyzed:** ${stats.geneCount} (gene level, ${stats.strategy})\n\n`;
+      } else {
+        response += `**Probes Analyzed:** ${stats.geneCount}\n\n`;
+      }
+      response += formatPreprocessing(stats.preprocessing) + `\n`;
+      if (stats.preprocessing?.detectedScale === 'linear' && !stats.preprocessing.log2Transformed) {
+        response += `⚠️ These values look unlogged; means and ranges are on the raw intensity scale.\n\n`;
+      }
 
       if (stats.samples && stats.samples.length > 0) {
         response += `**Per-Sample Statistics:**\n\n`;
@@ -157,6 +581,10 @@ export async function handleDatasetContextMessage(message, datasetId, history) {
       let response = `## Sample Information for ${datasetId}\n\n`;
       response += `**Total Samples:** ${sampleDetails.sampleCount || sampleDetails.samples.length}\n\n`;
 
+      if (sampleDetails.harmonizedFields?.length > 0) {
+        response += formatHarmonizedFields(sampleDetails.harmonizedFields);
+      }
+
       if (sampleDetails.samples && sampleDetails.samples.length > 0) {
         response += `**Sample Details:**\n\n`;
 
@@ -215,18 +643,29 @@ export async function handleDatasetContextMessage(message, datasetId, history) {
         response += `**Title:** ${analysis.overview.title}\n\n`;
       }
       response += `- **Total Samples:** ${analysis.overview.totalSamples || 'Unknown'}\n`;
-      response += `- **Total Genes:** ${analysis.overview.totalGenes || 'Unknown'}${analysis.overview.hasMoreData ? ' (preview)' : ''}\n`;
+      response += `- **Total Genes:** ${analysis.overview.totalGenes || 'Unknown'}\n`;
       if (analysis.overview.platform) {
         response += `- **Platform:** ${analysis.overview.platform}\n`;
       }
       response += `\n`;
 
+      if (analysis.platforms) {
+        response += formatPlatforms(analysis.platforms) + `\n`;
+      }
+
       // Data Quality
       response += `## Data Quality\n\n`;
       response += `- Expression Matrix: ${analysis.dataQuality.matrixAvailable ? '✅ Available' : '❌ Not available'}\n`;
       response += `- Sample Metadata: ${analysis.dataQuality.metadataAvailable ? '✅ Available' : '❌ Not available'}\n`;
       response += `- Sample Info Complete: ${analysis.dataQuality.sampleInfoComplete ? '✅ Yes' : '⚠️ Limited'}\n`;
-      response += `- Expression Data Parsed: ${analysis.dataQuality.expressionDataParsed ? '✅ Yes' : '❌ No'}\n\n`;
+      response += `- Expression Data Parsed: ${analysis.dataQuality.expressionDataParsed ? '✅ Yes' : '❌ No'}\n`;
+      if (analysis.dataQuality.qc) {
+        const { qc } = analysis.dataQuality;
+        response += `- Missing Values: ${(qc.overall.missingRate * 100).toFixed(2)}% on average\n`;
+        response += `- Median Inter-sample Correlation: ${qc.overall.medianCorrelation.toFixed(3)}\n`;
+        response += `- Outlier Samples: ${qc.outliers.length > 0 ? `⚠️ ${qc.outliers.join(', ')}` : '✅ None flagged'}\n`;
+      }
+      response += `\n`;
 
       // Samples
       if (analysis.samples && analysis.samples.count > 0) {
@@ -257,6 +696,8 @@ export async function handleDatasetContextMessage(message, datasetId, history) {
           const overallMean = (avgMeans.reduce((a, b) => a + b, 0) / avgMeans.length).toFixed(2);
           response += `**Overall average expression:** ${overallMean}\n\n`;
         }
+
+        response += formatPreprocessing(analysis.preprocessing) + `\n`;
       }
 
       response += `## What You Can Ask\n\n`;
@@ -291,12 +732,12 @@ export async function handleDatasetContextMessage(message, datasetId, history) {
         response += `Searching for: **"${searchQuery}"**\n\n`;
 
         if (results.genes && results.genes.length > 0) {
-          response += `### Matching Genes (${results.genes.length})\n\n`;
-          results.genes.slice(0, 10).forEach(gene => {
-            response += `- **${gene.geneId}**\n`;
+          response += `### Matching Genes (${results.geneMatches})\n\n`;
+          results.genes.forEach(gene => {
+            response += `- **${gene.geneId}**${gene.symbols.length > 0 ? ` (${gene.symbols.join(', ')})` : ''}\n`;
           });
-          if (results.genes.length > 10) {
-            response += `\n_...and ${results.genes.length - 10} more genes_\n`;
+          if (results.geneMatches > results.genes.length) {
+            response += `\n_...and ${results.geneMatches - results.genes.length} more genes_\n`;
           }
           response += `\n`;
         }
@@ -347,14 +788,63 @@ export async function handleDatasetContextMessage(message, datasetId, history) {
 **Gene Queries:**
 - "What is BRCA1 expression?"
 - "Show me TP53 levels"
+- "TP53 expression at gene level (max variance)"
 
 **Statistics:**
 - "Show statistics"
 - "Give me sample stats"
+- "Gene-level statistics, collapsed by average"
+- "Statistics after quantile normalization"
+- "Show stats in TPM" (RNA-seq count tables; also CPM, size factors, raw counts)
+- "Show stats without log transform"
+
+**Differential Expression:**
+- "Differential expression drug vs control"
+- "DEGs treatment: tamoxifen vs treatment: none at gene level"
+- "Differential expression GSM1,GSM2,GSM3 vs GSM4,GSM5,GSM6"
+
+**Experimental Design:**
+- "Show the experimental design"
+- "Define group treated as treatment: drug and time: 24h"
+- "Define group ctrl as GSM1, GSM2, GSM3"
+- "Define contrast drugEffect as treated vs ctrl"
+- "Differential expression for contrast drugEffect"
+
+**Pathways:**
+- "Pathway enrichment drug vs control"
+- "Enrichment of upregulated genes for contrast drugEffect"
+- "GSEA drug vs control using library hallmark"
+- "Pathways of genes co-expressed with TP53"
+
+**Co-expression:**
+- "Genes co-expressed with EGFR"
+- "Top 20 genes correlated with TP53 using Spearman"
+
+**Survival:**
+- "Survival analysis"
+- "Kaplan-Meier by TP53 expression"
+- "PFS by EGFR at the optimal cutpoint"
+- "Survival by stage"
+
+**Quality Control:**
+- "Run QC"
+- "Are there any outlier samples?"
+- "Check for batch effects"
+- "PCA after ComBat on submission date"
+- "Differential expression drug vs control correcting for batch submission date preserving treatment"
+
+**Sample Structure:**
+- "Show PCA colored by treatment"
+- "PCA on the top 1000 genes"
+- "Cluster samples into 3 groups (complete linkage)"
 
 **Sample Information:**
 - "Tell me about the samples"
 - "Show sample details"
+- "Which drugs were used?" (compounds, doses and drug-sample pairs)
+- "Show related papers and datasets" (PubMed, series citing the same papers, BioProject/SRA)
+- "Which platforms?" (series run on several platforms: "use platform GPL96", "merge platforms by gene")
+- "Show the SubSeries" / "Download all SubSeries" (SuperSeries: analyze every SubSeries as one dataset)
 
 **Analysis:**
 - "Do a full analysis"
@@ -371,3 +861,920 @@ export async function handleDatasetContextMessage(message, datasetId, history) {
 What would you like to know?`
   };
 }
+
+/**
+ * Per-sample values (first 10) and summary stats for one probe
+ */
+function formatProbeExpression(probe, sampleNames) {
+  let response = `**Expression Values Across Samples:**\n\n`;
+
+  // Show first 10 samples
+  const samples = sampleNames.slice(0, 10);
+  const values = probe.values.slice(0, 10);
+
+  samples.forEach((sample, idx) => {
+    response += `- **${sample}**: ${values[idx]?.toFixed(2) || 'N/A'}\n`;
+  });
+
+  if (sampleNames.length > 10) {
+    response += `\n_...and ${sampleNames.length - 10} more samples_\n`;
+  }
+
+  // Calculate basic stats
+  const validValues = probe.values.filter(v => !isNaN(v) && isFinite(v));
+  if (validValues.length > 0) {
+    const mean = validValues.reduce((a, b) => a + b, 0) / validValues.length;
+    const max = Math.max(...validValues);
+    const min = Math.min(...validValues);
+
+    response += `\n**Statistics:**\n`;
+    response += `- Mean expression: ${mean.toFixed(2)}\n`;
+    response += `- Range: ${min.toFixed(2)} - ${max.toFixed(2)}\n`;
+  }
+
+  return response + `\n`;
+}
+
+/**
+ * Mean ± SD per named design group for one probe/gene
+ */
+function formatGroupSummary(groupSummary) {
+  if (!groupSummary || groupSummary.length === 0) return '';
+
+  let response = `**By Group:**\n`;
+  groupSummary.forEach(group => {
+    const sd = isNaN(group.sd) ? '' : ` ± ${group.sd.toFixed(2)}`;
+    response += `- ${group.group} (n=${group.n}): ${group.mean.toFixed(2)}${sd}\n`;
+  });
+  return response + `\n`;
+}
+
+/**
+ * Show/define/remove experimental design groups and contrasts.
+ * Returns null when the message is not a design command.
+ */
+async function handleDesignMessage(message, lowerMessage, datasetId) {
+  const groupMatch = message.match(/\b(?:define|create|add)\s+group\s+["']?([\w.-]+)["']?\s+(?:as|=|:)\s+(.+)$/i);
+  const contrastMatch = message.match(/\b(?:define|create|add)\s+contrast\s+["']?([\w.-]+)["']?\s+(?:as|=|:)\s+(\S+)\s+(?:vs\.?|versus)\s+(\S+)/i);
+  const removeMatch = message.match(/\b(?:remove|delete|drop)\s+group\s+["']?([\w.-]+)/i);
+  // Only explicit requests: "groups" and "contrasts" also appear in survival, batch and sample questions
+  const showDesign = lowerMessage.match(/\b(experimental design|(show|list|view)( me)?( the)? (design|groups|contrasts|factors)|design (groups|factors|contrasts))\b/);
+
+  if (!groupMatch && !contrastMatch && !removeMatch && !showDesign) {
+    return null;
+  }
+
+  try {
+    if (groupMatch) {
+      const spec = toDesignGroupSpec(groupMatch[2].replace(/[?.!]+$/, '').trim());
+      await experimentalDesign.defineGroup(datasetId, groupMatch[1], spec);
+    } else if (contrastMatch) {
+      await experimentalDesign.defineContrast(datasetId, contrastMatch[1], contrastMatch[2], contrastMatch[3]);
+    } else if (removeMatch) {
+      const removed = await experimentalDesign.removeGroup(datasetId, removeMatch[1]);
+      if (!removed) {
+        return {
+          type: 'info',
+          message: `There is no group named **${removeMatch[1]}** in the experimental design for ${datasetId}.`
+        };
+      }
+    }
+
+    const design = await advancedAnalyzer.getDesign(datasetId);
+    if (design.error) {
+      return {
+        type: 'info',
+        message: `The experimental design needs the downloaded sample metadata. ${design.error}`
+      };
+    }
+
+    threadManager.updateThreadDesign(`dataset-${datasetId}`, {
+      groups: design.groups,
+      contrasts: design.contrasts
+    });
+
+    return {
+      type: 'experimental_design',
+      message: formatDesign(design),
+      datasetId,
+      design
+    };
+  } catch (error) {
+    return {
+      type: 'error',
+      message: `Error updating the experimental design: ${error.message}`
+    };
+  }
+}
+
+/**
+ * Group definition text: GSM list, "k: v and k2: v2" conditions, or a bare value
+ */
+function toDesignGroupSpec(text) {
+  const conditions = text.split(/\s+(?:and|&)\s+|\s*;\s*/i);
+  if (conditions.length > 1 && conditions.every(c => c.match(/^.+?\s*[:=]\s*.+$/)) && !text.match(/GSM\d+/i)) {
+    const where = {};
+    conditions.forEach(condition => {
+      const [, key, value] = condition.match(/^(.+?)\s*[:=]\s*(.+)$/);
+      where[key.trim()] = value.trim();
+    });
+    return { where };
+  }
+
+  return toGroupSpec(text);
+}
+
+/**
+ * Characteristics table, suggested factors, and named groups/contrasts
+ */
+function formatDesign(design) {
+  let response = `## Experimental Design for ${design.datasetId}\n\n`;
+
+  if (design.suggestedFactors.length > 0) {
+    response += `### Suggested Factors\n\n`;
+    design.suggestedFactors.forEach(factor => {
+      const levels = factor.levels.map(l => `${l.value} (${l.count})`).join(', ');
+      response += `- **${factor.key}** [${factor.type}]${factor.replicated ? '' : ' ⚠️ unreplicated levels'}: ${levels}\n`;
+    });
+    response += `\n`;
+  }
+
+  const others = design.characteristics.filter(c => !design.suggestedFactors.some(f => f.key === c.key));
+  if (others.length > 0) {
+    response += `### Other Characteristics\n\n`;
+    others.slice(0, 10).forEach(entry => {
+      response += `- **${entry.key}**: ${entry.levelCount} distinct value(s) across ${entry.sampleCount} samples\n`;
+    });
+    response += `\n`;
+  }
+
+  const groupNames = Object.keys(design.groups);
+  response += `### Groups\n\n`;
+  if (groupNames.length === 0) {
+    response += `No groups defined yet. Try "define group treated as treatment: drug".\n\n`;
+  } else {
+    groupNames.forEach(name => {
+      const group = design.groups[name];
+      response += group.error
+        ? `- **${name}**: ⚠️ ${group.error}\n`
+        : `- **${name}**: ${group.samples.length} samples (${group.samples.slice(0, 5).join(', ')}${group.samples.length > 5 ? ', ...' : ''})\n`;
+    });
+    response += `\n`;
+  }
+
+  const contrastNames = Object.keys(design.contrasts);
+  if (contrastNames.length > 0) {
+    response += `### Contrasts\n\n`;
+    contrastNames.forEach(name => {
+      response += `- **${name}**: ${design.contrasts[name].groupA} vs ${design.contrasts[name].groupB}\n`;
+    });
+    response += `\n`;
+  }
+
+  return response;
+}
+
+/**
+ * Probe vs gene level and collapse strategy requested in a message
+ * e.g. "gene-level stats using max variance"
+ */
+function parseLevelOptions(lowerMessage) {
+  if (!lowerMessage.match(/\bgene[- ]level\b|\bcollaps/)) {
+    return { level: 'probe' };
+  }
+
+  let strategy = 'maxMean';
+  if (lowerMessage.match(/\bmax(imum)?[- ]?var/)) {
+    strategy = 'maxVariance';
+  } else if (lowerMessage.match(/\baverag/)) {
+    strategy = 'average';
+  } else if (lowerMessage.match(/\bmedian\b(?![- ]normali[sz])/)) {
+    strategy = 'median';
+  }
+
+  return { level: 'gene', strategy };
+}
+
+/**
+ * Log2 mode, normalization, RNA-seq count units and ComBat batch correction requested
+ * in a message, e.g. "quantile normalized", "in TPM", "after ComBat on submission date"
+ */
+function parsePreprocessingOptions(lowerMessage) {
+  const options = {};
+
+  if (lowerMessage.match(/\b(no|without|skip)\s+log|\braw (scale|values|intensit)/)) {
+    options.log2 = 'never';
+  } else if (lowerMessage.match(/\blog2?[- ]?transform|\bforce log/)) {
+    options.log2 = 'always';
+  }
+
+  if (lowerMessage.match(/\bquantile[- ]normali[sz]/)) {
+    options.normalization = 'quantile';
+  } else if (lowerMessage.match(/\bmedian[- ]normali[sz]/)) {
+    options.normalization = 'median';
+  }
+
+  // Units of RNA-seq count tables ("in TPM", "as raw counts", "DESeq size factors")
+  if (lowerMessage.match(/\btpm\b/)) {
+    options.units = 'tpm';
+  } else if (lowerMessage.match(/\bcpm\b/)) {
+    options.units = 'cpm';
+  } else if (lowerMessage.match(/\bsize[- ]factors?\b|\bdeseq2?\b|median[- ]of[- ]ratios/)) {
+    options.units = 'size-factors';
+  } else if (lowerMessage.match(/\braw (read )?counts\b/)) {
+    options.units = 'counts';
+  }
+
+  // "after ComBat on submission date", "correcting for batch scan date preserving treatment"
+  const stop = '(?=\\s+(?:preserv\\w*|keeping|and|with|without|using|at|after|colou?red|gene[- ]level|probe[- ]level|quantile|median|top|in)\\b|[?.!,]*$)';
+  const batchMatch = lowerMessage.match(new RegExp(
+    `\\b(?:combat|batch[- ]correct\\w*|(?:correct|adjust)\\w*\\s+for\\s+batch(?:\\s+effects?)?)\\s+(?:(?:on|for|by|using)\\s+)?(?:the\\s+)?(?:batch\\s+)?(?:variable\\s+)?(.+?)${stop}`
+  ));
+  if (batchMatch && !/^(effects?|variables?)$/.test(batchMatch[1])) {
+    options.batch = batchMatch[1].trim();
+
+    const preserveMatch = lowerMessage.match(new RegExp(`\\b(?:preserv\\w*|keeping)\\s+(?:the\\s+)?(.+?)${stop}`));
+    if (preserveMatch) {
+      options.preserve = preserveMatch[1].replace(/\s+(effects?|factor|signal)$/, '').trim();
+    }
+  }
+
+  return options;
+}
+
+/**
+ * One-line statement of the preprocessing behind a result
+ */
+function formatPreprocessing(preprocessing) {
+  if (!preprocessing) return '';
+  return `_Preprocessing: ${preprocessing.description}._\n`;
+}
+
+/**
+ * Enrichment method, direction, FDR cutoff and library named in a message
+ */
+function parseEnrichmentOptions(lowerMessage) {
+  const options = {
+    method: lowerMessage.match(/\b(gsea|preranked|pre-ranked|rank[- ]based)\b/) ? 'gsea' : 'ora'
+  };
+
+  if (lowerMessage.match(/\b(up[- ]?regulated|up|increased|higher)\b/)) {
+    options.direction = 'up';
+  } else if (lowerMessage.match(/\b(down[- ]?regulated|down|decreased|lower)\b/)) {
+    options.direction = 'down';
+  }
+
+  const fdrMatch = lowerMessage.match(/\b(?:fdr|adj(?:usted)?\.? ?p)\s*(?:<|of|=|below)?\s*(0?\.\d+)/);
+  if (fdrMatch) options.fdr = parseFloat(fdrMatch[1]);
+
+  const libraryMatch = lowerMessage.match(/\blibrar(?:y|ies)\s+([\w.,-]+)/);
+  if (libraryMatch) options.libraries = libraryMatch[1].split(',').map(l => l.replace(/\.gmt$/, '')).filter(Boolean);
+
+  return options;
+}
+
+/**
+ * Ranked gene set table for ORA or preranked GSEA results
+ */
+function formatEnrichment(enrichment) {
+  const { comparison, coexpression } = enrichment;
+  let response = coexpression
+    ? `## Gene Set Enrichment: genes co-expressed with ${coexpression.gene}\n\n`
+    : `## Gene Set Enrichment: ${comparison.groupA.label} vs ${comparison.groupB.label}\n\n`;
+
+  if (enrichment.method === 'ora') {
+    const { direction } = enrichment.selection;
+    const qualifier = direction === 'both' ? '' : coexpression
+      ? ` ${direction === 'up' ? 'positively' : 'negatively'} correlated`
+      : ` ${direction}-regulated`;
+    response += `**Over-representation (hypergeometric)** of ${enrichment.selection.genes}${qualifier} genes at adj. P < ${enrichment.selection.fdr}`;
+    response += `, against ${enrichment.universeSize} tested genes.\n`;
+  } else if (coexpression) {
+    response += `**Preranked GSEA** on ${coexpression.method} correlation with ${coexpression.gene} of ${enrichment.rankedGenes} genes (${enrichment.permutations} gene-set permutations).\n`;
+  } else {
+    response += `**Preranked GSEA** on moderated t-statistics of ${enrichment.rankedGenes} genes (${enrichment.permutations} gene-set permutations).\n`;
+  }
+  response += `- **Gene sets tested:** ${enrichment.tested}\n`;
+  response += `- **Significant (FDR < 0.05):** ${enrichment.significant}\n`;
+  response += formatPreprocessing(enrichment.preprocessing) + `\n`;
+
+  if (enrichment.results.length === 0) {
+    return response + `No gene sets within the size limits overlap the tested genes.\n`;
+  }
+
+  if (enrichment.method === 'ora') {
+    response += `| Gene Set | Library | Overlap | Expected | Fold | P | FDR | Genes |\n`;
+    response += `|---|---|---|---|---|---|---|---|\n`;
+    enrichment.results.forEach(r => {
+      const genes = r.genes.slice(0, 8).join(', ') + (r.genes.length > 8 ? ', ...' : '');
+      response += `| ${r.set} | ${r.library} | ${r.overlap}/${r.size} | ${r.expected.toFixed(1)} | ${r.foldEnrichment.toFixed(2)} | `;
+      response += `${formatPValue(r.pValue)} | ${formatPValue(r.adjPValue)} | ${genes} |\n`;
+    });
+  } else {
+    response += `| Gene Set | Library | Size | ES | NES | P | FDR | Leading Edge |\n`;
+    response += `|---|---|---|---|---|---|---|---|\n`;
+    enrichment.results.forEach(r => {
+      const edge = r.leadingEdge.slice(0, 8).join(', ') + (r.leadingEdge.length > 8 ? ', ...' : '');
+      response += `| ${r.set} | ${r.library} | ${r.size} | ${r.es.toFixed(3)} | ${isNaN(r.nes) ? 'NA' : r.nes.toFixed(2)} | `;
+      response += `${formatPValue(r.pValue)} | ${formatPValue(r.adjPValue)} | ${edge} |\n`;
+    });
+    response += coexpression
+      ? `\n_Positive NES: enriched among genes positively correlated with ${coexpression.gene}; negative: anti-correlated._\n`
+      : `\n_Positive NES: enriched among genes higher in ${comparison.groupA.label}; negative: higher in ${comparison.groupB.label}._\n`;
+  }
+
+  return response;
+}
+
+/**
+ * Endpoint, grouping and split requested in a survival message.
+ * An all-caps token after "by" is read as a gene, anything else as a characteristic.
+ */
+function parseSurvivalOptions(message, lowerMessage) {
+  const options = {};
+
+  const endpointMatch = lowerMessage.match(/\b(os|pfs|dfs|rfs|dmfs|dss|efs)\b/);
+  if (endpointMatch) {
+    options.endpoint = endpointMatch[1];
+  } else if (lowerMessage.match(/progression[- ]free/)) {
+    options.endpoint = 'pfs';
+  } else if (lowerMessage.match(/disease[- ]free/)) {
+    options.endpoint = 'dfs';
+  } else if (lowerMessage.match(/(relapse|recurrence)[- ]free/)) {
+    options.endpoint = 'rfs';
+  } else if (lowerMessage.match(/overall survival/)) {
+    options.endpoint = 'os';
+  }
+
+  if (lowerMessage.match(/\b(optimal|best)\b/)) {
+    options.split = 'optimal';
+  }
+
+  const byMatch = message.match(/\b(?:by|between|across)\s+(.+?)(?:\s+(?:expression|levels?|status|using|with|at|split|optimal|median|cut\w*|groups?|on|in|after|without|gene[- ]level|probe[- ]level|quantile|normali\w*)\b|[?.!]*$)/i);
+  if (byMatch) {
+    const target = byMatch[1].trim();
+    if (/^[A-Z0-9][A-Z0-9-]*$/.test(target) && /[A-Z]/.test(target)) {
+      options.gene = target;
+    } else {
+      options.factor = target;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Kaplan-Meier summary: per-group medians, log-rank test and hazard ratios
+ */
+function formatSurvival(survival) {
+  const { endpoint, grouping } = survival;
+  const unit = endpoint.unit === 'unknown units' ? '' : ` ${endpoint.unit}`;
+  const formatTime = (t) => (t === null ? 'not reached' : `${t}${unit}`);
+  const formatHR = (hr) => (isNaN(hr.hazardRatio)
+    ? 'not estimable (no events in one group)'
+    : `${hr.hazardRatio.toFixed(2)} (95% CI ${hr.ciLower.toFixed(2)}-${hr.ciUpper.toFixed(2)}), P = ${formatPValue(hr.pValue)}`);
+
+  let response = `## Survival Analysis: ${endpoint.label}\n\n`;
+  response += `- **Time:** ${endpoint.timeKey}`;
+  response += endpoint.timeKey.toLowerCase().includes(endpoint.unit.replace(/s$/, '')) ? `\n` : ` (${endpoint.unit})\n`;
+  response += `- **Event:** ${endpoint.eventKey}\n`;
+  response += `- **Samples:** ${survival.samplesUsed} with survival data`;
+  response += survival.samplesExcluded > 0 ? ` (${survival.samplesExcluded} excluded)\n` : `\n`;
+
+  if (grouping.type === 'gene') {
+    const row = grouping.level === 'probe' && grouping.row !== grouping.gene ? ` (probe ${grouping.row})` : '';
+    response += `- **Split:** ${grouping.gene}${row} expression, high > ${grouping.cutpoint.toFixed(2)} `;
+    response += grouping.split === 'optimal' ? `(optimal cutpoint of ${grouping.candidates} tested)\n` : `(median)\n`;
+    response += formatPreprocessing(survival.preprocessing);
+  } else if (grouping.type === 'factor') {
+    response += `- **Groups:** ${grouping.factor} (reference: ${grouping.reference})\n`;
+  }
+
+  const others = survival.availableEndpoints.filter(e => e.timeKey !== endpoint.timeKey);
+  if (others.length > 0) {
+    response += `- **Other endpoints:** ${others.map(e => e.endpoint).join(', ')}\n`;
+  }
+
+  response += `\n| Group | n | Events | Median Survival |\n`;
+  response += `|---|---|---|---|\n`;
+  survival.groups.forEach(g => {
+    response += `| ${g.name} | ${g.n} | ${g.events} | ${formatTime(g.medianSurvival)} |\n`;
+  });
+
+  if (survival.logRank) {
+    response += `\n**Log-rank test:** χ² = ${survival.logRank.chiSquare.toFixed(2)}, df = ${survival.logRank.df}, P = ${formatPValue(survival.logRank.pValue)}\n`;
+    if (grouping.split === 'optimal') {
+      response += `_The optimal cutpoint was chosen to minimize this P-value; Altman-corrected P = ${formatPValue(grouping.correctedPValue)}._\n`;
+    }
+
+    response += `\n**Hazard ratios (Cox):**\n`;
+    survival.hazardRatios.forEach(hr => {
+      response += `- ${hr.group} vs ${hr.reference}: HR = ${formatHR(hr)}\n`;
+    });
+    if (survival.continuous) {
+      response += `- Per unit of ${grouping.gene} expression (continuous): HR = ${formatHR(survival.continuous)}\n`;
+    }
+  }
+
+  return response;
+}
+
+/**
+ * Top positive and negative co-expression partners of a gene
+ */
+function formatCoexpression(coexpression) {
+  const label = coexpression.method === 'spearman' ? 'Spearman' : 'Pearson';
+  let response = `## Co-expression: ${coexpression.gene}\n\n`;
+
+  if (coexpression.level === 'gene') {
+    response += `Correlated across **${coexpression.sampleCount}** samples against **${coexpression.tested}** genes (gene level, ${coexpression.strategy}).\n`;
+  } else {
+    response += `Correlated probe **${coexpression.target}**`;
+    response += coexpression.targetProbes > 1 ? ` (most variable of ${coexpression.targetProbes} probes)` : '';
+    response += ` across **${coexpression.sampleCount}** samples against **${coexpression.tested}** probes.\n`;
+  }
+  response += `- **Ranked by:** ${label} correlation\n`;
+  response += `- **Significant (FDR < 0.05):** ${coexpression.significant}\n`;
+  response += formatPreprocessing(coexpression.preprocessing) + `\n`;
+
+  const table = (partners) => {
+    let text = `| ${coexpression.level === 'gene' ? 'Gene' : 'Probe'} | Pearson r | P | Spearman ρ | P | FDR (${label}) |\n`;
+    text += `|---|---|---|---|---|---|\n`;
+    partners.forEach(r => {
+      const name = coexpression.level === 'gene' || r.symbols.length === 0 ? r.id : `${r.id} (${r.symbols.join(', ')})`;
+      const adjP = coexpression.method === 'spearman' ? r.spearmanAdjPValue : r.pearsonAdjPValue;
+      text += `| ${name} | ${r.pearson.toFixed(3)} | ${formatPValue(r.pearsonPValue)} | `;
+      text += `${isNaN(r.spearman) ? 'NA' : r.spearman.toFixed(3)} | ${formatPValue(r.spearmanPValue)} | ${formatPValue(adjP)} |\n`;
+    });
+    return text;
+  };
+
+  response += `### Positively correlated\n\n`;
+  response += coexpression.positive.length > 0 ? table(coexpression.positive) : `_None._\n`;
+  response += `\n### Negatively correlated\n\n`;
+  response += coexpression.negative.length > 0 ? table(coexpression.negative) : `_None._\n`;
+
+  if (coexpression.sampleCount < 10) {
+    response += `\n⚠️ With only ${coexpression.sampleCount} samples, correlations are unstable; treat these partners as hints.\n`;
+  }
+
+  return response;
+}
+
+/**
+ * Harmonized fields across samples, with the original keys they came from
+ */
+function formatHarmonizedFields(fields) {
+  const labels = {
+    sex: 'Sex', age: 'Age', tissue: 'Tissue', cellType: 'Cell type', treatment: 'Treatment',
+    dose: 'Dose', time: 'Time', diseaseState: 'Disease state'
+  };
+
+  let response = `**Harmonized Fields:**\n`;
+  fields.forEach(f => {
+    let levels = f.levels.slice(0, 6).map(l => `${l.value} (${l.count})`).join(', ');
+    if (f.levels.length > 6) {
+      levels = f.min !== undefined
+        ? `${f.levels.length} values, ${f.min} to ${f.max}${f.levels[0].value.replace(/^[\d.]+/, '')}`
+        : `${levels}, and ${f.levels.length - 6} more`;
+    }
+    response += `- **${labels[f.field]}:** ${levels} _(from ${f.keys.map(k => `"${k}"`).join(', ')})_\n`;
+  });
+  return response + `\n`;
+}
+
+/**
+ * Recognized compounds with doses and the samples that received them
+ */
+function formatDrugs(result) {
+  let response = `## Drugs and Compounds: ${result.datasetId}\n\n`;
+
+  if (result.compounds.length === 0) {
+    response += `No compounds from the drug dictionary were found in the titles, summary, treatment protocols or sample characteristics.\n`;
+    return response;
+  }
+
+  const drugs = result.compounds.filter(c => !c.vehicle);
+  response += `Found **${drugs.length}** compound${drugs.length === 1 ? '' : 's'}`;
+  response += `; **${result.treatedSamples.length}** of ${result.sampleCount} samples received one, `;
+  response += `${result.vehicleSamples.length} received vehicle only and ${result.untreatedSamples.length} have no treatment in their metadata.\n\n`;
+
+  response += `| Compound | Class | Doses | Samples | Identifiers |\n`;
+  response += `|---|---|---|---|---|\n`;
+  result.compounds.forEach(c => {
+    const ids = Object.entries(c.identifiers).map(([type, id]) => `${type}:${id}`).join(', ');
+    const samples = c.samples.length > 0 ? c.samples.length : 'study text only';
+    response += `| ${c.name} | ${c.class} | ${c.doses.join(', ') || '-'} | ${samples} | ${ids || '-'} |\n`;
+  });
+
+  if (result.pairs.length > 0) {
+    response += `\n### Drug-Sample Pairs\n\n`;
+    result.pairs.slice(0, 20).forEach(p => {
+      response += `- ${p.sample}: ${p.compound}${p.dose ? ` (${p.dose})` : ''} _(from ${p.source})_\n`;
+    });
+    if (result.pairs.length > 20) {
+      response += `_...and ${result.pairs.length - 20} more pairs_\n`;
+    }
+  }
+
+  const studyOnly = result.compounds.filter(c => c.samples.length === 0);
+  if (studyOnly.length > 0) {
+    response += `\n${studyOnly.map(c => c.name).join(', ')} ${studyOnly.length === 1 ? 'is' : 'are'} only named in study-level text `;
+    response += `(summary or a protocol shared by all samples), so no samples are assigned.\n`;
+  }
+
+  return response;
+}
+
+/**
+ * PubMed articles, series citing the same articles and BioProject/SRA links of a dataset
+ */
+export function formatRelatedRecords(related) {
+  let response = `## Related: ${related.id}\n\n`;
+
+  if (related.publications.length === 0 && related.relatedSeries.length === 0
+    && related.bioprojects.length === 0 && related.sra.experimentCount === 0) {
+    response += `No linked publications, series, BioProject or SRA records were found.\n`;
+    return response;
+  }
+
+  if (related.publications.length > 0) {
+    response += `### Publications (${related.publications.length})\n\n`;
+    related.publications.forEach(p => {
+      const source = [p.authors, [p.journal, p.year && `(${p.year})`].filter(Boolean).join(' ')].filter(Boolean).join('. ');
+      response += `- **${p.title || 'Untitled'}** ${source ? `${source}. ` : ''}[PMID ${p.pmid}](https://pubmed.ncbi.nlm.nih.gov/${p.pmid}/)\n`;
+      if (p.abstract) {
+        response += `  > ${p.abstract.length > 500 ? `${p.abstract.slice(0, 500)}...` : p.abstract}\n`;
+      }
+    });
+    response += `\n`;
+  }
+
+  if (related.relatedSeries.length > 0) {
+    response += `### Other Datasets Citing These Papers (${related.relatedSeries.length})\n\n`;
+    related.relatedSeries.forEach(s => {
+      response += `- **${s.id}** ${s.title} (${s.organism}, ${s.samples} samples; PMID ${s.pubmedIds.join(', ')})\n`;
+    });
+    response += `\n`;
+  }
+
+  if (related.bioprojects.length > 0) {
+    response += `### BioProject\n\n`;
+    related.bioprojects.forEach(p => {
+      response += `- [${p.id}](https://www.ncbi.nlm.nih.gov/bioproject/${p.id}) ${p.title || ''}\n`;
+    });
+    response += `\n`;
+  }
+
+  if (related.sra.experimentCount > 0) {
+    response += `### SRA\n\n`;
+    response += `${related.sra.experimentCount} linked experiment${related.sra.experimentCount === 1 ? '' : 's'}`;
+    response += related.sra.studies.length > 0
+      ? ` in ${related.sra.studies.map(st => `[${st.id}](https://www.ncbi.nlm.nih.gov/sra/?term=${st.id})`).join(', ')}\n`
+      : `\n`;
+  }
+
+  return response;
+}
+
+/**
+ * Download every SubSeries of a SuperSeries, then post the combined dataset to its thread
+ */
+async function downloadSubSeriesInBackground(datasetId) {
+  const threadId = `dataset-${datasetId}`;
+  try {
+    const download = await dataDownloader.downloadSubSeries(datasetId);
+    advancedAnalyzer.clearCache(datasetId);
+    const result = await advancedAnalyzer.getSubSeries(datasetId);
+    threadManager.addMessage(threadId, {
+      role: 'assistant',
+      content: formatSubSeries(result, [], download),
+      metadata: { type: 'subseries', datasetId, subSeries: result }
+    });
+  } catch (error) {
+    console.error(`SubSeries download failed for ${datasetId}:`, error);
+    try {
+      threadManager.addMessage(threadId, {
+        role: 'assistant',
+        content: `⚠️ Downloading the SubSeries of ${datasetId} failed: ${error.message}`,
+        metadata: { type: 'error', datasetId }
+      });
+    } catch {
+      // No thread for this dataset (e.g. asked from the general thread)
+    }
+  }
+}
+
+/**
+ * SuperSeries / SubSeries links of a series, the download outcome of its SubSeries
+ * and, once combined, the sample table across them
+ */
+export function formatSubSeries(result, summaries = [], download = null) {
+  const byId = new Map(summaries.map(s => [s.id, s]));
+  const describe = id => {
+    const s = byId.get(id);
+    return s ? `**${id}**: ${s.title} (${s.samples} samples${s.platform ? `, GPL${s.platform}` : ''})` : `**${id}**`;
+  };
+
+  let response = `## SubSeries of ${result.datasetId}\n\n`;
+
+  if (result.subSeries.length === 0) {
+    response = `**${result.datasetId}** is not a SuperSeries; its data is in the series itself.\n`;
+    if (result.superSeries.length > 0) {
+      response += `\nIt is part of SuperSeries ${result.superSeries.map(describe).join(', ')}.\n`;
+    }
+    return response;
+  }
+
+  response += `${result.datasetId} is a SuperSeries: it groups ${result.subSeries.length} SubSeries, which hold the data.\n\n`;
+  result.subSeries.forEach(id => {
+    const failed = download?.subSeries.find(r => r.id === id && !r.success);
+    const status = failed ? ` ⚠️ download failed${failed.errors?.length ? ` (${failed.errors.join('; ')})` : ''}`
+      : result.downloaded.includes(id) ? ' ✓ downloaded' : '';
+    response += `- ${describe(id)}${status}\n`;
+  });
+
+  const { combined } = result;
+  if (!combined) {
+    response += `\nSay "download all SubSeries" to analyze them together as one dataset, or open a SubSeries on its own.`;
+    return response;
+  }
+
+  response += `\n### Combined dataset\n\n`;
+  response += `${combined.included.join(' + ')}: **${combined.sampleCount} samples**, ${combined.probeCount.toLocaleString()} rows`;
+  response += combined.by ? ` (merged on ${combined.by === 'gene' ? `gene symbols, ${combined.strategy}` : 'shared probe IDs'}).\n` : `.\n`;
+  if (combined.skipped.length > 0) {
+    response += `Not included (no expression data): ${combined.skipped.join(', ')}\n`;
+  }
+  if (combined.missing.length > 0) {
+    response += `Not downloaded: ${combined.missing.join(', ')}\n`;
+  }
+
+  const keys = [...new Set(combined.samples.flatMap(s => Object.keys(s.characteristics || {})))].slice(0, 3);
+  response += `\n| Sample | SubSeries | Title |${keys.map(k => ` ${k} |`).join('')}\n`;
+  response += `|---|---|---|${keys.map(() => '---|').join('')}\n`;
+  combined.samples.slice(0, 30).forEach(s => {
+    response += `| ${s.id} | ${s.subSeries} | ${s.title || ''} |${keys.map(k => ` ${s.characteristics?.[k] || ''} |`).join('')}\n`;
+  });
+  if (combined.samples.length > 30) {
+    response += `\n_...and ${combined.samples.length - 30} more samples_\n`;
+  }
+
+  response += `\nAnalyses of ${result.datasetId} now run on all of these samples. Values are log2-scaled per SubSeries but not corrected between them; "check for batch effects" tests whether SubSeries drives the variation.`;
+  return response;
+}
+
+/**
+ * Per-platform matrices of a series and the one being analyzed
+ */
+function formatPlatforms(result) {
+  if (!result.multiPlatform) {
+    return `**${result.datasetId}** has a single expression matrix (${result.sampleCount} samples, ${result.probeCount.toLocaleString()} rows), so there is no platform to choose.`;
+  }
+
+  let response = `## Platforms of ${result.datasetId}\n\n`;
+  response += `This series was run on ${result.platforms.length} platforms, each with its own expression matrix:\n\n`;
+  response += `| Platform | Samples | Probes |\n|---|---|---|\n`;
+  result.platforms.forEach(p => {
+    response += `| ${p.platform}${p.platform === result.active?.id ? ' (active)' : ''} | ${p.samples} | ${p.probes.toLocaleString()} |\n`;
+  });
+
+  const { active } = result;
+  if (active?.id === MERGED_PLATFORM) {
+    const on = active.by === 'gene' ? `gene symbols (probes collapsed by ${active.strategy})` : 'the probe IDs they share';
+    response += `\n**Analyzing:** ${active.platforms.join(' + ')} merged on ${on}: ${result.sampleCount} samples, ${result.probeCount.toLocaleString()} rows.\n`;
+    response += `Values are log2-scaled per platform but not corrected for platform differences; "check for batch effects" shows whether platform drives the variation.\n`;
+  } else if (active) {
+    response += `\n**Analyzing:** ${active.id} (${result.sampleCount} samples, ${result.probeCount.toLocaleString()} probes).\n`;
+  }
+
+  response += `\nSay "use platform ${result.platforms.find(p => p.platform !== active?.id)?.platform}" to switch, or "merge platforms" (add "by gene" to join on gene symbols).`;
+  return response;
+}
+
+/**
+ * Candidate batch variables ranked by their share of the top-PC variance
+ */
+function formatBatchEffects(result) {
+  let response = `## Batch Effects: ${result.datasetId}\n\n`;
+  response += `PCA of ${result.sampleCount} samples on the ${result.rowsUsed} most variable ${result.level === 'gene' ? 'genes' : 'probes'}`;
+  response += ` (${result.components.map(c => `${c.component} ${(c.explained * 100).toFixed(1)}%`).join(', ')}).\n`;
+  response += formatPreprocessing(result.preprocessing) + `\n`;
+
+  if (result.candidates.length === 0) {
+    response += `No candidate batch variables found: no batch-like characteristic or processing metadata (such as submission date) splits the samples into replicated levels.\n`;
+    return response;
+  }
+
+  response += `| Variable | Source | Levels | Variance explained | Strongest PC | p-value | |\n`;
+  response += `|---|---|---|---|---|---|---|\n`;
+  result.candidates.forEach(c => {
+    const flag = c.flagged ? '⚠️ batch effect' : '';
+    response += `| ${c.label} | ${c.source} | ${c.levels.length} | ${(c.varianceExplained * 100).toFixed(1)}% | ${c.strongest} | ${formatPValue(c.minPValue)} | ${flag} |\n`;
+  });
+  response += `\n_Variance explained: share of the top-PC variance accounted for by the variable (one-way ANOVA R² per PC, weighted by the PC's variance)._\n`;
+
+  const flagged = result.candidates.filter(c => c.flagged);
+  if (flagged.length > 0) {
+    response += `\n**Notes:**\n`;
+    flagged.forEach(c => {
+      if (c.confounded) {
+        response += `- **${c.label}** is confounded with **${c.confounded}** (Cramér's V ${c.confounding[0].cramersV.toFixed(2)}); correcting it would also remove the biological signal.\n`;
+      } else if (!c.correctable) {
+        response += `- **${c.label}** has single-sample levels, which ComBat cannot correct.\n`;
+      } else {
+        response += `- Correct **${c.label}** by adding "after ComBat on ${c.label}" to an analysis request${result.factors.length > 0 ? ` (add "preserving ${result.factors[0]}" to keep that factor's effect)` : ''}.\n`;
+      }
+    });
+  }
+
+  return response;
+}
+
+/**
+ * Per-sample QC table with outlier flags; also posted to dataset threads after download
+ */
+export function formatQualityReport(qc) {
+  let response = `## Sample QC Report: ${qc.datasetId}\n\n`;
+  response += `${qc.sampleCount} samples × ${qc.rowCount} ${qc.level === 'gene' ? 'genes' : 'probes'}`;
+  response += ` (correlations on ${qc.rowsCompared} rows).\n`;
+  response += formatPreprocessing(qc.preprocessing) + `\n`;
+
+  response += `- **Missing values:** ${(qc.overall.missingRate * 100).toFixed(2)}% on average\n`;
+  response += `- **Inter-sample correlation:** median ${qc.overall.medianCorrelation.toFixed(3)}, minimum ${qc.overall.minCorrelation.toFixed(3)}\n`;
+  response += qc.outliers.length > 0
+    ? `- **Flagged samples:** ⚠️ ${qc.outliers.length} (${qc.outliers.join(', ')})\n\n`
+    : `- **Flagged samples:** ✅ none\n\n`;
+
+  qc.samples.filter(s => s.outlier).forEach(sample => {
+    response += `**${sample.sample}:** ${sample.flags.join('; ')}\n`;
+  });
+  if (qc.outliers.length > 0) response += `\n`;
+
+  response += `| Sample | Missing | Median | IQR | Skew | KS D | Median r | Flag |\n`;
+  response += `|---|---|---|---|---|---|---|---|\n`;
+  qc.samples.slice(0, 30).forEach(sample => {
+    response += `| ${sample.sample} | ${(sample.missingRate * 100).toFixed(1)}% | ${sample.median.toFixed(2)} | ${sample.iqr.toFixed(2)} | `;
+    response += `${sample.skewness.toFixed(2)} | ${sample.ksDistance.toFixed(3)} | ${sample.medianCorrelation.toFixed(3)} | ${sample.outlier ? '⚠️' : ''} |\n`;
+  });
+  if (qc.samples.length > 30) {
+    response += `\n_...and ${qc.samples.length - 30} more samples_\n`;
+  }
+
+  response += `\n_Samples are flagged when a metric is more than ${qc.thresholds.robustZ} robust SDs (median/MAD) from the other samples, `;
+  response += `or when more than ${qc.thresholds.maxMissingRate * 100}% of values are missing._\n`;
+  return response;
+}
+
+/**
+ * PCA/clustering options in a message: "colored by <key>", "top 1000 genes",
+ * "into 3 clusters", "complete linkage"
+ */
+function parseSampleStructureOptions(message) {
+  const options = {};
+
+  const colorMatch = message.match(/\b(?:colou?r(?:ed)?|grouped|label(?:l?ed)?)\s+by\s+["']?(.+?)["']?(?=\s+(?:at|using|with|after|on|for|into)\b|[?.!,]*$)/i);
+  if (colorMatch) options.colorBy = colorMatch[1].trim();
+
+  const topMatch = message.match(/\btop\s+(\d+)/i);
+  if (topMatch) options.topGenes = parseInt(topMatch[1], 10);
+
+  const clusterMatch = message.match(/\b(\d+)\s+(?:clusters|groups)\b/i);
+  if (clusterMatch) options.clusters = parseInt(clusterMatch[1], 10);
+
+  const linkageMatch = message.match(/\b(average|complete|single)\s+linkage\b/i);
+  if (linkageMatch) options.linkage = linkageMatch[1].toLowerCase();
+
+  return options;
+}
+
+function formatScore(value) {
+  return (value >= 0 ? ' ' : '') + value.toFixed(2);
+}
+
+/**
+ * Explained variance and sample scores on the first components
+ */
+function formatPCA(pca) {
+  const shown = pca.components.slice(0, 3);
+  let response = `## PCA of Samples: ${pca.datasetId}\n\n`;
+  response += `Computed on the **${pca.rowsUsed}** most variable ${pca.level === 'gene' ? 'genes' : 'probes'}.\n`;
+  response += formatPreprocessing(pca.preprocessing) + `\n`;
+
+  response += `**Explained Variance:**\n`;
+  pca.components.forEach(c => {
+    response += `- ${c.component}: ${(c.explained * 100).toFixed(1)}%\n`;
+  });
+  response += `\n`;
+
+  if (pca.colorBy) {
+    response += `**Group centroids by ${pca.colorBy}:**\n`;
+    pca.levels.forEach(level => {
+      const members = pca.points.filter(p => p.color === level.value);
+      const centroid = shown.map((_, k) => members.reduce((sum, p) => sum + p.scores[k], 0) / members.length);
+      response += `- ${level.value} (n=${level.count}): ${centroid.map((v, k) => `${shown[k].component} ${formatScore(v)}`).join(', ')}\n`;
+    });
+    response += `\n`;
+  }
+
+  response += `| Sample | ${shown.map(c => c.component).join(' | ')}${pca.colorBy ? ` | ${pca.colorBy}` : ''} |\n`;
+  response += `|---|${shown.map(() => '---|').join('')}${pca.colorBy ? '---|' : ''}\n`;
+  pca.points.slice(0, 30).forEach(point => {
+    response += `| ${point.sample} | ${shown.map((_, k) => formatScore(point.scores[k])).join(' | ')}${pca.colorBy ? ` | ${point.color}` : ''} |\n`;
+  });
+  if (pca.points.length > 30) {
+    response += `\n_...and ${pca.points.length - 30} more samples_\n`;
+  }
+
+  return response;
+}
+
+/**
+ * Dendrogram leaf order and cluster assignment
+ */
+function formatClustering(clustering) {
+  const clusterCount = new Set(clustering.clusters.map(c => c.cluster)).size;
+  let response = `## Sample Clustering: ${clustering.datasetId}\n\n`;
+  response += `Hierarchical clustering (${clustering.linkage} linkage, ${clustering.distance}) on the **${clustering.rowsUsed}** most variable ${clustering.level === 'gene' ? 'genes' : 'probes'}.\n`;
+  response += formatPreprocessing(clustering.preprocessing) + `\n`;
+
+  response += `**Dendrogram order:** ${clustering.order.join(' → ')}\n\n`;
+
+  const bySample = new Map(clustering.clusters.map(c => [c.sample, c]));
+  response += `**${clusterCount} clusters:**\n`;
+  for (let k = 1; k <= clusterCount; k++) {
+    const members = clustering.order.filter(sample => bySample.get(sample).cluster === k);
+    const labels = members.map(sample => clustering.colorBy ? `${sample} (${bySample.get(sample).color})` : sample);
+    response += `- Cluster ${k} (${members.length}): ${labels.join(', ')}\n`;
+  }
+
+  const top = clustering.merges[clustering.merges.length - 1];
+  if (top) {
+    response += `\n_Top merge height: ${top.height.toFixed(3)} (distance 0 = perfectly correlated)._\n`;
+  }
+
+  return response;
+}
+
+/**
+ * Split "... A vs B ..." into two sample group specs.
+ * Each side is a list of GSM IDs, a "key: value" characteristic, or a bare value.
+ */
+export function parseGroupComparison(message) {
+  const sides = message.split(/\s+(?:vs\.?|versus)\s+/i);
+  if (sides.length !== 2) return null;
+
+  const left = sides[0]
+    .replace(/^.*\b(between|compare|comparing|for|of|expression|genes|degs?|enrichment|pathways?|gsea)\b\s*/i, '')
+    .trim();
+  const right = sides[1]
+    .replace(/\s*(\bat\b|\busing\b|\bgene[- ]level\b|\bcollaps|\bwith\b|\bwithout\b|\bafter\b|\b(in|as)\s+(tpm|cpm|raw counts|size[- ]factor)|\b(tpm|cpm)\b|\bcorrect\w*|\badjust\w*|\bcombat\b|\bbatch[- ]correct|\bfdr\b|\blibrar(y|ies)\b|\b(quantile|median)[- ]normali).*$/i, '')
+    .replace(/[?.!]+$/, '')
+    .trim();
+
+  if (!left || !right) return null;
+  return { groupA: toGroupSpec(left), groupB: toGroupSpec(right) };
+}
+
+function toGroupSpec(text) {
+  const gsmIds = text.match(/GSM\d+/gi);
+  if (gsmIds) {
+    return { samples: gsmIds.map(id => id.toUpperCase()) };
+  }
+
+  const keyValue = text.match(/^(.+?)\s*[:=]\s*(.+)$/);
+  if (keyValue) {
+    return { characteristic: keyValue[1].trim(), value: keyValue[2].trim() };
+  }
+
+  return { value: text };
+}
+
+function formatPValue(p) {
+  if (isNaN(p)) return 'NA';
+  return p < 0.001 ? p.toExponential(2) : p.toFixed(3);
+}
+
+/**
+ * Ranked differential expression table
+ */
+function formatDifferentialExpression(de) {
+  const unit = de.level === 'gene' ? 'genes' : 'probes';
+  let response = `## Differential Expression: ${de.groupA.label} vs ${de.groupB.label}\n\n`;
+  response += `- **Group A (${de.groupA.label}):** ${de.groupA.samples.length} samples\n`;
+  response += `- **Group B (${de.groupB.label}):** ${de.groupB.samples.length} samples\n`;
+  response += `- **Tested:** ${de.tested} ${unit}${de.level === 'gene' ? ` (collapsed by ${de.strategy})` : ''}\n`;
+  response += `- **Significant (BH adj. P < 0.05):** ${de.significant}\n`;
+  response += formatPreprocessing(de.preprocessing) + `\n`;
+
+  response += `| Rank | ID | Symbol | logFC | mod. t | P | adj. P | Welch P |\n`;
+  response += `|---|---|---|---|---|---|---|---|\n`;
+  de.results.forEach((r, idx) => {
+    response += `| ${idx + 1} | ${r.id} | ${r.symbols.join(', ') || '-'} | ${r.logFC.toFixed(2)} | ${r.modT.toFixed(2)} | `;
+    response += `${formatPValue(r.pValue)} | ${formatPValue(r.adjPValue)} | ${formatPValue(r.welchP)} |\n`;
+  });
+
+  response += `\n_logFC is mean(A) - mean(B) on the matrix scale; positive values are higher in ${de.groupA.label}. `;
+  response += `Moderated t uses empirical Bayes variance shrinkage; P-values are Benjamini-Hochberg adjusted._\n`;
+  return response;
+}
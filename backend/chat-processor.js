@@ -1,12 +1,17 @@
 import { dataDownloader } from './data-downloader.js';
 import { geoClient } from './geo-client.js';
 import { advancedAnalyzer } from './advanced-analyzer.js';
+import { drugRecognizer } from './drug-recognizer.js';
+import { entrezQuery } from './entrez-query.js';
+import { metadataIndex } from './metadata-index.js';
 
 /**
  * Process user messages and determine intent
- * This simulates an LLM by using keyword matching and pattern recognition
+ * This simulates an LLM by using keyword matching and pattern recognition.
+ * options.filters: structured search filters (e.g. a clicked search facet) to run
+ * as a search directly instead of parsing the message
  */
-export async function processUserMessage(message, conversationHistory = [], datasetId = null) {
+export async function processUserMessage(message, conversationHistory = [], datasetId = null, options = {}) {
   const lowerMessage = message.toLowerCase();
 
   // If we have a dataset context, handle dataset-specific queries
@@ -14,19 +19,30 @@ export async function processUserMessage(message, conversationHistory = [], data
     return await handleDatasetContextMessage(message, datasetId, conversationHistory);
   }
 
+  if (options.filters) {
+    return await handleSearchIntent(message, { type: 'search', filters: options.filters });
+  }
+
   // Determine intent
   const intent = determineIntent(lowerMessage, conversationHistory);
 
   switch (intent.type) {
     case 'search':
+    case 'more_results':
       return await handleSearchIntent(message, intent);
 
+    case 'library_search':
+      return await handleLibrarySearchIntent(message);
+
     case 'analyze':
       return await handleAnalyzeIntent(message, intent);
 
     case 'details':
       return await handleDetailsIntent(message, intent);
 
+    case 'meta_analysis':
+      return await handleMetaAnalysisIntent(message);
+
     case 'greeting':
       return handleGreeting();
 
@@ -130,10 +146,29 @@ What would you like to know?`;
   }
 }
 
+const LIBRARY_PATTERN = /\b(my|local|offline) library\b|\bsearch (the |my )?library\b|\blibrary search\b|^\s*offline\s*:|\b(datasets? )?(i've|i have|we've|we have) (already )?(seen|downloaded)\b/i;
+
 function determineIntent(message, history) {
   // Extract GEO IDs if present
   const geoIdMatch = message.match(/(?:GSE|GDS|GPL|GSM)(\d+)/i);
-  const geoId = geoIdMatch ? geoIdMatch[0] : null;
+  const geoId = geoIdMatch ? geoIdMatch[0].toUpperCase() : null;
+
+  // Cross-dataset meta-analysis of a gene (checked before "analyze", which it contains)
+  if (message.match(/\bmeta[- ]?analy/i)) {
+    return { type: 'meta_analysis' };
+  }
+
+  // Offline search of datasets seen before ("search my library for liver", "offline: mouse RNA-seq")
+  if (message.match(LIBRARY_PATTERN)) {
+    return { type: 'library_search' };
+  }
+
+  // Next page of the previous search ("show more", "next page", "page 3")
+  const lastSearch = findLastSearch(history);
+  if (lastSearch && message.match(/^\W*(show |see |load |give me )?(more|next)( results| datasets| please)?\W*$|\b(show more|more results|next page)\b|\bpage \d+\b/i)) {
+    const pageMatch = message.match(/\bpage (\d+)\b/i);
+    return { type: 'more_results', search: lastSearch, page: pageMatch ? parseInt(pageMatch[1]) : lastSearch.page + 1 };
+  }
 
   // Check for analysis requests
   if (message.match(/\b(analyz|download|detail|more about|tell me more|information about)\b/i)) {
@@ -166,6 +201,16 @@ function determineIntent(message, history) {
   return { type: 'search', query: message };
 }
 
+function findLastSearch(history) {
+  for (let i = history.length - 1; i >= 0; i--) {
+    const search = history[i].metadata?.search;
+    if (search) {
+      return search;
+    }
+  }
+  return null;
+}
+
 function findLastMentionedDataset(history) {
   for (let i = history.length - 1; i >= 0; i--) {
     const msg = history[i];
@@ -179,18 +224,46 @@ function findLastMentionedDataset(history) {
 
 async function handleSearchIntent(message, intent) {
   try {
-    const results = await geoClient.searchDatasets(intent.query || message);
+    // Organism, study type, dates and sample counts in the sentence become Entrez filters;
+    // a follow-up page reuses the previous search and its history server entry
+    const previous = intent.search;
+    const filters = previous ? previous.filters : intent.filters || entrezQuery.parseText(intent.query || message);
+    // Facets describe the whole result set, so only a new search needs them;
+    // they cost one esummary request, over the first 500 records
+    const results = await geoClient.searchStructured(filters, previous?.pageSize, {
+      page: intent.page || 1,
+      history: previous?.history,
+      facets: !previous
+    });
+    if (results.error) {
+      throw new Error(results.error);
+    }
 
     // Parse the response
     const datasets = parseSearchResults(results);
 
     // Create a conversational response
-    const response = formatSearchResponse(datasets, message);
+    const query = previous ? previous.query : message;
+    let response = formatSearchResponse(datasets, query, results);
+    const applied = formatSearchFilters(results.filters);
+    if (applied && !previous) {
+      response = `_Filters: ${applied}_\n\n${response}`;
+    }
 
     return {
       type: 'search',
       message: response,
       datasets: datasets,
+      facets: previous ? undefined : results.facets,
+      search: {
+        query,
+        filters: results.filters,
+        page: results.page,
+        pageSize: results.pageSize,
+        count: results.count,
+        totalPages: results.totalPages,
+        history: results.history
+      }
     };
   } catch (error) {
     return {
@@ -200,6 +273,56 @@ async function handleSearchIntent(message, intent) {
   }
 }
 
+async function handleLibrarySearchIntent(message) {
+  try {
+    // The library phrase itself is not part of the query; "downloaded" narrows to local data
+    const text = message
+      .replace(LIBRARY_PATTERN, ' ')
+      .replace(/\b(in|from|within)\s*$|^\s*(in|from|within|:)\b|\blibrary\b/gi, ' ');
+    const { query, ...filters } = entrezQuery.parseText(text.replace(/\bdownloaded\b/gi, ' '));
+    const cleaned = query?.replace(/\b(in|my|the|local|any|all|what|which|have|i|we)\b/gi, ' ').replace(/\s+/g, ' ').trim();
+    if (cleaned) filters.query = cleaned;
+    if (/\bdownloaded\b/i.test(message)) filters.downloaded = true;
+
+    const results = await metadataIndex.search(filters);
+    if (results.error) {
+      throw new Error(results.error);
+    }
+
+    const datasets = results.results.map(ds => ({
+      id: ds.id,
+      title: ds.title,
+      description: `${ds.title} - ${ds.organism} (${ds.sampleCount ?? '?'} samples)${ds.downloaded ? ' · downloaded' : ''}`,
+      organism: ds.organism,
+      samples: ds.sampleCount,
+      type: ds.type
+    }));
+
+    let response = formatLibraryResponse(datasets, results);
+    const applied = [formatSearchFilters(results.filters), results.filters.downloaded ? 'downloaded only' : ''].filter(Boolean).join(', ');
+    if (applied) {
+      response = `_Filters: ${applied}_\n\n${response}`;
+    }
+
+    return {
+      type: 'library_search',
+      message: response,
+      datasets,
+      library: {
+        query: results.query,
+        filters: results.filters,
+        count: results.count,
+        total: results.total
+      }
+    };
+  } catch (error) {
+    return {
+      type: 'error',
+      message: `I couldn't search your library: ${error.message}`,
+    };
+  }
+}
+
 async function handleAnalyzeIntent(message, intent) {
   if (!intent.geoId) {
     return {
@@ -238,7 +361,7 @@ async function handleDetailsIntent(message, intent) {
   }
 
   try {
-    const result = await geoClient.getDatasetDetails(intent.geoId);
+    const result = await geoClient.getDatasetDetails(intent.geoId, { relations: true });
     const details = parseDatasetDetails(result);
 
     const response = formatDetailsResponse(details, intent.geoId);
@@ -257,6 +380,55 @@ async function handleDetailsIntent(message, intent) {
   }
 }
 
+async function handleMetaAnalysisIntent(message) {
+  const usage = `Ask for a gene and a comparison, e.g. "meta-analysis of TP53 tumor vs normal", ` +
+    `"meta-analysis of EGFR for contrast drugEffect" or "meta-analysis of TP53 treated vs control across GSE1, GSE2".`;
+
+  const geneMatch = message.match(/\b(?:of|for)\s+([A-Z0-9][\w.-]*[A-Za-z0-9])\b/);
+  if (!geneMatch || /^G(SE|DS)\d+$/i.test(geneMatch[1])) {
+    return { type: 'info', message: `Which gene should I meta-analyze? ${usage}` };
+  }
+  const gene = geneMatch[1];
+
+  // Optional dataset list; otherwise every downloaded dataset is used
+  const datasetIds = [...new Set((message.match(/\bG(?:SE|DS)\d+\b/gi) || []).map(id => id.toUpperCase()))];
+  const contrastMatch = message.match(/\bcontrast\s+["']?([\w.-]+)["']?/i);
+
+  let comparison = contrastMatch ? { contrast: contrastMatch[1] } : null;
+  if (!comparison) {
+    const groupsText = message
+      .replace(geneMatch[0], ' for ')
+      .replace(/\s*\b(?:across|in|over|on|using)\s+(?:datasets?\s+)?G(?:SE|DS)\d+(?:\s*(?:,|and)\s*G(?:SE|DS)\d+)*/gi, '');
+    comparison = parseGroupComparison(groupsText);
+  }
+  if (!comparison) {
+    return { type: 'info', message: `Which comparison should I use for ${gene}? ${usage}` };
+  }
+
+  try {
+    const meta = await advancedAnalyzer.metaAnalysis(gene, { ...comparison, datasetIds });
+
+    if (meta.error) {
+      let response = `I couldn't run the meta-analysis: ${meta.error}.`;
+      if (meta.skipped?.length > 0) {
+        response += `\n\n${meta.skipped.map(s => `- **${s.datasetId}:** ${s.reason}`).join('\n')}`;
+      }
+      return { type: 'info', message: response };
+    }
+
+    return {
+      type: 'meta_analysis',
+      message: formatMetaAnalysisResponse(meta),
+      metaAnalysis: meta
+    };
+  } catch (error) {
+    return {
+      type: 'error',
+      message: `Error running meta-analysis: ${error.message}`
+    };
+  }
+}
+
 function handleGreeting() {
   return {
     type: 'greeting',
@@ -280,6 +452,12 @@ function handleHelp() {
 - "Find RNA-seq data for breast cancer"
 - "Show me microarray studies about diabetes"
 - "I need ChIP-seq data for p53"
+- "Human RNA-seq breast cancer after 2020 with >50 samples"
+- "Show more" or "page 3" (more results of the last search)
+
+**Search your library (offline):**
+- "Search my library for breast cancer"
+- "Downloaded mouse datasets in my library"
 
 **Get dataset details:**
 - "Tell me about GSE12345"
@@ -289,6 +467,10 @@ function handleHelp() {
 - "Analyze GSE12345"
 - "Download and analyze the dataset"
 
+**Combine downloaded datasets:**
+- "Meta-analysis of TP53 tumor vs normal"
+- "Meta-analysis of EGFR for contrast drugEffect across GSE1, GSE2"
+
 Just describe what you're looking for in natural language, and I'll help you find the most suitable datasets!`,
   };
 }
@@ -369,16 +551,9 @@ function extractSampleCount(text) {
 }
 
 function extractDrugs(text) {
-  const drugKeywords = ['drug', 'treatment', 'compound', 'inhibitor', 'therapy'];
-  const drugs = [];
-
-  for (const keyword of drugKeywords) {
-    const regex = new RegExp(`${keyword}[:\\s]+([^\\n\\.]+)`, 'i');
-    const match = text.match(regex);
-    if (match) {
-      drugs.push(match[1].trim());
-    }
-  }
+  const drugs = drugRecognizer.recognizeText(text)
+    .filter(c => !c.vehicle)
+    .map(c => (c.doses.length > 0 ? `${c.name} (${c.doses.join(', ')})` : c.name));
 
   return drugs.length > 0 ? drugs.join('; ') : 'No drug treatment mentioned';
 }
@@ -397,22 +572,71 @@ function extractDataType(text) {
 
 // Response formatters
 
-function formatSearchResponse(datasets, query) {
+function formatSearchResponse(datasets, query, paging = {}) {
   if (datasets.length === 0) {
+    if (paging.count > 0) {
+      return `There are no more results for "${query}": all ${paging.count} dataset${paging.count > 1 ? 's' : ''} have been shown.`;
+    }
     return `I couldn't find any datasets matching "${query}". Try rephrasing your search or using different keywords.`;
   }
 
-  let response = `I found ${datasets.length} dataset${datasets.length > 1 ? 's' : ''} matching your query:\n\n`;
+  const start = ((paging.page || 1) - 1) * (paging.pageSize || datasets.length);
+  const total = paging.count || datasets.length;
+
+  let response = `I found ${total} dataset${total > 1 ? 's' : ''} matching your query`;
+  response += total > datasets.length ? ` (showing ${start + 1}-${start + datasets.length}, page ${paging.page} of ${paging.totalPages}):\n\n` : `:\n\n`;
 
   datasets.forEach((dataset, index) => {
-    response += `**${index + 1}. ${dataset.id}**\n${dataset.description}\n\n`;
+    response += `**${start + index + 1}. ${dataset.id}**\n${dataset.description}\n\n`;
   });
 
+  if (paging.hasMore) {
+    response += `\nSay "show more" for the next ${Math.min(paging.pageSize, total - start - datasets.length)} results, or "page N" to jump.`;
+  }
+
   response += `\nWould you like detailed information about any of these datasets? Just ask me about a specific ID (e.g., "tell me more about ${datasets[0].id}").`;
 
   return response;
 }
 
+function formatLibraryResponse(datasets, results) {
+  if (results.total === 0) {
+    return `Your library is empty. Datasets are added as you search GEO, look at dataset details or download data.`;
+  }
+  if (datasets.length === 0) {
+    return `None of the ${results.total} datasets in your library match. Search GEO instead to look beyond the datasets you have seen.`;
+  }
+
+  let response = `📚 ${results.count} of the ${results.total} datasets in your library match`;
+  response += results.count > datasets.length ? ` (showing the top ${datasets.length}):\n\n` : `:\n\n`;
+
+  datasets.forEach((dataset, index) => {
+    response += `**${index + 1}. ${dataset.id}**\n${dataset.description}\n\n`;
+  });
+
+  response += `\nThis search ran offline over datasets from earlier searches, detail lookups and downloads.`;
+  return response;
+}
+
+function formatSearchFilters(filters = {}) {
+  // Plain keyword searches need no filter line
+  if (Object.keys(filters).every(key => key === 'query')) return '';
+
+  const parts = [];
+  if (filters.query) parts.push(`keywords "${filters.query}"`);
+  if (filters.organism) parts.push(`organism ${filters.organism.join(' or ')}`);
+  if (filters.entryType) parts.push(`entry type ${filters.entryType.join(' or ')}`);
+  if (filters.studyType) parts.push(`study type ${filters.studyType.join(' or ')}`);
+  if (filters.platform) parts.push(`platform ${filters.platform.join(' or ')}`);
+  if (filters.minSamples || filters.maxSamples !== undefined) {
+    parts.push(filters.maxSamples !== undefined ? `${filters.minSamples}-${filters.maxSamples} samples` : `at least ${filters.minSamples} samples`);
+  }
+  if (filters.fromDate || filters.toDate) {
+    parts.push(`published ${filters.fromDate ? `from ${filters.fromDate}` : ''}${filters.fromDate && filters.toDate ? ' ' : ''}${filters.toDate ? `until ${filters.toDate}` : ''}`);
+  }
+  return parts.join(', ');
+}
+
 function formatDetailsResponse(details, geoId) {
   let response = `## ${geoId}\n\n`;
 
@@ -450,7 +674,74 @@ function formatDetailsResponse(details, geoId) {
     response += `- **Publication Date:** ${details.publicationDate}\n`;
   }
 
-  response += `\nWould you like me to download and analyze this dataset in detail? Just say "analyze ${geoId}".`;
+  // Samples, platforms and curated datasets point at the records they belong to
+  if (details.accessionType === 'GSM') {
+    if (details.series?.length) response += `- **Series:** ${details.series.join(', ')}\n`;
+    if (details.source) response += `- **Source:** ${details.source}\n`;
+    for (const [key, value] of Object.entries(details.characteristics || {})) {
+      response += `- **${key}:** ${value}\n`;
+    }
+  } else if (details.accessionType === 'GPL') {
+    if (details.technology) response += `- **Technology:** ${details.technology}\n`;
+    if (details.series?.length) response += `- **Series on Platform:** ${details.series.length}\n`;
+  } else if (details.accessionType === 'GDS' && details.series?.length) {
+    response += `- **Reference Series:** ${details.series.join(', ')}\n`;
+  }
+  if (details.subSeries?.length) {
+    response += `- **SuperSeries of:** ${details.subSeries.join(', ')} (the data is in these SubSeries)\n`;
+  }
+  if (details.superSeries?.length) {
+    response += `- **Part of SuperSeries:** ${details.superSeries.join(', ')}\n`;
+  }
+
+  if (details.webUrl) {
+    response += `- **Links:** [GEO](${details.webUrl}) · [FTP](${details.ftpUrl}/)\n`;
+  }
+
+  response += `\nWould you like me to download and analyze this ${details.accessionType === 'GSM' ? 'sample' : details.accessionType === 'GPL' ? 'platform' : 'dataset'} in detail? Just say "analyze ${geoId}".`;
+
+  return response;
+}
+
+function formatMetaAnalysisResponse(meta) {
+  const formatP = (p) => (isNaN(p) ? 'NA' : p < 0.001 ? p.toExponential(2) : p.toFixed(3));
+  const formatEffect = (e) => `${e.estimate.toFixed(2)} [${e.ciLower.toFixed(2)}, ${e.ciUpper.toFixed(2)}]`;
+
+  let response = `## Meta-analysis: ${meta.gene}\n\n`;
+  response += `Combined **${meta.studies.length}** dataset${meta.studies.length > 1 ? 's' : ''} using ${meta.effectSize} `;
+  response += `(standardized mean difference, group A minus group B) from gene-level values (${meta.strategy}).\n\n`;
+
+  response += `| Dataset | Comparison | n (A/B) | logFC | g [95% CI] | P | FDR |\n`;
+  response += `|---|---|---|---|---|---|---|\n`;
+  meta.studies.forEach(s => {
+    response += `| ${s.datasetId} | ${s.groupA} vs ${s.groupB} | ${s.nA}/${s.nB} | ${s.logFC.toFixed(2)} | `;
+    response += `${s.g.toFixed(2)} [${s.ciLower.toFixed(2)}, ${s.ciUpper.toFixed(2)}] | ${formatP(s.pValue)} | ${formatP(s.adjPValue)} |\n`;
+  });
+
+  response += `\n### Pooled Effect\n\n`;
+  response += `- **Fixed effects:** g = ${formatEffect(meta.fixed)}, P = ${formatP(meta.fixed.pValue)}\n`;
+  response += `- **Random effects (DerSimonian-Laird):** g = ${formatEffect(meta.random)}, P = ${formatP(meta.random.pValue)}\n`;
+  response += `- **Fisher's combined P:** ${formatP(meta.fisher.pValue)} (χ² = ${meta.fisher.statistic.toFixed(2)}, df = ${meta.fisher.df})\n`;
+  response += `- **Stouffer's Z:** ${meta.stouffer.z.toFixed(2)}, P = ${formatP(meta.stouffer.pValue)}\n`;
+  response += `- **Direction:** ${meta.consistency.up} up, ${meta.consistency.down} down\n`;
+
+  if (meta.studies.length > 1) {
+    const h = meta.heterogeneity;
+    response += `\n### Heterogeneity\n\n`;
+    response += `- **Cochran's Q:** ${h.q.toFixed(2)} (df = ${h.df}, P = ${formatP(h.pValue)})\n`;
+    response += `- **I²:** ${(h.i2 * 100).toFixed(1)}%\n`;
+    response += `- **τ²:** ${h.tau2.toFixed(3)}\n`;
+    if (h.i2 > 0.5) {
+      response += `\nThe datasets disagree substantially; prefer the random-effects estimate.\n`;
+    }
+  }
+
+  if (meta.skipped.length > 0) {
+    response += `\n### Skipped Datasets\n\n`;
+    meta.skipped.forEach(s => {
+      response += `- **${s.datasetId}:** ${s.reason}\n`;
+    });
+  }
 
   return response;
 }
@@ -498,7 +789,10 @@ function formatAnalysisResponse(details, geoId) {
 }
 
 // Import advanced handler
-import { handleDatasetContextMessage as handleDatasetContextMessageAdvanced } from './chat-processor-advanced.js';
+import {
+  handleDatasetContextMessage as handleDatasetContextMessageAdvanced,
+  parseGroupComparison
+} from './chat-processor-advanced.js';
 
 // Override the basic handler with advanced version
 // This provides full gene queries, statistics, and data analysis
@@ -0,0 +1,140 @@
+/**
+ * Clustering - Hierarchical clustering of samples
+ *
+ * Distances are 1 - Pearson correlation between sample columns over the chosen
+ * rows; clusters are merged agglomeratively with average, complete or single linkage.
+ */
+
+export const LINKAGE_METHODS = ['average', 'complete', 'single'];
+
+class SampleClustering {
+  /**
+   * Pearson correlation matrix between sample columns over the given rows.
+   * Pairs are compared on rows where both samples have values.
+   */
+  correlationMatrix(values, probeCount, sampleCount, rowIndices) {
+    const matrix = Array.from({ length: sampleCount }, () => new Float64Array(sampleCount).fill(1));
+
+    for (let a = 0; a < sampleCount; a++) {
+      for (let b = a + 1; b < sampleCount; b++) {
+        let n = 0;
+        let sumA = 0;
+        let sumB = 0;
+        let sumAA = 0;
+        let sumBB = 0;
+        let sumAB = 0;
+        for (const i of rowIndices) {
+          const x = values[a * probeCount + i];
+          const y = values[b * probeCount + i];
+          if (isNaN(x) || isNaN(y)) continue;
+          n++;
+          sumA += x;
+          sumB += y;
+          sumAA += x * x;
+          sumBB += y * y;
+          sumAB += x * y;
+        }
+
+        const cov = sumAB - (sumA * sumB) / n;
+        const denom = Math.sqrt((sumAA - (sumA * sumA) / n) * (sumBB - (sumB * sumB) / n));
+        const r = n > 2 && denom > 0 ? cov / denom : NaN;
+        matrix[a][b] = r;
+        matrix[b][a] = r;
+      }
+    }
+
+    return matrix;
+  }
+
+  /**
+   * Agglomerative clustering on a distance matrix.
+   * Leaves are 0..n-1; merge k creates node n + k. Returns merges and leaf order.
+   */
+  cluster(distances, linkage = 'average') {
+    if (!LINKAGE_METHODS.includes(linkage)) {
+      throw new Error(`Unknown linkage "${linkage}". Use one of: ${LINKAGE_METHODS.join(', ')}`);
+    }
+
+    const n = distances.length;
+    const dist = distances.map(row => Float64Array.from(row, d => (isNaN(d) ? 2 : d)));
+    const active = new Map(); // row index in dist -> { node, size }
+    for (let i = 0; i < n; i++) active.set(i, { node: i, size: 1 });
+
+    const merges = [];
+    const children = new Map();
+
+    while (active.size > 1) {
+      let best = null;
+      const keys = [...active.keys()];
+      for (let x = 0; x < keys.length; x++) {
+        for (let y = x + 1; y < keys.length; y++) {
+          const d = dist[keys[x]][keys[y]];
+          if (!best || d < best.d) best = { i: keys[x], j: keys[y], d };
+        }
+      }
+
+      const left = active.get(best.i);
+      const right = active.get(best.j);
+      const node = n + merges.length;
+      merges.push({ node, left: left.node, right: right.node, height: best.d, size: left.size + right.size });
+      children.set(node, [left.node, right.node]);
+
+      // Reuse row i for the merged cluster (Lance-Williams update)
+      for (const k of active.keys()) {
+        if (k === best.i || k === best.j) continue;
+        const di = dist[best.i][k];
+        const dj = dist[best.j][k];
+        let d;
+        if (linkage === 'average') {
+          d = (left.size * di + right.size * dj) / (left.size + right.size);
+        } else if (linkage === 'complete') {
+          d = Math.max(di, dj);
+        } else {
+          d = Math.min(di, dj);
+        }
+        dist[best.i][k] = d;
+        dist[k][best.i] = d;
+      }
+
+      active.delete(best.j);
+      active.set(best.i, { node, size: left.size + right.size });
+    }
+
+    // Leaf order from a depth-first walk of the dendrogram
+    const order = [];
+    const stack = n > 0 ? [n > 1 ? n + merges.length - 1 : 0] : [];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (node < n) {
+        order.push(node);
+      } else {
+        const [l, r] = children.get(node);
+        stack.push(r, l);
+      }
+    }
+
+    return { merges, order };
+  }
+
+  /**
+   * Cut the dendrogram into k clusters; returns a cluster number (1..k) per leaf
+   */
+  cutTree(merges, n, k) {
+    const parent = Array.from({ length: n + merges.length }, (_, i) => i);
+    const find = (x) => (parent[x] === x ? x : (parent[x] = find(parent[x])));
+
+    merges.slice(0, Math.max(0, n - k)).forEach(merge => {
+      parent[find(merge.left)] = merge.node;
+      parent[find(merge.right)] = merge.node;
+    });
+
+    const labels = new Map();
+    return Array.from({ length: n }, (_, i) => {
+      const root = find(i);
+      if (!labels.has(root)) labels.set(root, labels.size + 1);
+      return labels.get(root);
+    });
+  }
+}
+
+export const sampleClustering = new SampleClustering();
@@ -0,0 +1,183 @@
+/**
+ * Co-expression - Genes whose expression follows a target gene across samples
+ *
+ * Every row of the matrix is correlated with the target row (Pearson on the
+ * values, Spearman on their ranks) over the samples where both have values.
+ * Pearson p-values use the t approximation with n - 2 degrees of freedom;
+ * Spearman p-values are exact for up to 9 samples. Both are Benjamini-Hochberg
+ * adjusted across all rows tested.
+ */
+
+import { benjaminiHochberg, tTestPValue } from './stats.js';
+
+export const CORRELATION_METHODS = ['pearson', 'spearman'];
+export const DEFAULT_PARTNERS = 25;
+const MIN_PAIRED_SAMPLES = 4;
+const EXACT_SPEARMAN_LIMIT = 9; // 9! = 362880 rank orders
+
+/**
+ * Average ranks (1-based), ties sharing the mean of their positions
+ */
+function rankValues(values) {
+  const order = Array.from(values.keys()).sort((a, b) => values[a] - values[b]);
+  const ranks = new Float64Array(values.length);
+
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && values[order[end + 1]] === values[order[start]]) end++;
+    const rank = (start + end) / 2 + 1;
+    for (let k = start; k <= end; k++) ranks[order[k]] = rank;
+    start = end + 1;
+  }
+
+  return ranks;
+}
+
+function pearson(x, y) {
+  const n = x.length;
+  let sumX = 0;
+  let sumY = 0;
+  for (let k = 0; k < n; k++) {
+    sumX += x[k];
+    sumY += y[k];
+  }
+  const meanX = sumX / n;
+  const meanY = sumY / n;
+
+  let sxx = 0;
+  let syy = 0;
+  let sxy = 0;
+  for (let k = 0; k < n; k++) {
+    const dx = x[k] - meanX;
+    const dy = y[k] - meanY;
+    sxx += dx * dx;
+    syy += dy * dy;
+    sxy += dx * dy;
+  }
+
+  return sxx > 0 && syy > 0 ? Math.max(-1, Math.min(1, sxy / Math.sqrt(sxx * syy))) : NaN;
+}
+
+/**
+ * Two-sided p-value of a Pearson correlation coefficient on n pairs
+ */
+function correlationPValue(r, n) {
+  if (isNaN(r) || n < 3) return NaN;
+  if (Math.abs(r) >= 1) return 0;
+  return tTestPValue(r * Math.sqrt((n - 2) / (1 - r * r)), n - 2);
+}
+
+const exactSpearmanNulls = new Map();
+
+/**
+ * Permutation distribution of sum(d^2) for Spearman's rho without ties, enumerated
+ * over all n! rank orders (Heap's algorithm). counts[D] = orders with sum(d^2) = D.
+ */
+function exactSpearmanNull(n) {
+  if (exactSpearmanNulls.has(n)) return exactSpearmanNulls.get(n);
+
+  const counts = new Float64Array((n * (n * n - 1)) / 3 + 1);
+  const perm = Array.from({ length: n }, (_, i) => i);
+  const sumSquares = () => perm.reduce((sum, p, i) => sum + (p - i) * (p - i), 0);
+  const c = new Array(n).fill(0);
+  counts[sumSquares()]++;
+
+  for (let i = 0; i < n;) {
+    if (c[i] < i) {
+      const j = i % 2 === 0 ? 0 : c[i];
+      [perm[j], perm[i]] = [perm[i], perm[j]];
+      counts[sumSquares()]++;
+      c[i]++;
+      i = 0;
+    } else {
+      c[i] = 0;
+      i++;
+    }
+  }
+
+  const total = counts.reduce((a, b) => a + b, 0);
+  const distribution = { counts, total };
+  exactSpearmanNulls.set(n, distribution);
+  return distribution;
+}
+
+/**
+ * Two-sided p-value of Spearman's rho: exact permutation distribution for small n
+ * (as R's cor.test does), t approximation otherwise
+ */
+function spearmanPValue(rho, n) {
+  if (isNaN(rho) || n < 3) return NaN;
+  if (n > EXACT_SPEARMAN_LIMIT) return correlationPValue(rho, n);
+
+  const { counts, total } = exactSpearmanNull(n);
+  const scale = 6 / (n * (n * n - 1));
+  let extreme = 0;
+  counts.forEach((count, d) => {
+    if (count > 0 && Math.abs(1 - scale * d) >= Math.abs(rho) - 1e-10) extreme += count;
+  });
+  return extreme / total;
+}
+
+class CoExpression {
+  /**
+   * Correlate every row of a column-major matrix with the target row.
+   * Returns the strongest positive and negative partners ranked by `method`.
+   */
+  run(values, probeCount, sampleCount, rowIds, targetRow, { method = 'pearson', limit = DEFAULT_PARTNERS } = {}) {
+    if (!CORRELATION_METHODS.includes(method)) {
+      throw new Error(`Unknown correlation method "${method}". Use one of: ${CORRELATION_METHODS.join(', ')}`);
+    }
+
+    const target = Float64Array.from({ length: sampleCount }, (_, j) => values[j * probeCount + targetRow]);
+    const targetPresent = Array.from(target.keys()).filter(j => !isNaN(target[j]));
+    const targetRanks = rankValues(targetPresent.map(j => target[j]));
+
+    const results = [];
+    for (let i = 0; i < probeCount; i++) {
+      if (i === targetRow) continue;
+
+      const paired = targetPresent.filter(j => !isNaN(values[j * probeCount + i]));
+      if (paired.length < MIN_PAIRED_SAMPLES) continue;
+
+      const x = paired.map(j => target[j]);
+      const y = paired.map(j => values[j * probeCount + i]);
+      const r = pearson(x, y);
+      if (isNaN(r)) continue; // constant row
+
+      // Target ranks are reused when no samples were dropped for this row
+      const rankX = paired.length === targetPresent.length ? targetRanks : rankValues(x);
+      const rho = pearson(rankX, rankValues(y));
+
+      results.push({
+        id: rowIds[i],
+        n: paired.length,
+        pearson: r,
+        pearsonPValue: correlationPValue(r, paired.length),
+        spearman: rho,
+        spearmanPValue: spearmanPValue(rho, paired.length)
+      });
+    }
+
+    const pearsonAdjusted = benjaminiHochberg(results.map(r => r.pearsonPValue));
+    const spearmanAdjusted = benjaminiHochberg(results.map(r => r.spearmanPValue));
+    results.forEach((r, idx) => {
+      r.pearsonAdjPValue = pearsonAdjusted[idx];
+      r.spearmanAdjPValue = spearmanAdjusted[idx];
+    });
+
+    // Ties (common for Spearman on few samples) are broken by the other coefficient
+    const other = method === 'pearson' ? 'spearman' : 'pearson';
+    const score = (r) => (isNaN(r[method]) ? 0 : r[method]);
+    const byScore = [...results].sort((a, b) => score(b) - score(a) || (b[other] || 0) - (a[other] || 0));
+
+    return {
+      method,
+      tested: results.length,
+      significant: results.filter(r => r[`${method}AdjPValue`] < 0.05).length,
+      positive: byScore.filter(r => score(r) > 0).slice(0, limit),
+      negative: byScore.filter(r => score(r) < 0).reverse().slice(0, limit)
+    };
+  }
+}
+
+export const coExpression = new CoExpression();
@@ -7,7 +7,32 @@ import { promises as fs } from 'fs';
 import { pipeline } from 'stream/promises';
 import { createWriteStream, createReadStream } from 'fs';
 import { createGunzip } from 'zlib';
+import { Readable } from 'stream';
+import { createInterface } from 'readline';
 import path from 'path';
+import { platformAnnotator, ProbeAnnotation, ANNOTATION_FILE } from './platform-annotation.js';
+import { rnaSeqCounts, SUPPLEMENTARY_DIR } from './rnaseq-counts.js';
+import { geoAccession } from './geo-accession.js';
+import { platformMatrices, SERIES_MATRIX_FILE } from './platform-matrices.js';
+import { dataParser } from './data-parser.js';
+
+// A SuperSeries analyzed through its SubSeries: the member list and the merged matrix
+export const SUBSERIES_FILE = 'subseries.json';
+export const SUBSERIES_DIR = 'subseries';
+
+// Largest supplementary expression table downloaded without asking (MB);
+// GEO_MAX_SUPPLEMENTARY_MB raises it
+const DEFAULT_MAX_SUPPLEMENTARY_MB = 500;
+
+// MINiML (XML) records fetched when the SOFT file of a series, platform or sample
+// is unavailable or malformed: the SOFT file replaced, file name and acc.cgi
+// target/view. The series record includes its samples and platforms but, unlike
+// the family SOFT, no data tables.
+const MINIML_FILES = {
+  GSE: { soft: 'family.soft.gz', name: 'family.xml', targ: 'all', view: 'brief' },
+  GPL: { soft: 'platform.soft', name: 'platform.xml', targ: 'self', view: 'full' },
+  GSM: { soft: 'sample.soft', name: 'sample.xml', targ: 'self', view: 'full' }
+};
 
 class DataDownloader {
   constructor() {
@@ -40,6 +65,14 @@ class DataDownloader {
     }
   }
 
+  /**
+   * Point downloads at a different data directory (e.g. when used from the MCP server)
+   */
+  setDataDir(dataDir) {
+    this.dataDir = dataDir;
+    return this.ensureDataDir();
+  }
+
   async ensureDataDir() {
     try {
       await fs.mkdir(this.dataDir, { recursive: true });
@@ -49,134 +82,142 @@ class DataDownloader {
   }
 
   /**
-   * Download GEO dataset files
+   * Files to fetch for each accession type. Series and curated datasets have SOFT
+   * files on FTP; samples and platforms come as single SOFT records (with their
+   * data table) from the GEO web server. A series has one matrix per platform.
+   */
+  async filesFor(accession) {
+    const ftpBase = geoAccession.ftpUrl(accession.accession);
+    const id = accession.accession;
+
+    switch (accession.type) {
+      case 'GDS':
+        return [
+          { name: 'dataset.soft.gz', url: `${ftpBase}/soft/${id}.soft.gz`, type: 'metadata' }
+        ];
+      case 'GPL':
+        return [
+          { name: 'platform.soft', url: geoAccession.softUrl(id, 'full'), type: 'metadata' }
+        ];
+      case 'GSM':
+        return [
+          { name: 'sample.soft', url: geoAccession.softUrl(id, 'full'), type: 'metadata' }
+        ];
+      default:
+        return [
+          ...await this.listSeriesMatrices(ftpBase, id),
+          {
+            name: 'family.soft.gz',
+            url: `${ftpBase}/soft/${id}_family.soft.gz`,
+            type: 'metadata'
+          }
+        ];
+    }
+  }
+
+  /**
+   * Series matrices in the series matrix/ directory: one file, or one per platform
+   * (GSE1234-GPL570_series_matrix.txt.gz). Falls back to the single-platform name
+   * when the directory cannot be listed.
+   */
+  async listSeriesMatrices(ftpBase, id) {
+    const listingUrl = `${ftpBase}/matrix/`;
+    const fallback = [{ name: SERIES_MATRIX_FILE, url: `${listingUrl}${id}_series_matrix.txt.gz`, type: 'metadata' }];
+
+    try {
+      const listing = await fetch(listingUrl);
+      if (!listing.ok) {
+        console.error(`Could not list ${listingUrl} (HTTP ${listing.status})`);
+        return fallback;
+      }
+
+      const files = platformMatrices.downloadEntries(rnaSeqCounts.parseListing(await listing.text(), listingUrl));
+      return files.length > 0 ? files : fallback;
+    } catch (error) {
+      console.error(`Could not list ${listingUrl}: ${error.message}`);
+      return fallback;
+    }
+  }
+
+  /**
+   * Download GEO dataset files: a series (GSE), a curated dataset (GDS) together
+   * with its reference series, a platform (GPL) or a single sample (GSM)
    */
   async downloadDataset(geoId) {
+    const accession = geoAccession.parse(geoId);
+    if (!accession) {
+      throw new Error(`${geoId} is not a GEO accession (GSE, GSM, GPL or GDS)`);
+    }
+
     const datasetDir = path.join(this.dataDir, geoId);
 
     try {
       // Create dataset directory
       await fs.mkdir(datasetDir, { recursive: true });
 
-      // GEO FTP URLs
-      const seriesPath = geoId.slice(0, -3) + 'nnn';
-      const ftpBase = `https://ftp.ncbi.nlm.nih.gov/geo/series/${seriesPath}/${geoId}`;
-
-      // Files to download
-      const filesToDownload = [
-        {
-          name: 'series_matrix.txt.gz',
-          url: `${ftpBase}/matrix/${geoId}_series_matrix.txt.gz`,
-          type: 'metadata'
-        },
-        {
-          name: 'family.soft.gz',
-          url: `${ftpBase}/soft/${geoId}_family.soft.gz`,
-          type: 'metadata'
-        }
-      ];
-
       const downloadedFiles = [];
       const errors = [];
-      const totalFiles = filesToDownload.length;
+      const files = await this.filesFor(accession);
+      let totalFiles = files.length;
+
+      await this.downloadFiles(geoId, datasetDir, files, downloadedFiles, errors);
+      totalFiles += await this.downloadMINiMLFallback(geoId, accession, datasetDir, downloadedFiles, errors, totalFiles);
+
+      // A curated dataset is analyzed through the series it was built from
+      let series = accession.type === 'GSE' ? accession : null;
+      if (accession.type === 'GDS') {
+        const gdsSoft = downloadedFiles.find(f => f.name === 'dataset.soft.gz' && f.decompressed);
+        const seriesId = gdsSoft && await this.readSOFTHeader(gdsSoft.decompressed, 'dataset_reference_series');
+        series = geoAccession.parse(seriesId);
+        if (series) {
+          const seriesFiles = await this.filesFor(series);
+          totalFiles += seriesFiles.length;
+          await this.downloadFiles(geoId, datasetDir, seriesFiles, downloadedFiles, errors, totalFiles - seriesFiles.length);
+          totalFiles += await this.downloadMINiMLFallback(geoId, series, datasetDir, downloadedFiles, errors, totalFiles);
+        } else {
+          errors.push('reference series: not found in the DataSet SOFT file');
+        }
+      }
 
-      // Download each file
-      for (let i = 0; i < filesToDownload.length; i++) {
-        const file = filesToDownload[i];
+      // RNA-seq series usually have an empty series matrix and their counts in suppl/
+      const matrixFiles = downloadedFiles.filter(f => path.basename(f.name) === SERIES_MATRIX_FILE && f.decompressed);
+      let hasMatrixData = false;
+      for (const matrixFile of matrixFiles) {
+        hasMatrixData = hasMatrixData || await this.seriesMatrixHasData(matrixFile.decompressed);
+      }
+      if (series && !hasMatrixData) {
         try {
-          console.log(`Downloading ${file.name} for ${geoId}...`);
-          const filePath = path.join(datasetDir, file.name);
-
-          // Emit download start
           this.emitProgress(geoId, {
             stage: 'downloading',
-            fileName: file.name,
-            fileIndex: i + 1,
-            totalFiles,
-            percent: 0
+            fileName: 'supplementary files',
+            totalFiles
           });
 
-          const response = await fetch(file.url);
-
-          if (response.ok) {
-            const contentLength = response.headers.get('content-length');
-            const total = parseInt(contentLength, 10);
-
-            // Stream download with progress tracking
-            const reader = response.body.getReader();
-            const chunks = [];
-            let receivedLength = 0;
-
-            while (true) {
-              const { done, value } = await reader.read();
-              if (done) break;
-
-              chunks.push(value);
-              receivedLength += value.length;
-
-              // Emit progress
-              if (total) {
-                const percent = Math.round((receivedLength / total) * 100);
-                this.emitProgress(geoId, {
-                  stage: 'downloading',
-                  fileName: file.name,
-                  fileIndex: i + 1,
-                  totalFiles,
-                  percent,
-                  receivedBytes: receivedLength,
-                  totalBytes: total
-                });
-              }
-            }
-
-            const arrayBuffer = new Uint8Array(receivedLength);
-            let position = 0;
-            for (const chunk of chunks) {
-              arrayBuffer.set(chunk, position);
-              position += chunk.length;
-            }
+          const tables = await this.downloadSupplementaryTables(geoAccession.ftpUrl(series.accession), datasetDir);
+          downloadedFiles.push(...tables);
+          if (tables.length === 0) {
+            errors.push('supplementary files: no expression table found');
+          }
+        } catch (error) {
+          errors.push(`supplementary files: ${error.message}`);
+        }
+      }
 
-            await fs.writeFile(filePath, arrayBuffer);
-
-            const fileInfo = {
-              name: file.name,
-              path: filePath,
-              size: arrayBuffer.byteLength,
-              sizeKB: (arrayBuffer.byteLength / 1024).toFixed(2),
-              type: file.type
-            };
-
-            console.log(`✓ Downloaded ${file.name} (${fileInfo.sizeKB} KB)`);
-
-            // Immediately decompress .gz files
-            if (file.name.endsWith('.gz')) {
-              try {
-                console.log(`Decompressing ${file.name}...`);
-                this.emitProgress(geoId, {
-                  stage: 'decompressing',
-                  fileName: file.name,
-                  fileIndex: i + 1,
-                  totalFiles
-                });
-
-                const decompressedPath = await this.decompressFile(filePath);
-                const decompressedStats = await fs.stat(decompressedPath);
-                fileInfo.decompressed = decompressedPath;
-                fileInfo.decompressedSize = decompressedStats.size;
-                fileInfo.decompressedSizeKB = (decompressedStats.size / 1024).toFixed(2);
-                console.log(`✓ Decompressed to ${path.basename(decompressedPath)} (${fileInfo.decompressedSizeKB} KB)`);
-              } catch (decompressError) {
-                console.error(`Warning: Could not decompress ${file.name}:`, decompressError.message);
-                fileInfo.decompressError = decompressError.message;
-              }
-            }
+      // Probe -> gene annotation for the platform(s) in the family SOFT file (or the platform itself)
+      const softFile = downloadedFiles.find(f => (f.name === 'family.soft.gz' && f.decompressed) || f.name === 'platform.soft' ||
+        f.name === MINIML_FILES.GSE.name || f.name === MINIML_FILES.GPL.name);
+      if (softFile) {
+        try {
+          this.emitProgress(geoId, {
+            stage: 'annotating',
+            fileName: softFile.name,
+            totalFiles
+          });
 
-            downloadedFiles.push(fileInfo);
-          } else {
-            errors.push(`${file.name}: HTTP ${response.status}`);
-          }
+          const annotation = await this.downloadPlatformAnnotation(datasetDir, softFile.decompressed || softFile.path);
+          console.error(`✓ Annotated ${annotation.probeCount} probes for ${annotation.platformIds.join(', ')}`);
         } catch (error) {
-          errors.push(`${file.name}: ${error.message}`);
+          errors.push(`platform annotation: ${error.message}`);
         }
       }
 
@@ -188,8 +229,19 @@ class DataDownloader {
         errors: errors.length
       });
 
+      const platforms = downloadedFiles.filter(f => f.platform).map(f => f.platform);
+
+      // A SuperSeries lists its SubSeries in the series section of its family SOFT (or MINiML)
+      const familyFile = accession.type === 'GSE' && downloadedFiles.find(f => (f.name === 'family.soft.gz' && f.decompressed) || f.name === MINIML_FILES.GSE.name);
+      const relations = geoAccession.seriesRelations(familyFile ? await this.readSeriesRelations(familyFile.decompressed || familyFile.path) : []);
+
       return {
         success: downloadedFiles.length > 0,
+        accessionType: accession.type,
+        referenceSeries: accession.type === 'GDS' ? series?.accession || null : undefined,
+        platforms: platforms.length > 0 ? platforms : undefined,
+        subSeries: relations.subSeries.length > 0 ? relations.subSeries : undefined,
+        superSeries: relations.superSeries.length > 0 ? relations.superSeries : undefined,
         datasetDir,
         files: downloadedFiles,
         errors: errors.length > 0 ? errors : null
@@ -200,6 +252,448 @@ class DataDownloader {
     }
   }
 
+  /**
+   * Download files into datasetDir with progress events, decompressing .gz files;
+   * results go to downloadedFiles, failures to errors
+   */
+  async downloadFiles(geoId, datasetDir, files, downloadedFiles, errors, offset = 0) {
+    const totalFiles = offset + files.length;
+
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+      const fileIndex = offset + i + 1;
+      try {
+        console.error(`Downloading ${file.name} for ${geoId}...`);
+        const filePath = path.join(datasetDir, file.name);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+        // Emit download start
+        this.emitProgress(geoId, {
+          stage: 'downloading',
+          fileName: file.name,
+          fileIndex,
+          totalFiles,
+          percent: 0
+        });
+
+        const response = await fetch(file.url);
+
+        if (response.ok) {
+          const contentLength = response.headers.get('content-length');
+          const total = parseInt(contentLength, 10);
+
+          // Stream download with progress tracking
+          const reader = response.body.getReader();
+          const chunks = [];
+          let receivedLength = 0;
+
+          while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            chunks.push(value);
+            receivedLength += value.length;
+
+            // Emit progress
+            if (total) {
+              const percent = Math.round((receivedLength / total) * 100);
+              this.emitProgress(geoId, {
+                stage: 'downloading',
+                fileName: file.name,
+                fileIndex,
+                totalFiles,
+                percent,
+                receivedBytes: receivedLength,
+                totalBytes: total
+              });
+            }
+          }
+
+          const arrayBuffer = new Uint8Array(receivedLength);
+          let position = 0;
+          for (const chunk of chunks) {
+            arrayBuffer.set(chunk, position);
+            position += chunk.length;
+          }
+
+          await fs.writeFile(filePath, arrayBuffer);
+
+          const fileInfo = {
+            name: file.name,
+            path: filePath,
+            size: arrayBuffer.byteLength,
+            sizeKB: (arrayBuffer.byteLength / 1024).toFixed(2),
+            type: file.type
+          };
+          if (file.platform) {
+            fileInfo.platform = file.platform;
+          }
+
+          console.error(`✓ Downloaded ${file.name} (${fileInfo.sizeKB} KB)`);
+
+          // Immediately decompress .gz files
+          if (file.name.endsWith('.gz')) {
+            try {
+              console.error(`Decompressing ${file.name}...`);
+              this.emitProgress(geoId, {
+                stage: 'decompressing',
+                fileName: file.name,
+                fileIndex,
+                totalFiles
+              });
+
+              const decompressedPath = await this.decompressFile(filePath);
+              const decompressedStats = await fs.stat(decompressedPath);
+              fileInfo.decompressed = decompressedPath;
+              fileInfo.decompressedSize = decompressedStats.size;
+              fileInfo.decompressedSizeKB = (decompressedStats.size / 1024).toFixed(2);
+              console.error(`✓ Decompressed to ${path.basename(decompressedPath)} (${fileInfo.decompressedSizeKB} KB)`);
+            } catch (decompressError) {
+              console.error(`Warning: Could not decompress ${file.name}:`, decompressError.message);
+              fileInfo.decompressError = decompressError.message;
+            }
+          }
+
+          downloadedFiles.push(fileInfo);
+        } else {
+          errors.push(`${file.name}: HTTP ${response.status}`);
+        }
+      } catch (error) {
+        errors.push(`${file.name}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Fetch the MINiML record of a series, platform or sample when its SOFT file
+   * failed to download or is not SOFT (GEO may answer with an HTML page); a
+   * malformed SOFT file is removed so the MINiML one is used instead.
+   * Returns the number of files fetched.
+   */
+  async downloadMINiMLFallback(geoId, accession, datasetDir, downloadedFiles, errors, offset) {
+    const miniml = MINIML_FILES[accession.type];
+    if (!miniml) return 0;
+
+    const soft = downloadedFiles.find(f => f.name === miniml.soft);
+    if (soft) {
+      if (await this.isSOFTFile(soft.decompressed || soft.path)) return 0;
+
+      console.error(`${soft.name} for ${geoId} is not a SOFT file, falling back to MINiML`);
+      errors.push(`${soft.name}: not a SOFT file, using MINiML instead`);
+      downloadedFiles.splice(downloadedFiles.indexOf(soft), 1);
+      await Promise.all([soft.path, soft.decompressed].filter(Boolean).map(file => fs.rm(file, { force: true })));
+    }
+
+    const file = {
+      name: miniml.name,
+      url: geoAccession.minimlUrl(accession.accession, miniml.targ, miniml.view),
+      type: 'metadata'
+    };
+    const before = downloadedFiles.length;
+    await this.downloadFiles(geoId, datasetDir, [file], downloadedFiles, errors, offset);
+
+    const downloaded = downloadedFiles[before];
+    if (downloaded && !(await dataParser.parseMINiMLFile(downloaded.path))) {
+      errors.push(`${miniml.name}: not a MINiML document`);
+      downloadedFiles.splice(before, 1);
+      await fs.rm(downloaded.path, { force: true });
+    }
+    return 1;
+  }
+
+  /**
+   * Whether a file starts like a SOFT file ("^DATABASE", "^SERIES = ...")
+   */
+  async isSOFTFile(filePath) {
+    const rl = createInterface({ input: createReadStream(filePath), crlfDelay: Infinity });
+
+    try {
+      for await (const line of rl) {
+        if (line.trim()) return line.startsWith('^');
+      }
+      return false;
+    } catch {
+      return false;
+    } finally {
+      rl.close();
+    }
+  }
+
+  /**
+   * "!Series_relation" values of a family SOFT or MINiML file
+   */
+  async readSeriesRelations(filePath) {
+    if (filePath.endsWith('.xml')) {
+      return (await dataParser.parseMINiMLFile(filePath))?.series.relations || [];
+    }
+    return this.readSOFTValues(filePath, 'SERIES', 'Series_relation');
+  }
+
+  /**
+   * Family SOFT or MINiML file of a downloaded series, or null
+   */
+  async familyMetadataPath(datasetDir) {
+    for (const name of ['family.soft', MINIML_FILES.GSE.name]) {
+      const filePath = path.join(datasetDir, name);
+      if (await fs.access(filePath).then(() => true).catch(() => false)) {
+        return filePath;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Value of a "!key = value" header line of a SOFT file (read until the first table)
+   */
+  async readSOFTHeader(softPath, key) {
+    const rl = createInterface({ input: createReadStream(softPath), crlfDelay: Infinity });
+    const prefix = `!${key}`.toLowerCase();
+
+    try {
+      for await (const line of rl) {
+        if (line.toLowerCase().startsWith(prefix)) {
+          return line.slice(line.indexOf('=') + 1).trim();
+        }
+        if (/_table_begin/.test(line)) break;
+      }
+      return null;
+    } finally {
+      rl.close();
+    }
+  }
+
+  /**
+   * Values of a repeated "!key = value" line in the first "^SECTION" block of a SOFT file
+   */
+  async readSOFTValues(softPath, section, key) {
+    const rl = createInterface({ input: createReadStream(softPath), crlfDelay: Infinity });
+    const prefix = `!${key}`.toLowerCase();
+    const values = [];
+    let inSection = false;
+
+    try {
+      for await (const line of rl) {
+        if (line.startsWith('^')) {
+          if (inSection) break;
+          inSection = line.toUpperCase().startsWith(`^${section.toUpperCase()}`);
+        } else if (inSection && line.toLowerCase().startsWith(prefix)) {
+          values.push(line.slice(line.indexOf('=') + 1).trim());
+        }
+      }
+      return values;
+    } finally {
+      rl.close();
+    }
+  }
+
+  /**
+   * Download every SubSeries of a SuperSeries as its own dataset (already
+   * downloaded ones are reused) and record them in the SuperSeries directory,
+   * so the SuperSeries is analyzed as one dataset combining their samples.
+   * Progress of each SubSeries is reported under the SuperSeries.
+   */
+  async downloadSubSeries(superSeriesId) {
+    const accession = geoAccession.parse(superSeriesId);
+    if (accession?.type !== 'GSE') {
+      throw new Error(`${superSeriesId} is not a series (GSE)`);
+    }
+
+    const datasetDir = path.join(this.dataDir, accession.accession);
+    let familyPath = await this.familyMetadataPath(datasetDir);
+    if (!familyPath) {
+      await this.downloadDataset(accession.accession);
+      familyPath = await this.familyMetadataPath(datasetDir);
+    }
+
+    const { subSeries } = geoAccession.seriesRelations(familyPath ? await this.readSeriesRelations(familyPath) : []);
+    if (subSeries.length === 0) {
+      throw new Error(`${accession.accession} is not a SuperSeries (its SOFT file lists no SubSeries)`);
+    }
+
+    const results = [];
+    for (let i = 0; i < subSeries.length; i++) {
+      const id = subSeries[i];
+      this.emitProgress(accession.accession, {
+        stage: 'downloading',
+        fileName: `SubSeries ${id}`,
+        fileIndex: i + 1,
+        totalFiles: subSeries.length
+      });
+
+      if (await this.isDownloaded(id)) {
+        results.push({ id, success: true, cached: true });
+        continue;
+      }
+
+      if (this.progressCallbacks.has(accession.accession)) {
+        this.onProgress(id, progress => this.emitProgress(accession.accession, { ...progress, subSeries: id }));
+      }
+      try {
+        const result = await this.downloadDataset(id);
+        results.push({ id, success: result.success, files: result.files.length, errors: result.errors });
+      } catch (error) {
+        results.push({ id, success: false, errors: [error.message] });
+      } finally {
+        this.removeProgressCallback(id);
+      }
+    }
+
+    const downloaded = results.filter(r => r.success).map(r => r.id);
+    await fs.writeFile(path.join(datasetDir, SUBSERIES_FILE), JSON.stringify({
+      superSeries: accession.accession,
+      subSeries,
+      downloaded
+    }, null, 2));
+
+    this.emitProgress(accession.accession, {
+      stage: 'complete',
+      totalFiles: subSeries.length,
+      downloadedFiles: downloaded.length,
+      errors: results.length - downloaded.length
+    });
+
+    return { superSeries: accession.accession, subSeries: results, downloaded };
+  }
+
+  /**
+   * SubSeries recorded for a SuperSeries by downloadSubSeries, or null
+   */
+  async readSubSeries(datasetDir) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(datasetDir, SUBSERIES_FILE), 'utf-8'));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a series matrix has at least one data row in its table
+   */
+  async seriesMatrixHasData(matrixPath) {
+    const rl = createInterface({ input: createReadStream(matrixPath), crlfDelay: Infinity });
+    let inTable = false;
+
+    try {
+      for await (const line of rl) {
+        if (line.startsWith('!series_matrix_table_begin')) {
+          inTable = true;
+        } else if (line.startsWith('!series_matrix_table_end')) {
+          return false;
+        } else if (inTable && line.trim() && !line.startsWith('"ID_REF"') && !line.startsWith('ID_REF')) {
+          return true;
+        }
+      }
+      return false;
+    } finally {
+      rl.close();
+    }
+  }
+
+  /**
+   * List the series suppl/ directory and download the most likely expression
+   * table (raw counts preferred) into <datasetDir>/suppl. Tables over the size
+   * limit are refused, before the transfer when the server sends their length.
+   */
+  async downloadSupplementaryTables(ftpBase, datasetDir) {
+    const listingUrl = `${ftpBase}/suppl/`;
+    const listing = await fetch(listingUrl);
+    if (!listing.ok) {
+      throw new Error(`HTTP ${listing.status} listing ${listingUrl}`);
+    }
+
+    const available = rnaSeqCounts.parseListing(await listing.text(), listingUrl);
+    const [best] = rnaSeqCounts.rankTables(available.map(f => f.name));
+    if (!best) return [];
+
+    const file = available.find(f => f.name === best);
+    console.error(`Downloading supplementary table ${file.name}...`);
+    const response = await fetch(file.url);
+    if (!response.ok) {
+      throw new Error(`${file.name}: HTTP ${response.status}`);
+    }
+
+    const maxMB = Number(process.env.GEO_MAX_SUPPLEMENTARY_MB) || DEFAULT_MAX_SUPPLEMENTARY_MB;
+    const tooLarge = (size) => new Error(
+      `${file.name}${size ? ` (${(size / (1024 * 1024)).toFixed(0)} MB)` : ''} is over the ${maxMB} MB limit ` +
+      'for supplementary tables; set GEO_MAX_SUPPLEMENTARY_MB to download it'
+    );
+    const contentLength = Number(response.headers.get('content-length'));
+    if (contentLength > maxMB * 1024 * 1024) {
+      await response.body?.cancel();
+      throw tooLarge(contentLength);
+    }
+
+    const supplDir = path.join(datasetDir, SUPPLEMENTARY_DIR);
+    await fs.mkdir(supplDir, { recursive: true });
+    const filePath = path.join(supplDir, file.name);
+
+    // Without a length header, stop once the limit is passed
+    let received = 0;
+    const limit = async function* (source) {
+      for await (const chunk of source) {
+        received += chunk.length;
+        if (received > maxMB * 1024 * 1024) throw tooLarge(null);
+        yield chunk;
+      }
+    };
+    try {
+      await pipeline(Readable.fromWeb(response.body), limit, createWriteStream(filePath));
+    } catch (error) {
+      await fs.rm(filePath, { force: true });
+      throw error;
+    }
+
+    const stats = await fs.stat(filePath);
+    const fileInfo = {
+      name: path.join(SUPPLEMENTARY_DIR, file.name),
+      path: filePath,
+      size: stats.size,
+      sizeKB: (stats.size / 1024).toFixed(2),
+      type: 'expression'
+    };
+    if (file.name.endsWith('.gz')) {
+      fileInfo.decompressed = await this.decompressFile(filePath);
+    }
+
+    console.error(`✓ Downloaded ${file.name} (${fileInfo.sizeKB} KB)`);
+    return [fileInfo];
+  }
+
+  /**
+   * Build the probe -> gene map for a dataset.
+   * Uses the platform table embedded in the family SOFT file and falls back
+   * to the GPL .annot file for platforms whose table has no gene columns.
+   */
+  async downloadPlatformAnnotation(datasetDir, softPath) {
+    const platforms = await platformAnnotator.parseTables(softPath, 'soft');
+
+    for (const platformId of platformAnnotator.unannotatedPlatforms(platforms)) {
+      const annotUrl = `${geoAccession.ftpUrl(platformId)}/annot/${platformId}.annot.gz`;
+
+      try {
+        console.error(`Downloading ${platformId}.annot.gz...`);
+        const response = await fetch(annotUrl);
+        if (!response.ok) {
+          console.error(`No annotation file for ${platformId} (HTTP ${response.status})`);
+          continue;
+        }
+
+        const annotPath = path.join(datasetDir, `${platformId}.annot.gz`);
+        await fs.writeFile(annotPath, Buffer.from(await response.arrayBuffer()));
+        const decompressedPath = await this.decompressFile(annotPath);
+
+        const annotTables = await platformAnnotator.parseTables(decompressedPath, 'annot', platformId);
+        if (annotTables[platformId]) {
+          platforms[platformId] = annotTables[platformId];
+        }
+      } catch (error) {
+        console.error(`Warning: Could not fetch annotation for ${platformId}:`, error.message);
+      }
+    }
+
+    return platformAnnotator.save(datasetDir, new ProbeAnnotation(platforms));
+  }
+
   /**
    * Parse SOFT file format
    */
@@ -265,6 +759,9 @@ class DataDownloader {
         const filePath = path.join(datasetDir, file);
         const stats = await fs.stat(filePath);
 
+        // Skip derived directories such as the parsed matrix store
+        if (!stats.isFile()) continue;
+
         fileStats.push({
           name: file,
           size: stats.size,
@@ -279,7 +776,7 @@ class DataDownloader {
         datasetDir,
         files: fileStats,
         totalSize: fileStats.reduce((sum, f) => sum + f.size, 0),
-        fileCount: files.length
+        fileCount: fileStats.length
       };
     } catch (error) {
       return {
@@ -317,16 +814,44 @@ class DataDownloader {
           file: file.name,
           size: file.sizeMB + ' MB'
         });
-      } else if (file.name.includes('soft')) {
+      } else if (file.name === ANNOTATION_FILE || file.name.endsWith('.annot')) {
+        summary.availableData.push({
+          type: 'Platform Annotation',
+          description: 'Probe to gene symbol / Entrez ID mapping',
+          file: file.name,
+          size: file.sizeMB + ' MB'
+        });
+      } else if (file.name.includes('soft') || file.name.endsWith('.xml')) {
         summary.availableData.push({
           type: 'Metadata',
-          description: 'Sample and platform information',
+          description: file.name.endsWith('.xml') ? 'Sample and platform information (MINiML)' : 'Sample and platform information',
           file: file.name,
           size: file.sizeMB + ' MB'
         });
       }
     }
 
+    // One series matrix per platform for series run on several platforms
+    for (const matrix of await platformMatrices.list(analysis.datasetDir)) {
+      summary.availableData.push({
+        type: 'Expression Matrix',
+        description: `Sample expression data on ${matrix.platform}`,
+        file: path.relative(analysis.datasetDir, matrix.file),
+        platform: matrix.platform
+      });
+    }
+
+    // Expression tables from the series supplementary files (RNA-seq counts)
+    const tables = await fs.readdir(path.join(analysis.datasetDir, SUPPLEMENTARY_DIR)).catch(() => []);
+    for (const name of rnaSeqCounts.rankTables(tables)) {
+      if (tables.includes(name.replace(/\.gz$/, '')) && name.endsWith('.gz')) continue;
+      summary.availableData.push({
+        type: 'Expression Table',
+        description: 'Supplementary gene x sample table (e.g. RNA-seq counts)',
+        file: path.join(SUPPLEMENTARY_DIR, name)
+      });
+    }
+
     return summary;
   }
 
@@ -344,6 +869,26 @@ class DataDownloader {
     }
   }
 
+  /**
+   * IDs of the datasets present in the data directory
+   */
+  async listDownloaded() {
+    try {
+      const entries = await fs.readdir(this.dataDir, { withFileTypes: true });
+      const ids = entries
+        .filter(entry => entry.isDirectory() && /^G(SE|DS)\d+$/i.test(entry.name))
+        .map(entry => entry.name);
+
+      const downloaded = [];
+      for (const id of ids) {
+        if (await this.isDownloaded(id)) downloaded.push(id);
+      }
+      return downloaded.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    } catch {
+      return [];
+    }
+  }
+
   /**
    * Delete downloaded dataset
    */
@@ -367,7 +912,7 @@ class DataDownloader {
       // Check if already decompressed
       const exists = await fs.access(outputPath).then(() => true).catch(() => false);
       if (exists) {
-        console.log(`File already decompressed: ${outputPath}`);
+        console.error(`File already decompressed: ${outputPath}`);
         return outputPath;
       }
 
@@ -8,6 +8,11 @@ import { createGunzip } from 'zlib';
 import { pipeline } from 'stream/promises';
 import path from 'path';
 import { createInterface } from 'readline';
+import { MatrixStore, MatrixStoreWriter, storeValue } from './matrix-store.js';
+import { minimlParser } from './miniml-parser.js';
+
+// Row IDs containing an unmatched gene name that are offered instead
+const MAX_SUGGESTIONS = 10;
 
 class DataParser {
   /**
@@ -20,7 +25,7 @@ class DataParser {
       // Check if already decompressed
       const exists = await fs.access(outputPath).then(() => true).catch(() => false);
       if (exists) {
-        console.log(`File already decompressed: ${outputPath}`);
+        console.error(`File already decompressed: ${outputPath}`);
         return outputPath;
       }
 
@@ -31,7 +36,7 @@ class DataParser {
         createWriteStream(outputPath)
       );
 
-      console.log(`Decompressed: ${path.basename(outputPath)}`);
+      console.error(`Decompressed: ${path.basename(outputPath)}`);
       return outputPath;
     } catch (error) {
       console.error(`Error decompressing ${gzFilePath}:`, error);
@@ -44,68 +49,107 @@ class DataParser {
    */
   async parseSOFTFile(filePath) {
     try {
-      const content = await fs.readFile(filePath, 'utf-8');
-      const lines = content.split('\n');
-
-      const data = {
-        platform: {},
-        samples: [],
-        series: {},
-        raw: []
-      };
+      return this.parseSOFTText(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      console.error(`Error parsing SOFT file:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Parse MINiML (XML) file format into the same structure as parseSOFTFile,
+   * with series contributors and per-channel sample characteristics
+   */
+  async parseMINiMLFile(filePath) {
+    try {
+      return await minimlParser.parse(filePath);
+    } catch (error) {
+      console.error(`Error parsing MINiML file:`, error);
+      return null;
+    }
+  }
 
-      let currentSection = null;
-      let currentSample = null;
-
-      for (const line of lines) {
-        if (line.startsWith('^PLATFORM')) {
-          currentSection = 'platform';
-          data.platform.id = line.split('=')[1]?.trim();
-        } else if (line.startsWith('^SAMPLE')) {
-          currentSection = 'sample';
-          currentSample = { id: line.split('=')[1]?.trim(), characteristics: {} };
-          data.samples.push(currentSample);
-        } else if (line.startsWith('^SERIES')) {
-          currentSection = 'series';
-          data.series.id = line.split('=')[1]?.trim();
-        } else if (line.startsWith('!')) {
-          const [key, ...valueParts] = line.substring(1).split('=');
-          const value = valueParts.join('=').trim();
-
-          if (currentSection === 'platform') {
-            data.platform[key.trim()] = value;
-          } else if (currentSection === 'sample' && currentSample) {
-            if (key.includes('characteristics')) {
-              const charMatch = value.match(/(.+?):\s*(.+)/);
-              if (charMatch) {
-                currentSample.characteristics[charMatch[1]] = charMatch[2];
-              }
-            } else {
-              currentSample[key.trim()] = value;
+  /**
+   * Parse a SOFT or MINiML (.xml) metadata file
+   */
+  async parseMetadataFile(filePath) {
+    return filePath.endsWith('.xml') ? this.parseMINiMLFile(filePath) : this.parseSOFTFile(filePath);
+  }
+
+  /**
+   * Parse SOFT text (a family file or a single record from the GEO web server)
+   */
+  parseSOFTText(content) {
+    const lines = content.split('\n');
+
+    const data = {
+      platform: {},
+      samples: [],
+      series: {},
+      raw: []
+    };
+
+    let currentSection = null;
+    let currentSample = null;
+
+    for (const line of lines) {
+      if (line.startsWith('^PLATFORM')) {
+        currentSection = 'platform';
+        data.platform.id = line.split('=')[1]?.trim();
+      } else if (line.startsWith('^SAMPLE')) {
+        currentSection = 'sample';
+        currentSample = { id: line.split('=')[1]?.trim(), characteristics: {} };
+        data.samples.push(currentSample);
+      } else if (line.startsWith('^SERIES')) {
+        currentSection = 'series';
+        data.series.id = line.split('=')[1]?.trim();
+      } else if (line.startsWith('!')) {
+        const [key, ...valueParts] = line.substring(1).split('=');
+        const value = valueParts.join('=').trim();
+
+        if (currentSection === 'platform') {
+          data.platform[key.trim()] = value;
+        } else if (currentSection === 'sample' && currentSample) {
+          if (key.includes('characteristics')) {
+            const charMatch = value.match(/(.+?):\s*(.+)/);
+            if (charMatch) {
+              currentSample.characteristics[charMatch[1]] = charMatch[2];
             }
-          } else if (currentSection === 'series') {
-            data.series[key.trim()] = value;
+          } else {
+            currentSample[key.trim()] = value;
+          }
+        } else if (currentSection === 'series') {
+          data.series[key.trim()] = value;
+          // Repeated: SuperSeries/SubSeries links, BioProject, SRA
+          if (key.trim() === 'Series_relation') {
+            data.series.relations = [...(data.series.relations || []), value];
           }
-        }
-
-        // Keep first 100 lines as raw sample
-        if (data.raw.length < 100) {
-          data.raw.push(line);
         }
       }
 
-      return data;
-    } catch (error) {
-      console.error(`Error parsing SOFT file:`, error);
-      return null;
+      // Keep first 100 lines as raw sample
+      if (data.raw.length < 100) {
+        data.raw.push(line);
+      }
     }
+
+    return data;
   }
 
   /**
    * Parse series matrix file
+   * The full expression table is streamed into an on-disk matrix store
+   * (see matrix-store.js); metadata and sample names are returned directly.
    */
-  async parseSeriesMatrix(filePath) {
+  async parseSeriesMatrix(filePath, storeDir = path.join(path.dirname(filePath), 'matrix-store')) {
     try {
+      // Reuse an existing store built from this exact file
+      const freshMeta = await MatrixStore.readFreshMeta(storeDir, filePath);
+      if (freshMeta) {
+        const store = await MatrixStore.open(storeDir);
+        return this.buildMatrixResult(freshMeta.metadata, store);
+      }
+
       const fileStream = createReadStream(filePath);
       const rl = createInterface({
         input: fileStream,
@@ -113,10 +157,7 @@ class DataParser {
       });
 
       const metadata = {};
-      const samples = [];
-      let expressionData = [];
-      let headerLine = null;
-      let inDataSection = false;
+      let writer = null;
 
       for await (const line of rl) {
         if (line.startsWith('!')) {
@@ -128,71 +169,79 @@ class DataParser {
             metadata[category][key] = value.split('\t');
           }
         } else if (line.startsWith('"ID_REF"')) {
-          // Header line
-          headerLine = line.split('\t').map(s => s.replace(/"/g, ''));
-          inDataSection = true;
-        } else if (inDataSection && line.trim()) {
+          // Header line - sample names follow ID_REF
+          const headerLine = line.split('\t').map(s => s.replace(/"/g, ''));
+          writer = new MatrixStoreWriter(storeDir, headerLine.slice(1));
+          await writer.open();
+        } else if (writer && line.trim()) {
           // Expression data
           const values = line.split('\t').map(s => s.replace(/"/g, ''));
-
-          // Only store first 1000 rows to save memory
-          if (expressionData.length < 1000) {
-            expressionData.push(values);
-          }
+          await writer.appendRow(values[0], values.slice(1));
         }
       }
 
-      // Extract sample names
-      if (headerLine) {
-        for (let i = 1; i < headerLine.length; i++) {
-          samples.push(headerLine[i]);
-        }
+      if (!writer) {
+        return this.buildMatrixResult(metadata, null);
       }
 
-      return {
+      const stats = await fs.stat(filePath);
+      const store = await writer.finish({
         metadata,
-        samples,
-        sampleCount: samples.length,
-        geneCount: expressionData.length,
-        expressionData: expressionData.slice(0, 100), // First 100 genes for preview
-        hasMoreData: expressionData.length === 1000
-      };
+        source: {
+          file: path.basename(filePath),
+          size: stats.size,
+          mtimeMs: stats.mtimeMs
+        }
+      });
+
+      console.error(`Stored ${store.probeCount} probes x ${store.sampleCount} samples in ${storeDir}`);
+      return this.buildMatrixResult(metadata, store);
     } catch (error) {
       console.error(`Error parsing series matrix:`, error);
       return null;
     }
   }
 
+  buildMatrixResult(metadata, store) {
+    return {
+      metadata,
+      samples: store ? store.samples : [],
+      sampleCount: store ? store.sampleCount : 0,
+      geneCount: store ? store.probeCount : 0,
+      store
+    };
+  }
+
   /**
    * Get sample statistics
    */
-  async getSampleStatistics(expressionData, samples) {
-    if (!expressionData || expressionData.length === 0) {
+  async getSampleStatistics(store) {
+    if (!store || store.probeCount === 0) {
       return null;
     }
 
     const stats = {
-      sampleCount: samples.length,
-      geneCount: expressionData.length,
+      sampleCount: store.sampleCount,
+      geneCount: store.probeCount,
       samples: []
     };
 
-    // Calculate statistics for each sample
-    for (let i = 1; i < samples.length + 1 && i < expressionData[0].length; i++) {
-      const values = expressionData
-        .map(row => parseFloat(row[i]))
-        .filter(v => !isNaN(v) && isFinite(v));
+    // Calculate statistics for each sample, one column at a time
+    for (let i = 0; i < store.sampleCount; i++) {
+      const column = await store.getColumn(i);
+      const values = column.filter(v => !isNaN(v));
 
       if (values.length > 0) {
-        const sorted = values.slice().sort((a, b) => a - b);
-        const sum = values.reduce((a, b) => a + b, 0);
-        const mean = sum / values.length;
+        const sorted = values.sort();
+        let sum = 0;
+        for (const v of sorted) sum += v;
+        const mean = sum / sorted.length;
         const median = sorted[Math.floor(sorted.length / 2)];
-        const min = Math.min(...values);
-        const max = Math.max(...values);
+        const min = sorted[0];
+        const max = sorted[sorted.length - 1];
 
         stats.samples.push({
-          name: samples[i - 1],
+          name: store.samples[i],
           valueCount: values.length,
           mean: mean.toFixed(2),
           median: median.toFixed(2),
@@ -208,30 +257,73 @@ class DataParser {
 
   /**
    * Query gene expression
+   * With a platform annotation, gene symbols and Entrez IDs resolve to every
+   * probe mapped to that gene. Otherwise (or if nothing is annotated) exact
+   * row ID matches win (case-sensitive, then case-insensitive), then the
+   * first row whose ID contains the query.
    */
-  async queryGeneExpression(expressionData, geneName) {
-    if (!expressionData || expressionData.length === 0) {
+  async queryGeneExpression(store, geneName, annotation = null) {
+    if (!store || store.probeCount === 0) {
       return null;
     }
 
-    const geneNameUpper = geneName.toUpperCase();
-
-    // Find gene in data
-    for (const row of expressionData) {
-      const geneId = row[0].toUpperCase();
-      if (geneId.includes(geneNameUpper) || geneNameUpper.includes(geneId)) {
-        return {
-          found: true,
-          geneId: row[0],
-          values: row.slice(1).map(v => parseFloat(v)),
-          rawData: row
-        };
+    let rowIndices = [];
+    let matchedBy = 'symbol';
+
+    if (annotation) {
+      // Platforms sharing probe IDs (e.g. GPL96 and GPL570) list a probe once per platform
+      rowIndices = [...new Set(annotation.getProbesForGene(geneName))]
+        .map(probeId => store.findProbe(probeId))
+        .filter(idx => idx !== -1);
+    }
+
+    if (rowIndices.length === 0) {
+      matchedBy = 'probe';
+      const geneNameUpper = geneName.toUpperCase();
+      let rowIndex = store.findProbe(geneName);
+
+      if (rowIndex === -1) {
+        rowIndex = store.probes.findIndex(probe => probe.toUpperCase() === geneNameUpper);
       }
+
+      if (rowIndex !== -1) {
+        rowIndices = [rowIndex];
+      }
+    }
+
+    // Only exact matches count; rows merely containing the name are offered as suggestions
+    if (rowIndices.length === 0) {
+      const geneNameUpper = geneName.toUpperCase();
+      const suggestions = geneNameUpper.length < 2 ? [] : store.probes
+        .filter(probe => probe.toUpperCase().includes(geneNameUpper))
+        .slice(0, MAX_SUGGESTIONS);
+
+      return {
+        found: false,
+        searched: geneName,
+        suggestions
+      };
     }
 
+    const rows = await store.getRows(rowIndices);
+    const probes = rowIndices.map((rowIndex, r) => {
+      const probeId = store.probes[rowIndex];
+      const genes = annotation?.getGenesForProbe(probeId);
+      return {
+        probeId,
+        symbols: genes?.symbols || [],
+        entrezIds: genes?.entrezIds || [],
+        values: Array.from(rows[r], storeValue)
+      };
+    });
+
     return {
-      found: false,
-      searched: geneName
+      found: true,
+      searched: geneName,
+      matchedBy,
+      geneId: probes[0].probeId,
+      values: probes[0].values,
+      probes
     };
   }
 
@@ -243,8 +335,7 @@ class DataParser {
 
     const summary = {
       totalSamples: parsedMatrix.sampleCount,
-      totalGenes: parsedMatrix.geneCount,
-      hasMoreData: parsedMatrix.hasMoreData
+      totalGenes: parsedMatrix.geneCount
     };
 
     // Extract key metadata
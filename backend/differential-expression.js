@@ -0,0 +1,170 @@
+/**
+ * Differential Expression - Two-group comparison of expression matrices
+ *
+ * For every row: log fold change (mean A - mean B, values assumed log-scale),
+ * Welch t-test, and a limma-style moderated t-statistic whose variances are
+ * shrunk towards a prior estimated across all rows (empirical Bayes).
+ * P-values are Benjamini-Hochberg adjusted.
+ */
+
+import {
+  digamma,
+  trigamma,
+  trigammaInverse,
+  tTestPValue,
+  benjaminiHochberg
+} from './stats.js';
+
+const MIN_GROUP_SIZE = 2;
+
+class DifferentialExpression {
+  /**
+   * Mean and variance of one row over a set of sample columns, skipping NaN
+   */
+  groupStats(values, rowIndex, probeCount, sampleIndices) {
+    let sum = 0;
+    let n = 0;
+    for (const j of sampleIndices) {
+      const v = values[j * probeCount + rowIndex];
+      if (!isNaN(v)) {
+        sum += v;
+        n++;
+      }
+    }
+    const mean = n > 0 ? sum / n : NaN;
+
+    let ss = 0;
+    for (const j of sampleIndices) {
+      const v = values[j * probeCount + rowIndex];
+      if (!isNaN(v)) ss += (v - mean) * (v - mean);
+    }
+
+    return { n, mean, ss, variance: n > 1 ? ss / (n - 1) : NaN };
+  }
+
+  /**
+   * Estimate the scaled inverse chi-square prior (d0, s0^2) for residual
+   * variances, following limma's fitFDist
+   */
+  fitPrior(variances, dfs) {
+    const e = [];
+    const tri = [];
+    for (let i = 0; i < variances.length; i++) {
+      if (variances[i] > 0 && dfs[i] > 0) {
+        e.push(Math.log(variances[i]) - digamma(dfs[i] / 2) + Math.log(dfs[i] / 2));
+        tri.push(trigamma(dfs[i] / 2));
+      }
+    }
+
+    if (e.length < 2) {
+      return { d0: 0, s0sq: NaN };
+    }
+
+    const emean = e.reduce((a, b) => a + b, 0) / e.length;
+    const evar = e.reduce((a, b) => a + (b - emean) * (b - emean), 0) / (e.length - 1)
+      - tri.reduce((a, b) => a + b, 0) / tri.length;
+
+    if (evar > 0) {
+      const d0 = 2 * trigammaInverse(evar);
+      return { d0, s0sq: Math.exp(emean + digamma(d0 / 2) - Math.log(d0 / 2)) };
+    }
+    return { d0: Infinity, s0sq: Math.exp(emean) };
+  }
+
+  /**
+   * Compare group A against group B for every row of a column-major matrix.
+   * Rows without at least two values per group are reported with NaN statistics.
+   */
+  run(values, probeCount, rowIds, groupA, groupB) {
+    const rows = [];
+    const residualVariances = [];
+    const residualDfs = [];
+
+    for (let i = 0; i < probeCount; i++) {
+      const a = this.groupStats(values, i, probeCount, groupA);
+      const b = this.groupStats(values, i, probeCount, groupB);
+      const testable = a.n >= MIN_GROUP_SIZE && b.n >= MIN_GROUP_SIZE;
+      const df = testable ? a.n + b.n - 2 : 0;
+      const pooled = testable ? (a.ss + b.ss) / df : NaN;
+
+      rows.push({ id: rowIds[i], a, b, testable, df, pooled });
+      residualVariances.push(pooled);
+      residualDfs.push(df);
+    }
+
+    const prior = this.fitPrior(residualVariances, residualDfs);
+    const dfPooledTotal = residualDfs.reduce((sum, df) => sum + df, 0);
+
+    const results = rows.map(row => {
+      const { a, b } = row;
+      const result = {
+        id: row.id,
+        logFC: a.mean - b.mean,
+        meanA: a.mean,
+        meanB: b.mean,
+        sdA: Math.sqrt(a.variance),
+        sdB: Math.sqrt(b.variance),
+        nA: a.n,
+        nB: b.n,
+        welchT: NaN,
+        welchDf: NaN,
+        welchP: NaN,
+        modT: NaN,
+        modDf: NaN,
+        pValue: NaN
+      };
+
+      if (!row.testable) return result;
+
+      // Welch t-test
+      const seA = a.variance / a.n;
+      const seB = b.variance / b.n;
+      const welchSe = Math.sqrt(seA + seB);
+      result.welchT = result.logFC / welchSe;
+      result.welchDf = (seA + seB) ** 2 / (seA ** 2 / (a.n - 1) + seB ** 2 / (b.n - 1));
+      result.welchP = tTestPValue(result.welchT, result.welchDf);
+
+      // Moderated t-statistic with posterior variance
+      const unscaled = Math.sqrt(1 / a.n + 1 / b.n);
+      let posterior;
+      let dfTotal;
+      if (prior.d0 === Infinity) {
+        posterior = prior.s0sq;
+        dfTotal = dfPooledTotal;
+      } else if (prior.d0 > 0) {
+        posterior = (prior.d0 * prior.s0sq + row.df * row.pooled) / (prior.d0 + row.df);
+        dfTotal = Math.min(prior.d0 + row.df, dfPooledTotal);
+      } else {
+        posterior = row.pooled;
+        dfTotal = row.df;
+      }
+
+      result.modT = result.logFC / (Math.sqrt(posterior) * unscaled);
+      result.modDf = dfTotal;
+      result.pValue = tTestPValue(result.modT, dfTotal);
+      return result;
+    });
+
+    const adjusted = benjaminiHochberg(results.map(r => r.pValue));
+    const welchAdjusted = benjaminiHochberg(results.map(r => r.welchP));
+    results.forEach((r, idx) => {
+      r.adjPValue = adjusted[idx];
+      r.welchAdjP = welchAdjusted[idx];
+    });
+
+    // Rank by moderated p-value, untestable rows last
+    results.sort((x, y) => {
+      if (isNaN(x.pValue)) return isNaN(y.pValue) ? 0 : 1;
+      if (isNaN(y.pValue)) return -1;
+      return x.pValue - y.pValue || Math.abs(y.modT) - Math.abs(x.modT);
+    });
+
+    return {
+      results,
+      prior: { d0: prior.d0, s0sq: prior.s0sq },
+      tested: results.filter(r => !isNaN(r.pValue)).length
+    };
+  }
+}
+
+export const differentialExpression = new DifferentialExpression();
@@ -0,0 +1,147 @@
+/**
+ * Drug Dictionary - Bundled compounds commonly used as treatments in GEO studies
+ *
+ * Each entry: canonical name, class, case-insensitive synonyms (brand names, code
+ * names), case-sensitive abbreviations ("Dex", "LPS") and identifiers (DrugBank,
+ * PubChem CID, ChEBI) where they are unambiguous. Vehicles are listed so control
+ * samples can be told apart from untreated ones.
+ */
+
+export const DRUG_DICTIONARY = [
+  // Chemotherapy
+  { name: 'doxorubicin', class: 'chemotherapy', synonyms: ['adriamycin', 'hydroxydaunorubicin'], abbreviations: ['DOXO'], ids: { drugbank: 'DB00997', pubchem: '31703', chebi: '28748' } },
+  { name: 'cisplatin', class: 'chemotherapy', synonyms: ['cis-platinum', 'cis-diamminedichloroplatinum', 'cddp'], abbreviations: [], ids: { drugbank: 'DB00515', chebi: '27899' } },
+  { name: 'carboplatin', class: 'chemotherapy', synonyms: ['paraplatin'], abbreviations: [], ids: { drugbank: 'DB00958' } },
+  { name: 'oxaliplatin', class: 'chemotherapy', synonyms: ['eloxatin'], abbreviations: [], ids: { drugbank: 'DB00526' } },
+  { name: 'paclitaxel', class: 'chemotherapy', synonyms: ['taxol'], abbreviations: [], ids: { drugbank: 'DB01229', pubchem: '36314', chebi: '45863' } },
+  { name: 'docetaxel', class: 'chemotherapy', synonyms: ['taxotere'], abbreviations: [], ids: { drugbank: 'DB01248', pubchem: '148124' } },
+  { name: 'vincristine', class: 'chemotherapy', synonyms: ['oncovin'], abbreviations: [], ids: { drugbank: 'DB00541', pubchem: '5978' } },
+  { name: 'etoposide', class: 'chemotherapy', synonyms: ['vp-16', 'vp16'], abbreviations: [], ids: { drugbank: 'DB00773', pubchem: '36462' } },
+  { name: 'camptothecin', class: 'chemotherapy', synonyms: [], abbreviations: ['CPT'], ids: { pubchem: '24360' } },
+  { name: 'irinotecan', class: 'chemotherapy', synonyms: ['cpt-11', 'camptosar'], abbreviations: [], ids: { drugbank: 'DB00762', pubchem: '60838' } },
+  { name: 'topotecan', class: 'chemotherapy', synonyms: ['hycamtin'], abbreviations: [], ids: { drugbank: 'DB01030', pubchem: '60700' } },
+  { name: '5-fluorouracil', class: 'chemotherapy', synonyms: ['fluorouracil', '5fu'], abbreviations: ['5-FU', '5FU'], ids: { drugbank: 'DB00544', pubchem: '3385' } },
+  { name: 'gemcitabine', class: 'chemotherapy', synonyms: ['gemzar'], abbreviations: [], ids: { drugbank: 'DB00441', pubchem: '60750' } },
+  { name: 'cytarabine', class: 'chemotherapy', synonyms: ['ara-c', 'cytosine arabinoside'], abbreviations: [], ids: { drugbank: 'DB00987', pubchem: '6253' } },
+  { name: 'methotrexate', class: 'chemotherapy', synonyms: ['amethopterin'], abbreviations: ['MTX'], ids: { drugbank: 'DB00563', pubchem: '126941' } },
+  { name: 'cyclophosphamide', class: 'chemotherapy', synonyms: ['cytoxan'], abbreviations: [], ids: { drugbank: 'DB00531', pubchem: '2907' } },
+  { name: 'temozolomide', class: 'chemotherapy', synonyms: ['temodar'], abbreviations: ['TMZ'], ids: { drugbank: 'DB00853', pubchem: '5394' } },
+  { name: 'mitomycin c', class: 'chemotherapy', synonyms: ['mitomycin'], abbreviations: ['MMC'], ids: { drugbank: 'DB00305', pubchem: '5746' } },
+  { name: 'bleomycin', class: 'chemotherapy', synonyms: [], abbreviations: [], ids: { drugbank: 'DB00290' } },
+  { name: 'hydroxyurea', class: 'chemotherapy', synonyms: ['hydroxycarbamide', 'hydrea'], abbreviations: [], ids: { drugbank: 'DB01005', pubchem: '3657' } },
+  { name: 'actinomycin d', class: 'transcription inhibitor', synonyms: ['dactinomycin'], abbreviations: ['ActD'], ids: { drugbank: 'DB00970', pubchem: '2019' } },
+
+  // Kinase inhibitors and other targeted agents
+  { name: 'imatinib', class: 'kinase inhibitor', synonyms: ['gleevec', 'glivec', 'sti571', 'sti-571'], abbreviations: [], ids: { drugbank: 'DB00619', pubchem: '5291', chebi: '45783' } },
+  { name: 'dasatinib', class: 'kinase inhibitor', synonyms: ['sprycel', 'bms-354825'], abbreviations: [], ids: { drugbank: 'DB01254', pubchem: '3062316' } },
+  { name: 'nilotinib', class: 'kinase inhibitor', synonyms: ['tasigna', 'amn107'], abbreviations: [], ids: { drugbank: 'DB04868', pubchem: '644241' } },
+  { name: 'gefitinib', class: 'kinase inhibitor', synonyms: ['iressa', 'zd1839'], abbreviations: [], ids: { drugbank: 'DB00317', pubchem: '123631', chebi: '49668' } },
+  { name: 'erlotinib', class: 'kinase inhibitor', synonyms: ['tarceva', 'osi-774'], abbreviations: [], ids: { drugbank: 'DB00530', pubchem: '176870' } },
+  { name: 'lapatinib', class: 'kinase inhibitor', synonyms: ['tykerb', 'gw572016'], abbreviations: [], ids: { drugbank: 'DB01259', pubchem: '208908' } },
+  { name: 'sorafenib', class: 'kinase inhibitor', synonyms: ['nexavar', 'bay 43-9006'], abbreviations: [], ids: { drugbank: 'DB00398', pubchem: '216239' } },
+  { name: 'sunitinib', class: 'kinase inhibitor', synonyms: ['sutent', 'su11248'], abbreviations: [], ids: { drugbank: 'DB01268', pubchem: '5329102' } },
+  { name: 'vemurafenib', class: 'kinase inhibitor', synonyms: ['zelboraf', 'plx4032'], abbreviations: [], ids: { drugbank: 'DB08881', pubchem: '42611257' } },
+  { name: 'dabrafenib', class: 'kinase inhibitor', synonyms: ['tafinlar', 'gsk2118436'], abbreviations: [], ids: { drugbank: 'DB08912', pubchem: '44462760' } },
+  { name: 'trametinib', class: 'kinase inhibitor', synonyms: ['mekinist', 'gsk1120212'], abbreviations: [], ids: { drugbank: 'DB08911', pubchem: '11707110' } },
+  { name: 'selumetinib', class: 'kinase inhibitor', synonyms: ['azd6244'], abbreviations: [], ids: { drugbank: 'DB11689' } },
+  { name: 'ruxolitinib', class: 'kinase inhibitor', synonyms: ['jakafi', 'incb018424'], abbreviations: [], ids: { drugbank: 'DB08877', pubchem: '25126798' } },
+  { name: 'ibrutinib', class: 'kinase inhibitor', synonyms: ['imbruvica', 'pci-32765'], abbreviations: [], ids: { drugbank: 'DB09053', pubchem: '24821094' } },
+  { name: 'palbociclib', class: 'kinase inhibitor', synonyms: ['ibrance', 'pd-0332991', 'pd0332991'], abbreviations: [], ids: { drugbank: 'DB09073', pubchem: '5330286' } },
+  { name: 'staurosporine', class: 'kinase inhibitor', synonyms: [], abbreviations: ['STS'], ids: { pubchem: '44259' } },
+  { name: 'LY294002', class: 'kinase inhibitor', synonyms: ['ly-294002', 'ly 294002'], abbreviations: [], ids: { pubchem: '3973' } },
+  { name: 'wortmannin', class: 'kinase inhibitor', synonyms: [], abbreviations: [], ids: { pubchem: '312145' } },
+  { name: 'U0126', class: 'kinase inhibitor', synonyms: ['u-0126'], abbreviations: [], ids: { pubchem: '3006531' } },
+  { name: 'SB203580', class: 'kinase inhibitor', synonyms: ['sb-203580'], abbreviations: [], ids: { pubchem: '176155' } },
+  { name: 'rapamycin', class: 'mTOR inhibitor', synonyms: ['sirolimus', 'rapamune'], abbreviations: [], ids: { drugbank: 'DB00877', pubchem: '5284616', chebi: '9168' } },
+  { name: 'everolimus', class: 'mTOR inhibitor', synonyms: ['afinitor', 'rad001'], abbreviations: [], ids: { drugbank: 'DB01590', pubchem: '6442177' } },
+  { name: 'bortezomib', class: 'proteasome inhibitor', synonyms: ['velcade', 'ps-341'], abbreviations: [], ids: { drugbank: 'DB00188', pubchem: '387447' } },
+  { name: 'MG-132', class: 'proteasome inhibitor', synonyms: ['mg132'], abbreviations: [], ids: { pubchem: '462382' } },
+  { name: 'olaparib', class: 'PARP inhibitor', synonyms: ['lynparza', 'azd2281'], abbreviations: [], ids: { drugbank: 'DB09074', pubchem: '23725625' } },
+  { name: 'venetoclax', class: 'BCL-2 inhibitor', synonyms: ['venclexta', 'abt-199', 'abt199'], abbreviations: [], ids: { drugbank: 'DB11581', pubchem: '49846579' } },
+  { name: 'JQ1', class: 'BET inhibitor', synonyms: ['(+)-jq1'], abbreviations: [], ids: { pubchem: '46907762' } },
+  { name: 'geldanamycin', class: 'HSP90 inhibitor', synonyms: [], abbreviations: [], ids: { pubchem: '5288382' } },
+
+  // Epigenetic drugs
+  { name: 'vorinostat', class: 'HDAC inhibitor', synonyms: ['zolinza', 'suberoylanilide hydroxamic acid'], abbreviations: ['SAHA'], ids: { drugbank: 'DB02546', pubchem: '5311' } },
+  { name: 'trichostatin a', class: 'HDAC inhibitor', synonyms: ['trichostatin'], abbreviations: ['TSA'], ids: { pubchem: '444732', chebi: '46024' } },
+  { name: 'panobinostat', class: 'HDAC inhibitor', synonyms: ['farydak', 'lbh589'], abbreviations: [], ids: { drugbank: 'DB06603', pubchem: '6918837' } },
+  { name: 'romidepsin', class: 'HDAC inhibitor', synonyms: ['istodax', 'fk228', 'depsipeptide'], abbreviations: [], ids: { drugbank: 'DB06176' } },
+  { name: 'valproic acid', class: 'HDAC inhibitor', synonyms: ['valproate', 'sodium valproate'], abbreviations: ['VPA'], ids: { drugbank: 'DB00313', pubchem: '3121' } },
+  { name: 'azacitidine', class: 'DNA methyltransferase inhibitor', synonyms: ['5-azacytidine', '5-aza-cytidine', 'vidaza'], abbreviations: [], ids: { drugbank: 'DB00928', pubchem: '9444' } },
+  { name: 'decitabine', class: 'DNA methyltransferase inhibitor', synonyms: ['5-aza-2\'-deoxycytidine', '5-aza-2-deoxycytidine', '5-aza-dc', '5-azadc', 'dacogen'], abbreviations: [], ids: { drugbank: 'DB01262', pubchem: '451668' } },
+
+  // Hormones, receptor ligands and antagonists
+  { name: 'dexamethasone', class: 'glucocorticoid', synonyms: ['decadron'], abbreviations: ['Dex', 'DEX'], ids: { drugbank: 'DB01234', pubchem: '5743', chebi: '41879' } },
+  { name: 'hydrocortisone', class: 'glucocorticoid', synonyms: ['cortisol'], abbreviations: [], ids: { drugbank: 'DB00741', pubchem: '5754' } },
+  { name: 'prednisolone', class: 'glucocorticoid', synonyms: [], abbreviations: [], ids: { drugbank: 'DB00860', pubchem: '5755' } },
+  { name: 'prednisone', class: 'glucocorticoid', synonyms: ['deltasone'], abbreviations: [], ids: { drugbank: 'DB00635', pubchem: '5865' } },
+  { name: 'estradiol', class: 'hormone', synonyms: ['17beta-estradiol', '17β-estradiol', '17-beta-estradiol', 'oestradiol', '17b-estradiol'], abbreviations: ['E2'], ids: { drugbank: 'DB00783', pubchem: '5757', chebi: '16469' } },
+  { name: 'testosterone', class: 'hormone', synonyms: [], abbreviations: [], ids: { drugbank: 'DB00624', pubchem: '6013' } },
+  { name: 'dihydrotestosterone', class: 'hormone', synonyms: ['5alpha-dihydrotestosterone', '5α-dihydrotestosterone', 'androstanolone'], abbreviations: ['DHT'], ids: { drugbank: 'DB02901', pubchem: '10635' } },
+  { name: 'R1881', class: 'hormone', synonyms: ['methyltrienolone', 'metribolone'], abbreviations: [], ids: {} },
+  { name: 'progesterone', class: 'hormone', synonyms: [], abbreviations: [], ids: { drugbank: 'DB00396', pubchem: '5994' } },
+  { name: 'insulin', class: 'hormone', synonyms: [], abbreviations: [], ids: { drugbank: 'DB00030' } },
+  { name: 'calcitriol', class: 'hormone', synonyms: ['1,25-dihydroxyvitamin d3', '1,25(oh)2d3', '1alpha,25-dihydroxyvitamin d3'], abbreviations: [], ids: { drugbank: 'DB00136', pubchem: '5280453' } },
+  { name: 'tretinoin', class: 'retinoid', synonyms: ['all-trans retinoic acid', 'all-trans-retinoic acid', 'retinoic acid'], abbreviations: ['ATRA'], ids: { drugbank: 'DB00755', pubchem: '444795', chebi: '15367' } },
+  { name: 'tamoxifen', class: 'hormone antagonist', synonyms: ['nolvadex'], abbreviations: [], ids: { drugbank: 'DB00675', pubchem: '2733526', chebi: '41774' } },
+  { name: '4-hydroxytamoxifen', class: 'hormone antagonist', synonyms: ['hydroxytamoxifen', 'afimoxifene', '4-oh-tamoxifen'], abbreviations: ['4-OHT', '4OHT', 'OHT'], ids: { drugbank: 'DB04468', pubchem: '449459', chebi: '44616' } },
+  { name: 'fulvestrant', class: 'hormone antagonist', synonyms: ['faslodex', 'ici 182,780', 'ici 182780', 'ici182780'], abbreviations: [], ids: { drugbank: 'DB00947', pubchem: '104741' } },
+  { name: 'letrozole', class: 'aromatase inhibitor', synonyms: ['femara'], abbreviations: [], ids: { drugbank: 'DB01006', pubchem: '3902' } },
+  { name: 'bicalutamide', class: 'hormone antagonist', synonyms: ['casodex'], abbreviations: [], ids: { drugbank: 'DB01128', pubchem: '2375' } },
+  { name: 'enzalutamide', class: 'hormone antagonist', synonyms: ['xtandi', 'mdv3100', 'mdv-3100'], abbreviations: [], ids: { drugbank: 'DB08899', pubchem: '15951529' } },
+
+  // Metabolic, cardiovascular and other approved drugs
+  { name: 'metformin', class: 'antidiabetic', synonyms: ['glucophage'], abbreviations: [], ids: { drugbank: 'DB00331', pubchem: '4091', chebi: '6801' } },
+  { name: 'rosiglitazone', class: 'antidiabetic', synonyms: ['avandia'], abbreviations: [], ids: { drugbank: 'DB00412', pubchem: '77999' } },
+  { name: 'pioglitazone', class: 'antidiabetic', synonyms: ['actos'], abbreviations: [], ids: { drugbank: 'DB01132', pubchem: '4829' } },
+  { name: 'troglitazone', class: 'antidiabetic', synonyms: ['rezulin'], abbreviations: [], ids: { drugbank: 'DB00197', pubchem: '5591' } },
+  { name: 'fenofibrate', class: 'lipid-lowering', synonyms: ['tricor'], abbreviations: [], ids: { drugbank: 'DB01039', pubchem: '3339' } },
+  { name: 'WY-14643', class: 'lipid-lowering', synonyms: ['wy14643', 'wy 14643', 'pirinixic acid'], abbreviations: [], ids: { pubchem: '5694' } },
+  { name: 'simvastatin', class: 'lipid-lowering', synonyms: ['zocor'], abbreviations: [], ids: { drugbank: 'DB00641', pubchem: '54454' } },
+  { name: 'atorvastatin', class: 'lipid-lowering', synonyms: ['lipitor'], abbreviations: [], ids: { drugbank: 'DB01076', pubchem: '60823' } },
+  { name: 'aspirin', class: 'anti-inflammatory', synonyms: ['acetylsalicylic acid'], abbreviations: ['ASA'], ids: { drugbank: 'DB00945', pubchem: '2244', chebi: '15365' } },
+  { name: 'ibuprofen', class: 'anti-inflammatory', synonyms: ['advil', 'motrin'], abbreviations: [], ids: { drugbank: 'DB01050', pubchem: '3672' } },
+  { name: 'celecoxib', class: 'anti-inflammatory', synonyms: ['celebrex'], abbreviations: [], ids: { drugbank: 'DB00482', pubchem: '2662' } },
+  { name: 'acetaminophen', class: 'analgesic', synonyms: ['paracetamol', 'tylenol'], abbreviations: ['APAP'], ids: { drugbank: 'DB00316', pubchem: '1983' } },
+  { name: 'cyclosporine', class: 'immunosuppressant', synonyms: ['cyclosporin a', 'ciclosporin', 'cyclosporine a', 'sandimmune', 'neoral'], abbreviations: ['CsA'], ids: { drugbank: 'DB00091', pubchem: '5284373' } },
+  { name: 'tacrolimus', class: 'immunosuppressant', synonyms: ['fk506', 'fk-506', 'prograf'], abbreviations: [], ids: { drugbank: 'DB00864', pubchem: '445643' } },
+  { name: 'haloperidol', class: 'antipsychotic', synonyms: ['haldol'], abbreviations: [], ids: { drugbank: 'DB00502', pubchem: '3559' } },
+  { name: 'clozapine', class: 'antipsychotic', synonyms: ['clozaril'], abbreviations: [], ids: { drugbank: 'DB00363' } },
+  { name: 'fluoxetine', class: 'antidepressant', synonyms: ['prozac'], abbreviations: [], ids: { drugbank: 'DB00472', pubchem: '3386' } },
+  { name: 'doxycycline', class: 'antibiotic', synonyms: ['vibramycin'], abbreviations: [], ids: { drugbank: 'DB00254' } },
+  { name: 'tetracycline', class: 'antibiotic', synonyms: [], abbreviations: [], ids: { drugbank: 'DB00759' } },
+  { name: 'colchicine', class: 'microtubule inhibitor', synonyms: [], abbreviations: [], ids: { drugbank: 'DB01394', pubchem: '6167' } },
+  { name: 'nocodazole', class: 'microtubule inhibitor', synonyms: [], abbreviations: [], ids: { pubchem: '4122' } },
+  { name: 'nicotine', class: 'alkaloid', synonyms: [], abbreviations: [], ids: { drugbank: 'DB00184', pubchem: '89594' } },
+  { name: 'caffeine', class: 'alkaloid', synonyms: [], abbreviations: [], ids: { drugbank: 'DB00201', pubchem: '2519' } },
+  { name: 'cocaine', class: 'alkaloid', synonyms: [], abbreviations: [], ids: { drugbank: 'DB00907', pubchem: '446220' } },
+  { name: 'morphine', class: 'opioid', synonyms: [], abbreviations: [], ids: { drugbank: 'DB00295', pubchem: '5288826' } },
+
+  // Biologics
+  { name: 'trastuzumab', class: 'monoclonal antibody', synonyms: ['herceptin'], abbreviations: [], ids: { drugbank: 'DB00072' } },
+  { name: 'bevacizumab', class: 'monoclonal antibody', synonyms: ['avastin'], abbreviations: [], ids: { drugbank: 'DB00112' } },
+  { name: 'rituximab', class: 'monoclonal antibody', synonyms: ['rituxan', 'mabthera'], abbreviations: [], ids: { drugbank: 'DB00073' } },
+
+  // Research tools, stimuli and natural products
+  { name: 'lipopolysaccharide', class: 'stimulus', synonyms: ['endotoxin'], abbreviations: ['LPS'], ids: { chebi: '16412' } },
+  { name: 'phorbol 12-myristate 13-acetate', class: 'stimulus', synonyms: ['phorbol myristate acetate', 'tetradecanoylphorbol acetate', '12-o-tetradecanoylphorbol-13-acetate'], abbreviations: ['PMA', 'TPA'], ids: { pubchem: '27924', chebi: '37537' } },
+  { name: 'ionomycin', class: 'stimulus', synonyms: [], abbreviations: [], ids: { pubchem: '3733' } },
+  { name: 'forskolin', class: 'stimulus', synonyms: ['colforsin'], abbreviations: [], ids: { pubchem: '47936', chebi: '42471' } },
+  { name: 'thapsigargin', class: 'ER stress inducer', synonyms: [], abbreviations: [], ids: { pubchem: '446378' } },
+  { name: 'tunicamycin', class: 'ER stress inducer', synonyms: [], abbreviations: [], ids: {} },
+  { name: 'cycloheximide', class: 'translation inhibitor', synonyms: [], abbreviations: ['CHX'], ids: { pubchem: '6197' } },
+  { name: 'puromycin', class: 'translation inhibitor', synonyms: [], abbreviations: [], ids: { pubchem: '439530' } },
+  { name: 'hydrogen peroxide', class: 'oxidant', synonyms: [], abbreviations: ['H2O2'], ids: { drugbank: 'DB11091', pubchem: '784' } },
+  { name: 'resveratrol', class: 'natural product', synonyms: [], abbreviations: [], ids: { drugbank: 'DB02709', pubchem: '445154' } },
+  { name: 'curcumin', class: 'natural product', synonyms: [], abbreviations: [], ids: { drugbank: 'DB11672', pubchem: '969516' } },
+  { name: 'sulforaphane', class: 'natural product', synonyms: [], abbreviations: [], ids: { pubchem: '5350' } },
+  { name: 'bisphenol a', class: 'toxicant', synonyms: [], abbreviations: ['BPA'], ids: { pubchem: '6623' } },
+  { name: '2,3,7,8-tetrachlorodibenzo-p-dioxin', class: 'toxicant', synonyms: ['tetrachlorodibenzo-p-dioxin', 'dioxin'], abbreviations: ['TCDD'], ids: { pubchem: '15625' } },
+  { name: 'benzo[a]pyrene', class: 'toxicant', synonyms: ['benzo(a)pyrene', 'benzopyrene'], abbreviations: ['BaP', 'B[a]P'], ids: { pubchem: '2336' } },
+
+  // Vehicles
+  { name: 'DMSO', class: 'vehicle', vehicle: true, synonyms: ['dimethyl sulfoxide', 'dimethylsulfoxide', 'dimethyl sulphoxide'], abbreviations: [], ids: { drugbank: 'DB01093', pubchem: '679', chebi: '28262' } },
+  { name: 'ethanol', class: 'vehicle', vehicle: true, synonyms: [], abbreviations: ['EtOH'], ids: { drugbank: 'DB00898', pubchem: '702' } },
+  { name: 'PBS', class: 'vehicle', vehicle: true, synonyms: ['phosphate-buffered saline', 'phosphate buffered saline'], abbreviations: [], ids: {} },
+  { name: 'saline', class: 'vehicle', vehicle: true, synonyms: [], abbreviations: [], ids: {} }
+];
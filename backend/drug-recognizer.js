@@ -0,0 +1,260 @@
+/**
+ * Drug Recognizer - Compounds, doses and treated samples from GEO metadata
+ *
+ * Titles, summaries, treatment protocols and sample characteristics are scanned
+ * against the bundled drug dictionary: names and synonyms case-insensitively,
+ * abbreviations ("Dex", "LPS") case-sensitively, and DrugBank / PubChem / ChEBI
+ * identifiers. The nearest dose next to a mention is normalized through the
+ * characteristic harmonizer. Negated mentions ("no Dex", "cisplatin-resistant",
+ * "tamoxifen: none", "0 nM E2") do not count as exposure.
+ */
+
+import { DRUG_DICTIONARY } from './drug-dictionary.js';
+import { characteristicHarmonizer } from './characteristic-harmonizer.js';
+
+const DOSE_PATTERN = /(\d+(?:\.\d+)?)\s*(pM|nM|[uµμ]M|mM|[pnuµμm]g\/mL|mg\/kg|[uµμ]g\/kg|mpk|I?U\/mL)(?![A-Za-z])/gi;
+
+// How far a dose may sit from its compound: "10 µM dexamethasone", "Dex (100 nM)"
+const DOSE_BEFORE_GAP = 12;
+const DOSE_AFTER_GAP = 40;
+const DOSE_JOINER = /^\s*(of\s+)?[\s-]*$/i;
+
+const NEGATION_BEFORE = /(\bno|\bwithout|\bminus|\bw\/o|\bnon|\bun|\banti)[\s-]*$/i;
+const NEGATION_AFTER = /^[\s-]*(free|naive|naïve|resistant|resistance|sensitive|sensitivity|insensitive|withdrawal|withdrawn|deprived|depleted)\b/i;
+const NEGATIVE_VALUES = /^(no|none|n|false|0|absent|negative|untreated|not treated|without|minus|-|control|mock|n\/?a)$/i;
+
+// Sample fields scanned for treatments, with the source label reported per pair
+const SAMPLE_FIELDS = [
+  { key: 'Sample_title', source: 'title' },
+  { key: 'Sample_source_name_ch1', source: 'source' },
+  { key: 'Sample_treatment_protocol_ch1', source: 'treatment protocol', sharedAsSeries: true },
+  { key: 'Sample_description', source: 'description', sharedAsSeries: true }
+];
+
+const SERIES_FIELDS = [
+  { key: 'Series_title', source: 'title' },
+  { key: 'Series_summary', source: 'summary' },
+  { key: 'Series_overall_design', source: 'overall design' }
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * One alternation over terms, longest first so "4-hydroxytamoxifen" wins over
+ * "tamoxifen"; terms must not be glued to other letters or digits
+ */
+function termPattern(terms, flags) {
+  const alternation = [...terms].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+  return new RegExp(`(?<![A-Za-z0-9])(${alternation})(?![A-Za-z0-9])`, flags);
+}
+
+class DrugRecognizer {
+  constructor(dictionary = DRUG_DICTIONARY) {
+    this.terms = new Map();         // lowercased name/synonym -> entry
+    this.abbreviations = new Map(); // exact abbreviation -> entry
+    this.identifiers = new Map();   // 'drugbank:DB00997' -> entry
+
+    for (const entry of dictionary) {
+      for (const term of [entry.name, ...entry.synonyms]) {
+        this.terms.set(term.toLowerCase(), entry);
+      }
+      for (const abbreviation of entry.abbreviations) {
+        this.abbreviations.set(abbreviation, entry);
+      }
+      for (const [type, id] of Object.entries(entry.ids)) {
+        this.identifiers.set(`${type}:${id.toLowerCase()}`, entry);
+      }
+    }
+
+    this.termRegex = termPattern(this.terms.keys(), 'gi');
+    this.abbreviationRegex = termPattern(this.abbreviations.keys(), 'g');
+    this.identifierRegex = /\b(DB\d{5})\b|\bCHEBI:\s?(\d+)\b|\b(?:PubChem\s+)?CID[:\s]\s*(\d+)\b/gi;
+  }
+
+  /**
+   * Raw mentions in text: [{ entry, matched, start, end, negated, dose }]; on
+   * overlaps the longer mention wins
+   */
+  findMentions(text) {
+    if (!text) return [];
+    text = String(text);
+
+    const found = [];
+    for (const match of text.matchAll(this.termRegex)) {
+      found.push({ entry: this.terms.get(match[1].toLowerCase()), matched: match[1], start: match.index, end: match.index + match[0].length });
+    }
+    for (const match of text.matchAll(this.abbreviationRegex)) {
+      found.push({ entry: this.abbreviations.get(match[1]), matched: match[1], start: match.index, end: match.index + match[0].length });
+    }
+    for (const match of text.matchAll(this.identifierRegex)) {
+      const key = match[1] ? `drugbank:${match[1].toLowerCase()}` : match[2] ? `chebi:${match[2]}` : `pubchem:${match[3]}`;
+      const entry = this.identifiers.get(key);
+      if (entry) found.push({ entry, matched: match[0], start: match.index, end: match.index + match[0].length });
+    }
+
+    found.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+    const mentions = [];
+    for (const mention of found) {
+      const previous = mentions[mentions.length - 1];
+      if (previous && mention.start < previous.end) continue;
+      mentions.push(mention);
+    }
+
+    const doses = [...text.matchAll(DOSE_PATTERN)].map(m => ({ text: m[0], start: m.index, end: m.index + m[0].length }));
+
+    mentions.forEach((mention, i) => {
+      const lower = i > 0 ? mentions[i - 1].end : 0;
+      const upper = i < mentions.length - 1 ? mentions[i + 1].start : text.length;
+      mention.negated = NEGATION_BEFORE.test(text.slice(Math.max(lower, mention.start - 12), mention.start))
+        || NEGATION_AFTER.test(text.slice(mention.end, upper));
+
+      // A dose right before the name, else the first one after it before the next compound
+      const before = doses.filter(d => d.start >= lower && d.end <= mention.start && mention.start - d.end <= DOSE_BEFORE_GAP
+        && DOSE_JOINER.test(text.slice(d.end, mention.start))).pop();
+      const after = doses.find(d => d.start >= mention.end && d.end <= upper && d.start - mention.end <= DOSE_AFTER_GAP);
+      const dose = before || after;
+      if (dose) {
+        mention.dose = characteristicHarmonizer.harmonizeValue('dose', dose.text);
+        if (mention.dose?.number === 0) mention.negated = true;
+      }
+    });
+
+    return mentions;
+  }
+
+  /**
+   * Distinct compounds mentioned in free text: [{ name, class, vehicle, identifiers, matched, doses }]
+   */
+  recognizeText(text) {
+    const compounds = new Map();
+    for (const mention of this.findMentions(text)) {
+      if (mention.negated) continue;
+      const compound = this.addCompound(compounds, mention.entry);
+      compound.matched.add(mention.matched);
+      if (mention.dose) compound.doses.add(mention.dose.value);
+    }
+    return [...compounds.values()].map(({ samples, sources, ...c }) => ({ ...c, matched: [...c.matched], doses: [...c.doses] }));
+  }
+
+  /**
+   * Compounds of a dataset from SOFT series and sample metadata:
+   * { compounds, pairs, treatedSamples, vehicleSamples, untreatedSamples }.
+   * compounds: [{ name, class, vehicle, identifiers, matched, doses, samples, sources }];
+   * pairs: one per sample and compound, [{ sample, compound, dose, source }].
+   * Protocols identical across all samples describe the study rather than any one
+   * sample, so their compounds count as study-level mentions only.
+   */
+  recognizeDataset({ series = {}, samples = [] } = {}) {
+    const compounds = new Map();
+    const pairs = [];
+
+    const note = (mention, source) => {
+      const compound = this.addCompound(compounds, mention.entry);
+      compound.matched.add(mention.matched);
+      compound.sources.add(source);
+      if (mention.dose) compound.doses.add(mention.dose.value);
+      return compound;
+    };
+
+    for (const field of SERIES_FIELDS) {
+      for (const mention of this.findMentions(series[field.key])) {
+        if (!mention.negated) note(mention, `series ${field.source}`);
+      }
+    }
+
+    const shared = new Set(SAMPLE_FIELDS.filter(f => f.sharedAsSeries).map(f => f.key).filter(key => {
+      const values = new Set(samples.map(s => s[key]));
+      return samples.length > 1 && values.size === 1 && samples[0][key];
+    }));
+    for (const key of shared) {
+      const field = SAMPLE_FIELDS.find(f => f.key === key);
+      for (const mention of this.findMentions(samples[0][key])) {
+        if (!mention.negated) note(mention, `${field.source} (all samples)`);
+      }
+    }
+
+    for (const sample of samples) {
+      const received = new Map(); // compound name -> pair
+
+      const receive = (mention, source, dose) => {
+        const compound = note(mention, source);
+        if (dose?.unit) compound.doses.add(dose.value);
+        const existing = received.get(compound.name);
+        if (existing) {
+          if (!existing.dose && dose) existing.dose = dose.value;
+          return;
+        }
+        received.set(compound.name, { sample: sample.id, compound: compound.name, dose: dose?.value || null, source });
+      };
+
+      for (const [key, value] of Object.entries(sample.characteristics || {})) {
+        // "dexamethasone (nM): 100", "tamoxifen: none"
+        for (const mention of this.findMentions(key)) {
+          if (mention.negated || NEGATIVE_VALUES.test(String(value).trim())) continue;
+          const dose = characteristicHarmonizer.harmonizeValue('dose', value, key);
+          if (dose?.number === 0) continue;
+          receive(mention, `characteristics: ${key}`, dose?.unit ? dose : mention.dose);
+        }
+        for (const mention of this.findMentions(value)) {
+          if (!mention.negated) receive(mention, `characteristics: ${key}`, mention.dose);
+        }
+      }
+
+      for (const field of SAMPLE_FIELDS) {
+        if (shared.has(field.key)) continue;
+        for (const mention of this.findMentions(sample[field.key])) {
+          if (!mention.negated) receive(mention, field.source, mention.dose);
+        }
+      }
+
+      // A separate dose characteristic belongs to the sample's only drug
+      const drugs = [...received.values()].filter(p => !compounds.get(p.compound).vehicle);
+      if (drugs.length === 1 && !drugs[0].dose) {
+        const dose = characteristicHarmonizer.harmonizeSample(sample.characteristics || {}).fields.dose;
+        if (dose?.unit) {
+          drugs[0].dose = dose.value;
+          compounds.get(drugs[0].compound).doses.add(dose.value);
+        }
+      }
+
+      for (const pair of received.values()) {
+        compounds.get(pair.compound).samples.push(sample.id);
+        pairs.push(pair);
+      }
+    }
+
+    const isVehicle = (pair) => compounds.get(pair.compound).vehicle;
+    const treated = new Set(pairs.filter(p => !isVehicle(p)).map(p => p.sample));
+    const vehicle = new Set(pairs.filter(p => isVehicle(p) && !treated.has(p.sample)).map(p => p.sample));
+
+    return {
+      compounds: [...compounds.values()]
+        .map(c => ({ ...c, matched: [...c.matched], doses: [...c.doses], sources: [...c.sources] }))
+        .sort((a, b) => a.vehicle - b.vehicle || b.samples.length - a.samples.length || a.name.localeCompare(b.name)),
+      pairs,
+      treatedSamples: [...treated],
+      vehicleSamples: [...vehicle],
+      untreatedSamples: samples.map(s => s.id).filter(id => !treated.has(id) && !vehicle.has(id))
+    };
+  }
+
+  addCompound(compounds, entry) {
+    if (!compounds.has(entry.name)) {
+      compounds.set(entry.name, {
+        name: entry.name,
+        class: entry.class,
+        vehicle: Boolean(entry.vehicle),
+        identifiers: entry.ids,
+        matched: new Set(),
+        doses: new Set(),
+        samples: [],
+        sources: new Set()
+      });
+    }
+    return compounds.get(entry.name);
+  }
+}
+
+export const drugRecognizer = new DrugRecognizer();
@@ -0,0 +1,246 @@
+/**
+ * Entrez Query - Structured GEO search filters as Entrez (db=gds) query syntax
+ *
+ * Filters map onto field tags: organism [ORGN], entry type [ETYP], study type
+ * [GTYP], platform [ACCN] (a GPL accession also matches the series run on it),
+ * sample count [n_samples] and publication date [PDAT]. Ranges use Entrez's
+ * "low:high[TAG]" form. Free-text keywords are passed through unchanged.
+ */
+
+export const ENTRY_TYPES = ['gse', 'gds', 'gpl', 'gsm'];
+
+// Common names for the organisms most GEO searches target
+const ORGANISM_ALIASES = {
+  human: 'Homo sapiens',
+  humans: 'Homo sapiens',
+  mouse: 'Mus musculus',
+  mice: 'Mus musculus',
+  murine: 'Mus musculus',
+  rat: 'Rattus norvegicus',
+  rats: 'Rattus norvegicus',
+  zebrafish: 'Danio rerio',
+  fly: 'Drosophila melanogaster',
+  drosophila: 'Drosophila melanogaster',
+  worm: 'Caenorhabditis elegans',
+  'c. elegans': 'Caenorhabditis elegans',
+  yeast: 'Saccharomyces cerevisiae',
+  arabidopsis: 'Arabidopsis thaliana',
+  pig: 'Sus scrofa',
+  cow: 'Bos taurus',
+  bovine: 'Bos taurus',
+  chicken: 'Gallus gallus',
+  rhesus: 'Macaca mulatta',
+  macaque: 'Macaca mulatta'
+};
+
+// Short study type names -> GEO "DataSet Type" values (several for ambiguous names)
+const STUDY_TYPES = [
+  { pattern: /^(rna-?seq|rnaseq|expression profiling by (high throughput )?sequencing)$/, types: ['expression profiling by high throughput sequencing'] },
+  { pattern: /^(microarray|array|expression array|expression profiling by array)$/, types: ['expression profiling by array'] },
+  { pattern: /^(chip-?seq|atac-?seq|binding|genome binding|genome binding\/occupancy profiling by high throughput sequencing)$/, types: ['genome binding/occupancy profiling by high throughput sequencing'] },
+  { pattern: /^(methylation|methylation profiling)$/, types: ['methylation profiling by array', 'methylation profiling by high throughput sequencing'] },
+  { pattern: /^(methylation array|methylation profiling by array)$/, types: ['methylation profiling by array'] },
+  { pattern: /^(bisulfite-?seq|methylation profiling by high throughput sequencing)$/, types: ['methylation profiling by high throughput sequencing'] },
+  { pattern: /^(ncrna|non-coding rna|mirna|microrna|non-coding rna profiling)$/, types: ['non-coding rna profiling by array', 'non-coding rna profiling by high throughput sequencing'] },
+  { pattern: /^(snp|genotyping|snp genotyping by snp array)$/, types: ['snp genotyping by snp array'] },
+  { pattern: /^(cnv|copy number|genome variation profiling by array)$/, types: ['genome variation profiling by array'] }
+];
+
+// Prepositions and articles left dangling where filter phrases were taken out of free
+// text ("arrays of <organism>"). Lowercase only, so acronyms (IN, AT, ALL) stay.
+const STOP_WORDS = new Set(['a', 'an', 'the', 'of', 'about', 'in', 'on', 'at', 'to', 'into', 'by', 'regarding',
+  'concerning', 'involving', 'related', 'during', 'across', 'among']);
+
+// Marks the place of a phrase taken out of the text
+const GAP = '\u0001';
+
+/**
+ * "2020", "2020-03", "2020/03/15" -> "2020/03/15" style Entrez date, or null
+ */
+function entrezDate(value) {
+  const match = String(value).trim().match(/^(\d{4})(?:[-/.](\d{1,2})(?:[-/.](\d{1,2}))?)?$/);
+  if (!match) return null;
+  return [match[1], match[2], match[3]].filter(Boolean).map(p => p.padStart(2, '0')).join('/');
+}
+
+function quote(value) {
+  return /[\s/()]/.test(value) ? `"${value}"` : value;
+}
+
+function isGiven(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+class EntrezQuery {
+  /**
+   * Entrez term for structured filters:
+   * { query, organism, entryType, studyType, platform, minSamples, maxSamples, fromDate, toDate }.
+   * Returns { term, filters } with the normalized filters, or { error }.
+   */
+  build(filters = {}) {
+    const clauses = [];
+    const normalized = {};
+
+    if (isGiven(filters.query) && String(filters.query).trim()) {
+      normalized.query = String(filters.query).trim();
+      clauses.push(/\bOR\b/.test(normalized.query) ? `(${normalized.query})` : normalized.query);
+    }
+
+    if (isGiven(filters.organism)) {
+      const organisms = [].concat(filters.organism).map(o => ORGANISM_ALIASES[String(o).trim().toLowerCase()] || String(o).trim());
+      normalized.organism = organisms;
+      clauses.push(this.anyOf(organisms.map(o => `${quote(o)}[ORGN]`)));
+    }
+
+    if (isGiven(filters.entryType)) {
+      const entryTypes = [].concat(filters.entryType).map(t => String(t).trim().toLowerCase());
+      const unknown = entryTypes.find(t => !ENTRY_TYPES.includes(t));
+      if (unknown) {
+        return { error: `Unknown entry type "${unknown}". Use one of: ${ENTRY_TYPES.map(t => t.toUpperCase()).join(', ')}` };
+      }
+      normalized.entryType = entryTypes.map(t => t.toUpperCase());
+      clauses.push(this.anyOf(entryTypes.map(t => `${t}[ETYP]`)));
+    }
+
+    if (isGiven(filters.studyType)) {
+      const types = [];
+      for (const studyType of [].concat(filters.studyType)) {
+        const lower = String(studyType).trim().toLowerCase();
+        const match = STUDY_TYPES.find(s => s.pattern.test(lower));
+        types.push(...(match ? match.types : [lower]));
+      }
+      normalized.studyType = [...new Set(types)];
+      clauses.push(this.anyOf(normalized.studyType.map(t => `"${t}"[GTYP]`)));
+    }
+
+    if (isGiven(filters.platform)) {
+      const platforms = [].concat(filters.platform).map(p => String(p).trim().toUpperCase());
+      const invalid = platforms.find(p => !/^GPL\d+$/.test(p));
+      if (invalid) {
+        return { error: `Platform must be a GPL accession (e.g. GPL570), got "${invalid}"` };
+      }
+      normalized.platform = platforms;
+      clauses.push(this.anyOf(platforms.map(p => `${p}[ACCN]`)));
+    }
+
+    if (isGiven(filters.minSamples) || isGiven(filters.maxSamples)) {
+      const min = isGiven(filters.minSamples) ? Number(filters.minSamples) : 0;
+      const max = isGiven(filters.maxSamples) ? Number(filters.maxSamples) : null;
+      if (!Number.isInteger(min) || min < 0 || (max !== null && (!Number.isInteger(max) || max < min))) {
+        return { error: 'Sample counts must be whole numbers with minSamples <= maxSamples' };
+      }
+      normalized.minSamples = min;
+      if (max !== null) normalized.maxSamples = max;
+      // Entrez ranges need both ends; no sample count reaches 1e6
+      clauses.push(`${min}:${max ?? 1000000}[n_samples]`);
+    }
+
+    if (isGiven(filters.fromDate) || isGiven(filters.toDate)) {
+      const from = isGiven(filters.fromDate) ? entrezDate(filters.fromDate) : '1900';
+      const to = isGiven(filters.toDate) ? entrezDate(filters.toDate) : '3000';
+      if (!from || !to) {
+        return { error: 'Publication dates must look like YYYY, YYYY/MM or YYYY/MM/DD' };
+      }
+      if (isGiven(filters.fromDate)) normalized.fromDate = from;
+      if (isGiven(filters.toDate)) normalized.toDate = to;
+      clauses.push(`${from}:${to}[PDAT]`);
+    }
+
+    if (clauses.length === 0) {
+      return { error: 'Give a query or at least one filter' };
+    }
+
+    return { term: clauses.join(' AND '), filters: normalized };
+  }
+
+  anyOf(clauses) {
+    return clauses.length === 1 ? clauses[0] : `(${clauses.join(' OR ')})`;
+  }
+
+  /**
+   * Filters spelled out in a search sentence ("human RNA-seq breast cancer after 2020
+   * with >50 samples"); the words left over become the keyword query
+   */
+  parseText(text) {
+    let rest = ` ${text} `;
+    const filters = {};
+    const keywords = [];
+    const take = (pattern, handle) => {
+      rest = rest.replace(pattern, (...match) => {
+        handle(match);
+        return ` ${GAP} `;
+      });
+    };
+
+    // Sample counts: ">50 samples", "at least 50 samples", "fewer than 20 samples", "10-100 samples"
+    take(/\b(?:with\s+)?(\d+)\s*(?:-|to)\s*(\d+)\s+samples\b/i, m => {
+      filters.minSamples = parseInt(m[1], 10);
+      filters.maxSamples = parseInt(m[2], 10);
+    });
+    take(/(?:\bwith\s+)?(?:>=?\s*|\bat least\s+|more than\s+|over\s+|min(?:imum)?\s+(?:of\s+)?)(\d+)\s+samples\b/i, m => {
+      filters.minSamples = parseInt(m[1], 10) + (/more than|over/i.test(m[0]) || /> ?\d/.test(m[0]) ? 1 : 0);
+    });
+    take(/(?:\bwith\s+)?(?:<=?\s*|\bat most\s+|fewer than\s+|less than\s+|under\s+|max(?:imum)?\s+(?:of\s+)?)(\d+)\s+samples\b/i, m => {
+      filters.maxSamples = parseInt(m[1], 10) - (/fewer than|less than|under/i.test(m[0]) || /< ?\d/.test(m[0]) ? 1 : 0);
+    });
+
+    // Publication dates: "after 2020", "since 2019", "before 2015", "between 2010 and 2015", "from 2018 to 2020", "in 2021"
+    take(/\b(?:between|from)\s+(\d{4})\s+(?:and|to|-)\s+(\d{4})\b/i, m => {
+      filters.fromDate = m[1];
+      filters.toDate = m[2];
+    });
+    take(/\b(after|since|from)\s+(\d{4})\b/i, m => {
+      filters.fromDate = m[1].toLowerCase() === 'after' ? String(parseInt(m[2], 10) + 1) : m[2];
+    });
+    take(/\b(before|until|up to)\s+(\d{4})\b/i, m => {
+      filters.toDate = m[1].toLowerCase() === 'before' ? String(parseInt(m[2], 10) - 1) : m[2];
+    });
+    take(/\b(?:published\s+)?in\s+(\d{4})\b/i, m => {
+      filters.fromDate = m[1];
+      filters.toDate = m[1];
+    });
+
+    take(/\b(GPL\d+)\b/i, m => { filters.platform = m[1].toUpperCase(); });
+    take(/\b(?:only\s+)?(GSE|GDS)\b(?!\d)(?:\s+(?:series|records|entries))?/i, m => { filters.entryType = m[1].toLowerCase(); });
+
+    for (const [alias, organism] of Object.entries(ORGANISM_ALIASES)) {
+      take(new RegExp(`\\b${alias.replace('.', '\\.')}\\b`, 'i'), () => { filters.organism = organism; });
+      if (filters.organism) break;
+    }
+
+    take(/\b(single[- ]cell\s+)?(rna-?seq|rnaseq|(?:micro)?arrays?|chip-?seq|atac-?seq|methylation arrays?|methylation|mirna|microrna|snp arrays?)\b/i, m => {
+      const type = m[2].toLowerCase().replace(/arrays$/, 'array');
+      filters.studyType = type === 'snp array' ? 'snp' : type;
+      // Single-cell is not a GEO study type, keep it as a keyword
+      if (m[1]) keywords.push('single cell');
+    });
+
+    const tokens = [rest, ...keywords].join(' ')
+      .replace(/\b(find|search( for)?|show( me)?|look for|list|get|datasets?|studies|study|data|with|for|from|published)\b/gi, ` ${GAP} `)
+      .split(/\s+/)
+      .filter(Boolean);
+
+    // Stop words next to a gap or at either end are leftovers ("studies of X in <organism>");
+    // inside the remaining phrase they stay ("vitamin a deficiency")
+    const dangling = new Set();
+    const strip = (order) => {
+      let atGap = true;
+      for (const k of order) {
+        if (tokens[k] === GAP) atGap = true;
+        else if (atGap && STOP_WORDS.has(tokens[k])) dangling.add(k);
+        else atGap = false;
+      }
+    };
+    const order = tokens.map((_, k) => k);
+    strip(order);
+    strip(order.reverse());
+
+    const query = tokens.filter((token, k) => token !== GAP && !dangling.has(k)).join(' ');
+
+    if (query) filters.query = query;
+    return filters;
+  }
+}
+
+// Export singleton instance
+export const entrezQuery = new EntrezQuery();
@@ -0,0 +1,204 @@
+/**
+ * Experimental Design - Factors, named sample groups and contrasts
+ *
+ * Tabulates SOFT sample characteristics, suggests factor columns, and keeps
+ * user-defined groups/contrasts per dataset in <dataDir>/<datasetId>/design.json
+ * so both the web backend and the MCP server can reference them by name. The
+ * file is the only copy: every change re-reads it, so neither process
+ * overwrites what the other defined.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { dataDownloader } from './data-downloader.js';
+
+const DESIGN_FILE = 'design.json';
+
+// Characteristic key patterns for common factor types, checked in order
+const FACTOR_TYPES = [
+  { type: 'treatment', pattern: /treat|agent|drug|compound|stimul|inhibitor|therapy/i },
+  { type: 'dose', pattern: /dose|concentration|dosage/i },
+  { type: 'time', pattern: /time|hour|day|week|timepoint|duration/i },
+  { type: 'genotype', pattern: /genotype|strain|variation|knock|mutation|transgen|shrna|sirna/i },
+  { type: 'disease', pattern: /disease|status|condition|diagnosis|state|phenotype|subtype|grade|stage/i },
+  { type: 'tissue', pattern: /tissue|cell type|cell line|organ|source/i },
+  { type: 'sex', pattern: /\bsex\b|gender/i },
+  { type: 'age', pattern: /\bage\b/i },
+  { type: 'batch', pattern: /batch|run|lane|scan/i }
+];
+
+class ExperimentalDesign {
+  constructor() {
+    this.updates = new Map(); // datasetId -> tail of the queued changes
+  }
+
+  designPath(datasetId) {
+    return path.join(dataDownloader.dataDir, datasetId, DESIGN_FILE);
+  }
+
+  /**
+   * Load the saved design for a dataset (empty design if none)
+   */
+  async load(datasetId) {
+    try {
+      return JSON.parse(await fs.readFile(this.designPath(datasetId), 'utf-8'));
+    } catch {
+      return { groups: {}, contrasts: {} }; // No design saved yet
+    }
+  }
+
+  /**
+   * Apply change(design) to the design as currently on disk and save it.
+   * Changes to one dataset run one at a time; the file is replaced atomically.
+   */
+  async update(datasetId, change) {
+    const run = async () => {
+      const design = await this.load(datasetId);
+      const result = change(design);
+      if (result === null) return null;
+
+      const filePath = this.designPath(datasetId);
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(tmpPath, JSON.stringify(design, null, 2));
+      await fs.rename(tmpPath, filePath);
+      return design;
+    };
+
+    const queued = (this.updates.get(datasetId) || Promise.resolve()).then(run, run);
+    this.updates.set(datasetId, queued.catch(() => {}));
+    return queued;
+  }
+
+  /**
+   * Define (or replace) a named sample group.
+   * spec: { samples: [...] } | { characteristic?, value } | { where: { key: value, ... } }
+   */
+  async defineGroup(datasetId, name, spec) {
+    const cleaned = Object.fromEntries(Object.entries(spec).filter(([, v]) => v !== undefined && v !== null));
+    return this.update(datasetId, design => {
+      design.groups[name] = { ...cleaned, label: spec.label || name };
+    });
+  }
+
+  async removeGroup(datasetId, name) {
+    return this.update(datasetId, design => {
+      const key = this.findName(design.groups, name);
+      if (!key) return null;
+
+      delete design.groups[key];
+      for (const [contrastName, contrast] of Object.entries(design.contrasts)) {
+        if (contrast.groupA === key || contrast.groupB === key) {
+          delete design.contrasts[contrastName];
+        }
+      }
+    });
+  }
+
+  /**
+   * Define a named contrast between two named groups (A vs B)
+   */
+  async defineContrast(datasetId, name, groupA, groupB) {
+    return this.update(datasetId, design => {
+      const keyA = this.findName(design.groups, groupA);
+      const keyB = this.findName(design.groups, groupB);
+
+      if (!keyA || !keyB) {
+        throw new Error(`Unknown group "${!keyA ? groupA : groupB}". Define it first.`);
+      }
+
+      design.contrasts[name] = { groupA: keyA, groupB: keyB };
+    });
+  }
+
+  async removeContrast(datasetId, name) {
+    return this.update(datasetId, design => {
+      const key = this.findName(design.contrasts, name);
+      if (!key) return null;
+
+      delete design.contrasts[key];
+    });
+  }
+
+  /**
+   * Case-insensitive lookup of a group or contrast name
+   */
+  findName(collection, name) {
+    if (!name) return null;
+    const wanted = name.trim().toLowerCase();
+    return Object.keys(collection).find(key => key.toLowerCase() === wanted) || null;
+  }
+
+  /**
+   * Count samples per value for every characteristic key
+   */
+  tabulate(softSamples) {
+    const table = {};
+
+    for (const sample of softSamples) {
+      for (const [key, value] of Object.entries(sample.characteristics)) {
+        if (!table[key]) table[key] = { key, values: {}, sampleCount: 0 };
+        table[key].sampleCount++;
+        if (!table[key].values[value]) table[key].values[value] = [];
+        table[key].values[value].push(sample.id);
+      }
+    }
+
+    return Object.values(table).map(entry => ({
+      key: entry.key,
+      sampleCount: entry.sampleCount,
+      levelCount: Object.keys(entry.values).length,
+      levels: Object.entries(entry.values)
+        .map(([value, samples]) => ({ value, count: samples.length, samples }))
+        .sort((a, b) => b.count - a.count)
+    }));
+  }
+
+  /**
+   * Suggest which characteristics are usable experimental factors:
+   * keys present on every sample that split samples into 2+ levels
+   * without being unique per sample.
+   */
+  suggestFactors(tabulation, totalSamples) {
+    return tabulation
+      .filter(entry =>
+        entry.sampleCount === totalSamples &&
+        entry.levelCount >= 2 &&
+        entry.levelCount < totalSamples
+      )
+      .map(entry => {
+        const match = FACTOR_TYPES.find(f => f.pattern.test(entry.key));
+        return {
+          key: entry.key,
+          type: match ? match.type : 'other',
+          levels: entry.levels.map(l => ({ value: l.value, count: l.count })),
+          replicated: entry.levels.every(l => l.count >= 2)
+        };
+      })
+      .sort((a, b) => (a.type === 'other') - (b.type === 'other'));
+  }
+
+  /**
+   * Sample IDs matching a group spec, given SOFT samples
+   */
+  matchSamples(spec, softSamples) {
+    const equals = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+    if (spec.where) {
+      const conditions = Object.entries(spec.where);
+      return softSamples
+        .filter(sample => conditions.every(([key, value]) =>
+          Object.entries(sample.characteristics).some(([k, v]) => equals(k, key) && equals(v, value))
+        ))
+        .map(sample => sample.id);
+    }
+
+    return softSamples
+      .filter(sample => Object.entries(sample.characteristics).some(([k, v]) =>
+        (!spec.characteristic || equals(k, spec.characteristic)) && equals(v, spec.value)
+      ))
+      .map(sample => sample.id);
+  }
+}
+
+export const experimentalDesign = new ExperimentalDesign();
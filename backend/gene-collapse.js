@@ -0,0 +1,156 @@
+/**
+ * Gene Collapse - Builds gene-level matrices from probe-level ones
+ *
+ * Probes annotated to exactly one gene symbol are grouped by that symbol and
+ * reduced to one row per gene. The result is written as a regular matrix store
+ * whose row IDs are gene symbols, so every store-based analysis works on it.
+ */
+
+import path from 'path';
+import { MatrixStore, MatrixStoreWriter } from './matrix-store.js';
+import { median } from './stats.js';
+
+export const COLLAPSE_STRATEGIES = ['maxMean', 'maxVariance', 'average', 'median'];
+export const DEFAULT_COLLAPSE_STRATEGY = 'maxMean';
+
+function rowMoments(values, rowIndex, probeCount, sampleCount) {
+  let sum = 0;
+  let sumSq = 0;
+  let n = 0;
+  for (let j = 0; j < sampleCount; j++) {
+    const v = values[j * probeCount + rowIndex];
+    if (!isNaN(v)) {
+      sum += v;
+      sumSq += v * v;
+      n++;
+    }
+  }
+  const mean = n > 0 ? sum / n : NaN;
+  const variance = n > 1 ? (sumSq - n * mean * mean) / (n - 1) : NaN;
+  return { mean, variance };
+}
+
+class GeneCollapser {
+  /**
+   * Gene stores built from a preprocessed probe store get their own directory
+   */
+  storeDirFor(datasetDir, strategy, probeStore) {
+    const variant = probeStore.meta.preprocessing?.key;
+    return path.join(datasetDir, `gene-store-${strategy}${variant ? `-${variant}` : ''}`);
+  }
+
+  /**
+   * Group probe rows by their single annotated gene symbol
+   */
+  groupProbes(probeStore, annotation) {
+    const groups = new Map(); // symbol -> [rowIndex]
+
+    probeStore.probes.forEach((probeId, rowIndex) => {
+      const genes = annotation.getGenesForProbe(probeId);
+      if (!genes || genes.symbols.length !== 1) return; // unannotated or ambiguous
+
+      const symbol = genes.symbols[0];
+      if (!groups.has(symbol)) groups.set(symbol, []);
+      groups.get(symbol).push(rowIndex);
+    });
+
+    return new Map([...groups.entries()].sort(([a], [b]) => a.localeCompare(b)));
+  }
+
+  /**
+   * Reduce one gene's probe rows to a single row of sample values
+   */
+  collapseRows(values, rowIndices, probeCount, sampleCount, strategy) {
+    const row = new Float32Array(sampleCount);
+
+    if (strategy === 'maxMean' || strategy === 'maxVariance') {
+      const key = strategy === 'maxMean' ? 'mean' : 'variance';
+      let best = rowIndices[0];
+      let bestScore = -Infinity;
+      for (const rowIndex of rowIndices) {
+        const score = rowMoments(values, rowIndex, probeCount, sampleCount)[key];
+        if (score > bestScore) {
+          best = rowIndex;
+          bestScore = score;
+        }
+      }
+      for (let j = 0; j < sampleCount; j++) {
+        row[j] = values[j * probeCount + best];
+      }
+      return { row, representativeProbe: best };
+    }
+
+    for (let j = 0; j < sampleCount; j++) {
+      const cells = [];
+      for (const rowIndex of rowIndices) {
+        const v = values[j * probeCount + rowIndex];
+        if (!isNaN(v)) cells.push(v);
+      }
+
+      if (cells.length === 0) {
+        row[j] = NaN;
+      } else if (strategy === 'average') {
+        row[j] = cells.reduce((a, b) => a + b, 0) / cells.length;
+      } else {
+        row[j] = median(cells);
+      }
+    }
+    return { row, representativeProbe: null };
+  }
+
+  /**
+   * Open the gene-level store for a strategy, building it if missing or stale: the
+   * probe store's source changed, or the annotation was saved again since (a
+   * platform .annot file or supplementary-table symbols arriving later)
+   */
+  async getGeneStore(datasetDir, probeStore, annotation, strategy = DEFAULT_COLLAPSE_STRATEGY) {
+    if (!COLLAPSE_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown collapse strategy "${strategy}". Use one of: ${COLLAPSE_STRATEGIES.join(', ')}`);
+    }
+
+    const storeDir = this.storeDirFor(datasetDir, strategy, probeStore);
+    const sourcePath = path.join(datasetDir, probeStore.meta.source.file);
+
+    const annotationSource = annotation.source ? { size: annotation.source.size, mtimeMs: annotation.source.mtimeMs } : null;
+    const fresh = await MatrixStore.readFreshMeta(storeDir, sourcePath);
+    if (fresh && JSON.stringify(fresh.annotationSource ?? null) === JSON.stringify(annotationSource)) {
+      return MatrixStore.open(storeDir);
+    }
+
+    console.error(`Collapsing ${probeStore.probeCount} probes to gene level (${strategy})...`);
+
+    const groups = this.groupProbes(probeStore, annotation);
+    const values = await probeStore.load();
+    const writer = new MatrixStoreWriter(storeDir, probeStore.samples);
+    await writer.open();
+
+    const probesPerGene = {};
+    for (const [symbol, rowIndices] of groups) {
+      const { row, representativeProbe } = this.collapseRows(
+        values,
+        rowIndices,
+        probeStore.probeCount,
+        probeStore.sampleCount,
+        strategy
+      );
+      await writer.appendRow(symbol, row);
+      probesPerGene[symbol] = {
+        probes: rowIndices.map(idx => probeStore.probes[idx]),
+        representative: representativeProbe !== null ? probeStore.probes[representativeProbe] : null
+      };
+    }
+
+    return writer.finish({
+      metadata: probeStore.meta.metadata,
+      source: probeStore.meta.source,
+      level: 'gene',
+      strategy,
+      preprocessing: probeStore.meta.preprocessing,
+      sourceProbeCount: probeStore.probeCount,
+      annotationSource,
+      probesPerGene
+    });
+  }
+}
+
+export const geneCollapser = new GeneCollapser();
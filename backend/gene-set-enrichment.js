@@ -0,0 +1,280 @@
+/**
+ * Gene Set Enrichment - Over-representation and preranked GSEA against local GMT files
+ *
+ * GMT format: one gene set per line, tab-separated: name, description, genes...
+ * Every *.gmt file in the gene set directory is a library named after the file.
+ * Gene symbols are compared case-insensitively.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { benjaminiHochberg, hypergeometricSf } from './stats.js';
+
+export const DEFAULT_MIN_SET_SIZE = 10;
+export const DEFAULT_MAX_SET_SIZE = 500;
+export const DEFAULT_PERMUTATIONS = 1000;
+
+/**
+ * Small seeded PRNG (mulberry32) so permutation p-values are reproducible
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Weighted (p = 1) Kolmogorov-Smirnov running-sum enrichment score.
+ * positions: sorted ranks of the set members; weights: |score| by rank.
+ */
+function enrichmentScore(positions, weights, n) {
+  let hitWeight = 0;
+  for (const pos of positions) hitWeight += weights[pos];
+  const hitStep = (pos) => (hitWeight > 0 ? weights[pos] / hitWeight : 1 / positions.length);
+
+  const missStep = 1 / (n - positions.length);
+  let running = 0;
+  let max = 0;
+  let min = 0;
+  let previous = -1;
+  let leadingEdgeEnd = 0;
+  let leadingEdgeStart = 0;
+
+  positions.forEach((pos, idx) => {
+    running -= (pos - previous - 1) * missStep; // misses before this hit
+    if (running < min) {
+      min = running;
+      leadingEdgeStart = idx;
+    }
+    running += hitStep(pos);
+    if (running > max) {
+      max = running;
+      leadingEdgeEnd = idx;
+    }
+    previous = pos;
+  });
+
+  if (max >= -min) {
+    return { es: max, leadingEdge: leadingEdgeEnd + 1, positive: true };
+  }
+  return { es: min, leadingEdge: positions.length - leadingEdgeStart, positive: false };
+}
+
+class GeneSetEnrichment {
+  constructor() {
+    this.geneSetDir = null; // set explicitly, or GENE_SETS_DIR once the environment is loaded
+    this.libraries = new Map(); // file path -> { mtimeMs, sets }
+  }
+
+  get directory() {
+    return this.geneSetDir || process.env.GENE_SETS_DIR || './gene-sets';
+  }
+
+  setDirectory(dir) {
+    this.geneSetDir = dir;
+    this.libraries.clear();
+  }
+
+  /**
+   * Library names (GMT file names without extension) available locally
+   */
+  async listLibraries() {
+    try {
+      const files = await fs.readdir(this.directory);
+      return files.filter(f => f.toLowerCase().endsWith('.gmt')).map(f => f.replace(/\.gmt$/i, '')).sort();
+    } catch {
+      return [];
+    }
+  }
+
+  parseGMT(content, library) {
+    const sets = [];
+    for (const line of content.split('\n')) {
+      const cells = line.replace(/\r$/, '').split('\t');
+      if (cells.length < 3 || !cells[0]) continue;
+
+      const genes = new Set(cells.slice(2).map(g => g.trim().toUpperCase()).filter(Boolean));
+      sets.push({ name: cells[0], description: cells[1] || '', library, genes });
+    }
+    return sets;
+  }
+
+  /**
+   * Gene sets from the requested libraries (all when none given), reloaded when a file changes
+   */
+  async loadGeneSets(libraries = null) {
+    const available = await this.listLibraries();
+    if (available.length === 0) {
+      throw new Error(`No GMT files found in ${path.resolve(this.directory)}. Add gene set libraries (e.g. MSigDB hallmark .gmt files) or set GENE_SETS_DIR.`);
+    }
+
+    const wanted = libraries && libraries.length > 0 ? libraries : available;
+    const sets = [];
+
+    for (const name of wanted) {
+      const library = available.find(l => l.toLowerCase() === name.toLowerCase());
+      if (!library) {
+        throw new Error(`Unknown gene set library "${name}". Available: ${available.join(', ')}`);
+      }
+
+      const filePath = path.join(this.directory, `${library}.gmt`);
+      const stats = await fs.stat(filePath);
+      const cached = this.libraries.get(filePath);
+
+      if (!cached || cached.mtimeMs !== stats.mtimeMs) {
+        const content = await fs.readFile(filePath, 'utf-8');
+        this.libraries.set(filePath, { mtimeMs: stats.mtimeMs, sets: this.parseGMT(content, library) });
+      }
+      sets.push(...this.libraries.get(filePath).sets);
+    }
+
+    return sets;
+  }
+
+  /**
+   * Hypergeometric over-representation of a gene list within a universe.
+   * Gene sets are restricted to the universe before sizes are filtered.
+   * Without a universe, all genes in the libraries plus the query are used.
+   */
+  async overRepresentation(genes, universe, {
+    libraries = null,
+    minSize = DEFAULT_MIN_SET_SIZE,
+    maxSize = DEFAULT_MAX_SET_SIZE
+  } = {}) {
+    const geneSets = await this.loadGeneSets(libraries);
+    if (!universe) {
+      universe = [...new Set([...geneSets.flatMap(set => [...set.genes]), ...genes])];
+    }
+
+    const universeSet = new Set(universe.map(g => g.toUpperCase()));
+    const query = new Set(genes.map(g => g.toUpperCase()).filter(g => universeSet.has(g)));
+    const N = universeSet.size;
+    const n = query.size;
+
+    if (n === 0) {
+      throw new Error('None of the query genes are in the gene universe');
+    }
+
+    const results = [];
+    for (const set of geneSets) {
+      const members = [...set.genes].filter(g => universeSet.has(g));
+      if (members.length < minSize || members.length > maxSize) continue;
+
+      const overlap = members.filter(g => query.has(g));
+      const expected = (n * members.length) / N;
+
+      results.push({
+        set: set.name,
+        library: set.library,
+        description: set.description,
+        size: members.length,
+        overlap: overlap.length,
+        expected,
+        foldEnrichment: expected > 0 ? overlap.length / expected : NaN,
+        pValue: hypergeometricSf(overlap.length, N, members.length, n),
+        genes: overlap.sort()
+      });
+    }
+
+    const adjusted = benjaminiHochberg(results.map(r => r.pValue));
+    results.forEach((r, idx) => { r.adjPValue = adjusted[idx]; });
+    results.sort((a, b) => a.pValue - b.pValue || b.foldEnrichment - a.foldEnrichment);
+
+    return { method: 'ora', universeSize: N, querySize: n, tested: results.length, results };
+  }
+
+  /**
+   * Preranked GSEA: weighted KS enrichment score on a ranking (higher score = top),
+   * normalized and tested against random gene sets of the same size.
+   */
+  async preranked(ranking, {
+    libraries = null,
+    minSize = DEFAULT_MIN_SET_SIZE,
+    maxSize = DEFAULT_MAX_SET_SIZE,
+    permutations = DEFAULT_PERMUTATIONS,
+    seed = 42
+  } = {}) {
+    // One entry per gene, best absolute score wins; then sort descending
+    const byGene = new Map();
+    for (const { gene, score } of ranking) {
+      if (!gene || !isFinite(score)) continue;
+      const key = gene.toUpperCase();
+      if (!byGene.has(key) || Math.abs(score) > Math.abs(byGene.get(key))) byGene.set(key, score);
+    }
+    const ranked = [...byGene.entries()].sort((a, b) => b[1] - a[1]);
+    const n = ranked.length;
+    if (n < 2) {
+      throw new Error('The ranking needs at least 2 genes with finite scores');
+    }
+
+    const rankOf = new Map(ranked.map(([gene], idx) => [gene, idx]));
+    const weights = Float64Array.from(ranked, ([, score]) => Math.abs(score));
+
+    const observed = [];
+    for (const set of await this.loadGeneSets(libraries)) {
+      const positions = [...set.genes].filter(g => rankOf.has(g)).map(g => rankOf.get(g)).sort((a, b) => a - b);
+      if (positions.length < minSize || positions.length > maxSize || positions.length >= n) continue;
+
+      const score = enrichmentScore(positions, weights, n);
+      observed.push({ set, positions, ...score });
+    }
+
+    // Null distributions are shared between sets of the same size
+    const random = createRandom(seed);
+    const nulls = new Map();
+    const nullFor = (size) => {
+      if (nulls.has(size)) return nulls.get(size);
+      const scores = [];
+      const pool = Array.from({ length: n }, (_, i) => i);
+      for (let p = 0; p < permutations; p++) {
+        for (let i = 0; i < size; i++) {
+          const j = i + Math.floor(random() * (n - i));
+          [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+        scores.push(enrichmentScore(pool.slice(0, size).sort((a, b) => a - b), weights, n).es);
+      }
+      const positive = scores.filter(s => s >= 0);
+      const negative = scores.filter(s => s < 0);
+      const summary = {
+        positive,
+        negative,
+        positiveMean: positive.length > 0 ? positive.reduce((a, b) => a + b, 0) / positive.length : NaN,
+        negativeMean: negative.length > 0 ? negative.reduce((a, b) => a + b, 0) / negative.length : NaN
+      };
+      nulls.set(size, summary);
+      return summary;
+    };
+
+    const results = observed.map(({ set, positions, es, leadingEdge, positive }) => {
+      const nullScores = nullFor(positions.length);
+      const sameSign = positive ? nullScores.positive : nullScores.negative;
+      const extreme = sameSign.filter(s => (positive ? s >= es : s <= es)).length;
+      const mean = positive ? nullScores.positiveMean : -nullScores.negativeMean;
+
+      const edgePositions = positive ? positions.slice(0, leadingEdge) : positions.slice(positions.length - leadingEdge);
+      return {
+        set: set.name,
+        library: set.library,
+        description: set.description,
+        size: positions.length,
+        es,
+        nes: mean > 0 ? es / mean : NaN,
+        pValue: (extreme + 1) / (sameSign.length + 1),
+        leadingEdge: edgePositions.map(pos => ranked[pos][0])
+      };
+    });
+
+    const adjusted = benjaminiHochberg(results.map(r => r.pValue));
+    results.forEach((r, idx) => { r.adjPValue = adjusted[idx]; });
+    results.sort((a, b) => a.pValue - b.pValue || Math.abs(b.nes) - Math.abs(a.nes));
+
+    return { method: 'gsea', rankedGenes: n, permutations, tested: results.length, results };
+  }
+}
+
+export const geneSetEnrichment = new GeneSetEnrichment();
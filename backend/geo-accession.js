@@ -0,0 +1,88 @@
+/**
+ * GEO Accession - Accession types and their web / FTP locations
+ *
+ * GEO has four record types: series (GSE), samples (GSM), platforms (GPL) and
+ * curated DataSets (GDS). Each lives in its own FTP tree, grouped in directories
+ * named after the accession with its last three digits replaced by "nnn"
+ * (GSE12345 -> GSE12nnn, GSE1 and GSE999 -> GSEnnn).
+ */
+
+const GEO_FTP_URL = 'https://ftp.ncbi.nlm.nih.gov/geo';
+const GEO_WEB_URL = 'https://www.ncbi.nlm.nih.gov/geo/query/acc.cgi';
+
+export const ACCESSION_TYPES = {
+  GSE: { label: 'series', ftpDir: 'series' },
+  GSM: { label: 'sample', ftpDir: 'samples' },
+  GPL: { label: 'platform', ftpDir: 'platforms' },
+  GDS: { label: 'curated dataset', ftpDir: 'datasets' }
+};
+
+class GeoAccession {
+  /**
+   * { accession, type, number } for a GEO accession ("gse12345" -> GSE12345), or null
+   */
+  parse(id) {
+    const match = String(id ?? '').trim().match(/^(GSE|GSM|GPL|GDS)(\d+)$/i);
+    if (!match) return null;
+    const type = match[1].toUpperCase();
+    return { accession: `${type}${match[2]}`, type, number: parseInt(match[2], 10), ...ACCESSION_TYPES[type] };
+  }
+
+  /**
+   * FTP grouping directory: GSE12345 -> GSE12nnn, GSE123 -> GSEnnn
+   */
+  ftpStub(id) {
+    const { type, number } = this.parse(id);
+    return `${type}${number >= 1000 ? Math.floor(number / 1000) : ''}nnn`;
+  }
+
+  /**
+   * FTP directory of a record, e.g. https://ftp.ncbi.nlm.nih.gov/geo/samples/GSM1nnn/GSM1234
+   */
+  ftpUrl(id) {
+    const parsed = this.parse(id);
+    if (!parsed) {
+      throw new Error(`Not a GEO accession: ${id}`);
+    }
+    return `${GEO_FTP_URL}/${parsed.ftpDir}/${this.ftpStub(parsed.accession)}/${parsed.accession}`;
+  }
+
+  /**
+   * SuperSeries links from a series' "!Series_relation" values:
+   * { subSeries: [...], superSeries: [...] }. A SuperSeries lists its parts as
+   * "SuperSeries of: GSE1234"; each part names its parent as "SubSeries of: GSE99".
+   */
+  seriesRelations(relations = []) {
+    const result = { subSeries: [], superSeries: [] };
+    for (const relation of relations) {
+      const match = String(relation).match(/^\s*(SuperSeries|SubSeries) of:\s*(GSE\d+)/i);
+      if (!match) continue;
+      const list = match[1].toLowerCase() === 'superseries' ? result.subSeries : result.superSeries;
+      if (!list.includes(match[2].toUpperCase())) list.push(match[2].toUpperCase());
+    }
+    return result;
+  }
+
+  webUrl(id) {
+    return `${GEO_WEB_URL}?acc=${String(id).toUpperCase()}`;
+  }
+
+  /**
+   * A single record in SOFT text from the GEO web server (samples and platforms
+   * have no per-record SOFT file on FTP). view: 'brief' (metadata) or 'full' (with data table)
+   */
+  softUrl(id, view = 'brief') {
+    return `${this.webUrl(id)}&targ=self&form=text&view=${view}`;
+  }
+
+  /**
+   * A record in MINiML (XML) from the GEO web server. targ: 'self', or 'all' for a
+   * series with its samples and platforms; view as for softUrl
+   */
+  minimlUrl(id, targ = 'self', view = 'brief') {
+    return `${this.webUrl(id)}&targ=${targ}&form=xml&view=${view}`;
+  }
+}
+
+// Export singleton instance
+export const geoAccession = new GeoAccession();
@@ -3,12 +3,73 @@
  * This replaces the MCP client with direct API calls to NCBI
  */
 
+import path from 'path';
+import { entrezQuery } from './entrez-query.js';
+import { searchFacets, DEFAULT_FACET_LIMIT, FACET_BATCH_SIZE } from './search-facets.js';
+import { metadataIndex } from './metadata-index.js';
+import { geoAccession, ACCESSION_TYPES } from './geo-accession.js';
+import { dataParser } from './data-parser.js';
+import { dataDownloader } from './data-downloader.js';
+
 const NCBI_BASE_URL = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils';
 
 // NCBI API Key (optional but recommended for better rate limits: 10 req/s vs 3 req/s)
 // Set via environment variable or hardcode your key here
 const NCBI_API_KEY = process.env.NCBI_API_KEY || 'yourapikeyhere';
 
+// Caps on the records followed from one dataset
+const MAX_PUBLICATIONS = 20;
+const MAX_RELATED_SERIES = 50;
+const MAX_SRA_SUMMARIES = 100;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Text content of an XML fragment: tags stripped, entities decoded
+function xmlText(fragment) {
+  return String(fragment ?? '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x?[0-9a-f]+|\w+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+      }
+      return XML_ENTITIES[code.toLowerCase()] ?? entity;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function xmlFirst(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+  return match ? xmlText(match[1]) : null;
+}
+
+/**
+ * Articles of a PubMed EFetch XML response: [{ pmid, title, journal, year, authors, doi, abstract }]
+ */
+function parsePubmedArticles(xml) {
+  return [...String(xml).matchAll(/<PubmedArticle>([\s\S]*?)<\/PubmedArticle>/g)].map(([, article]) => {
+    const authors = [...article.matchAll(/<Author[\s>][\s\S]*?<\/Author>/g)]
+      .map(([author]) => [xmlFirst(author, 'LastName') || xmlFirst(author, 'CollectiveName'), xmlFirst(author, 'Initials')].filter(Boolean).join(' '))
+      .filter(Boolean);
+    const pubDate = article.match(/<PubDate>([\s\S]*?)<\/PubDate>/)?.[1] || '';
+    // Structured abstracts come in labelled parts (BACKGROUND, METHODS, ...)
+    const abstract = [...article.matchAll(/<AbstractText(?:\s+[^>]*?Label="([^"]*)")?[^>]*>([\s\S]*?)<\/AbstractText>/g)]
+      .map(([, label, text]) => (label ? `${label}: ${xmlText(text)}` : xmlText(text)))
+      .join(' ');
+    const doi = article.match(/<ArticleId IdType="doi">([^<]+)<\/ArticleId>/);
+
+    return {
+      pmid: xmlFirst(article, 'PMID'),
+      title: xmlFirst(article, 'ArticleTitle'),
+      journal: xmlFirst(article, 'ISOAbbreviation') || xmlFirst(article, 'Title'),
+      year: xmlFirst(pubDate, 'Year') || (xmlFirst(pubDate, 'MedlineDate') || '').slice(0, 4) || null,
+      authors: authors.length > 3 ? `${authors[0]} et al.` : authors.join(', '),
+      doi: doi ? doi[1] : null,
+      abstract: abstract || null
+    };
+  });
+}
+
 class GeoClient {
   constructor() {
     this.isConnected = true; // Always connected via HTTP
@@ -26,11 +87,11 @@ class GeoClient {
       const testUrl = this.buildUrl(`${NCBI_BASE_URL}/einfo.fcgi?db=gds&retmode=json`);
       const response = await fetch(testUrl);
       if (response.ok) {
-        console.log('✓ Connected to NCBI E-utilities API');
+        console.error('✓ Connected to NCBI E-utilities API');
         if (this.apiKey) {
-          console.log('✓ Using NCBI API key for enhanced rate limits (10 req/s)');
+          console.error('✓ Using NCBI API key for enhanced rate limits (10 req/s)');
         } else {
-          console.log('⚠️  No NCBI API key - using default rate limits (3 req/s)');
+          console.error('⚠️  No NCBI API key - using default rate limits (3 req/s)');
         }
         this.isConnected = true;
       }
@@ -40,28 +101,76 @@ class GeoClient {
     }
   }
 
-  async searchDatasets(query, maxResults = 20) {
+  /**
+   * One page of search results. The search runs once on the Entrez history server
+   * (usehistory=y); pass the returned `history` ({ webEnv, queryKey, count, term }) to
+   * fetch later pages' summaries from it instead of searching again.
+   */
+  async searchDatasets(query, pageSize = 20, { page = 1, history } = {}) {
     try {
-      // Step 1: Search for datasets
-      const searchUrl = this.buildUrl(`${NCBI_BASE_URL}/esearch.fcgi?db=gds&term=${encodeURIComponent(query)}&retmax=${maxResults}&retmode=json`);
-      const searchResponse = await fetch(searchUrl);
-      const searchData = await searchResponse.json();
+      const retstart = (page - 1) * pageSize;
+      let idList = null;
+      let summaryData = null;
+
+      // Later pages: summaries straight from the history server (when it holds this search)
+      if (history?.webEnv && history?.queryKey && (!history.term || history.term === query)) {
+        if (retstart >= history.count) {
+          idList = []; // past the last page
+        } else {
+          const summaryUrl = this.buildUrl(`${NCBI_BASE_URL}/esummary.fcgi?db=gds&query_key=${history.queryKey}&WebEnv=${encodeURIComponent(history.webEnv)}&retstart=${retstart}&retmax=${pageSize}&retmode=json`);
+          const summaryResponse = await fetch(summaryUrl);
+          const data = await summaryResponse.json();
+          // An expired WebEnv comes back as an error; search again below
+          if (!data.error && data.result?.uids) {
+            summaryData = data;
+            idList = data.result.uids;
+          }
+        }
+      }
 
-      const idList = searchData.esearchresult?.idlist || [];
+      if (!idList) {
+        // Step 1: Search for datasets, keeping the full result set on the history server
+        const searchUrl = this.buildUrl(`${NCBI_BASE_URL}/esearch.fcgi?db=gds&term=${encodeURIComponent(query)}&usehistory=y&retstart=${retstart}&retmax=${pageSize}&retmode=json`);
+        const searchResponse = await fetch(searchUrl);
+        const searchData = await searchResponse.json();
+
+        idList = searchData.esearchresult?.idlist || [];
+        history = {
+          webEnv: searchData.esearchresult?.webenv,
+          queryKey: searchData.esearchresult?.querykey,
+          count: parseInt(searchData.esearchresult?.count, 10) || 0,
+          term: query
+        };
+      }
+
+      const paging = {
+        count: history.count,
+        page,
+        pageSize,
+        totalPages: Math.ceil(history.count / pageSize),
+        hasMore: retstart + idList.length < history.count,
+        history
+      };
 
       if (idList.length === 0) {
         return {
           content: [{
             type: 'text',
-            text: `No datasets found for query: ${query}`
-          }]
+            text: history.count > 0
+              ? `No results on page ${page}; ${query} has ${history.count} results (${paging.totalPages} pages)`
+              : `No datasets found for query: ${query}`
+          }],
+          datasets: [],
+          ...paging
         };
       }
 
       // Step 2: Fetch summaries for the datasets
-      const summaryUrl = this.buildUrl(`${NCBI_BASE_URL}/esummary.fcgi?db=gds&id=${idList.join(',')}&retmode=json`);
-      const summaryResponse = await fetch(summaryUrl);
-      const summaryData = await summaryResponse.json();
+      if (!summaryData) {
+        const summaryUrl = this.buildUrl(`${NCBI_BASE_URL}/esummary.fcgi?db=gds&id=${idList.join(',')}&retmode=json`);
+        const summaryResponse = await fetch(summaryUrl);
+        summaryData = await summaryResponse.json();
+      }
 
       // Format results
       const datasets = idList.map(id => {
@@ -80,10 +189,13 @@ class GeoClient {
         };
       }).filter(Boolean);
 
+      // Remember what we have seen for offline library search
+      await metadataIndex.addSummaries(datasets);
+
       // Create formatted text response
-      let text = `Found ${datasets.length} datasets:\n\n`;
+      let text = `Found ${history.count} datasets (showing ${retstart + 1}-${retstart + datasets.length}, page ${page} of ${paging.totalPages}):\n\n`;
       datasets.forEach((ds, idx) => {
-        text += `${idx + 1}. **${ds.id}** - ${ds.title}\n`;
+        text += `${retstart + idx + 1}. **${ds.id}** - ${ds.title}\n`;
         text += `   Organism: ${ds.organism} | Samples: ${ds.samples} | Type: ${ds.type}\n\n`;
       });
 
@@ -92,7 +204,8 @@ class GeoClient {
           type: 'text',
           text: text
         }],
-        datasets: datasets
+        datasets: datasets,
+        ...paging
       };
     } catch (error) {
       console.error('Error searching datasets:', error);
@@ -100,62 +213,148 @@ class GeoClient {
     }
   }
 
-  async getDatasetDetails(geoId) {
-    try {
-      // Search for the specific ID
-      const searchUrl = this.buildUrl(`${NCBI_BASE_URL}/esearch.fcgi?db=gds&term=${geoId}&retmode=json`);
-      const searchResponse = await fetch(searchUrl);
-      const searchData = await searchResponse.json();
+  /**
+   * Search with structured filters (organism, entryType, studyType, platform,
+   * minSamples/maxSamples, fromDate/toDate) translated to Entrez field tags;
+   * paging: { page, history } as in searchDatasets. With `facets` set, the
+   * result set's facets (see getFacets) come back alongside the page.
+   */
+  async searchStructured(filters, pageSize = 20, { facets = false, facetLimit, ...paging } = {}) {
+    const built = entrezQuery.build(filters);
+    if (built.error) {
+      return { error: built.error };
+    }
 
-      const idList = searchData.esearchresult?.idlist || [];
+    const results = await this.searchDatasets(built.term, pageSize, paging);
+    const structured = { ...results, term: built.term, filters: built.filters };
+    if (facets) {
+      structured.facets = await this.getFacets(results.history, facetLimit);
+    }
+    return structured;
+  }
 
-      if (idList.length === 0) {
-        throw new Error(`Dataset ${geoId} not found`);
+  /**
+   * Facets over a whole search result set, summarized in esummary batches from the
+   * history server. Only the first `limit` records are counted for very large
+   * searches: { aggregated, count, complete, fields }.
+   */
+  async getFacets(history, limit = DEFAULT_FACET_LIMIT) {
+    const docs = [];
+    const total = Math.min(history?.count || 0, limit);
+
+    if (history?.webEnv && history?.queryKey) {
+      for (let retstart = 0; retstart < total; retstart += FACET_BATCH_SIZE) {
+        const retmax = Math.min(FACET_BATCH_SIZE, total - retstart);
+        const summaryUrl = this.buildUrl(`${NCBI_BASE_URL}/esummary.fcgi?db=gds&query_key=${history.queryKey}&WebEnv=${encodeURIComponent(history.webEnv)}&retstart=${retstart}&retmax=${retmax}&retmode=json`);
+        const summaryResponse = await fetch(summaryUrl);
+        const data = await summaryResponse.json();
+        if (data.error || !data.result?.uids) break;
+        docs.push(...data.result.uids.map(uid => data.result[uid]).filter(Boolean));
       }
+    }
+
+    return {
+      aggregated: docs.length,
+      count: history?.count || 0,
+      complete: docs.length >= (history?.count || 0),
+      fields: searchFacets.aggregate(docs)
+    };
+  }
 
-      const id = idList[0];
+  /**
+   * The db=gds esummary record of an accession. An accession search can also hit
+   * related records (a series' samples), so the one with that accession is kept.
+   */
+  async findRecord(geoId) {
+    const searchUrl = this.buildUrl(`${NCBI_BASE_URL}/esearch.fcgi?db=gds&term=${geoId}[ACCN]&retmode=json`);
+    const searchResponse = await fetch(searchUrl);
+    const searchData = await searchResponse.json();
+
+    const docs = await this.summaries('gds', searchData.esearchresult?.idlist || []);
+    const doc = docs.find(d => d.accession?.toUpperCase() === geoId.toUpperCase()) || docs[0];
+    if (!doc) {
+      throw new Error(`Dataset ${geoId} not found`);
+    }
+    return doc;
+  }
 
-      // Get detailed summary
-      const summaryUrl = this.buildUrl(`${NCBI_BASE_URL}/esummary.fcgi?db=gds&id=${id}&retmode=json`);
-      const summaryResponse = await fetch(summaryUrl);
-      const summaryData = await summaryResponse.json();
+  /**
+   * Details of a series (GSE), sample (GSM), platform (GPL) or curated dataset (GDS).
+   * Samples and platforms add the metadata of their SOFT record (characteristics,
+   * technology); every type links its GEO page and FTP directory. A series adds
+   * its SuperSeries/SubSeries links from its downloaded family file or, with
+   * `relations` set, from its SOFT record (one more request).
+   */
+  async getDatasetDetails(geoId, { relations = false } = {}) {
+    try {
+      const accession = geoAccession.parse(geoId);
+      if (!accession) {
+        throw new Error(`${geoId} is not a GEO accession (GSE, GSM, GPL or GDS)`);
+      }
 
-      const doc = summaryData.result?.[id];
+      const doc = await this.findRecord(accession.accession);
+      // Linked series come as bare numbers ("1234;5678")
+      const series = String(doc.gse || '').split(';').map(id => id.trim()).filter(Boolean).map(id => (id.startsWith('GSE') ? id : `GSE${id}`));
+
+      const details = {
+        id: doc.accession || accession.accession,
+        accessionType: accession.type,
+        title: doc.title,
+        summary: doc.summary,
+        organism: doc.organism || doc.taxon,
+        platform: doc.gpl,
+        sampleCount: doc.n_samples,
+        dataType: doc.gdstype,
+        publicationDate: doc.pdat,
+        pubmedIds: doc.pubmed_ids,
+        webUrl: geoAccession.webUrl(accession.accession),
+        ftpUrl: geoAccession.ftpUrl(accession.accession)
+      };
 
-      if (!doc) {
-        throw new Error(`No details found for ${geoId}`);
+      if (accession.type === 'GDS') {
+        details.series = series;
+        details.valueType = doc.valtype;
       }
 
-      // Format detailed response
-      let text = `# ${doc.accession || geoId}\n\n`;
-      text += `**Title:** ${doc.title || 'No title'}\n\n`;
-      text += `**Summary:** ${doc.summary || 'No summary available'}\n\n`;
-      text += `**Organism:** ${doc.organism || doc.taxon || 'Unknown'}\n`;
-      text += `**Platform:** ${doc.gpl || 'Unknown'}\n`;
-      text += `**Sample Count:** ${doc.n_samples || 0}\n`;
-      text += `**Dataset Type:** ${doc.gdstype || 'Unknown'}\n`;
-      text += `**Publication Date:** ${doc.pdat || 'Unknown'}\n`;
+      if (accession.type === 'GSM' || accession.type === 'GPL') {
+        details.series = series;
+        const soft = await this.getSOFTRecord(accession.accession);
+        if (accession.type === 'GSM' && soft?.samples[0]) {
+          const sample = soft.samples[0];
+          details.source = sample.Sample_source_name_ch1;
+          details.molecule = sample.Sample_molecule_ch1;
+          details.characteristics = sample.characteristics;
+          details.platform = sample.Sample_platform_id || details.platform;
+        }
+        if (accession.type === 'GPL' && soft?.platform) {
+          details.technology = soft.platform.Platform_technology;
+          details.manufacturer = soft.platform.Platform_manufacturer;
+          details.distribution = soft.platform.Platform_distribution;
+        }
+      }
 
-      if (doc.pubmed_ids && doc.pubmed_ids.length > 0) {
-        text += `**PubMed IDs:** ${doc.pubmed_ids.join(', ')}\n`;
+      // A SuperSeries holds no data of its own; it lives in the SubSeries
+      if (accession.type === 'GSE') {
+        const familyPath = await dataDownloader.familyMetadataPath(path.join(dataDownloader.dataDir, accession.accession));
+        if (familyPath) {
+          Object.assign(details, geoAccession.seriesRelations(await dataDownloader.readSeriesRelations(familyPath)));
+        } else if (relations) {
+          const soft = await this.getSOFTRecord(accession.accession);
+          Object.assign(details, geoAccession.seriesRelations(soft?.series.relations));
+        }
+      }
+
+      // Samples and platforms are not datasets; keep them out of the library
+      if (accession.type === 'GSE' || accession.type === 'GDS') {
+        await metadataIndex.addDetails(details);
       }
 
       return {
         content: [{
           type: 'text',
-          text: text
+          text: this.formatDetails(details)
         }],
-        details: {
-          id: doc.accession || geoId,
-          title: doc.title,
-          summary: doc.summary,
-          organism: doc.organism || doc.taxon,
-          platform: doc.gpl,
-          sampleCount: doc.n_samples,
-          dataType: doc.gdstype,
-          publicationDate: doc.pdat,
-          pubmedIds: doc.pubmed_ids
-        }
+        details
       };
     } catch (error) {
       console.error('Error fetching dataset details:', error);
@@ -163,6 +362,69 @@ class GeoClient {
     }
   }
 
+  /**
+   * A single record's SOFT metadata from the GEO web server, or null when unavailable
+   */
+  async getSOFTRecord(geoId) {
+    try {
+      const response = await fetch(geoAccession.softUrl(geoId));
+      if (!response.ok) return null;
+      return dataParser.parseSOFTText(await response.text());
+    } catch (error) {
+      console.error(`Error fetching SOFT record for ${geoId}:`, error.message);
+      return null;
+    }
+  }
+
+  formatDetails(details) {
+    const { label } = ACCESSION_TYPES[details.accessionType];
+
+    let text = `# ${details.id} (${label})\n\n`;
+    text += `**Title:** ${details.title || 'No title'}\n\n`;
+    if (details.summary) {
+      text += `**Summary:** ${details.summary}\n\n`;
+    }
+    text += `**Organism:** ${details.organism || 'Unknown'}\n`;
+
+    if (details.accessionType === 'GSM') {
+      text += `**Platform:** ${details.platform || 'Unknown'}\n`;
+      text += `**Series:** ${details.series.join(', ') || 'Unknown'}\n`;
+      if (details.source) text += `**Source:** ${details.source}\n`;
+      if (details.molecule) text += `**Molecule:** ${details.molecule}\n`;
+      for (const [key, value] of Object.entries(details.characteristics || {})) {
+        text += `**${key}:** ${value}\n`;
+      }
+    } else if (details.accessionType === 'GPL') {
+      text += `**Technology:** ${details.technology || details.dataType || 'Unknown'}\n`;
+      if (details.manufacturer) text += `**Manufacturer:** ${details.manufacturer}\n`;
+      text += `**Samples on Platform:** ${details.sampleCount || 0}\n`;
+      if (details.series.length > 0) text += `**Series:** ${details.series.length}\n`;
+    } else {
+      text += `**Platform:** ${details.platform || 'Unknown'}\n`;
+      text += `**Sample Count:** ${details.sampleCount || 0}\n`;
+      text += `**Dataset Type:** ${details.dataType || 'Unknown'}\n`;
+      if (details.accessionType === 'GDS') {
+        text += `**Reference Series:** ${details.series.join(', ') || 'Unknown'}\n`;
+        if (details.valueType) text += `**Value Type:** ${details.valueType}\n`;
+      }
+      if (details.subSeries?.length > 0) {
+        text += `**SuperSeries of:** ${details.subSeries.join(', ')} (the data is in these SubSeries)\n`;
+      }
+      if (details.superSeries?.length > 0) {
+        text += `**Part of SuperSeries:** ${details.superSeries.join(', ')}\n`;
+      }
+    }
+    text += `**Publication Date:** ${details.publicationDate || 'Unknown'}\n`;
+
+    if (details.pubmedIds && details.pubmedIds.length > 0) {
+      text += `**PubMed IDs:** ${details.pubmedIds.join(', ')}\n`;
+    }
+    text += `**GEO:** ${details.webUrl}\n`;
+    text += `**FTP:** ${details.ftpUrl}/\n`;
+
+    return text;
+  }
+
   async analyzeDataset(geoId) {
     try {
       // Get detailed information
@@ -173,16 +435,22 @@ class GeoClient {
 
       let text = details.content[0].text;
       text += `\n\n## Analysis\n\n`;
-      text += `This dataset contains ${doc.sampleCount} samples from ${doc.organism}.\n`;
-      text += `Data type: ${doc.dataType}\n`;
-      text += `Platform: ${doc.platform}\n\n`;
+      if (doc.accessionType === 'GSM') {
+        text += `This sample belongs to ${doc.series.join(', ') || 'an unknown series'} and was run on ${doc.platform}.\n\n`;
+      } else if (doc.accessionType === 'GPL') {
+        text += `This platform (${doc.technology || doc.dataType}) has ${doc.sampleCount} samples from ${doc.organism}.\n\n`;
+      } else {
+        text += `This dataset contains ${doc.sampleCount} samples from ${doc.organism}.\n`;
+        text += `Data type: ${doc.dataType}\n`;
+        text += `Platform: ${doc.platform}\n\n`;
+      }
 
       text += `### Download Information\n`;
-      text += `You can download this dataset from:\n`;
-      text += `https://www.ncbi.nlm.nih.gov/geo/query/acc.cgi?acc=${geoId}\n\n`;
+      text += `You can download this ${ACCESSION_TYPES[doc.accessionType].label} from:\n`;
+      text += `${doc.webUrl}\n\n`;
 
       text += `### FTP Access\n`;
-      text += `Raw data files: https://ftp.ncbi.nlm.nih.gov/geo/series/${geoId.slice(0, -3)}nnn/${geoId}/\n`;
+      text += `Raw data files: ${doc.ftpUrl}/\n`;
 
       return {
         content: [{
@@ -191,8 +459,8 @@ class GeoClient {
         }],
         details: doc,
         analyzed: true,
-        downloadUrl: `https://www.ncbi.nlm.nih.gov/geo/query/acc.cgi?acc=${geoId}`,
-        ftpUrl: `https://ftp.ncbi.nlm.nih.gov/geo/series/${geoId.slice(0, -3)}nnn/${geoId}/`
+        downloadUrl: doc.webUrl,
+        ftpUrl: `${doc.ftpUrl}/`
       };
     } catch (error) {
       console.error('Error analyzing dataset:', error);
@@ -206,17 +474,145 @@ class GeoClient {
     return {
       content: [{
         type: 'text',
-        text: `Dataset ${geoId} download links:\n\nWeb: https://www.ncbi.nlm.nih.gov/geo/query/acc.cgi?acc=${geoId}\nFTP: https://ftp.ncbi.nlm.nih.gov/geo/series/${geoId.slice(0, -3)}nnn/${geoId}/`
+        text: `Dataset ${geoId} download links:\n\nWeb: ${geoAccession.webUrl(geoId)}\nFTP: ${geoAccession.ftpUrl(geoId)}/`
       }],
-      downloadUrl: `https://www.ncbi.nlm.nih.gov/geo/query/acc.cgi?acc=${geoId}`,
-      ftpUrl: `https://ftp.ncbi.nlm.nih.gov/geo/series/${geoId.slice(0, -3)}nnn/${geoId}/`,
+      downloadUrl: geoAccession.webUrl(geoId),
+      ftpUrl: `${geoAccession.ftpUrl(geoId)}/`,
       outputPath: outputPath
     };
   }
 
+  /**
+   * Entrez links from `ids` in one database to another. With byId, each id is
+   * linked separately: Map(id -> linked ids); otherwise one merged id list.
+   */
+  async elink(dbfrom, db, ids, { byId = false } = {}) {
+    if (ids.length === 0) return byId ? new Map() : [];
+
+    const idParams = byId ? ids.map(id => `id=${id}`).join('&') : `id=${ids.join(',')}`;
+    const linkUrl = this.buildUrl(`${NCBI_BASE_URL}/elink.fcgi?dbfrom=${dbfrom}&db=${db}&${idParams}&retmode=json`);
+    const linkResponse = await fetch(linkUrl);
+    const linkData = await linkResponse.json();
+
+    const linked = (linkset) => (linkset.linksetdbs || [])
+      .filter(l => l.dbto === db && l.linkname === `${dbfrom}_${db}`)
+      .flatMap(l => l.links || []);
+
+    const linksets = linkData.linksets || [];
+    if (byId) {
+      return new Map(linksets.map(linkset => [String(linkset.ids?.[0]), linked(linkset)]));
+    }
+    return [...new Set(linksets.flatMap(linked))];
+  }
+
+  async summaries(db, ids) {
+    if (ids.length === 0) return [];
+    const summaryUrl = this.buildUrl(`${NCBI_BASE_URL}/esummary.fcgi?db=${db}&id=${ids.join(',')}&retmode=json`);
+    const summaryResponse = await fetch(summaryUrl);
+    const summaryData = await summaryResponse.json();
+    return ids.map(id => summaryData.result?.[id]).filter(Boolean);
+  }
+
+  /**
+   * Summaries of series by accession, in the order given:
+   * [{ id, title, organism, samples, type, platform }]
+   */
+  async getSeriesSummaries(accessions) {
+    if (accessions.length === 0) return [];
+    const term = accessions.map(id => `${id}[ACCN]`).join(' OR ');
+    const searchUrl = this.buildUrl(`${NCBI_BASE_URL}/esearch.fcgi?db=gds&term=${encodeURIComponent(term)}&retmax=${accessions.length * 5}&retmode=json`);
+    const searchResponse = await fetch(searchUrl);
+    const searchData = await searchResponse.json();
+
+    const docs = await this.summaries('gds', searchData.esearchresult?.idlist || []);
+    const byAccession = new Map(docs.map(d => [d.accession?.toUpperCase(), d]));
+    return accessions.map(id => byAccession.get(id.toUpperCase())).filter(Boolean).map(d => ({
+      id: d.accession,
+      title: d.title,
+      organism: d.taxon,
+      samples: d.n_samples,
+      type: d.gdstype,
+      platform: d.gpl
+    }));
+  }
+
+  /**
+   * PubMed articles with abstracts: [{ pmid, title, journal, year, authors, doi, abstract }]
+   */
+  async fetchPubmedArticles(pmids) {
+    if (pmids.length === 0) return [];
+    const fetchUrl = this.buildUrl(`${NCBI_BASE_URL}/efetch.fcgi?db=pubmed&id=${pmids.join(',')}&rettype=abstract&retmode=xml`);
+    const fetchResponse = await fetch(fetchUrl);
+    return parsePubmedArticles(await fetchResponse.text());
+  }
+
+  /**
+   * Records linked to a dataset through ELink: its PubMed articles (with abstracts),
+   * other GEO series citing the same articles, and BioProject / SRA records.
+   * Returns { id, uid, title, publications, relatedSeries, bioprojects, sra }.
+   */
+  async getRelatedRecords(geoId) {
+    try {
+      const doc = await this.findRecord(geoId);
+
+      // Articles: the record's own PubMed ids plus any ELink adds
+      const linkedPmids = await this.elink('gds', 'pubmed', [doc.uid]);
+      const pmids = [...new Set([...(doc.pubmed_ids || []).map(String), ...linkedPmids])].slice(0, MAX_PUBLICATIONS);
+      const publications = await this.fetchPubmedArticles(pmids);
+
+      // Other series citing the same articles, with the articles they share
+      const seriesByPmid = await this.elink('pubmed', 'gds', pmids, { byId: true });
+      const sharedPmids = new Map();
+      for (const [pmid, uids] of seriesByPmid) {
+        for (const uid of uids) {
+          if (uid === String(doc.uid)) continue;
+          sharedPmids.set(uid, [...(sharedPmids.get(uid) || []), pmid]);
+        }
+      }
+      const relatedSeries = (await this.summaries('gds', [...sharedPmids.keys()].slice(0, MAX_RELATED_SERIES)))
+        .filter(d => d.entrytype === 'GSE' || d.entrytype === 'GDS')
+        .map(d => ({
+          id: d.accession,
+          title: d.title,
+          organism: d.taxon,
+          samples: d.n_samples,
+          type: d.gdstype,
+          pubmedIds: sharedPmids.get(String(d.uid))
+        }));
+
+      const bioprojects = (await this.summaries('bioproject', await this.elink('gds', 'bioproject', [doc.uid])))
+        .map(p => ({ id: p.project_acc, title: p.project_title, organism: p.organism_name }));
+
+      // SRA experiments can run into the thousands; studies come from the first summaries
+      const sraUids = await this.elink('gds', 'sra', [doc.uid]);
+      const sraDocs = await this.summaries('sra', sraUids.slice(0, MAX_SRA_SUMMARIES));
+      const studies = new Map();
+      for (const sraDoc of sraDocs) {
+        const study = String(sraDoc.expxml || '').match(/<Study acc="([^"]+)"(?:\s+name="([^"]*)")?/);
+        if (study) studies.set(study[1], xmlText(study[2] || ''));
+      }
+
+      return {
+        id: doc.accession || geoId,
+        uid: String(doc.uid),
+        title: doc.title,
+        publications,
+        relatedSeries,
+        bioprojects,
+        sra: {
+          experimentCount: sraUids.length,
+          studies: [...studies].map(([id, title]) => ({ id, title }))
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching related records:', error);
+      throw error;
+    }
+  }
+
   async disconnect() {
     // Nothing to disconnect for HTTP client
-    console.log('✓ GEO client closed');
+    console.error('✓ GEO client closed');
   }
 }
 
@@ -0,0 +1,277 @@
+/**
+ * Matrix Store - On-disk columnar storage for expression matrices
+ *
+ * Layout of a store directory:
+ *   meta.json   - sample names, dimensions, source file fingerprint, series metadata
+ *   probes.txt  - probe IDs, one per line, in row order (the probe index)
+ *   values.f32  - float32 values, column-major (one contiguous column per sample)
+ *
+ * Missing values are stored as NaN.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const STORE_VERSION = 1;
+const BYTES_PER_VALUE = Float32Array.BYTES_PER_ELEMENT;
+const BLOCK_ROWS = 4096;
+
+const META_FILE = 'meta.json';
+const PROBES_FILE = 'probes.txt';
+const VALUES_FILE = 'values.f32';
+const ROWS_TMP_FILE = 'values.rows.tmp';
+
+/**
+ * A stored float32 value as the number it was written from (7 significant digits,
+ * so 5.029 does not come back as 5.0289998054504395); NaN stays NaN
+ */
+export function storeValue(v) {
+  return isNaN(v) ? v : parseFloat(v.toPrecision(7));
+}
+
+/**
+ * Streams rows in, then transposes them into the column-major values file
+ */
+export class MatrixStoreWriter {
+  constructor(storeDir, samples) {
+    this.storeDir = storeDir;
+    this.samples = samples;
+    this.probes = [];
+    this.block = new Float32Array(BLOCK_ROWS * samples.length);
+    this.blockRows = 0;
+    this.rowsHandle = null;
+  }
+
+  async open() {
+    await fs.rm(this.storeDir, { recursive: true, force: true });
+    await fs.mkdir(this.storeDir, { recursive: true });
+    this.rowsHandle = await fs.open(path.join(this.storeDir, ROWS_TMP_FILE), 'w');
+  }
+
+  /**
+   * Append one probe row; values are the raw text cells after ID_REF
+   */
+  async appendRow(probeId, values) {
+    const sampleCount = this.samples.length;
+    const offset = this.blockRows * sampleCount;
+
+    for (let j = 0; j < sampleCount; j++) {
+      const value = parseFloat(values[j]);
+      this.block[offset + j] = isFinite(value) ? value : NaN;
+    }
+
+    this.probes.push(probeId);
+    this.blockRows++;
+
+    if (this.blockRows === BLOCK_ROWS) {
+      await this.flushBlock();
+    }
+  }
+
+  async flushBlock() {
+    if (this.blockRows === 0) return;
+
+    const length = this.blockRows * this.samples.length;
+    const bytes = Buffer.from(this.block.buffer, 0, length * BYTES_PER_VALUE);
+    await this.rowsHandle.write(bytes);
+    this.blockRows = 0;
+  }
+
+  /**
+   * Transpose the row-major temp file and write the probe index and metadata
+   */
+  async finish(meta = {}) {
+    await this.flushBlock();
+    await this.rowsHandle.close();
+
+    const rowsPath = path.join(this.storeDir, ROWS_TMP_FILE);
+    const probeCount = this.probes.length;
+    const sampleCount = this.samples.length;
+
+    const rowsHandle = await fs.open(rowsPath, 'r');
+    const valuesHandle = await fs.open(path.join(this.storeDir, VALUES_FILE), 'w');
+
+    try {
+      const rowBlock = new Float32Array(BLOCK_ROWS * sampleCount);
+      const column = new Float32Array(BLOCK_ROWS);
+
+      for (let rowStart = 0; rowStart < probeCount; rowStart += BLOCK_ROWS) {
+        const rows = Math.min(BLOCK_ROWS, probeCount - rowStart);
+        const byteLength = rows * sampleCount * BYTES_PER_VALUE;
+
+        await rowsHandle.read(
+          Buffer.from(rowBlock.buffer, 0, byteLength),
+          0,
+          byteLength,
+          rowStart * sampleCount * BYTES_PER_VALUE
+        );
+
+        for (let j = 0; j < sampleCount; j++) {
+          for (let r = 0; r < rows; r++) {
+            column[r] = rowBlock[r * sampleCount + j];
+          }
+          await valuesHandle.write(
+            Buffer.from(column.buffer, 0, rows * BYTES_PER_VALUE),
+            0,
+            rows * BYTES_PER_VALUE,
+            (j * probeCount + rowStart) * BYTES_PER_VALUE
+          );
+        }
+      }
+    } finally {
+      await rowsHandle.close();
+      await valuesHandle.close();
+    }
+
+    await fs.rm(rowsPath, { force: true });
+    await fs.writeFile(path.join(this.storeDir, PROBES_FILE), this.probes.join('\n'));
+    await fs.writeFile(path.join(this.storeDir, META_FILE), JSON.stringify({
+      ...meta,
+      version: STORE_VERSION,
+      layout: 'column-major',
+      dtype: 'float32',
+      probeCount,
+      sampleCount,
+      samples: this.samples
+    }));
+
+    return MatrixStore.open(this.storeDir);
+  }
+}
+
+/**
+ * Read access to a matrix store. Columns and rows are read on demand;
+ * load() pulls the whole matrix into memory for analyses that need every value.
+ */
+export class MatrixStore {
+  constructor(storeDir, meta, probes) {
+    this.storeDir = storeDir;
+    this.meta = meta;
+    this.probes = probes;
+    this.samples = meta.samples;
+    this.probeCount = meta.probeCount;
+    this.sampleCount = meta.sampleCount;
+    this.probeIndex = new Map(probes.map((probe, idx) => [probe, idx]));
+    this.values = null; // Populated by load()
+  }
+
+  static async open(storeDir) {
+    const meta = JSON.parse(await fs.readFile(path.join(storeDir, META_FILE), 'utf-8'));
+    const probesText = await fs.readFile(path.join(storeDir, PROBES_FILE), 'utf-8');
+    const probes = probesText.length > 0 ? probesText.split('\n') : [];
+    return new MatrixStore(storeDir, meta, probes);
+  }
+
+  /**
+   * Read a store's metadata if it was built from the given source file and is current
+   */
+  static async readFreshMeta(storeDir, sourcePath) {
+    try {
+      const meta = JSON.parse(await fs.readFile(path.join(storeDir, META_FILE), 'utf-8'));
+      const stats = await fs.stat(sourcePath);
+
+      if (meta.version === STORE_VERSION &&
+          meta.source?.size === stats.size &&
+          meta.source?.mtimeMs === stats.mtimeMs) {
+        return meta;
+      }
+    } catch {
+      // Missing or unreadable store - caller rebuilds it
+    }
+    return null;
+  }
+
+  get valuesPath() {
+    return path.join(this.storeDir, VALUES_FILE);
+  }
+
+  /**
+   * Find the row index for an exact probe ID, or -1
+   */
+  findProbe(probeId) {
+    return this.probeIndex.has(probeId) ? this.probeIndex.get(probeId) : -1;
+  }
+
+  /**
+   * Load the full matrix into memory (column-major Float32Array)
+   */
+  async load() {
+    if (!this.values) {
+      let buffer = await fs.readFile(this.valuesPath);
+      if (buffer.byteOffset % BYTES_PER_VALUE !== 0) {
+        buffer = Buffer.from(buffer); // Float32Array views need aligned offsets
+      }
+      this.values = new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / BYTES_PER_VALUE);
+    }
+    return this.values;
+  }
+
+  /**
+   * Values of one sample across all probes
+   */
+  async getColumn(sampleIndex) {
+    if (this.values) {
+      const start = sampleIndex * this.probeCount;
+      return this.values.slice(start, start + this.probeCount);
+    }
+
+    const column = new Float32Array(this.probeCount);
+    const handle = await fs.open(this.valuesPath, 'r');
+    try {
+      await handle.read(
+        Buffer.from(column.buffer),
+        0,
+        column.byteLength,
+        sampleIndex * this.probeCount * BYTES_PER_VALUE
+      );
+    } finally {
+      await handle.close();
+    }
+    return column;
+  }
+
+  /**
+   * Values of one probe across all samples
+   */
+  async getRow(rowIndex) {
+    const [row] = await this.getRows([rowIndex]);
+    return row;
+  }
+
+  /**
+   * Values of several probes across all samples, one Float32Array per probe
+   */
+  async getRows(rowIndices) {
+    const rows = rowIndices.map(() => new Float32Array(this.sampleCount));
+
+    if (this.values) {
+      rowIndices.forEach((rowIndex, r) => {
+        for (let j = 0; j < this.sampleCount; j++) {
+          rows[r][j] = this.values[j * this.probeCount + rowIndex];
+        }
+      });
+      return rows;
+    }
+
+    const cell = Buffer.alloc(BYTES_PER_VALUE);
+    const handle = await fs.open(this.valuesPath, 'r');
+    try {
+      for (let r = 0; r < rowIndices.length; r++) {
+        for (let j = 0; j < this.sampleCount; j++) {
+          await handle.read(cell, 0, BYTES_PER_VALUE, (j * this.probeCount + rowIndices[r]) * BYTES_PER_VALUE);
+          rows[r][j] = cell.readFloatLE(0);
+        }
+      }
+    } finally {
+      await handle.close();
+    }
+    return rows;
+  }
+
+  /**
+   * Release the in-memory copy of the matrix
+   */
+  unload() {
+    this.values = null;
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Meta-Analysis - Combine one gene's two-group effect across datasets
+ *
+ * Each study contributes Hedges' g (bias-corrected standardized mean difference),
+ * which stays comparable across platforms with different scales. Effects are pooled
+ * with inverse-variance fixed effects and DerSimonian-Laird random effects, with
+ * Cochran's Q, I^2 and tau^2 for heterogeneity. Per-study p-values are combined
+ * with Fisher's method and the sample-size weighted Stouffer Z (signed by direction).
+ */
+
+import { chiSquareSf, normalQuantile, normalSf } from './stats.js';
+
+const MIN_STUDY_GROUP_SIZE = 2;
+
+class MetaAnalysis {
+  /**
+   * Hedges' g and its sampling variance from group means, SDs and sizes
+   */
+  hedgesG({ meanA, meanB, sdA, sdB, nA, nB }) {
+    if (nA < MIN_STUDY_GROUP_SIZE || nB < MIN_STUDY_GROUP_SIZE) return null;
+
+    const df = nA + nB - 2;
+    const pooledSd = Math.sqrt(((nA - 1) * sdA * sdA + (nB - 1) * sdB * sdB) / df);
+    if (!(pooledSd > 0)) return null;
+
+    const correction = 1 - 3 / (4 * df - 1);
+    const g = correction * (meanA - meanB) / pooledSd;
+    const variance = (nA + nB) / (nA * nB) + (g * g) / (2 * (nA + nB));
+
+    return { g, variance, se: Math.sqrt(variance) };
+  }
+
+  /**
+   * Inverse-variance pooled estimate for the given weights
+   */
+  pool(studies, weights) {
+    const totalWeight = weights.reduce((a, b) => a + b, 0);
+    const estimate = studies.reduce((sum, s, idx) => sum + weights[idx] * s.g, 0) / totalWeight;
+    const se = Math.sqrt(1 / totalWeight);
+    const z = estimate / se;
+
+    return {
+      estimate,
+      se,
+      ciLower: estimate - 1.959964 * se,
+      ciUpper: estimate + 1.959964 * se,
+      z,
+      pValue: 2 * normalSf(Math.abs(z))
+    };
+  }
+
+  /**
+   * Combine studies: [{ g, variance, pValue, direction (sign of effect), n }]
+   */
+  combine(studies) {
+    const k = studies.length;
+    if (k === 0) {
+      throw new Error('No studies to combine');
+    }
+
+    const weights = studies.map(s => 1 / s.variance);
+    const fixed = this.pool(studies, weights);
+
+    // Heterogeneity and DerSimonian-Laird between-study variance
+    const q = studies.reduce((sum, s, idx) => sum + weights[idx] * (s.g - fixed.estimate) ** 2, 0);
+    const df = k - 1;
+    const sumW = weights.reduce((a, b) => a + b, 0);
+    const sumW2 = weights.reduce((a, b) => a + b * b, 0);
+    const tau2 = df > 0 ? Math.max(0, (q - df) / (sumW - sumW2 / sumW)) : 0;
+
+    const random = this.pool(studies, studies.map(s => 1 / (s.variance + tau2)));
+
+    // P-value combination; Fisher ignores direction, Stouffer keeps it
+    const pValues = studies.map(s => Math.max(s.pValue, Number.MIN_VALUE));
+    const fisherStatistic = -2 * pValues.reduce((sum, p) => sum + Math.log(p), 0);
+
+    const zWeights = studies.map(s => Math.sqrt(s.n));
+    const stoufferZ = studies.reduce((sum, s, idx) => {
+      const z = -normalQuantile(pValues[idx] / 2) * Math.sign(s.direction);
+      return sum + zWeights[idx] * z;
+    }, 0) / Math.sqrt(zWeights.reduce((sum, w) => sum + w * w, 0));
+
+    return {
+      fixed,
+      random,
+      heterogeneity: {
+        q,
+        df,
+        pValue: df > 0 ? chiSquareSf(q, df) : NaN,
+        i2: q > 0 && df > 0 ? Math.max(0, (q - df) / q) : 0,
+        tau2
+      },
+      fisher: { statistic: fisherStatistic, df: 2 * k, pValue: chiSquareSf(fisherStatistic, 2 * k) },
+      stouffer: { z: stoufferZ, pValue: 2 * normalSf(Math.abs(stoufferZ)) }
+    };
+  }
+}
+
+export const metaAnalysis = new MetaAnalysis();
@@ -0,0 +1,437 @@
+/**
+ * Metadata Index - Offline library of every GEO dataset seen so far
+ *
+ * Search results and dataset details from NCBI are recorded as they come in;
+ * downloaded datasets add their parsed SOFT metadata (overall design, sample
+ * titles, sources and characteristics). The library lives in
+ * <dataDir>/library-index.json and is searched locally with BM25 ranking plus
+ * the structured filters of entrez-query.js, so it works without network access.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { dataDownloader } from './data-downloader.js';
+import { dataParser } from './data-parser.js';
+import { entrezQuery } from './entrez-query.js';
+
+const INDEX_FILE = 'library-index.json';
+const MAX_CHARACTERISTICS = 200; // distinct "key: value" pairs kept per dataset
+const LOCK_RETRY_MS = 50;
+const LOCK_STALE_MS = 10000; // a lock this old was left by a process that died while writing
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Term weight per record field; accession and title matches count most
+const FIELD_WEIGHTS = {
+  id: 3,
+  title: 3,
+  organism: 2,
+  type: 1,
+  summary: 1,
+  overallDesign: 1,
+  sampleTitles: 1,
+  sampleSources: 1,
+  characteristics: 1
+};
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'these', 'this', 'to', 'was', 'were', 'which', 'with'
+]);
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function tokenize(text) {
+  return String(text ?? '').toLowerCase().split(/[^a-z0-9]+/).filter(t => t && !STOPWORDS.has(t));
+}
+
+// "570;96" or "GPL570" -> ['GPL570', 'GPL96']
+function platformIds(value) {
+  return String(value ?? '').split(/[;,\s]+/).filter(Boolean).map(p => (/^\d+$/.test(p) ? `GPL${p}` : p.toUpperCase()));
+}
+
+// "Public on Mar 14 2003" -> "2003/03/14"
+function softDate(value) {
+  const match = String(value ?? '').match(/([A-Za-z]{3})\w*\s+(\d{1,2})\s+(\d{4})/);
+  if (!match || !MONTHS.includes(match[1].toLowerCase())) return null;
+  return `${match[3]}/${String(MONTHS.indexOf(match[1].toLowerCase()) + 1).padStart(2, '0')}/${match[2].padStart(2, '0')}`;
+}
+
+function isGiven(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Apply one upsert ({ id, fields, source }) to a record map: empty values never
+ * overwrite known ones, and the source is added to the record's sources
+ */
+function applyChange(records, { id, fields, source }) {
+  const record = { ...(records.get(id) || { id, sources: [] }) };
+  for (const [key, value] of Object.entries(fields)) {
+    if (isGiven(value) && !(Array.isArray(value) && value.length === 0)) record[key] = value;
+  }
+  if (source && !record.sources.includes(source)) record.sources = [...record.sources, source];
+  records.set(id, record);
+  return record;
+}
+
+class MetadataIndex {
+  constructor() {
+    this.records = null;  // accession -> record, as last read plus local changes
+    this.terms = new Map(); // accession -> { tf: Map(term -> weighted count), length }
+    this.version = null;  // path, mtime and size of the file the records were read from
+    this.pending = [];    // local changes not yet written
+    this.loading = null;
+    this.saving = Promise.resolve();
+    this.scanning = null;
+    this.checked = new Set(); // dataset directories indexDownloaded has handled
+    this.checkedDir = null;
+  }
+
+  indexPath() {
+    return path.join(dataDownloader.dataDir, INDEX_FILE);
+  }
+
+  /**
+   * The library, re-read whenever the file changed since the last read (the backend
+   * and the MCP server share it), with local changes not yet written applied on top
+   */
+  async load() {
+    if (!this.loading) {
+      this.loading = this.read().finally(() => { this.loading = null; });
+    }
+    return this.loading;
+  }
+
+  async read() {
+    const file = this.indexPath();
+    const stats = await fs.stat(file).catch(() => null);
+    const version = stats ? `${file}:${stats.mtimeMs}:${stats.size}` : `${file}:none`;
+    if (this.records && version === this.version) return this.records;
+
+    const records = new Map();
+    if (stats) {
+      try {
+        const saved = JSON.parse(await fs.readFile(file, 'utf-8'));
+        for (const record of saved.records || []) records.set(record.id, record);
+      } catch {
+        // Unreadable library: rebuilt from the changes that follow
+      }
+    }
+    this.pending.forEach(change => applyChange(records, change));
+
+    this.records = records;
+    this.version = version;
+    this.terms = new Map([...records.values()].map(r => [r.id, this.termCounts(r)]));
+    return records;
+  }
+
+  /**
+   * Write the pending changes over a fresh read of the library, so records written by
+   * another process in the meantime are kept. Writes are queued, hold a lock file
+   * against other processes and go through a temporary file, so readers never see
+   * a partial library.
+   */
+  save() {
+    this.saving = this.saving.then(async () => {
+      if (this.pending.length === 0) return;
+      const file = this.indexPath();
+      await fs.mkdir(path.dirname(file), { recursive: true });
+
+      await this.withLock(`${file}.lock`, async () => {
+        const written = this.pending.length;
+        this.version = null;
+        const records = await this.read();
+
+        const temp = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(temp, JSON.stringify({ records: [...records.values()] }));
+        await fs.rename(temp, file);
+
+        this.pending = this.pending.slice(written);
+        const stats = await fs.stat(file);
+        this.version = `${file}:${stats.mtimeMs}:${stats.size}`;
+      });
+    }).catch(error => console.error('Error saving library index:', error));
+    return this.saving;
+  }
+
+  async withLock(lockPath, fn) {
+    for (;;) {
+      try {
+        await (await fs.open(lockPath, 'wx')).close();
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        const stats = await fs.stat(lockPath).catch(() => null);
+        if (stats && Date.now() - stats.mtimeMs > LOCK_STALE_MS) {
+          await fs.rm(lockPath, { force: true });
+        } else {
+          await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+        }
+      }
+    }
+    try {
+      return await fn();
+    } finally {
+      await fs.rm(lockPath, { force: true });
+    }
+  }
+
+  /**
+   * Merge fields into a dataset's record (empty values never overwrite known ones);
+   * the change is kept until the next save writes it
+   */
+  upsert(id, fields, source) {
+    const change = { id, fields: { ...fields, indexedAt: new Date().toISOString() }, source };
+    this.pending.push(change);
+    const record = applyChange(this.records, change);
+    this.terms.set(id, this.termCounts(record));
+    return record;
+  }
+
+  /**
+   * Record search results from geoClient.searchDatasets
+   */
+  async addSummaries(datasets) {
+    try {
+      await this.load();
+      for (const ds of datasets || []) {
+        if (!ds?.id) continue;
+        this.upsert(ds.id, {
+          title: ds.title,
+          summary: ds.summary,
+          organism: ds.organism !== 'Unknown' ? ds.organism : null,
+          platforms: ds.platform !== 'Unknown' ? platformIds(ds.platform) : null,
+          sampleCount: parseInt(ds.samples, 10) || null,
+          type: ds.type !== 'Unknown' ? ds.type : null,
+          pubdate: ds.pubdate !== 'Unknown' ? ds.pubdate : null
+        }, 'search');
+      }
+      await this.save();
+    } catch (error) {
+      console.error('Error indexing search results:', error);
+    }
+  }
+
+  /**
+   * Record dataset details from geoClient.getDatasetDetails
+   */
+  async addDetails(details) {
+    try {
+      await this.load();
+      if (!details?.id) return;
+      this.upsert(details.id, {
+        title: details.title,
+        summary: details.summary,
+        organism: details.organism,
+        platforms: platformIds(details.platform),
+        sampleCount: parseInt(details.sampleCount, 10) || null,
+        type: details.dataType,
+        pubdate: details.publicationDate,
+        pubmedIds: details.pubmedIds
+      }, 'details');
+      await this.save();
+    } catch (error) {
+      console.error('Error indexing dataset details:', error);
+    }
+  }
+
+  /**
+   * Record the parsed SOFT metadata of a downloaded dataset
+   */
+  async addSOFT(datasetId, soft) {
+    try {
+      await this.load();
+      if (!soft) return;
+      const series = soft.series || {};
+      const samples = soft.samples || [];
+      const distinct = (values) => [...new Set(values.filter(Boolean))];
+
+      this.upsert(datasetId, {
+        title: series.Series_title,
+        summary: series.Series_summary,
+        overallDesign: series.Series_overall_design,
+        organism: distinct(samples.map(s => s.Sample_organism_ch1)).join('; '),
+        platforms: distinct([soft.platform?.id, ...samples.map(s => s.Sample_platform_id)]).map(p => p.toUpperCase()),
+        sampleCount: samples.length || null,
+        pubdate: softDate(series.Series_status),
+        pubmedIds: series.Series_pubmed_id ? [series.Series_pubmed_id] : null,
+        sampleTitles: distinct(samples.map(s => s.Sample_title)),
+        sampleSources: distinct(samples.map(s => s.Sample_source_name_ch1)),
+        characteristics: distinct(samples.flatMap(s => Object.entries(s.characteristics || {}).map(([k, v]) => `${k}: ${v}`)))
+          .slice(0, MAX_CHARACTERISTICS),
+        downloaded: true
+      }, 'soft');
+      await this.save();
+    } catch (error) {
+      console.error(`Error indexing SOFT metadata for ${datasetId}:`, error);
+    }
+  }
+
+  /**
+   * Index the SOFT metadata of downloaded datasets the library has not seen
+   * parsed yet (e.g. datasets downloaded before the library existed). Only dataset
+   * directories not handled before are looked at, so a search costs one listing.
+   */
+  async indexDownloaded() {
+    if (!this.scanning) {
+      this.scanning = (async () => {
+        await this.load();
+        if (this.checkedDir !== dataDownloader.dataDir) {
+          this.checked = new Set();
+          this.checkedDir = dataDownloader.dataDir;
+        }
+
+        const entries = await fs.readdir(dataDownloader.dataDir, { withFileTypes: true }).catch(() => []);
+        const present = new Set(entries.filter(e => e.isDirectory() && /^G(SE|DS)\d+$/i.test(e.name)).map(e => e.name));
+        let changed = false;
+
+        // Deleted datasets leave the library but no longer count as downloaded
+        for (const record of this.records.values()) {
+          if (record.downloaded && !present.has(record.id)) {
+            this.upsert(record.id, { downloaded: false });
+            changed = true;
+          }
+        }
+        for (const id of this.checked) {
+          if (!present.has(id)) this.checked.delete(id);
+        }
+
+        for (const id of present) {
+          // Directories of unfinished downloads are looked at again next time
+          if (this.checked.has(id) || !(await dataDownloader.isDownloaded(id))) continue;
+          this.checked.add(id);
+
+          const record = this.records.get(id);
+          if (record?.sources.includes('soft')) {
+            if (!record.downloaded) {
+              this.upsert(id, { downloaded: true });
+              changed = true;
+            }
+            continue;
+          }
+          try {
+            const datasetDir = path.join(dataDownloader.dataDir, id);
+            const files = await fs.readdir(datasetDir);
+            const softFile = ['family.soft', 'family.soft.gz', 'family.xml'].find(f => files.includes(f));
+            if (!softFile) continue;
+            const softPath = await dataParser.decompressFile(path.join(datasetDir, softFile));
+            await this.addSOFT(id, await dataParser.parseMetadataFile(softPath));
+          } catch (error) {
+            console.error(`Error indexing downloaded dataset ${id}:`, error);
+          }
+        }
+
+        if (changed) await this.save();
+      })().finally(() => { this.scanning = null; });
+    }
+    return this.scanning;
+  }
+
+  /**
+   * Weighted term counts of a record's text fields
+   */
+  termCounts(record) {
+    const tf = new Map();
+    let length = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const value = Array.isArray(record[field]) ? record[field].join(' ') : record[field];
+      for (const term of tokenize(value)) {
+        tf.set(term, (tf.get(term) || 0) + weight);
+        length += weight;
+      }
+    }
+    return { tf, length };
+  }
+
+  /**
+   * Search the library. filters: { query, organism, entryType, studyType, platform,
+   * minSamples, maxSamples, fromDate, toDate } as in entrez-query.js, plus downloaded
+   * (true/false). Returns { query, filters, count, total, results } with results
+   * ranked by BM25 (newest first without a query), or { error }.
+   */
+  async search(filters = {}, { limit = 20 } = {}) {
+    await this.indexDownloaded();
+
+    const { downloaded, ...searchFilters } = filters;
+    let normalized = {};
+    if (Object.values(searchFilters).some(isGiven)) {
+      const built = entrezQuery.build(searchFilters);
+      if (built.error) return { error: built.error };
+      normalized = built.filters;
+    }
+    if (isGiven(downloaded)) normalized.downloaded = downloaded === true || downloaded === 'true';
+
+    const candidates = [...this.records.values()].filter(record => this.matches(record, normalized));
+    const queryTerms = [...new Set(tokenize(normalized.query))];
+
+    let ranked;
+    if (queryTerms.length > 0) {
+      const stats = [...this.terms.values()];
+      const averageLength = stats.reduce((sum, s) => sum + s.length, 0) / (stats.length || 1);
+      const idf = new Map(queryTerms.map(term => {
+        const df = stats.filter(s => s.tf.has(term)).length;
+        return [term, Math.log(1 + (stats.length - df + 0.5) / (df + 0.5))];
+      }));
+
+      ranked = candidates.map(record => {
+        const { tf, length } = this.terms.get(record.id);
+        let score = 0;
+        for (const term of queryTerms) {
+          const f = tf.get(term) || 0;
+          if (f === 0) continue;
+          score += idf.get(term) * (f * (K1 + 1)) / (f + K1 * (1 - B + B * length / (averageLength || 1)));
+        }
+        return { record, score };
+      }).filter(r => r.score > 0).sort((a, b) => b.score - a.score);
+    } else {
+      ranked = candidates
+        .map(record => ({ record, score: null }))
+        .sort((a, b) => String(b.record.pubdate || '').localeCompare(String(a.record.pubdate || '')));
+    }
+
+    return {
+      query: normalized.query || null,
+      filters: normalized,
+      count: ranked.length,
+      total: this.records.size,
+      results: ranked.slice(0, limit).map(({ record, score }) => ({
+        id: record.id,
+        title: record.title || 'No title',
+        summary: record.summary || '',
+        organism: record.organism || 'Unknown',
+        platforms: record.platforms || [],
+        sampleCount: record.sampleCount || null,
+        type: record.type || 'Unknown',
+        pubdate: record.pubdate || null,
+        downloaded: Boolean(record.downloaded),
+        score: score === null ? null : Number(score.toFixed(3))
+      }))
+    };
+  }
+
+  matches(record, filters) {
+    const lower = (value) => String(value ?? '').toLowerCase();
+
+    if (filters.organism && !filters.organism.some(o => lower(record.organism).includes(o.toLowerCase()))) return false;
+    if (filters.entryType && !filters.entryType.some(t => record.id.toUpperCase().startsWith(t))) return false;
+    if (filters.studyType && !filters.studyType.some(t => lower(record.type).includes(t))) return false;
+    if (filters.platform && !filters.platform.some(p => (record.platforms || []).includes(p))) return false;
+    if (filters.minSamples !== undefined && !(record.sampleCount >= filters.minSamples)) return false;
+    if (filters.maxSamples !== undefined && !(record.sampleCount <= filters.maxSamples)) return false;
+    if (filters.fromDate || filters.toDate) {
+      if (!record.pubdate) return false;
+      // Entrez dates may be partial ("2020", "2020/03"): compare on the given precision
+      const date = String(record.pubdate).replace(/-/g, '/');
+      if (filters.fromDate && date.slice(0, filters.fromDate.length) < filters.fromDate) return false;
+      if (filters.toDate && date.slice(0, filters.toDate.length) > filters.toDate) return false;
+    }
+    if (filters.downloaded !== undefined && Boolean(record.downloaded) !== filters.downloaded) return false;
+    return true;
+  }
+}
+
+// Export singleton instance
+export const metadataIndex = new MetadataIndex();
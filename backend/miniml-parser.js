@@ -0,0 +1,338 @@
+/**
+ * MINiML Parser - GEO records in MINiML, the XML counterpart of SOFT
+ *
+ * The file is read as a stream of XML tokens, so platform data tables of tens of
+ * megabytes are never held in memory. Records map onto the structure returned by
+ * DataParser.parseSOFTText: an element becomes the SOFT key of its record and
+ * channel (<Title> in a <Sample> is Sample_title, <Source> in
+ * <Channel position="2"> is Sample_source_name_ch2). MINiML also keeps what SOFT
+ * flattens: the series contributors as a list and characteristics per channel.
+ */
+
+import { createReadStream } from 'fs';
+
+// Elements whose SOFT key is not the element name in snake case
+const SOFT_KEYS = {
+  'Accession': 'geo_accession',
+  'Source': 'source_name',
+  'Pubmed-ID': 'pubmed_id',
+  'Supplementary-Data': 'supplementary_file'
+};
+
+// Record elements; the element name is the prefix of their SOFT keys
+const RECORDS = ['Series', 'Sample', 'Platform'];
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+class MinimlParser {
+  /**
+   * Parse a MINiML file into { platform, samples, series, raw } as parseSOFTText
+   * does, plus platforms (every platform record; platform is the last one, as in
+   * SOFT). onTableRow(platformId, header, cells) receives each row of the
+   * platform data tables, which are otherwise skipped.
+   */
+  async parse(filePath, { onTableRow } = {}) {
+    const data = {
+      platform: {},
+      platforms: [],
+      samples: [],
+      series: {},
+      raw: []
+    };
+
+    const contributors = new Map(); // iid -> { first, last, email, organization, ... }
+    const refs = new Map(); // record -> { prefix, contributors: [iid], contact: iid }
+    const stack = []; // open elements: { name, attrs, hasChildren }
+    let isMiniml = false;
+    let record = null; // { prefix, target }
+    let contributor = null;
+    let channel = null;
+    let table = null; // { platformId, header, rest }
+    let text = '';
+
+    for await (const token of xmlTokens(createReadStream(filePath, { encoding: 'utf8' }), data.raw)) {
+      if (token.type === 'text') {
+        if (table?.inData) {
+          const lines = (table.rest + token.text).split('\n');
+          table.rest = lines.pop();
+          lines.forEach(line => emitRow(line));
+        } else {
+          text += token.text;
+        }
+        continue;
+      }
+
+      const { name, attrs } = token;
+
+      if (token.type === 'open') {
+        if (stack.length > 0) stack[stack.length - 1].hasChildren = true;
+        stack.push({ name, attrs, hasChildren: false });
+        text = '';
+
+        if (stack.length === 1) {
+          isMiniml = name === 'MINiML';
+        } else if (stack.length === 2 && RECORDS.includes(name)) {
+          let target;
+          if (name === 'Series') {
+            target = Object.assign(data.series, { id: attrs.iid });
+          } else if (name === 'Sample') {
+            target = { id: attrs.iid, characteristics: {}, channels: [] };
+            data.samples.push(target);
+          } else {
+            target = { id: attrs.iid };
+            data.platforms.push(target);
+            data.platform = target;
+          }
+          record = { prefix: name, target };
+          refs.set(target, { prefix: name, contributors: [] });
+        } else if (stack.length === 2 && name === 'Contributor') {
+          contributor = { id: attrs.iid };
+          contributors.set(attrs.iid, contributor);
+        } else if (record && name === 'Channel') {
+          channel = { position: parseInt(attrs.position, 10) || record.target.channels.length + 1, characteristics: {} };
+          record.target.channels.push(channel);
+        } else if (record && name === 'Data-Table') {
+          table = { platformId: record.prefix === 'Platform' ? record.target.id : null, header: [], rest: '' };
+        } else if (table && name === 'Internal-Data') {
+          table.inData = true;
+        } else if (record && attrs.ref) {
+          addReference(name, attrs.ref);
+        } else if (record && name === 'Relation') {
+          // Repeated, as in SOFT: SuperSeries/SubSeries links, BioProject, SRA
+          const relation = `${attrs.type}: ${attrs.target}`;
+          record.target[`${record.prefix}_relation`] = relation;
+          if (record.target === data.series) {
+            data.series.relations = [...(data.series.relations || []), relation];
+          }
+        }
+        continue;
+      }
+
+      // Closing tag
+      const element = stack.pop();
+      const value = text.trim();
+      text = '';
+
+      if (table) {
+        if (name === 'Name' && stack[stack.length - 1]?.name === 'Column') {
+          table.header.push(value);
+        } else if (name === 'Internal-Data') {
+          emitRow(table.rest);
+          table.inData = false;
+        } else if (name === 'Data-Table') {
+          table = null;
+        }
+      } else if (contributor) {
+        if (name === 'Contributor') {
+          contributor = null;
+        } else if (!element.hasChildren && value) {
+          contributor[camelCase(name)] = value;
+        }
+      } else if (record) {
+        if (stack.length === 1) {
+          record = null;
+        } else if (name === 'Channel') {
+          channel = null;
+        } else if (name === 'Characteristics' && value) {
+          addCharacteristic(element.attrs.tag, value);
+        } else if (!element.hasChildren && value) {
+          const suffix = channel ? `_ch${channel.position}` : '';
+          const key = SOFT_KEYS[name] || snakeCase(name);
+          record.target[`${record.prefix}_${key}${suffix}`] = value;
+          if (channel) channel[key] = value;
+          if (element.attrs.taxid) {
+            record.target[`${record.prefix}_taxid${suffix}`] = element.attrs.taxid;
+          }
+          if (name === 'Release-Date') {
+            record.target[`${record.prefix}_status`] = `Public on ${value}`;
+          }
+        }
+      }
+    }
+
+    if (!isMiniml) {
+      throw new Error(`${filePath} is not a MINiML document`);
+    }
+
+    // Contributors and contacts are separate records referenced by iid
+    for (const [target, { prefix, contributors: ids, contact }] of refs) {
+      if (ids.length > 0) {
+        target.contributors = ids.map(id => contributors.get(id)).filter(Boolean);
+        const last = target.contributors[target.contributors.length - 1];
+        if (last) target[`${prefix}_contributor`] = personName(last);
+      }
+      const person = contributors.get(contact);
+      if (person) {
+        target[`${prefix}_contact_name`] = personName(person);
+        if (person.email) target[`${prefix}_contact_email`] = person.email;
+        if (person.organization) target[`${prefix}_contact_institute`] = person.organization;
+      }
+    }
+
+    return data;
+
+    function emitRow(line) {
+      if (onTableRow && table.platformId && line.trim()) {
+        onTableRow(table.platformId, table.header, line.replace(/\r$/, '').split('\t'));
+      }
+    }
+
+    function addReference(name, ref) {
+      const { target, prefix } = record;
+      if (name === 'Contributor-Ref') {
+        refs.get(target).contributors.push(ref);
+      } else if (name === 'Contact-Ref') {
+        refs.get(target).contact = ref;
+      } else if (name === 'Platform-Ref') {
+        target[`${prefix}_platform_id`] = ref;
+      } else if (name === 'Sample-Ref') {
+        target[`${prefix}_sample_id`] = ref;
+      }
+    }
+
+    // Tagged (<Characteristics tag="tissue">liver</...>) or, in older records, "tissue: liver"
+    function addCharacteristic(tag, value) {
+      let key = tag;
+      let content = value;
+      if (!key) {
+        const match = value.match(/(.+?):\s*(.+)/);
+        if (!match) return;
+        [, key, content] = match;
+      }
+      record.target.characteristics[key] = content;
+      if (channel) channel.characteristics[key] = content;
+    }
+  }
+}
+
+/**
+ * Tokens of an XML document: { type: 'open' | 'close', name, attrs } and
+ * { type: 'text', text }. Text is yielded as it arrives, so long text content
+ * comes in pieces. Namespace prefixes are dropped; comments, processing
+ * instructions and declarations are skipped. The first lines go to raw.
+ */
+async function* xmlTokens(input, raw) {
+  let buffer = '';
+
+  for await (const chunk of input) {
+    if (raw.length === 0) {
+      raw.push(...chunk.split('\n').slice(0, 100));
+    }
+
+    buffer += chunk;
+    let pos = 0;
+
+    while (pos < buffer.length) {
+      const lt = buffer.indexOf('<', pos);
+
+      if (lt === -1) {
+        // Keep a reference split across chunks ("&am" + "p;") for the next chunk
+        const amp = buffer.lastIndexOf('&');
+        const end = amp >= pos && buffer.indexOf(';', amp) === -1 ? amp : buffer.length;
+        if (end > pos) yield { type: 'text', text: decodeEntities(buffer.slice(pos, end)) };
+        pos = end;
+        break;
+      }
+
+      if (lt > pos) {
+        yield { type: 'text', text: decodeEntities(buffer.slice(pos, lt)) };
+        pos = lt;
+      }
+
+      if (buffer.startsWith('<![CDATA[', lt)) {
+        const end = buffer.indexOf(']]>', lt);
+        if (end === -1) break;
+        yield { type: 'text', text: buffer.slice(lt + 9, end) };
+        pos = end + 3;
+      } else if (buffer.startsWith('<!--', lt)) {
+        const end = buffer.indexOf('-->', lt);
+        if (end === -1) break;
+        pos = end + 3;
+      } else if (buffer[lt + 1] === '?' || buffer[lt + 1] === '!') {
+        const end = buffer.indexOf('>', lt);
+        if (end === -1) break;
+        pos = end + 1;
+      } else {
+        const end = tagEnd(buffer, lt);
+        if (end === -1) break;
+        yield* parseTag(buffer.slice(lt + 1, end));
+        pos = end + 1;
+      }
+    }
+
+    buffer = buffer.slice(pos);
+  }
+}
+
+/**
+ * Index of the ">" closing the tag at start, skipping quoted attribute values; -1 if not yet read
+ */
+function tagEnd(buffer, start) {
+  let quote = null;
+  for (let i = start + 1; i < buffer.length; i++) {
+    const c = buffer[i];
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === '>') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Tokens of one tag's content ("Sample iid=\"GSM1\"", "/Sample", "Relation ... /")
+ */
+function* parseTag(tag) {
+  if (tag.startsWith('/')) {
+    yield { type: 'close', name: localName(tag.slice(1).trim()) };
+    return;
+  }
+
+  const selfClosing = tag.endsWith('/');
+  const body = selfClosing ? tag.slice(0, -1) : tag;
+  const rawName = body.match(/^[^\s/>]+/)[0];
+  const name = localName(rawName);
+
+  const attrs = {};
+  for (const [, key, , value] of body.slice(rawName.length).matchAll(/([^\s=]+)\s*=\s*(["'])([\s\S]*?)\2/g)) {
+    attrs[localName(key)] = decodeEntities(value);
+  }
+
+  yield { type: 'open', name, attrs };
+  if (selfClosing) {
+    yield { type: 'close', name };
+  }
+}
+
+function localName(name) {
+  return name.slice(name.indexOf(':') + 1);
+}
+
+function decodeEntities(text) {
+  if (!text.includes('&')) return text;
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (reference, entity) => {
+    if (entity[0] !== '#') return ENTITIES[entity] ?? reference;
+    return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+  });
+}
+
+// "Overall-Design" -> "overall_design"
+function snakeCase(name) {
+  return name.toLowerCase().replace(/-/g, '_');
+}
+
+// "Web-Link" -> "webLink"
+function camelCase(name) {
+  return name.toLowerCase().replace(/-(\w)/g, (_, c) => c.toUpperCase());
+}
+
+// SOFT writes people as "First,Middle,Last"
+function personName({ first = '', middle = '', last = '' }) {
+  return [first, middle, last].join(',');
+}
+
+// Export singleton instance
+export const minimlParser = new MinimlParser();
@@ -0,0 +1,233 @@
+/**
+ * PCA - Principal component analysis of samples
+ *
+ * Rows (genes/probes) are ranked by variance and the top ones are centered.
+ * Samples are projected through the eigen-decomposition of the sample x sample
+ * cross-product matrix, which stays small however many rows are used.
+ */
+
+export const DEFAULT_TOP_GENES = 500;
+export const DEFAULT_COMPONENTS = 5;
+
+const JACOBI_SWEEPS = 100;
+const POWER_ITERATIONS = 300;
+const DIRECT_EIGEN_LIMIT = 150; // samples; larger matrices use block power iteration
+
+/**
+ * Eigen-decomposition of a symmetric matrix (array of rows) by cyclic Jacobi rotations.
+ * Returns eigenvalues in decreasing order with matching eigenvector columns.
+ */
+function jacobiEigen(matrix) {
+  const n = matrix.length;
+  const a = matrix.map(row => Float64Array.from(row));
+  const v = Array.from({ length: n }, (_, i) => {
+    const row = new Float64Array(n);
+    row[i] = 1;
+    return row;
+  });
+
+  for (let sweep = 0; sweep < JACOBI_SWEEPS; sweep++) {
+    let off = 0;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) off += a[p][q] * a[p][q];
+    }
+    if (off < 1e-22) break;
+
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-300) continue;
+
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  const order = Array.from({ length: n }, (_, i) => i).sort((x, y) => a[y][y] - a[x][x]);
+  return {
+    values: order.map(i => a[i][i]),
+    vectors: order.map(i => v.map(row => row[i])) // one array per eigenvector
+  };
+}
+
+/**
+ * Orthonormalize columns in place (modified Gram-Schmidt)
+ */
+function orthonormalize(columns) {
+  for (let i = 0; i < columns.length; i++) {
+    for (let j = 0; j < i; j++) {
+      let dot = 0;
+      for (let k = 0; k < columns[i].length; k++) dot += columns[i][k] * columns[j][k];
+      for (let k = 0; k < columns[i].length; k++) columns[i][k] -= dot * columns[j][k];
+    }
+    let norm = 0;
+    for (const x of columns[i]) norm += x * x;
+    norm = Math.sqrt(norm) || 1;
+    for (let k = 0; k < columns[i].length; k++) columns[i][k] /= norm;
+  }
+  return columns;
+}
+
+function multiply(matrix, vector) {
+  return matrix.map(row => {
+    let sum = 0;
+    for (let k = 0; k < row.length; k++) sum += row[k] * vector[k];
+    return sum;
+  });
+}
+
+/**
+ * Leading eigenpairs of a symmetric matrix: block power iteration followed by
+ * Rayleigh-Ritz on the converged subspace
+ */
+function topEigen(matrix, count) {
+  const n = matrix.length;
+  if (n <= DIRECT_EIGEN_LIMIT) {
+    const full = jacobiEigen(matrix);
+    return { values: full.values.slice(0, count), vectors: full.vectors.slice(0, count) };
+  }
+
+  // A few extra vectors speed up convergence of the last wanted ones
+  const block = Math.min(n, count + 5);
+  let basis = orthonormalize(Array.from({ length: block }, (_, i) =>
+    Array.from({ length: n }, (_, k) => Math.sin((i + 1) * (k + 1)))
+  ));
+
+  for (let iter = 0; iter < POWER_ITERATIONS; iter++) {
+    const next = orthonormalize(basis.map(col => multiply(matrix, col)));
+    let change = 0;
+    for (let i = 0; i < count; i++) {
+      let dot = 0;
+      for (let k = 0; k < n; k++) dot += next[i][k] * basis[i][k];
+      change = Math.max(change, 1 - Math.abs(dot));
+    }
+    basis = next;
+    if (change < 1e-10) break;
+  }
+
+  const projected = basis.map(bi => {
+    const mb = multiply(matrix, bi);
+    return basis.map(bj => bj.reduce((sum, x, k) => sum + x * mb[k], 0));
+  });
+  const small = jacobiEigen(projected);
+
+  return {
+    values: small.values.slice(0, count),
+    vectors: small.vectors.slice(0, count).map(coeffs =>
+      Array.from({ length: n }, (_, k) => coeffs.reduce((sum, c, i) => sum + c * basis[i][k], 0))
+    )
+  };
+}
+
+class PCAAnalyzer {
+  /**
+   * Indices of the rows with the highest variance (rows with missing values skipped)
+   */
+  topVarianceRows(values, probeCount, sampleCount, topN = DEFAULT_TOP_GENES) {
+    const scored = [];
+
+    for (let i = 0; i < probeCount; i++) {
+      let sum = 0;
+      let sumSq = 0;
+      let complete = true;
+      for (let j = 0; j < sampleCount; j++) {
+        const v = values[j * probeCount + i];
+        if (isNaN(v)) {
+          complete = false;
+          break;
+        }
+        sum += v;
+        sumSq += v * v;
+      }
+      if (!complete) continue;
+
+      const mean = sum / sampleCount;
+      const variance = (sumSq - sampleCount * mean * mean) / (sampleCount - 1);
+      if (variance > 0) scored.push([i, variance]);
+    }
+
+    return scored
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, topN)
+      .map(([i]) => i);
+  }
+
+  /**
+   * Row-centered values for the selected rows, one Float64Array per sample
+   */
+  centeredColumns(values, probeCount, sampleCount, rowIndices) {
+    const columns = Array.from({ length: sampleCount }, () => new Float64Array(rowIndices.length));
+
+    rowIndices.forEach((i, r) => {
+      let sum = 0;
+      for (let j = 0; j < sampleCount; j++) sum += values[j * probeCount + i];
+      const mean = sum / sampleCount;
+      for (let j = 0; j < sampleCount; j++) {
+        columns[j][r] = values[j * probeCount + i] - mean;
+      }
+    });
+
+    return columns;
+  }
+
+  /**
+   * PCA of samples on the given rows of a column-major matrix.
+   * Returns per-sample scores and explained variance per component.
+   */
+  run(values, probeCount, sampleCount, rowIndices, components = DEFAULT_COMPONENTS) {
+    const columns = this.centeredColumns(values, probeCount, sampleCount, rowIndices);
+
+    // Sample x sample cross-product of the centered data
+    const gram = Array.from({ length: sampleCount }, () => new Float64Array(sampleCount));
+    for (let a = 0; a < sampleCount; a++) {
+      for (let b = a; b < sampleCount; b++) {
+        let dot = 0;
+        for (let r = 0; r < rowIndices.length; r++) dot += columns[a][r] * columns[b][r];
+        gram[a][b] = dot;
+        gram[b][a] = dot;
+      }
+    }
+
+    let totalVariance = 0;
+    for (let a = 0; a < sampleCount; a++) totalVariance += gram[a][a];
+
+    const count = Math.min(components, sampleCount - 1);
+    const eigen = topEigen(gram, count);
+
+    const componentInfo = eigen.values.map((value, k) => ({
+      component: `PC${k + 1}`,
+      variance: Math.max(value, 0) / (sampleCount - 1),
+      explained: totalVariance > 0 ? Math.max(value, 0) / totalVariance : 0
+    }));
+
+    // Scores: eigenvector * sqrt(eigenvalue), i.e. projections of samples onto the loadings
+    const scores = Array.from({ length: sampleCount }, (_, j) =>
+      eigen.vectors.map((vector, k) => vector[j] * Math.sqrt(Math.max(eigen.values[k], 0)))
+    );
+
+    return { components: componentInfo, scores, totalVariance: totalVariance / (sampleCount - 1) };
+  }
+}
+
+export const pcaAnalyzer = new PCAAnalyzer();
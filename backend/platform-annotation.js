@@ -0,0 +1,264 @@
+/**
+ * Platform Annotation - Probe to gene mapping from GPL annotation tables
+ *
+ * Tables come either from the `!platform_table_begin` block of a family SOFT
+ * file, from the <Data-Table> of a MINiML platform record or from a GPL .annot
+ * file. All are tab-delimited; SOFT and .annot tables start with a header row.
+ */
+
+import { promises as fs } from 'fs';
+import { createReadStream } from 'fs';
+import { createInterface } from 'readline';
+import path from 'path';
+import { minimlParser } from './miniml-parser.js';
+
+export const ANNOTATION_FILE = 'platform-annotation.json';
+
+// Header names (lowercased) that carry gene symbols / Entrez IDs, in preference order
+const SYMBOL_COLUMNS = ['gene symbol', 'gene_symbol', 'symbol', 'genesymbol', 'ilmn_gene', 'gene_assignment', 'orf'];
+const ENTREZ_COLUMNS = ['entrez_gene_id', 'gene id', 'gene_id', 'entrez gene', 'entrezgeneid', 'entrez_id', 'entrez'];
+
+async function fileSource(file) {
+  const stats = await fs.stat(file);
+  return { file, size: stats.size, mtimeMs: stats.mtimeMs };
+}
+
+/**
+ * Lookup over one or more platform tables
+ */
+export class ProbeAnnotation {
+  constructor(platforms = {}) {
+    this.platforms = platforms;
+    this.source = null; // { file, size, mtimeMs } of the saved annotation it was read from
+    this.probeGenes = new Map(); // probeId -> { symbols, entrezIds }
+    this.geneProbes = new Map(); // SYMBOL or Entrez ID -> [probeId]
+
+    for (const platform of Object.values(platforms)) {
+      for (const [probeId, [symbols, entrezIds]] of Object.entries(platform.probes)) {
+        this.probeGenes.set(probeId, { symbols, entrezIds });
+        for (const key of [...symbols.map(s => s.toUpperCase()), ...entrezIds]) {
+          if (!this.geneProbes.has(key)) this.geneProbes.set(key, []);
+          this.geneProbes.get(key).push(probeId);
+        }
+      }
+    }
+  }
+
+  get platformIds() {
+    return Object.keys(this.platforms);
+  }
+
+  get probeCount() {
+    return this.probeGenes.size;
+  }
+
+  getGenesForProbe(probeId) {
+    return this.probeGenes.get(probeId) || null;
+  }
+
+  /**
+   * All probes annotated to a gene symbol (case-insensitive) or Entrez Gene ID
+   */
+  getProbesForGene(gene) {
+    return this.geneProbes.get(String(gene).trim().toUpperCase()) || [];
+  }
+
+  toJSON() {
+    return { platforms: this.platforms };
+  }
+}
+
+class PlatformAnnotator {
+  /**
+   * Pick the symbol and Entrez columns from a table header
+   */
+  detectColumns(header) {
+    const lower = header.map(h => h.trim().toLowerCase());
+    const find = (candidates) => {
+      for (const name of candidates) {
+        const idx = lower.indexOf(name);
+        if (idx !== -1) return idx;
+      }
+      return -1;
+    };
+
+    return {
+      id: lower.indexOf('id') !== -1 ? lower.indexOf('id') : 0,
+      symbol: find(SYMBOL_COLUMNS),
+      entrez: find(ENTREZ_COLUMNS)
+    };
+  }
+
+  /**
+   * Split one annotation row into symbols and Entrez IDs.
+   * Multi-gene probes use " /// "; Affymetrix gene_assignment packs
+   * "accession // symbol // description // location // entrez" per gene.
+   */
+  parseGeneCells(symbolCell = '', entrezCell = '', symbolHeader = '') {
+    const symbols = new Set();
+    const entrezIds = new Set();
+
+    if (symbolHeader.toLowerCase() === 'gene_assignment') {
+      for (const assignment of symbolCell.split('///')) {
+        const parts = assignment.split('//').map(p => p.trim());
+        if (parts[1] && parts[1] !== '---') symbols.add(parts[1]);
+        if (parts[4] && /^\d+$/.test(parts[4])) entrezIds.add(parts[4]);
+      }
+    } else {
+      for (const symbol of symbolCell.split('///')) {
+        const trimmed = symbol.trim();
+        if (trimmed && trimmed !== '---') symbols.add(trimmed);
+      }
+    }
+
+    for (const entrez of entrezCell.split('///')) {
+      const trimmed = entrez.trim();
+      if (/^\d+$/.test(trimmed)) entrezIds.add(trimmed);
+    }
+
+    return [Array.from(symbols), Array.from(entrezIds)];
+  }
+
+  emptyPlatform(source) {
+    return { source, symbolColumn: null, entrezColumn: null, probes: {} };
+  }
+
+  /**
+   * Stream a SOFT or .annot file and collect every platform table in it.
+   * Every ^PLATFORM section is listed, even when it has no usable table.
+   * MINiML (.xml) files are read by parseMINiMLTables.
+   */
+  async parseTables(filePath, source, defaultPlatformId = null) {
+    if (filePath.endsWith('.xml')) {
+      return this.parseMINiMLTables(filePath);
+    }
+
+    const rl = createInterface({
+      input: createReadStream(filePath),
+      crlfDelay: Infinity
+    });
+
+    const platforms = {};
+    let platformId = defaultPlatformId;
+    let inTable = false;
+    let header = null;
+    let columns = null;
+    let current = null;
+
+    for await (const line of rl) {
+      if (line.startsWith('^PLATFORM') || line.startsWith('!Annotation_platform =')) {
+        platformId = line.split('=')[1]?.trim() || platformId;
+        if (platformId && !platforms[platformId]) {
+          platforms[platformId] = this.emptyPlatform(source);
+        }
+      } else if (line.startsWith('!platform_table_begin')) {
+        inTable = true;
+        header = null;
+      } else if (line.startsWith('!platform_table_end')) {
+        inTable = false;
+        current = null;
+      } else if (inTable && !header && platformId) {
+        header = line.split('\t');
+        current = platforms[platformId] || this.emptyPlatform(source);
+        columns = this.startTable(current, header);
+        platforms[platformId] = current;
+      } else if (inTable && current && line.trim()) {
+        this.addRow(current, columns, line.split('\t'));
+      }
+    }
+
+    return platforms;
+  }
+
+  /**
+   * Platform tables of a MINiML file, whose column names come from <Column>
+   * elements. Every platform record is listed, even when it has no table.
+   */
+  async parseMINiMLTables(filePath) {
+    const platforms = {};
+    const columns = {};
+
+    const data = await minimlParser.parse(filePath, {
+      onTableRow: (platformId, header, cells) => {
+        if (!platforms[platformId]) {
+          platforms[platformId] = this.emptyPlatform('miniml');
+          columns[platformId] = this.startTable(platforms[platformId], header);
+        }
+        this.addRow(platforms[platformId], columns[platformId], cells);
+      }
+    });
+
+    for (const platform of data.platforms) {
+      platforms[platform.id] = platforms[platform.id] || this.emptyPlatform('miniml');
+    }
+    return platforms;
+  }
+
+  /**
+   * Record the gene columns of a table header on its platform; returns the column indexes
+   */
+  startTable(platform, header) {
+    const columns = this.detectColumns(header);
+    platform.symbolColumn = columns.symbol !== -1 ? header[columns.symbol] : null;
+    platform.entrezColumn = columns.entrez !== -1 ? header[columns.entrez] : null;
+    return columns;
+  }
+
+  /**
+   * Add one table row to a platform's probe map (rows without gene columns are ignored)
+   */
+  addRow(platform, columns, cells) {
+    if (columns.symbol === -1 && columns.entrez === -1) return;
+
+    const [symbols, entrezIds] = this.parseGeneCells(
+      cells[columns.symbol],
+      cells[columns.entrez],
+      platform.symbolColumn || ''
+    );
+    if (symbols.length > 0 || entrezIds.length > 0) {
+      platform.probes[cells[columns.id]] = [symbols, entrezIds];
+    }
+  }
+
+  /**
+   * Platform IDs whose table carries no gene symbols or Entrez IDs
+   */
+  unannotatedPlatforms(platforms) {
+    return Object.keys(platforms).filter(id => Object.keys(platforms[id].probes).length === 0);
+  }
+
+  async save(datasetDir, annotation) {
+    const file = path.join(datasetDir, ANNOTATION_FILE);
+    await fs.writeFile(file, JSON.stringify(annotation));
+    annotation.source = await fileSource(file);
+    return annotation;
+  }
+
+  /**
+   * Load the saved probe annotation for a dataset, or null
+   */
+  async load(datasetDir) {
+    try {
+      const file = path.join(datasetDir, ANNOTATION_FILE);
+      const source = await fileSource(file);
+      const annotation = new ProbeAnnotation(JSON.parse(await fs.readFile(file, 'utf-8')).platforms);
+      annotation.source = source;
+      return annotation;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Build and save the annotation from a local family SOFT or MINiML file (no network)
+   */
+  async buildFromSOFT(datasetDir, softPath) {
+    const platforms = await this.parseTables(softPath, 'soft');
+    if (Object.keys(platforms).length === 0) {
+      return null;
+    }
+    return this.save(datasetDir, new ProbeAnnotation(platforms));
+  }
+}
+
+export const platformAnnotator = new PlatformAnnotator();
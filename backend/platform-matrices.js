@@ -0,0 +1,214 @@
+/**
+ * Platform Matrices - Series run on several platforms
+ *
+ * GEO publishes one series matrix per platform for such series
+ * (GSE1234-GPL570_series_matrix.txt.gz, GSE1234-GPL96_series_matrix.txt.gz).
+ * Each is stored as <datasetDir>/platforms/<GPL>/series_matrix.txt.gz, so its
+ * matrix store and the processed and gene-level stores derived from it live in
+ * that directory. Sub-matrices (or the matrices of a SuperSeries' SubSeries) can
+ * be merged on shared probe IDs or on gene symbols; the merged matrix is written
+ * in series matrix format and parsed like any other.
+ */
+
+import { promises as fs, createReadStream, createWriteStream } from 'fs';
+import { createInterface } from 'readline';
+import { once } from 'events';
+import { finished } from 'stream/promises';
+import path from 'path';
+import { storeValue } from './matrix-store.js';
+
+export const PLATFORMS_DIR = 'platforms';
+export const SERIES_MATRIX_FILE = 'series_matrix.txt.gz';
+export const MERGED_PLATFORM = 'merged';
+export const MERGE_MODES = ['probe', 'gene'];
+
+// Merge on probe IDs when at least this share of the smallest platform's probes is on every platform
+const SHARED_PROBE_FRACTION = 0.5;
+
+class PlatformMatrices {
+  /**
+   * Platform of a GEO series matrix file ("GSE1234-GPL570_series_matrix.txt.gz" -> "GPL570"), or null
+   */
+  platformOf(fileName) {
+    const match = fileName.match(/-(GPL\d+)_series_matrix\.txt(?:\.gz)?$/i);
+    return match ? match[1].toUpperCase() : null;
+  }
+
+  /**
+   * Series matrices in a matrix/ directory listing ([{ name, url }]), as download entries.
+   * A single matrix keeps the dataset-level name; per-platform matrices go to platforms/<GPL>/.
+   */
+  downloadEntries(listing) {
+    const matrices = listing.filter(f => /_series_matrix\.txt\.gz$/i.test(f.name));
+    const platformSpecific = matrices.length > 1;
+
+    return matrices.map(f => {
+      const platform = platformSpecific ? this.platformOf(f.name) : null;
+      return {
+        name: platform ? path.join(PLATFORMS_DIR, platform, SERIES_MATRIX_FILE) : SERIES_MATRIX_FILE,
+        url: f.url,
+        type: 'metadata',
+        platform
+      };
+    }).filter(f => !platformSpecific || f.platform);
+  }
+
+  /**
+   * Downloaded per-platform matrices: [{ platform, dir, file }] ordered by platform number
+   */
+  async list(datasetDir) {
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(datasetDir, PLATFORMS_DIR), { withFileTypes: true });
+    } catch {
+      return [];
+    }
+
+    const matrices = [];
+    for (const entry of entries) {
+      if (!entry.isDirectory() || !/^GPL\d+$/.test(entry.name)) continue;
+
+      const dir = path.join(datasetDir, PLATFORMS_DIR, entry.name);
+      const names = await fs.readdir(dir);
+      const file = [SERIES_MATRIX_FILE, SERIES_MATRIX_FILE.replace(/\.gz$/, '')].find(name => names.includes(name));
+      if (file) {
+        matrices.push({ platform: entry.name, dir, file: path.join(dir, file) });
+      }
+    }
+
+    return matrices.sort((a, b) => a.platform.localeCompare(b.platform, undefined, { numeric: true }));
+  }
+
+  /**
+   * Directory of a merged matrix under baseDir; gene-level merges depend on the collapse strategy
+   */
+  mergedDir(baseDir, by, strategy) {
+    return path.join(baseDir, by === 'gene' ? `${MERGED_PLATFORM}-gene-${strategy}` : `${MERGED_PLATFORM}-probe`);
+  }
+
+  /**
+   * Row IDs present in every store, in the order of the first
+   */
+  sharedRows(stores) {
+    const [first, ...rest] = stores;
+    return first.probes.filter(id => rest.every(store => store.findProbe(id) !== -1));
+  }
+
+  /**
+   * 'probe' when the platforms share most probe IDs (e.g. GPL96 and GPL570), otherwise 'gene'
+   */
+  chooseMergeMode(stores) {
+    const smallest = Math.min(...stores.map(store => store.probeCount));
+    return this.sharedRows(stores).length >= SHARED_PROBE_FRACTION * smallest ? 'probe' : 'gene';
+  }
+
+  /**
+   * Whether a merged matrix exists and is newer than every source matrix
+   */
+  async isFresh(mergedPath, sourcePaths) {
+    try {
+      const merged = await fs.stat(mergedPath);
+      for (const source of sourcePaths) {
+        if ((await fs.stat(source)).mtimeMs > merged.mtimeMs) return false;
+      }
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Header lines of a series matrix file (everything before the table). Sample
+   * lines are keyed by name and occurrence, since keys such as
+   * !Sample_characteristics_ch1 repeat.
+   */
+  async readHeader(filePath) {
+    const rl = createInterface({ input: createReadStream(filePath), crlfDelay: Infinity });
+    const series = [];
+    const samples = new Map();
+
+    try {
+      for await (const line of rl) {
+        if (line.startsWith('!series_matrix_table_begin')) break;
+        if (line.startsWith('!Sample_')) {
+          const [key, ...cells] = line.split('\t');
+          let n = 0;
+          while (samples.has(`${key}#${n}`)) n++;
+          samples.set(`${key}#${n}`, { key, cells });
+        } else if (line.startsWith('!Series_')) {
+          series.push(line);
+        }
+      }
+    } finally {
+      rl.close();
+    }
+    return { series, samples };
+  }
+
+  /**
+   * Write the merged series matrix for parts [{ id, store, file }]: rows shared
+   * by every part, samples of all parts side by side (a sample in several parts
+   * is kept once). Series lines come from the first part's file; sample lines
+   * are concatenated.
+   */
+  async writeMerged(filePath, parts) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    const rows = this.sharedRows(parts.map(p => p.store));
+    if (rows.length === 0) {
+      throw new Error(`${parts.map(p => p.id).join(' and ')} have no rows in common`);
+    }
+
+    const seen = new Set();
+    const columns = parts.map(p => p.store.samples
+      .map((sample, j) => (seen.has(sample) ? -1 : (seen.add(sample), j)))
+      .filter(j => j !== -1));
+
+    const headers = [];
+    for (const part of parts) {
+      headers.push(await this.readHeader(part.file));
+    }
+
+    const out = createWriteStream(filePath);
+    const write = async line => {
+      if (!out.write(line + '\n')) {
+        await once(out, 'drain');
+      }
+    };
+
+    for (const line of headers[0].series) {
+      await write(line);
+    }
+
+    const sampleLines = new Map(headers.flatMap(h => [...h.samples].map(([id, { key }]) => [id, key])));
+    for (const [id, key] of sampleLines) {
+      const cells = parts.flatMap((p, i) => columns[i].map(j => headers[i].samples.get(id)?.cells[j] ?? '""'));
+      await write([key, ...cells].join('\t'));
+    }
+
+    await write('!series_matrix_table_begin');
+    await write(['"ID_REF"', ...parts.flatMap((p, i) => columns[i].map(j => `"${p.store.samples[j]}"`))].join('\t'));
+
+    const loaded = await Promise.all(parts.map(async p => ({ store: p.store, values: await p.store.load() })));
+    for (const id of rows) {
+      const cells = [`"${id}"`];
+      loaded.forEach(({ store, values }, i) => {
+        const row = store.findProbe(id);
+        for (const j of columns[i]) {
+          const v = values[j * store.probeCount + row];
+          cells.push(isNaN(v) ? '' : storeValue(v));
+        }
+      });
+      await write(cells.join('\t'));
+    }
+
+    await write('!series_matrix_table_end');
+    out.end();
+    await finished(out);
+
+    return { rows: rows.length, samples: seen.size };
+  }
+}
+
+// Export singleton instance
+export const platformMatrices = new PlatformMatrices();
@@ -0,0 +1,294 @@
+/**
+ * Preprocessing - Log-scale detection, log2 transform and between-sample normalization
+ *
+ * Detection follows GEO2R: with quantiles qx at (0, .25, .5, .75, .99, 1), data is
+ * treated as unlogged when qx[.99] > 100, or when the range exceeds 50 and
+ * qx[.25] > 0. Log2 transform masks non-positive values as NaN, as GEO2R does; raw
+ * RNA-seq counts get a pseudocount instead, log2(count + 1).
+ *
+ * Processed matrices are written as regular matrix stores next to the raw one,
+ * keyed by the options (and the units of RNA-seq matrices), with the applied
+ * steps recorded in meta.preprocessing.
+ */
+
+import path from 'path';
+import { MatrixStore, MatrixStoreWriter } from './matrix-store.js';
+import { median, quantileSorted } from './stats.js';
+
+export const LOG2_MODES = ['auto', 'always', 'never'];
+export const NORMALIZATION_METHODS = ['none', 'quantile', 'median'];
+export const DEFAULT_PREPROCESSING = { log2: 'auto', normalization: 'none' };
+
+// Values sampled for the detection quantiles on large matrices (min/max stay exact)
+const DETECTION_SAMPLE_SIZE = 1000000;
+
+class Preprocessor {
+  constructor() {
+    this.detections = new WeakMap(); // raw store -> detection result
+  }
+
+  /**
+   * Normalize user-facing option values ("yes"/true -> "always", ...)
+   */
+  resolveOptions({ log2 = DEFAULT_PREPROCESSING.log2, normalization = DEFAULT_PREPROCESSING.normalization } = {}) {
+    if (log2 === true || log2 === 'yes' || log2 === 'true') log2 = 'always';
+    if (log2 === false || log2 === 'no' || log2 === 'false') log2 = 'never';
+
+    if (!LOG2_MODES.includes(log2)) {
+      throw new Error(`Unknown log2 mode "${log2}". Use one of: ${LOG2_MODES.join(', ')}`);
+    }
+    if (!NORMALIZATION_METHODS.includes(normalization)) {
+      throw new Error(`Unknown normalization "${normalization}". Use one of: ${NORMALIZATION_METHODS.join(', ')}`);
+    }
+    return { log2, normalization };
+  }
+
+  /**
+   * GEO2R log-scale check over the whole matrix
+   */
+  async detectScale(store) {
+    if (this.detections.has(store)) {
+      return this.detections.get(store);
+    }
+
+    const values = await store.load();
+    const stride = Math.max(1, Math.floor(values.length / DETECTION_SAMPLE_SIZE));
+
+    let min = Infinity;
+    let max = -Infinity;
+    const sample = [];
+    for (let i = 0; i < values.length; i++) {
+      const v = values[i];
+      if (isNaN(v)) continue;
+      if (v < min) min = v;
+      if (v > max) max = v;
+      if (i % stride === 0) sample.push(v);
+    }
+
+    if (sample.length === 0) {
+      return { scale: 'unknown', needsLog2: false, quantiles: null };
+    }
+
+    sample.sort((a, b) => a - b);
+    const quantiles = {
+      min,
+      q25: quantileSorted(sample, 0.25),
+      median: quantileSorted(sample, 0.5),
+      q75: quantileSorted(sample, 0.75),
+      q99: quantileSorted(sample, 0.99),
+      max
+    };
+
+    const needsLog2 = quantiles.q99 > 100 || (max - min > 50 && quantiles.q25 > 0);
+    const detection = {
+      scale: needsLog2 ? 'linear' : 'log',
+      needsLog2,
+      quantiles,
+      sampled: stride > 1
+    };
+
+    this.detections.set(store, detection);
+    return detection;
+  }
+
+  /**
+   * Short label for the options, used in store directory names
+   */
+  variantKey(logApplied, normalization, pseudocount = 0) {
+    return `${logApplied ? (pseudocount ? 'log2p1' : 'log2') : 'raw'}-${normalization}`;
+  }
+
+  /**
+   * Human-readable summary of what was applied
+   */
+  describe(record) {
+    const parts = record.units ? [record.units] : [];
+    parts.push(record.detectedScale === 'linear'
+      ? 'data detected as unlogged (GEO2R rule)'
+      : record.detectedScale === 'log' ? 'data detected as already log-scale (GEO2R rule)' : 'scale could not be detected');
+
+    if (record.log2Transformed && record.pseudocount) {
+      parts.push(`log2(x + ${record.pseudocount})-transformed`);
+    } else if (record.log2Transformed) {
+      parts.push(`log2-transformed${record.nonPositiveMasked > 0 ? ` (${record.nonPositiveMasked} non-positive values set to NA)` : ''}`);
+    } else if (record.detectedScale === 'linear') {
+      parts.push('not log-transformed - fold changes and statistics are on the raw scale');
+    }
+
+    if (record.normalization !== 'none') {
+      parts.push(`${record.normalization}-normalized across samples`);
+    }
+    return parts.join('; ');
+  }
+
+  /**
+   * Probe store with the requested preprocessing applied, building and caching it on disk.
+   * Returns the raw store when no step applies.
+   */
+  async getProcessedStore(datasetDir, rawStore, options = {}) {
+    const { log2, normalization } = this.resolveOptions(options);
+    const detection = await this.detectScale(rawStore);
+    const logApplied = log2 === 'always' || (log2 === 'auto' && detection.needsLog2);
+
+    const record = {
+      log2Mode: log2,
+      detectedScale: detection.scale,
+      quantiles: detection.quantiles,
+      log2Transformed: logApplied,
+      nonPositiveMasked: 0,
+      pseudocount: 0,
+      normalization
+    };
+
+    // Stores in other units (RNA-seq CPM/TPM/...) keep their derived stores apart
+    const units = rawStore.meta.units;
+    if (units) {
+      record.units = units.description;
+    }
+    // Raw read counts are full of zeros, which log2 would turn into NA: log2(count + 1)
+    if (logApplied && units?.key === 'counts') {
+      record.pseudocount = 1;
+    }
+
+    if (!logApplied && normalization === 'none') {
+      record.key = units?.key;
+      record.description = this.describe(record);
+      return { store: rawStore, preprocessing: record };
+    }
+
+    const key = `${units ? `${units.key}-` : ''}${this.variantKey(logApplied, normalization, record.pseudocount)}`;
+    const storeDir = path.join(datasetDir, `processed-${key}`);
+    const sourcePath = path.join(datasetDir, rawStore.meta.source.file);
+
+    const fresh = await MatrixStore.readFreshMeta(storeDir, sourcePath);
+    if (fresh?.preprocessing) {
+      return { store: await MatrixStore.open(storeDir), preprocessing: fresh.preprocessing };
+    }
+
+    console.error(`Preprocessing matrix (${key})...`);
+
+    const { probeCount, sampleCount } = rawStore;
+    const values = Float32Array.from(await rawStore.load());
+
+    if (logApplied) {
+      for (let i = 0; i < values.length; i++) {
+        const shifted = values[i] + record.pseudocount;
+        if (shifted <= 0) {
+          values[i] = NaN;
+          record.nonPositiveMasked++;
+        } else if (!isNaN(shifted)) {
+          values[i] = Math.log2(shifted);
+        }
+      }
+    }
+
+    const logScale = logApplied || detection.scale === 'log';
+    if (normalization === 'quantile') {
+      this.quantileNormalize(values, probeCount, sampleCount);
+    } else if (normalization === 'median') {
+      this.medianNormalize(values, probeCount, sampleCount, logScale);
+    }
+
+    record.key = key;
+    record.description = this.describe(record);
+
+    const writer = new MatrixStoreWriter(storeDir, rawStore.samples);
+    await writer.open();
+    const row = new Float32Array(sampleCount);
+    for (let i = 0; i < probeCount; i++) {
+      for (let j = 0; j < sampleCount; j++) {
+        row[j] = values[j * probeCount + i];
+      }
+      await writer.appendRow(rawStore.probes[i], row);
+    }
+
+    const store = await writer.finish({
+      metadata: rawStore.meta.metadata,
+      source: rawStore.meta.source,
+      preprocessing: record
+    });
+    return { store, preprocessing: record };
+  }
+
+  /**
+   * Sorted non-missing values of one column, with their row indices
+   */
+  sortedColumn(values, column, probeCount) {
+    const rows = [];
+    const offset = column * probeCount;
+    for (let i = 0; i < probeCount; i++) {
+      if (!isNaN(values[offset + i])) rows.push(i);
+    }
+    rows.sort((a, b) => values[offset + a] - values[offset + b]);
+    return rows;
+  }
+
+  /**
+   * Quantile normalization in place (column-major). Columns with missing values
+   * are mapped onto the reference distribution by interpolated rank; tied values
+   * share the mean of their target quantiles.
+   */
+  quantileNormalize(values, probeCount, sampleCount) {
+    const reference = new Float64Array(probeCount);
+    const columns = [];
+
+    for (let j = 0; j < sampleCount; j++) {
+      const rows = this.sortedColumn(values, j, probeCount);
+      const sorted = rows.map(i => values[j * probeCount + i]);
+      columns.push(rows);
+      if (sorted.length === 0) continue;
+
+      for (let k = 0; k < probeCount; k++) {
+        reference[k] += quantileSorted(sorted, probeCount > 1 ? k / (probeCount - 1) : 0) / sampleCount;
+      }
+    }
+
+    for (let j = 0; j < sampleCount; j++) {
+      const rows = columns[j];
+      const n = rows.length;
+      const offset = j * probeCount;
+
+      let start = 0;
+      while (start < n) {
+        let end = start;
+        while (end + 1 < n && values[offset + rows[end + 1]] === values[offset + rows[start]]) end++;
+
+        let target = 0;
+        for (let r = start; r <= end; r++) {
+          target += quantileSorted(reference, n > 1 ? r / (n - 1) : 0);
+        }
+        target /= end - start + 1;
+
+        for (let r = start; r <= end; r++) {
+          values[offset + rows[r]] = target;
+        }
+        start = end + 1;
+      }
+    }
+  }
+
+  /**
+   * Align sample medians in place: shift on log scale, rescale on linear scale
+   */
+  medianNormalize(values, probeCount, sampleCount, logScale) {
+    const medians = [];
+    for (let j = 0; j < sampleCount; j++) {
+      const column = values.subarray(j * probeCount, (j + 1) * probeCount).filter(v => !isNaN(v));
+      medians.push(column.length > 0 ? median(column) : NaN);
+    }
+
+    const target = median(medians.filter(m => !isNaN(m)));
+
+    for (let j = 0; j < sampleCount; j++) {
+      if (isNaN(medians[j]) || (!logScale && medians[j] === 0)) continue;
+      const offset = j * probeCount;
+      for (let i = 0; i < probeCount; i++) {
+        values[offset + i] = logScale
+          ? values[offset + i] - medians[j] + target
+          : values[offset + i] * (target / medians[j]);
+      }
+    }
+  }
+}
+
+export const preprocessor = new Preprocessor();
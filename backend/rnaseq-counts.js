@@ -0,0 +1,449 @@
+/**
+ * RNA-seq Counts - Expression tables from GEO supplementary files
+ *
+ * Most RNA-seq series leave the series matrix empty and put a gene x sample
+ * table in suppl/. The table is imported into a matrix store with its columns
+ * mapped to GSM IDs, and classified as raw counts or already-normalized values.
+ * Raw counts are offered as log2(CPM + 1), log2(TPM + 1) when the table has gene
+ * lengths, or log2 of median-of-ratios (DESeq2-style) size-factor normalized
+ * counts + 1, so they plug into the same analyses as microarray intensities.
+ */
+
+import { promises as fs, createReadStream } from 'fs';
+import { createInterface } from 'readline';
+import path from 'path';
+import { MatrixStore, MatrixStoreWriter } from './matrix-store.js';
+import { dataParser } from './data-parser.js';
+import { platformAnnotator, ProbeAnnotation } from './platform-annotation.js';
+import { median } from './stats.js';
+
+export const COUNT_UNITS = ['cpm', 'tpm', 'size-factors', 'counts'];
+export const DEFAULT_COUNT_UNITS = 'cpm';
+export const SUPPLEMENTARY_DIR = 'suppl';
+
+const RAW_STORE_DIR = 'counts-store';
+const INSPECT_ROWS = 500;
+const MIN_NUMERIC_SHARE = 0.9;
+
+const TABLE_PATTERN = /\.(csv|tsv|txt|tab)(\.gz)?$/i;
+const SKIP_PATTERN = /filelist|readme|md5|peaks?|\.(bam|bai|bw|bigwig|bed|wig|h5|h5ad|mtx|rds|xlsx?|tar|zip)(\.gz)?$/i;
+const COUNT_HINT = /count|reads|raw|htseq|featurecounts|expected/i;
+const NORMALIZED_HINT = /fpkm|rpkm|tpm|cpm|norm|log|vst|rlog|voom/i;
+
+// Annotation columns that sit next to the sample columns in count tables
+const LENGTH_COLUMN = /^(length|gene[_ .]?length|effective[_ .]?length|transcript[_ .]?length)$/i;
+const SYMBOL_COLUMN = /^(gene[_ .]?(name|symbol)|symbol|external[_ .]gene[_ .]name|hgnc[_ .]symbol|mgi[_ .]symbol)$/i;
+const ANNOTATION_COLUMN = /^(gene[_ .]?(id|name|symbol|type|biotype|description)|geneid|symbol|chr(om(osome)?)?|start|end|strand|length|gene[_ .]?length|effective[_ .]?length|transcript[_ .]?length|description|biotype|entrez\w*|ensembl\w*|external[_ .]gene[_ .]name|hgnc[_ .]symbol|mgi[_ .]symbol)$/i;
+
+const UNIT_DESCRIPTIONS = {
+  cpm: 'log2(CPM + 1) from raw read counts',
+  tpm: 'log2(TPM + 1) from raw read counts and gene lengths',
+  'size-factors': 'log2(size-factor normalized counts + 1), median-of-ratios size factors',
+  counts: 'raw read counts (untransformed)'
+};
+
+/**
+ * Split one delimited line, honouring double-quoted fields
+ */
+function splitLine(line, delimiter) {
+  if (!line.includes('"')) return line.split(delimiter);
+
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let k = 0; k < line.length; k++) {
+    const ch = line[k];
+    if (ch === '"') {
+      if (quoted && line[k + 1] === '"') {
+        field += '"';
+        k++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (ch === delimiter && !quoted) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+function detectDelimiter(line) {
+  const counts = ['\t', ',', ';'].map(d => [d, line.split(d).length - 1]);
+  return counts.reduce((best, c) => (c[1] > best[1] ? c : best))[0];
+}
+
+/**
+ * "Sample_A-1" -> "samplea1", for matching column names to sample titles
+ */
+function normalizeLabel(label) {
+  return String(label).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+class RNASeqCounts {
+  /**
+   * Whether a supplementary file name looks like an expression table
+   */
+  isTableFile(name) {
+    return TABLE_PATTERN.test(name) && !SKIP_PATTERN.test(name);
+  }
+
+  /**
+   * Expression table names, raw count tables first
+   */
+  rankTables(names) {
+    const score = (name) => (COUNT_HINT.test(name) ? 2 : 0) + (NORMALIZED_HINT.test(name) ? 1 : 0) - (/norm|log/i.test(name) ? 1 : 0);
+    return names
+      .filter(name => this.isTableFile(name))
+      .sort((a, b) => score(b) - score(a) || a.localeCompare(b));
+  }
+
+  /**
+   * File links in an NCBI FTP directory listing (HTML index served over HTTPS)
+   */
+  parseListing(html, baseUrl) {
+    const files = [];
+    for (const match of html.matchAll(/href="([^"?/][^"]*)"/gi)) {
+      const name = decodeURIComponent(match[1]);
+      if (!name.endsWith('/') && !/^(https?|ftp):/i.test(name)) {
+        files.push({ name, url: `${baseUrl.replace(/\/$/, '')}/${match[1]}` });
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Downloaded expression tables in <datasetDir>/suppl, decompressed, best first
+   */
+  async findTables(datasetDir) {
+    const dir = path.join(datasetDir, SUPPLEMENTARY_DIR);
+    let names;
+    try {
+      names = await fs.readdir(dir);
+    } catch {
+      return [];
+    }
+
+    const tables = [];
+    for (const name of this.rankTables(names)) {
+      if (name.endsWith('.gz')) {
+        if (names.includes(name.slice(0, -3))) continue; // decompressed copy is listed too
+        try {
+          await dataParser.decompressFile(path.join(dir, name));
+        } catch {
+          continue;
+        }
+        tables.push(name.slice(0, -3));
+      } else {
+        tables.push(name);
+      }
+    }
+    return [...new Set(tables)];
+  }
+
+  /**
+   * Read the header and leading rows to find the ID, sample, length and symbol
+   * columns and what kind of values the table holds
+   */
+  async inspect(filePath) {
+    const rl = createInterface({ input: createReadStream(filePath), crlfDelay: Infinity });
+    let header = null;
+    let delimiter = '\t';
+    const rows = [];
+
+    for await (const line of rl) {
+      if (!line.trim() || line.startsWith('#')) continue;
+      if (!header) {
+        delimiter = detectDelimiter(line);
+        header = splitLine(line, delimiter).map(h => h.trim());
+        continue;
+      }
+      rows.push(splitLine(line, delimiter));
+      if (rows.length >= INSPECT_ROWS) break;
+    }
+    rl.close();
+
+    if (!header || rows.length === 0) {
+      throw new Error('The table is empty');
+    }
+
+    // R's write.table leaves the row-name column out of the header
+    if (rows[0].length === header.length + 1) {
+      header = ['ID', ...header];
+    }
+
+    const numericShare = (col) => rows.filter(r => r[col] !== undefined && r[col].trim() !== '' && isFinite(Number(r[col]))).length / rows.length;
+    const sampleColumns = [];
+    let lengthColumn = -1;
+    let symbolColumn = -1;
+
+    header.forEach((name, col) => {
+      if (col === 0) return;
+      const label = name.replace(/^"|"$/g, '');
+      if (LENGTH_COLUMN.test(label)) lengthColumn = col;
+      else if (SYMBOL_COLUMN.test(label)) symbolColumn = col;
+      else if (!ANNOTATION_COLUMN.test(label) && numericShare(col) >= MIN_NUMERIC_SHARE) sampleColumns.push(col);
+    });
+
+    if (sampleColumns.length < 2) {
+      throw new Error('No sample columns found (need at least 2 numeric columns)');
+    }
+
+    const values = rows.flatMap(r => sampleColumns.map(col => Number(r[col]))).filter(v => isFinite(v));
+    return {
+      delimiter,
+      header,
+      sampleColumns,
+      lengthColumn,
+      symbolColumn,
+      kind: this.classify(values, path.basename(filePath))
+    };
+  }
+
+  /**
+   * 'counts' for non-negative integers (or a count-named table of expected counts),
+   * 'log' for values that are negative or small, otherwise 'normalized' (FPKM/TPM-like)
+   */
+  classify(values, fileName) {
+    const nonNegative = values.every(v => v >= 0);
+    const integerShare = values.filter(v => Number.isInteger(v)).length / values.length;
+    const max = values.reduce((m, v) => Math.max(m, v), 0);
+
+    if (nonNegative && integerShare >= 0.99 && max > 0) return 'counts';
+    if (nonNegative && COUNT_HINT.test(fileName) && !NORMALIZED_HINT.test(fileName) && max > 100) return 'counts';
+    if (!nonNegative || max <= 30) return 'log';
+    return 'normalized';
+  }
+
+  /**
+   * Map table column names to GSM IDs via the SOFT samples (ID, title, description,
+   * source name). Names stay as they are unless every column maps to a distinct sample.
+   */
+  matchSamples(columnNames, softSamples) {
+    const lookup = new Map();
+    const add = (label, id) => {
+      const key = normalizeLabel(label || '');
+      if (!key) return;
+      lookup.set(key, lookup.has(key) && lookup.get(key) !== id ? null : id); // null marks ambiguity
+    };
+    for (const sample of softSamples) {
+      add(sample.id, sample.id);
+      add(sample.Sample_title, sample.id);
+      add(sample.Sample_description, sample.id);
+      add(sample.Sample_source_name_ch1, sample.id);
+    }
+
+    const mapped = columnNames.map(name => {
+      const gsm = name.match(/GSM\d+/i);
+      if (gsm) return gsm[0].toUpperCase();
+      return lookup.get(normalizeLabel(name)) || null;
+    });
+
+    const complete = mapped.every(id => id) && new Set(mapped).size === mapped.length;
+    return { samples: complete ? mapped : columnNames, mapped: complete };
+  }
+
+  /**
+   * Import a supplementary table into <datasetDir>/counts-store, rebuilt only when
+   * the table changes. Gene symbols from the table are added to the dataset's annotation.
+   */
+  async importTable(datasetDir, tableName, softSamples = []) {
+    const filePath = path.join(datasetDir, SUPPLEMENTARY_DIR, tableName);
+    const storeDir = path.join(datasetDir, RAW_STORE_DIR);
+
+    if (await MatrixStore.readFreshMeta(storeDir, filePath)) {
+      return MatrixStore.open(storeDir);
+    }
+
+    console.error(`Importing expression table ${tableName}...`);
+    const layout = await this.inspect(filePath);
+    const columnNames = layout.sampleColumns.map(col => layout.header[col].replace(/^"|"$/g, ''));
+    const { samples, mapped } = this.matchSamples(columnNames, softSamples);
+
+    const writer = new MatrixStoreWriter(storeDir, samples);
+    await writer.open();
+
+    const lengths = layout.lengthColumn !== -1 ? [] : null;
+    const symbols = {};
+    const seen = new Set();
+    const rl = createInterface({ input: createReadStream(filePath), crlfDelay: Infinity });
+    let headerSkipped = false;
+
+    for await (const line of rl) {
+      if (!line.trim() || line.startsWith('#')) continue;
+      if (!headerSkipped) {
+        headerSkipped = true;
+        continue;
+      }
+
+      const fields = splitLine(line, layout.delimiter);
+      const id = fields[0].trim();
+      if (!id || id.startsWith('__') || seen.has(id)) continue; // HTSeq summary rows, duplicates
+      seen.add(id);
+
+      await writer.appendRow(id, layout.sampleColumns.map(col => fields[col]));
+      if (lengths) lengths.push(Number(fields[layout.lengthColumn]));
+
+      const symbol = layout.symbolColumn !== -1 ? fields[layout.symbolColumn]?.trim() : null;
+      if (symbol && symbol !== 'NA') {
+        symbols[id] = [[symbol], []];
+      } else if (/^\d+$/.test(id)) {
+        symbols[id] = [[], [id]];
+      } else if (!/^ENS[A-Z]*G\d+/.test(id)) {
+        symbols[id] = [[id], []];
+      }
+    }
+
+    const stats = await fs.stat(filePath);
+    const store = await writer.finish({
+      metadata: {},
+      source: {
+        file: path.join(SUPPLEMENTARY_DIR, tableName),
+        size: stats.size,
+        mtimeMs: stats.mtimeMs
+      },
+      counts: {
+        file: tableName,
+        kind: layout.kind,
+        columns: columnNames,
+        mappedToSamples: mapped,
+        lengths
+      },
+      units: layout.kind === 'counts'
+        ? { key: 'counts', description: UNIT_DESCRIPTIONS.counts }
+        : { key: layout.kind, description: `${layout.kind === 'log' ? 'log-scale' : 'normalized (FPKM/TPM-like)'} values from ${tableName}` }
+    });
+
+    await this.annotate(datasetDir, tableName, layout, symbols);
+    console.error(`Stored ${store.probeCount} genes x ${store.sampleCount} samples from ${tableName} (${layout.kind})`);
+    return store;
+  }
+
+  /**
+   * Add the table's gene symbols to the dataset annotation as their own "platform"
+   */
+  async annotate(datasetDir, tableName, layout, symbols) {
+    if (Object.keys(symbols).length === 0) return;
+
+    const existing = await platformAnnotator.load(datasetDir);
+    const platforms = { ...(existing?.platforms || {}) };
+    platforms[`suppl:${tableName}`] = {
+      source: 'supplementary table',
+      symbolColumn: layout.symbolColumn !== -1 ? layout.header[layout.symbolColumn] : layout.header[0],
+      entrezColumn: null,
+      probes: symbols
+    };
+    await platformAnnotator.save(datasetDir, new ProbeAnnotation(platforms));
+  }
+
+  /**
+   * Median-of-ratios size factors over genes counted in every sample
+   */
+  sizeFactors(values, probeCount, sampleCount) {
+    const logGeoMeans = new Float64Array(probeCount);
+    const used = [];
+    for (let i = 0; i < probeCount; i++) {
+      let sum = 0;
+      let positive = true;
+      for (let j = 0; j < sampleCount; j++) {
+        const v = values[j * probeCount + i];
+        if (!(v > 0)) {
+          positive = false;
+          break;
+        }
+        sum += Math.log(v);
+      }
+      if (positive) {
+        logGeoMeans[i] = sum / sampleCount;
+        used.push(i);
+      }
+    }
+
+    if (used.length === 0) {
+      throw new Error('No gene is counted in every sample, so size factors cannot be estimated');
+    }
+
+    return Array.from({ length: sampleCount }, (_, j) =>
+      Math.exp(median(used.map(i => Math.log(values[j * probeCount + i]) - logGeoMeans[i])))
+    );
+  }
+
+  /**
+   * The count matrix in the requested units, built once per units in <datasetDir>/counts-<units>.
+   * Tables that already hold normalized values are returned unchanged.
+   */
+  async getUnitsStore(datasetDir, rawStore, units = DEFAULT_COUNT_UNITS) {
+    if (!COUNT_UNITS.includes(units)) {
+      throw new Error(`Unknown count units "${units}". Use one of: ${COUNT_UNITS.join(', ')}`);
+    }
+    if (rawStore.meta.counts.kind !== 'counts' || units === 'counts') {
+      return rawStore;
+    }
+
+    const lengths = rawStore.meta.counts.lengths;
+    if (units === 'tpm' && !lengths) {
+      throw new Error('TPM needs gene lengths, which the count table does not include; use CPM or size factors');
+    }
+
+    const storeDir = path.join(datasetDir, `counts-${units}`);
+    const sourcePath = path.join(datasetDir, rawStore.meta.source.file);
+    if (await MatrixStore.readFreshMeta(storeDir, sourcePath)) {
+      return MatrixStore.open(storeDir);
+    }
+
+    console.error(`Converting counts to ${units}...`);
+    const { probeCount, sampleCount } = rawStore;
+    const values = await rawStore.load();
+
+    const libSizes = Array.from({ length: sampleCount }, (_, j) => {
+      let total = 0;
+      for (let i = 0; i < probeCount; i++) {
+        const v = values[j * probeCount + i];
+        if (v > 0) total += v;
+      }
+      return total;
+    });
+
+    let scale;
+    let sizeFactors = null;
+    if (units === 'cpm') {
+      scale = (i, j) => 1e6 / libSizes[j];
+    } else if (units === 'size-factors') {
+      sizeFactors = this.sizeFactors(values, probeCount, sampleCount);
+      scale = (i, j) => 1 / sizeFactors[j];
+    } else {
+      const rateTotals = Array.from({ length: sampleCount }, (_, j) => {
+        let total = 0;
+        for (let i = 0; i < probeCount; i++) {
+          const v = values[j * probeCount + i];
+          if (v > 0 && lengths[i] > 0) total += v / lengths[i];
+        }
+        return total;
+      });
+      scale = (i, j) => (lengths[i] > 0 ? 1e6 / (lengths[i] * rateTotals[j]) : NaN);
+    }
+
+    const writer = new MatrixStoreWriter(storeDir, rawStore.samples);
+    await writer.open();
+    for (let i = 0; i < probeCount; i++) {
+      const row = new Array(sampleCount);
+      for (let j = 0; j < sampleCount; j++) {
+        const v = values[j * probeCount + i];
+        row[j] = v >= 0 ? Math.log2(v * scale(i, j) + 1) : NaN;
+      }
+      await writer.appendRow(rawStore.probes[i], row);
+    }
+
+    return writer.finish({
+      metadata: rawStore.meta.metadata,
+      source: rawStore.meta.source,
+      counts: { ...rawStore.meta.counts, libSizes, sizeFactors },
+      units: { key: units, description: UNIT_DESCRIPTIONS[units] }
+    });
+  }
+}
+
+export const rnaSeqCounts = new RNASeqCounts();
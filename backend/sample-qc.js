@@ -0,0 +1,191 @@
+/**
+ * Sample QC - Per-sample quality metrics and outlier flags
+ *
+ * For each sample: missing-value rate, distribution shape (quartiles, IQR,
+ * skewness), Kolmogorov-Smirnov distance to the pooled distribution, and its
+ * median Pearson correlation with the other samples. Samples are flagged when
+ * a metric lies far from the other samples on a robust (median/MAD) z-scale.
+ */
+
+import { median, quantileSorted } from './stats.js';
+import { sampleClustering } from './clustering.js';
+
+// Rows used for the correlation and KS comparisons on large matrices
+const MAX_QC_ROWS = 10000;
+const OUTLIER_Z = 3.5;
+const MAX_MISSING_RATE = 0.2;
+const MIN_SCALE = { medianOfIqr: 0.1, iqrOfIqr: 0.05, correlation: 0.01, ks: 0.02 };
+
+/**
+ * Robust z-scores: (x - median) / (1.4826 * MAD). The scale is floored at
+ * minScale so near-identical samples don't flag each other over tiny differences.
+ */
+function robustZ(values, minScale) {
+  const finite = values.filter(v => isFinite(v));
+  if (finite.length < 3) return values.map(() => 0);
+
+  const center = median(finite);
+  const scale = Math.max(1.4826 * median(finite.map(v => Math.abs(v - center))), minScale);
+  if (scale === 0) return values.map(() => 0);
+  return values.map(v => (isFinite(v) ? (v - center) / scale : 0));
+}
+
+/**
+ * Two-sample Kolmogorov-Smirnov statistic for sorted arrays
+ */
+function ksStatistic(a, b) {
+  let i = 0;
+  let j = 0;
+  let d = 0;
+  while (i < a.length && j < b.length) {
+    const x = Math.min(a[i], b[j]);
+    while (i < a.length && a[i] <= x) i++;
+    while (j < b.length && b[j] <= x) j++;
+    d = Math.max(d, Math.abs(i / a.length - j / b.length));
+  }
+  return d;
+}
+
+class SampleQC {
+  /**
+   * Evenly spaced row indices, at most `limit` of them
+   */
+  sampleRows(probeCount, limit = MAX_QC_ROWS) {
+    const step = Math.max(1, probeCount / limit);
+    const rows = [];
+    for (let r = 0; r < probeCount; r += step) rows.push(Math.floor(r));
+    return rows;
+  }
+
+  /**
+   * Distribution summary of one column
+   */
+  describeColumn(values, column, probeCount) {
+    const present = [];
+    for (let i = 0; i < probeCount; i++) {
+      const v = values[column * probeCount + i];
+      if (!isNaN(v)) present.push(v);
+    }
+    present.sort((a, b) => a - b);
+
+    const n = present.length;
+    let mean = 0;
+    for (const v of present) mean += v;
+    mean /= n || 1;
+
+    let m2 = 0;
+    let m3 = 0;
+    for (const v of present) {
+      const d = v - mean;
+      m2 += d * d;
+      m3 += d * d * d;
+    }
+    m2 /= n || 1;
+    m3 /= n || 1;
+
+    const q25 = quantileSorted(present, 0.25);
+    const q75 = quantileSorted(present, 0.75);
+
+    return {
+      present,
+      missingRate: probeCount > 0 ? 1 - n / probeCount : 1,
+      mean,
+      sd: Math.sqrt(m2),
+      skewness: m2 > 0 ? m3 / Math.pow(m2, 1.5) : 0,
+      q25,
+      median: quantileSorted(present, 0.5),
+      q75,
+      iqr: q75 - q25
+    };
+  }
+
+  /**
+   * QC report for a column-major matrix
+   */
+  run(values, probeCount, sampleCount, sampleNames) {
+    const columns = Array.from({ length: sampleCount }, (_, j) => this.describeColumn(values, j, probeCount));
+    const rows = this.sampleRows(probeCount);
+
+    // Pooled reference distribution from an even subsample of every column
+    const perColumn = Math.max(1, Math.floor(MAX_QC_ROWS / sampleCount));
+    const pooled = [];
+    for (const column of columns) {
+      const step = Math.max(1, column.present.length / perColumn);
+      for (let r = 0; r < column.present.length; r += step) pooled.push(column.present[Math.floor(r)]);
+    }
+    pooled.sort((a, b) => a - b);
+
+    const correlation = sampleClustering.correlationMatrix(values, probeCount, sampleCount, rows);
+    const medianCorrelation = correlation.map((row, j) =>
+      median(Array.from(row).filter((r, k) => k !== j && !isNaN(r)))
+    );
+    const ks = columns.map(column => ksStatistic(column.present, pooled));
+
+    // Scale floors: a tenth of the typical IQR for medians, 5% of it for IQRs,
+    // 0.01 for correlations and 0.02 for KS distances
+    const typicalIqr = median(columns.map(c => c.iqr).filter(v => isFinite(v)));
+    const zCorrelation = robustZ(medianCorrelation, MIN_SCALE.correlation);
+    const zMedian = robustZ(columns.map(c => c.median), MIN_SCALE.medianOfIqr * typicalIqr);
+    const zIqr = robustZ(columns.map(c => c.iqr), MIN_SCALE.iqrOfIqr * typicalIqr);
+    const zKs = robustZ(ks, MIN_SCALE.ks);
+
+    const samples = sampleNames.map((name, j) => {
+      const column = columns[j];
+      const flags = [];
+
+      if (column.missingRate > MAX_MISSING_RATE) {
+        flags.push(`${(column.missingRate * 100).toFixed(1)}% missing values`);
+      }
+      if (zCorrelation[j] < -OUTLIER_Z) {
+        flags.push(`low median correlation with other samples (${medianCorrelation[j].toFixed(3)})`);
+      }
+      if (Math.abs(zMedian[j]) > OUTLIER_Z) {
+        flags.push(`median shifted (${column.median.toFixed(2)})`);
+      }
+      if (Math.abs(zIqr[j]) > OUTLIER_Z) {
+        flags.push(`spread differs (IQR ${column.iqr.toFixed(2)})`);
+      }
+      if (zKs[j] > OUTLIER_Z) {
+        flags.push(`distribution differs from the pooled samples (KS D = ${ks[j].toFixed(3)})`);
+      }
+
+      return {
+        sample: name,
+        values: column.present.length,
+        missingRate: column.missingRate,
+        mean: column.mean,
+        sd: column.sd,
+        skewness: column.skewness,
+        q25: column.q25,
+        median: column.median,
+        q75: column.q75,
+        iqr: column.iqr,
+        ksDistance: ks[j],
+        medianCorrelation: medianCorrelation[j],
+        outlier: flags.length > 0,
+        flags
+      };
+    });
+
+    const allCorrelations = [];
+    for (let a = 0; a < sampleCount; a++) {
+      for (let b = a + 1; b < sampleCount; b++) {
+        if (!isNaN(correlation[a][b])) allCorrelations.push(correlation[a][b]);
+      }
+    }
+
+    return {
+      thresholds: { robustZ: OUTLIER_Z, maxMissingRate: MAX_MISSING_RATE },
+      rowsCompared: rows.length,
+      overall: {
+        missingRate: columns.reduce((sum, c) => sum + c.missingRate, 0) / (sampleCount || 1),
+        medianCorrelation: allCorrelations.length > 0 ? median(allCorrelations) : NaN,
+        minCorrelation: allCorrelations.length > 0 ? allCorrelations.reduce((a, b) => Math.min(a, b)) : NaN
+      },
+      samples,
+      outliers: samples.filter(s => s.outlier).map(s => s.sample)
+    };
+  }
+}
+
+export const sampleQC = new SampleQC();
@@ -0,0 +1,86 @@
+/**
+ * Search Facets - Breakdown of a GEO search result set from esummary records
+ *
+ * Counts records per organism, entry type, study type, platform, publication year
+ * and sample-count bucket. Every facet value carries the structured search filter
+ * (see entrez-query.js) that narrows the search to it, so clients can drill in.
+ */
+
+export const FACET_BATCH_SIZE = 500;     // esummary records per request
+// Records aggregated per search: one esummary request unless a larger limit is asked for
+export const DEFAULT_FACET_LIMIT = FACET_BATCH_SIZE;
+const MAX_VALUES = 15;                   // values kept per facet, most frequent first
+
+export const SAMPLE_COUNT_BUCKETS = [
+  { label: '1-5', min: 1, max: 5 },
+  { label: '6-10', min: 6, max: 10 },
+  { label: '11-20', min: 11, max: 20 },
+  { label: '21-50', min: 21, max: 50 },
+  { label: '51-100', min: 51, max: 100 },
+  { label: '101-500', min: 101, max: 500 },
+  { label: '>500', min: 501 }
+];
+
+// Multi-valued esummary fields are ';'-separated ("Homo sapiens; Mus musculus", "570;96")
+function split(value) {
+  return String(value ?? '').split(';').map(v => v.trim()).filter(Boolean);
+}
+
+class SearchFacets {
+  /**
+   * Facets of esummary records: [{ field, label, values: [{ value, count, filter }] }]
+   */
+  aggregate(docs) {
+    const counters = {
+      organism: new Map(),
+      entryType: new Map(),
+      studyType: new Map(),
+      platform: new Map(),
+      year: new Map(),
+      sampleCount: new Map()
+    };
+    const add = (field, value) => counters[field].set(value, (counters[field].get(value) || 0) + 1);
+
+    for (const doc of docs) {
+      new Set(split(doc.taxon)).forEach(v => add('organism', v));
+      if (doc.entrytype) add('entryType', doc.entrytype.toUpperCase());
+      new Set(split(doc.gdstype)).forEach(v => add('studyType', v));
+      new Set(split(doc.gpl)).forEach(v => add('platform', v.startsWith('GPL') ? v : `GPL${v}`));
+
+      const year = String(doc.pdat || '').match(/^\d{4}/);
+      if (year) add('year', year[0]);
+
+      const samples = parseInt(doc.n_samples, 10);
+      const bucket = SAMPLE_COUNT_BUCKETS.find(b => samples >= b.min && (b.max === undefined || samples <= b.max));
+      if (bucket) add('sampleCount', bucket.label);
+    }
+
+    const byCount = (map) => [...map.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, MAX_VALUES);
+    const values = (entries, filter) => entries.map(([value, count]) => ({ value, count, filter: filter(value) }));
+
+    return [
+      { field: 'organism', label: 'Organism', values: values(byCount(counters.organism), v => ({ organism: v })) },
+      { field: 'entryType', label: 'Entry type', values: values(byCount(counters.entryType), v => ({ entryType: v })) },
+      { field: 'studyType', label: 'Study type', values: values(byCount(counters.studyType), v => ({ studyType: v.toLowerCase() })) },
+      { field: 'platform', label: 'Platform', values: values(byCount(counters.platform), v => ({ platform: v })) },
+      {
+        field: 'year',
+        label: 'Publication year',
+        values: values([...counters.year.entries()].sort((a, b) => b[0].localeCompare(a[0])), v => ({ fromDate: v, toDate: v }))
+      },
+      {
+        field: 'sampleCount',
+        label: 'Samples',
+        values: SAMPLE_COUNT_BUCKETS.filter(b => counters.sampleCount.has(b.label)).map(b => ({
+          value: b.label,
+          count: counters.sampleCount.get(b.label),
+          // null clears an upper bound left over from the search being refined
+          filter: { minSamples: b.min, maxSamples: b.max ?? null }
+        }))
+      }
+    ].filter(f => f.values.length > 0);
+  }
+}
+
+// Export singleton instance
+export const searchFacets = new SearchFacets();
@@ -5,8 +5,14 @@ import { WebSocketServer } from 'ws';
 import { createServer } from 'http';
 import { geoClient } from './geo-client.js';
 import { processUserMessage } from './chat-processor.js';
+import { formatQualityReport, formatRelatedRecords, formatSubSeries } from './chat-processor-advanced.js';
 import { threadManager } from './thread-manager.js';
 import { dataDownloader } from './data-downloader.js';
+import { advancedAnalyzer } from './advanced-analyzer.js';
+import { experimentalDesign } from './experimental-design.js';
+import { geneSetEnrichment } from './gene-set-enrichment.js';
+import { metadataIndex } from './metadata-index.js';
+import path from 'path';
 
 dotenv.config();
 
@@ -60,9 +66,27 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: 'GET /api/health',
-      chat: 'POST /api/chat',
-      search: 'POST /api/search',
+      chat: 'POST /api/chat (message, threadId, filters)',
+      search: 'POST /api/search (query, organism, entryType, studyType, platform, minSamples, maxSamples, fromDate, toDate, page, pageSize, history, facets, facetLimit)',
+      librarySearch: 'POST /api/library/search (query, organism, entryType, studyType, platform, minSamples, maxSamples, fromDate, toDate, downloaded, limit)',
       dataset: 'GET /api/dataset/:id',
+      statistics: 'GET /api/dataset/:id/statistics?level=probe|gene&strategy=&log2=&normalization=',
+      gene: 'GET /api/dataset/:id/genes/:gene?level=probe|gene&strategy=&log2=&normalization=',
+      export: 'GET /api/dataset/:id/export?level=probe|gene&strategy=&log2=&normalization=',
+      differentialExpression: 'POST /api/dataset/:id/differential-expression',
+      pca: 'GET /api/dataset/:id/pca?top=&components=&colorBy=&level=&log2=&normalization=',
+      clustering: 'GET /api/dataset/:id/clustering?top=&linkage=&clusters=&colorBy=&level=',
+      qc: 'GET /api/dataset/:id/qc?level=&log2=&normalization=',
+      batchEffects: 'GET /api/dataset/:id/batch-effects?top=&components=&level=&batch=&preserve=',
+      drugs: 'GET /api/dataset/:id/drugs',
+      related: 'GET /api/dataset/:id/related',
+      survival: 'GET /api/dataset/:id/survival?endpoint=&time=&event=&gene=&factor=&split=median|optimal&level=',
+      enrichment: 'POST /api/dataset/:id/enrichment',
+      geneListEnrichment: 'POST /api/enrichment',
+      geneSets: 'GET /api/gene-sets',
+      design: 'GET /api/dataset/:id/design',
+      designGroup: 'PUT|DELETE /api/dataset/:id/design/groups/:name',
+      designContrast: 'PUT|DELETE /api/dataset/:id/design/contrasts/:name',
       analyze: 'POST /api/analyze/:id'
     }
   });
@@ -116,8 +140,8 @@ app.post('/api/threads', async (req, res) => {
       return res.status(400).json({ error: 'Dataset ID is required' });
     }
 
-    // Fetch dataset details
-    const details = await geoClient.getDatasetDetails(datasetId);
+    // Fetch dataset details (with SuperSeries/SubSeries links for the thread header)
+    const details = await geoClient.getDatasetDetails(datasetId, { relations: true });
 
     // Create thread with "downloading" status
     const thread = threadManager.createThread(datasetId, details.details, { downloading: true });
@@ -125,6 +149,47 @@ app.post('/api/threads', async (req, res) => {
     // Send initial response
     res.json({ thread });
 
+    // Related section (papers, citing series, BioProject/SRA) alongside the download
+    (async () => {
+      try {
+        const related = await geoClient.getRelatedRecords(datasetId);
+        threadManager.addMessage(`dataset-${datasetId}`, {
+          role: 'assistant',
+          content: formatRelatedRecords(related),
+          metadata: {
+            type: 'related',
+            datasetId,
+            related,
+            datasets: related.relatedSeries.map(s => ({ id: s.id, title: s.title }))
+          }
+        });
+      } catch (error) {
+        console.error(`Related records failed for ${datasetId}:`, error);
+      }
+    })();
+
+    // A SuperSeries holds no data itself: list its SubSeries so they can be opened or combined
+    if (details.details.subSeries?.length > 0) {
+      (async () => {
+        try {
+          const summaries = await geoClient.getSeriesSummaries(details.details.subSeries);
+          const subSeries = { datasetId, subSeries: details.details.subSeries, superSeries: details.details.superSeries, downloaded: [], combined: null };
+          threadManager.addMessage(`dataset-${datasetId}`, {
+            role: 'assistant',
+            content: formatSubSeries(subSeries, summaries),
+            metadata: {
+              type: 'subseries',
+              datasetId,
+              subSeries,
+              datasets: summaries.map(s => ({ id: s.id, title: s.title }))
+            }
+          });
+        } catch (error) {
+          console.error(`SubSeries lookup failed for ${datasetId}:`, error);
+        }
+      })();
+    }
+
     // Start download in background
     (async () => {
       try {
@@ -141,6 +206,23 @@ app.post('/api/threads', async (req, res) => {
         const threadId = `dataset-${datasetId}`;
         threadManager.updateThreadDownloadStatus(threadId, downloadResult);
 
+        // Post the sample QC report once the matrix is available
+        if (downloadResult.success) {
+          try {
+            advancedAnalyzer.clearCache(datasetId);
+            const qc = await advancedAnalyzer.getQualityReport(datasetId);
+            if (!qc.error) {
+              threadManager.addMessage(threadId, {
+                role: 'assistant',
+                content: formatQualityReport(qc),
+                metadata: { type: 'quality_report', datasetId, qc }
+              });
+            }
+          } catch (error) {
+            console.error(`QC report failed for ${datasetId}:`, error);
+          }
+        }
+
         // Remove progress callback
         dataDownloader.removeProgressCallback(datasetId);
 
@@ -188,11 +270,14 @@ app.delete('/api/threads/:id', (req, res) => {
 // Chat endpoint - main interface for the chatbot
 app.post('/api/chat', async (req, res) => {
   try {
-    const { message, threadId = 'general' } = req.body;
+    const { message, threadId = 'general', filters } = req.body;
 
     if (!message) {
       return res.status(400).json({ error: 'Message is required' });
     }
+    if (filters !== undefined && (typeof filters !== 'object' || filters === null || Array.isArray(filters))) {
+      return res.status(400).json({ error: 'filters must be an object of structured search filters' });
+    }
 
     // Get thread
     let thread = threadManager.getThread(threadId);
@@ -213,7 +298,8 @@ app.post('/api/chat', async (req, res) => {
     const response = await processUserMessage(
       message,
       conversationHistory,
-      thread.datasetId
+      thread.datasetId,
+      { filters }
     );
 
     // Add assistant response to thread
@@ -239,16 +325,36 @@ app.post('/api/chat', async (req, res) => {
   }
 });
 
-// Search datasets endpoint
+// Search datasets endpoint. Body: { query?, organism?, entryType?, studyType?, platform?,
+// minSamples?, maxSamples?, fromDate?, toDate? } (at least a query or one filter), plus
+// paging { page?, pageSize?, history? }: send back the `history` of the previous page
+// so later pages come from the Entrez history server
 app.post('/api/search', async (req, res) => {
   try {
-    const { query } = req.body;
+    const { page, pageSize, maxResults, history, facets, facetLimit, ...filters } = req.body;
+    const size = parseInt(pageSize || maxResults, 10) || undefined;
+    const limit = parseInt(facetLimit, 10) || undefined;
+
+    if (size !== undefined && (size < 1 || size > 500)) {
+      return res.status(400).json({ error: 'pageSize must be between 1 and 500' });
+    }
+    if (limit !== undefined && (limit < 1 || limit > 10000)) {
+      return res.status(400).json({ error: 'facetLimit must be between 1 and 10000' });
+    }
+
+    // Facets cover the whole result set (up to facetLimit records, one esummary request by
+    // default). New searches get them unless facets: false; later pages only with facets: true
+    const results = await geoClient.searchStructured(filters, size, {
+      page: Math.max(1, parseInt(page, 10) || 1),
+      history,
+      facets: facets === true || (facets !== false && !history),
+      facetLimit: limit
+    });
 
-    if (!query) {
-      return res.status(400).json({ error: 'Query is required' });
+    if (results.error) {
+      return res.status(400).json({ error: results.error });
     }
 
-    const results = await geoClient.searchDatasets(query);
     res.json(results);
   } catch (error) {
     console.error('Error searching datasets:', error);
@@ -259,6 +365,34 @@ app.post('/api/search', async (req, res) => {
   }
 });
 
+// Search the local library of datasets seen in earlier searches, detail lookups and
+// downloads; needs no network access. Body: the /api/search filters plus
+// { downloaded?, limit? }; without a query or filters the whole library is listed
+app.post('/api/library/search', async (req, res) => {
+  try {
+    const { limit, ...filters } = req.body;
+    const size = parseInt(limit, 10) || undefined;
+
+    if (size !== undefined && (size < 1 || size > 500)) {
+      return res.status(400).json({ error: 'limit must be between 1 and 500' });
+    }
+
+    const results = await metadataIndex.search(filters, { limit: size });
+
+    if (results.error) {
+      return res.status(400).json({ error: results.error });
+    }
+
+    res.json(results);
+  } catch (error) {
+    console.error('Error searching library:', error);
+    res.status(500).json({
+      error: 'Failed to search library',
+      details: error.message,
+    });
+  }
+});
+
 // Get dataset details
 app.get('/api/dataset/:id', async (req, res) => {
   try {
@@ -274,6 +408,553 @@ app.get('/api/dataset/:id', async (req, res) => {
   }
 });
 
+// Matrix options from query string or body
+// (?level=gene&strategy=maxVariance&log2=auto|always|never&normalization=none|quantile|median
+//  &units=cpm|tpm|size-factors|counts for RNA-seq count tables
+//  &batch=<variable to ComBat-correct>&preserve=<characteristic kept in the model>)
+function matrixOptions(query) {
+  return {
+    level: query.level || 'probe',
+    strategy: query.strategy || undefined,
+    log2: query.log2 || undefined,
+    normalization: query.normalization || undefined,
+    units: query.units || undefined,
+    batch: query.batch || undefined,
+    preserve: query.preserve || undefined
+  };
+}
+
+// Per-sample statistics for a downloaded dataset
+app.get('/api/dataset/:id/statistics', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const stats = await advancedAnalyzer.getStatistics(id, matrixOptions(req.query));
+
+    if (stats.error) {
+      return res.status(400).json({ error: stats.error });
+    }
+
+    res.json(stats);
+  } catch (error) {
+    console.error('Error computing statistics:', error);
+    res.status(500).json({
+      error: 'Failed to compute statistics',
+      details: error.message,
+    });
+  }
+});
+
+// Expression of one gene (symbol, Entrez ID or probe ID)
+app.get('/api/dataset/:id/genes/:gene', async (req, res) => {
+  try {
+    const { id, gene } = req.params;
+    const result = await advancedAnalyzer.queryGene(id, gene, matrixOptions(req.query));
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error querying gene:', error);
+    res.status(500).json({
+      error: 'Failed to query gene',
+      details: error.message,
+    });
+  }
+});
+
+// Download the expression matrix as TSV
+app.get('/api/dataset/:id/export', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await advancedAnalyzer.exportMatrix(id, matrixOptions(req.query));
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.download(path.resolve(result.path), result.fileName);
+  } catch (error) {
+    console.error('Error exporting matrix:', error);
+    res.status(500).json({
+      error: 'Failed to export matrix',
+      details: error.message,
+    });
+  }
+});
+
+// Differential expression between two sample groups
+// Body: { groupA, groupB, level?, strategy?, log2?, normalization?, limit? } or { contrast, ... } where each group is
+// a named design group, { samples: ['GSM...'] }, { characteristic?, value } or { where }
+app.post('/api/dataset/:id/differential-expression', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { groupA, groupB, contrast, limit } = req.body;
+
+    if (!contrast && (!groupA || !groupB)) {
+      return res.status(400).json({ error: 'groupA and groupB (or contrast) are required' });
+    }
+
+    const result = await advancedAnalyzer.differentialExpression(id, {
+      groupA,
+      groupB,
+      contrast,
+      limit: limit || 50,
+      ...matrixOptions(req.body)
+    });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error running differential expression:', error);
+    res.status(500).json({
+      error: 'Failed to run differential expression',
+      details: error.message,
+    });
+  }
+});
+
+// Gene set enrichment of a comparison: ORA of the significant genes or preranked GSEA
+// Body: { method: 'ora'|'gsea', groupA, groupB | contrast | coexpressedWith (gene), correlation?, direction?, fdr?,
+// libraries?, minSize?, maxSize?, permutations?, limit?, strategy?, log2?, normalization? }
+app.post('/api/dataset/:id/enrichment', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { method, groupA, groupB, contrast, coexpressedWith, correlation, direction, fdr, libraries, minSize, maxSize, permutations, limit } = req.body;
+
+    if (!contrast && !coexpressedWith && (!groupA || !groupB)) {
+      return res.status(400).json({ error: 'groupA and groupB (or contrast, or coexpressedWith) are required' });
+    }
+
+    const result = await advancedAnalyzer.enrichment(id, {
+      method,
+      groupA,
+      groupB,
+      contrast,
+      coexpressedWith,
+      correlation,
+      direction,
+      fdr,
+      libraries,
+      minSize,
+      maxSize,
+      permutations,
+      limit: limit || 20,
+      strategy: req.body.strategy,
+      log2: req.body.log2,
+      normalization: req.body.normalization
+    });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error running enrichment analysis:', error);
+    res.status(500).json({
+      error: 'Failed to run enrichment analysis',
+      details: error.message,
+    });
+  }
+});
+
+// Over-representation of a plain gene list
+// Body: { genes: [...], universe?: [...], libraries?, minSize?, maxSize?, limit? }
+app.post('/api/enrichment', async (req, res) => {
+  try {
+    const { genes, universe, libraries, minSize, maxSize, limit } = req.body;
+
+    if (!Array.isArray(genes) || genes.length === 0) {
+      return res.status(400).json({ error: 'genes must be a non-empty array of gene symbols' });
+    }
+
+    const result = await geneSetEnrichment.overRepresentation(genes, universe || null, { libraries, minSize, maxSize });
+    res.json({ ...result, results: result.results.slice(0, limit || 20) });
+  } catch (error) {
+    console.error('Error running enrichment analysis:', error);
+    res.status(500).json({
+      error: 'Failed to run enrichment analysis',
+      details: error.message,
+    });
+  }
+});
+
+// Gene set libraries (GMT files) available locally
+app.get('/api/gene-sets', async (req, res) => {
+  try {
+    res.json({ directory: path.resolve(geneSetEnrichment.directory), libraries: await geneSetEnrichment.listLibraries() });
+  } catch (error) {
+    console.error('Error listing gene set libraries:', error);
+    res.status(500).json({
+      error: 'Failed to list gene set libraries',
+      details: error.message,
+    });
+  }
+});
+
+// Kaplan-Meier curves, log-rank test and hazard ratios from survival characteristics,
+// split by a gene's expression (?gene=&split=median|optimal) or a characteristic (?factor=)
+app.get('/api/dataset/:id/survival', async (req, res) => {
+  try {
+    const { endpoint, time, event, gene, factor, split } = req.query;
+    const result = await advancedAnalyzer.survival(req.params.id, {
+      endpoint,
+      time,
+      event,
+      gene,
+      factor,
+      split: split || 'median',
+      ...matrixOptions(req.query)
+    });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error running survival analysis:', error);
+    res.status(500).json({
+      error: 'Failed to run survival analysis',
+      details: error.message,
+    });
+  }
+});
+
+// Sample QC report with outlier flags
+app.get('/api/dataset/:id/qc', async (req, res) => {
+  try {
+    const result = await advancedAnalyzer.getQualityReport(req.params.id, matrixOptions(req.query));
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error building QC report:', error);
+    res.status(500).json({
+      error: 'Failed to build QC report',
+      details: error.message,
+    });
+  }
+});
+
+// Candidate batch variables and their association with the top principal components
+app.get('/api/dataset/:id/batch-effects', async (req, res) => {
+  try {
+    const { top, components } = req.query;
+    const result = await advancedAnalyzer.detectBatchEffects(req.params.id, {
+      ...matrixOptions(req.query),
+      topGenes: top ? parseInt(top, 10) : undefined,
+      components: components ? parseInt(components, 10) : undefined
+    });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error detecting batch effects:', error);
+    res.status(500).json({
+      error: 'Failed to detect batch effects',
+      details: error.message,
+    });
+  }
+});
+
+// Drugs and compounds found in the metadata, with doses and drug-sample pairs
+app.get('/api/dataset/:id/drugs', async (req, res) => {
+  try {
+    const result = await advancedAnalyzer.getDrugSamplePairs(req.params.id);
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error recognizing drugs:', error);
+    res.status(500).json({
+      error: 'Failed to recognize drugs',
+      details: error.message,
+    });
+  }
+});
+
+// PubMed articles (with abstracts), series citing the same articles and BioProject/SRA
+// records linked to a dataset through ELink
+app.get('/api/dataset/:id/related', async (req, res) => {
+  try {
+    const result = await geoClient.getRelatedRecords(req.params.id);
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching related records:', error);
+    res.status(500).json({
+      error: 'Failed to fetch related records',
+      details: error.message,
+    });
+  }
+});
+
+// Per-platform matrices of a multi-platform series and the active one
+app.get('/api/dataset/:id/platforms', async (req, res) => {
+  try {
+    const result = await advancedAnalyzer.getPlatforms(req.params.id);
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error listing platforms:', error);
+    res.status(500).json({
+      error: 'Failed to list platforms',
+      details: error.message,
+    });
+  }
+});
+
+// Analyze one platform or all of them merged. Body: { platform: 'GPL570' | 'merged', by?, strategy? }
+app.put('/api/dataset/:id/platform', async (req, res) => {
+  try {
+    const { platform, by, strategy } = req.body;
+
+    if (!platform) {
+      return res.status(400).json({ error: 'platform is required' });
+    }
+
+    const result = await advancedAnalyzer.selectPlatform(req.params.id, platform, { by, strategy });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error selecting platform:', error);
+    res.status(500).json({
+      error: 'Failed to select platform',
+      details: error.message,
+    });
+  }
+});
+
+// SubSeries and SuperSeries of a series and, once downloaded, the combined SubSeries samples
+app.get('/api/dataset/:id/subseries', async (req, res) => {
+  try {
+    const result = await advancedAnalyzer.getSubSeries(req.params.id);
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error listing SubSeries:', error);
+    res.status(500).json({
+      error: 'Failed to list SubSeries',
+      details: error.message,
+    });
+  }
+});
+
+// Download every SubSeries of a SuperSeries; analyses of the SuperSeries then use all of them
+app.post('/api/dataset/:id/subseries/download', async (req, res) => {
+  const { id } = req.params;
+  try {
+    dataDownloader.onProgress(id, (progress) => {
+      broadcastProgress(id, progress);
+    });
+
+    const download = await dataDownloader.downloadSubSeries(id);
+    advancedAnalyzer.clearCache(id);
+    const result = await advancedAnalyzer.getSubSeries(id);
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error, download });
+    }
+
+    const thread = threadManager.getThread(`dataset-${id}`);
+    if (thread) {
+      threadManager.addMessage(thread.id, {
+        role: 'assistant',
+        content: formatSubSeries(result, [], download),
+        metadata: { type: 'subseries', datasetId: id, subSeries: result }
+      });
+    }
+
+    res.json({ ...download, combined: result.combined });
+  } catch (error) {
+    console.error('Error downloading SubSeries:', error);
+    res.status(500).json({
+      error: 'Failed to download SubSeries',
+      details: error.message,
+    });
+  } finally {
+    dataDownloader.removeProgressCallback(id);
+  }
+});
+
+// PCA of samples on the top-variance genes/probes, colorable by a SOFT characteristic
+app.get('/api/dataset/:id/pca', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { top, components, colorBy } = req.query;
+    const result = await advancedAnalyzer.pca(id, {
+      ...matrixOptions(req.query),
+      topGenes: top ? parseInt(top, 10) : undefined,
+      components: components ? parseInt(components, 10) : undefined,
+      colorBy
+    });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error computing PCA:', error);
+    res.status(500).json({
+      error: 'Failed to compute PCA',
+      details: error.message,
+    });
+  }
+});
+
+// Hierarchical clustering of samples: dendrogram merges, leaf order and cluster cut
+app.get('/api/dataset/:id/clustering', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { top, linkage, clusters, colorBy } = req.query;
+    const result = await advancedAnalyzer.clusterSamples(id, {
+      ...matrixOptions(req.query),
+      topGenes: top ? parseInt(top, 10) : undefined,
+      clusters: clusters ? parseInt(clusters, 10) : undefined,
+      linkage,
+      colorBy
+    });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error clustering samples:', error);
+    res.status(500).json({
+      error: 'Failed to cluster samples',
+      details: error.message,
+    });
+  }
+});
+
+// Experimental design: characteristic table, suggested factors, named groups and contrasts
+app.get('/api/dataset/:id/design', async (req, res) => {
+  try {
+    const design = await advancedAnalyzer.getDesign(req.params.id);
+
+    if (design.error) {
+      return res.status(400).json({ error: design.error });
+    }
+
+    res.json(design);
+  } catch (error) {
+    console.error('Error getting experimental design:', error);
+    res.status(500).json({
+      error: 'Failed to get experimental design',
+      details: error.message,
+    });
+  }
+});
+
+// Define a named group. Body: { samples } | { characteristic?, value } | { where }
+app.put('/api/dataset/:id/design/groups/:name', async (req, res) => {
+  try {
+    const { id, name } = req.params;
+    const { samples, characteristic, value, where } = req.body;
+
+    if (!samples && !value && !where) {
+      return res.status(400).json({ error: 'samples, value or where is required' });
+    }
+
+    await experimentalDesign.defineGroup(id, name, { samples, characteristic, value, where });
+    res.json(await syncThreadDesign(id));
+  } catch (error) {
+    console.error('Error defining group:', error);
+    res.status(500).json({
+      error: 'Failed to define group',
+      details: error.message,
+    });
+  }
+});
+
+app.delete('/api/dataset/:id/design/groups/:name', async (req, res) => {
+  try {
+    const { id, name } = req.params;
+    const design = await experimentalDesign.removeGroup(id, name);
+
+    if (!design) {
+      return res.status(404).json({ error: `Group ${name} not found` });
+    }
+
+    res.json(await syncThreadDesign(id));
+  } catch (error) {
+    console.error('Error removing group:', error);
+    res.status(500).json({
+      error: 'Failed to remove group',
+      details: error.message,
+    });
+  }
+});
+
+// Define a named contrast between two groups. Body: { groupA, groupB }
+app.put('/api/dataset/:id/design/contrasts/:name', async (req, res) => {
+  try {
+    const { id, name } = req.params;
+    const { groupA, groupB } = req.body;
+
+    if (!groupA || !groupB) {
+      return res.status(400).json({ error: 'groupA and groupB are required' });
+    }
+
+    await experimentalDesign.defineContrast(id, name, groupA, groupB);
+    res.json(await syncThreadDesign(id));
+  } catch (error) {
+    console.error('Error defining contrast:', error);
+    res.status(400).json({
+      error: 'Failed to define contrast',
+      details: error.message,
+    });
+  }
+});
+
+app.delete('/api/dataset/:id/design/contrasts/:name', async (req, res) => {
+  try {
+    const { id, name } = req.params;
+    const design = await experimentalDesign.removeContrast(id, name);
+
+    if (!design) {
+      return res.status(404).json({ error: `Contrast ${name} not found` });
+    }
+
+    res.json(await syncThreadDesign(id));
+  } catch (error) {
+    console.error('Error removing contrast:', error);
+    res.status(500).json({
+      error: 'Failed to remove contrast',
+      details: error.message,
+    });
+  }
+});
+
 // Analyze dataset (download and analyze)
 app.post('/api/analyze/:id', async (req, res) => {
   try {
@@ -289,6 +970,20 @@ app.post('/api/analyze/:id', async (req, res) => {
   }
 });
 
+/**
+ * Resolve the saved design and attach it to the dataset thread
+ */
+async function syncThreadDesign(datasetId) {
+  const design = await advancedAnalyzer.getDesign(datasetId);
+  if (!design.error) {
+    threadManager.updateThreadDesign(`dataset-${datasetId}`, {
+      groups: design.groups,
+      contrasts: design.contrasts
+    });
+  }
+  return design;
+}
+
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, closing GEO client...');
@@ -0,0 +1,314 @@
+/**
+ * Statistics helpers - distributions and multiple-testing correction
+ * shared by the analysis modules
+ */
+
+const LANCZOS = [
+  676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+  9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ */
+export function lgamma(x) {
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - lgamma(1 - x);
+  }
+  x -= 1;
+  let a = 0.99999999999980993;
+  const t = x + 7.5;
+  for (let i = 0; i < LANCZOS.length; i++) {
+    a += LANCZOS[i] / (x + i + 1);
+  }
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+export function digamma(x) {
+  let result = 0;
+  while (x < 6) {
+    result -= 1 / x;
+    x += 1;
+  }
+  const f = 1 / (x * x);
+  return result + Math.log(x) - 0.5 / x - f * (1 / 12 - f * (1 / 120 - f / 252));
+}
+
+export function trigamma(x) {
+  let result = 0;
+  while (x < 6) {
+    result += 1 / (x * x);
+    x += 1;
+  }
+  const f = 1 / (x * x);
+  return result + 1 / x + f / 2 + (f / x) * (1 / 6 - f * (1 / 30 - f * (1 / 42 - f / 30)));
+}
+
+function tetragamma(x) {
+  let result = 0;
+  while (x < 6) {
+    result -= 2 / (x * x * x);
+    x += 1;
+  }
+  const f = 1 / (x * x);
+  return result - f - f / x - (f * f) * (0.5 - f * (1 / 6 - f * (1 / 6 - f * 0.3)));
+}
+
+/**
+ * Solve trigamma(x) = y for x (Newton iteration as in limma)
+ */
+export function trigammaInverse(y) {
+  if (y > 1e7) return 1 / Math.sqrt(y);
+  if (y < 1e-6) return 1 / y;
+
+  let x = 0.5 + 1 / y;
+  for (let i = 0; i < 50; i++) {
+    const tri = trigamma(x);
+    const dif = tri * (1 - tri / y) / tetragamma(x);
+    x += dif;
+    if (-dif / x < 1e-8) break;
+  }
+  return x;
+}
+
+/**
+ * Continued fraction for the incomplete beta function
+ */
+function betacf(a, b, x) {
+  const MAX_ITER = 300;
+  const EPS = 3e-14;
+  const FPMIN = 1e-300;
+
+  const qab = a + b;
+  const qap = a + 1;
+  const qam = a - 1;
+  let c = 1;
+  let d = 1 - qab * x / qap;
+  if (Math.abs(d) < FPMIN) d = FPMIN;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m <= MAX_ITER; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((qam + m2) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    h *= d * c;
+
+    aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c;
+    if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < EPS) break;
+  }
+  return h;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ */
+export function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const bt = Math.exp(lgamma(a + b) - lgamma(a) - lgamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  if (x < (a + 1) / (a + b + 2)) {
+    return bt * betacf(a, b, x) / a;
+  }
+  return 1 - bt * betacf(b, a, 1 - x) / b;
+}
+
+/**
+ * Two-sided p-value for a t statistic
+ */
+export function tTestPValue(t, df) {
+  if (!isFinite(t)) return isNaN(t) ? NaN : 0;
+  if (!isFinite(df)) return 2 * normalSf(Math.abs(t));
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+/**
+ * Upper tail of the F distribution with (d1, d2) degrees of freedom
+ */
+export function fDistributionSf(f, d1, d2) {
+  if (isNaN(f)) return NaN;
+  if (f <= 0) return 1;
+  if (!isFinite(f)) return 0;
+  return incompleteBeta(d2 / (d2 + d1 * f), d2 / 2, d1 / 2);
+}
+
+/**
+ * Complementary error function (Chebyshev fit, relative error < 1.2e-7)
+ */
+function erfc(x) {
+  const z = Math.abs(x);
+  const t = 1 / (1 + 0.5 * z);
+  const r = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+    t * (-0.82215223 + t * 0.17087277)))))))));
+  return x >= 0 ? r : 2 - r;
+}
+
+export function normalCdf(z) {
+  return 0.5 * erfc(-z / Math.SQRT2);
+}
+
+/**
+ * Upper tail of the standard normal distribution
+ */
+export function normalSf(z) {
+  return 0.5 * erfc(z / Math.SQRT2);
+}
+
+/**
+ * Inverse of the standard normal CDF (Acklam's algorithm)
+ */
+export function normalQuantile(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const pLow = 0.02425;
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - pLow) {
+    return -normalQuantile(1 - p);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Regularized lower incomplete gamma P(a, x)
+ */
+export function incompleteGamma(a, x) {
+  if (x <= 0) return 0;
+
+  if (x < a + 1) {
+    let sum = 1 / a;
+    let term = sum;
+    for (let n = 1; n < 500; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+    }
+    return sum * Math.exp(-x + a * Math.log(x) - lgamma(a));
+  }
+
+  // Continued fraction for the upper tail
+  let b = x + 1 - a;
+  let c = 1e300;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 1e-15) break;
+  }
+  return 1 - Math.exp(-x + a * Math.log(x) - lgamma(a)) * h;
+}
+
+/**
+ * Upper tail of the chi-square distribution
+ */
+export function chiSquareSf(x, df) {
+  if (x <= 0) return 1;
+  return 1 - incompleteGamma(df / 2, x / 2);
+}
+
+/**
+ * Benjamini-Hochberg adjusted p-values (NaN entries stay NaN)
+ */
+export function benjaminiHochberg(pValues) {
+  const indexed = [];
+  pValues.forEach((p, idx) => {
+    if (!isNaN(p)) indexed.push([p, idx]);
+  });
+  indexed.sort((a, b) => b[0] - a[0]);
+
+  const adjusted = new Array(pValues.length).fill(NaN);
+  const m = indexed.length;
+  let running = 1;
+  indexed.forEach(([p, idx], rank) => {
+    running = Math.min(running, (p * m) / (m - rank));
+    adjusted[idx] = running;
+  });
+  return adjusted;
+}
+
+export function mean(values) {
+  let sum = 0;
+  for (const v of values) sum += v;
+  return sum / values.length;
+}
+
+/**
+ * Sample variance (n - 1 denominator)
+ */
+export function variance(values) {
+  const m = mean(values);
+  let ss = 0;
+  for (const v of values) ss += (v - m) * (v - m);
+  return ss / (values.length - 1);
+}
+
+export function median(values) {
+  const sorted = Array.from(values).sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+/**
+ * Quantile of already sorted values (linear interpolation, R type 7)
+ */
+export function quantileSorted(sorted, p) {
+  if (sorted.length === 0) return NaN;
+  const h = (sorted.length - 1) * p;
+  const lo = Math.floor(h);
+  const hi = Math.ceil(h);
+  return sorted[lo] + (h - lo) * (sorted[hi] - sorted[lo]);
+}
+
+function logChoose(n, k) {
+  return lgamma(n + 1) - lgamma(k + 1) - lgamma(n - k + 1);
+}
+
+/**
+ * P(X >= k) for X ~ Hypergeometric(population N, successes K, draws n)
+ */
+export function hypergeometricSf(k, N, K, n) {
+  const upper = Math.min(K, n);
+  if (k <= Math.max(0, n - (N - K))) return 1;
+  if (k > upper) return 0;
+
+  const logDenominator = logChoose(N, n);
+  let p = 0;
+  for (let i = k; i <= upper; i++) {
+    p += Math.exp(logChoose(K, i) + logChoose(N - K, n - i) - logDenominator);
+  }
+  return Math.min(1, p);
+}
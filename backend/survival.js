@@ -0,0 +1,419 @@
+/**
+ * Survival - Kaplan-Meier curves, log-rank tests and Cox hazard ratios
+ *
+ * Clinical series usually store follow-up time and event status as sample
+ * characteristics ("os time: 36.5", "os status: dead"). Time/event keys are
+ * detected and paired by endpoint (OS, PFS, DFS, ...), event values are read as
+ * 1 (event) or 0 (censored), and samples can then be compared between groups.
+ */
+
+import { normalQuantile, normalSf, chiSquareSf, median } from './stats.js';
+
+// Specific endpoints first: "progression-free survival" must not be read as OS
+export const SURVIVAL_ENDPOINTS = [
+  { name: 'PFS', label: 'progression-free survival', pattern: /\bpfs\b|progression/i },
+  { name: 'DFS', label: 'disease-free survival', pattern: /\bdfs\b|disease[- ]free/i },
+  { name: 'RFS', label: 'relapse-free survival', pattern: /\brfs\b|relapse|recurrence/i },
+  { name: 'DMFS', label: 'distant metastasis-free survival', pattern: /\bd?mfs\b|metasta/i },
+  { name: 'DSS', label: 'disease-specific survival', pattern: /\bdss\b|disease[- ]specific|cancer[- ]specific/i },
+  { name: 'EFS', label: 'event-free survival', pattern: /\befs\b|event[- ]free/i },
+  { name: 'OS', label: 'overall survival', pattern: /\bos\b|overall|vital|death|\bdead\b|surviv/i }
+];
+
+export const SPLIT_METHODS = ['median', 'optimal'];
+
+const TIME_KEY = /time|months?|days?|years?|weeks?|follow|duration|surviv|\b(os|pfs|dfs|rfs|dss|efs|d?mfs)\b/i;
+const EVENT_KEY = /status|event|censor|vital|death|dead|relapse|recurrence|progression|metasta/i;
+const MIN_SURVIVAL_SAMPLES = 5;
+const OPTIMAL_CUT_MIN_FRACTION = 0.2; // smallest group allowed when searching cutpoints
+const Z_95 = 1.959964;
+
+/**
+ * First number in a characteristic value ("36.5", "36 months"), NaN otherwise
+ */
+function parseTime(value) {
+  const match = String(value ?? '').trim().match(/^-?\d+(\.\d+)?(e[-+]?\d+)?/i);
+  return match ? parseFloat(match[0]) : NaN;
+}
+
+/**
+ * 1 for an event, 0 for censored, null when the value can't be read
+ */
+function parseEvent(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (text === '1' || text === '1.0') return 1;
+  if (text === '0' || text === '0.0') return 0;
+  if (/\b(alive|living|censor(ed)?|no|not|none|free|false|negative)\b|^n$/.test(text)) return 0;
+  if (/\b(dead|deceased|died|death|event|relapsed?|recurr?(ed|ence)?|progress(ed|ion)?|metasta\w*|yes|true|positive)\b|^y$/.test(text)) return 1;
+  return null;
+}
+
+function detectUnit(key, values) {
+  const text = `${key} ${values.slice(0, 20).join(' ')}`.toLowerCase();
+  if (/month|\bmo\b/.test(text)) return 'months';
+  if (/\bdays?\b|\bd\b/.test(text)) return 'days';
+  if (/year|\byrs?\b/.test(text)) return 'years';
+  if (/week|\bwks?\b/.test(text)) return 'weeks';
+  return 'unknown units';
+}
+
+function endpointOf(key) {
+  return SURVIVAL_ENDPOINTS.find(e => e.pattern.test(key)) || null;
+}
+
+/**
+ * Solve a small linear system (Gaussian elimination with partial pivoting)
+ */
+function solve(matrix, vector) {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const factor = a[r][col] / a[col][col];
+      for (let c = col; c <= n; c++) a[r][c] -= factor * a[col][c];
+    }
+  }
+
+  return a.map((row, i) => row[n] / row[i]);
+}
+
+class SurvivalAnalyzer {
+  /**
+   * Time/event characteristic pairs, one per endpoint
+   */
+  detectEndpoints(softSamples) {
+    const keys = [...new Set(softSamples.flatMap(s => Object.keys(s.characteristics || {})))];
+    const timeKeys = [];
+    const eventKeys = [];
+
+    for (const key of keys) {
+      const values = softSamples.map(s => s.characteristics?.[key]).filter(v => v !== undefined && v !== '');
+      if (values.length < MIN_SURVIVAL_SAMPLES) continue;
+
+      const times = values.map(parseTime);
+      const numeric = times.filter(t => !isNaN(t));
+      const binary = numeric.length === values.length && numeric.every(t => t === 0 || t === 1);
+      const events = values.map(parseEvent).filter(e => e !== null);
+
+      if (EVENT_KEY.test(key) && events.length >= 0.9 * values.length && (binary || numeric.length < values.length)) {
+        eventKeys.push({ key, endpoint: endpointOf(key) });
+      } else if (TIME_KEY.test(key) && !binary && numeric.length >= 0.9 * values.length && numeric.every(t => t >= 0)) {
+        timeKeys.push({ key, endpoint: endpointOf(key), unit: detectUnit(key, values) });
+      }
+    }
+
+    // Pair by endpoint; unlabeled keys pair with unlabeled or OS keys
+    const pairs = [];
+    for (const time of timeKeys) {
+      const score = (event) => {
+        if (time.endpoint && event.endpoint === time.endpoint) return 2;
+        if ((!time.endpoint || time.endpoint.name === 'OS') && (!event.endpoint || event.endpoint.name === 'OS')) return 1;
+        return 0;
+      };
+      const best = eventKeys
+        .map(event => ({ event, score: score(event) }))
+        .filter(e => e.score > 0)
+        .sort((a, b) => b.score - a.score)[0];
+      if (!best) continue;
+
+      const endpoint = time.endpoint || best.event.endpoint || SURVIVAL_ENDPOINTS.find(e => e.name === 'OS');
+      if (pairs.some(p => p.endpoint === endpoint.name)) continue;
+
+      const usable = softSamples.filter(s =>
+        !isNaN(parseTime(s.characteristics?.[time.key])) && parseEvent(s.characteristics?.[best.event.key]) !== null
+      ).length;
+      if (usable < MIN_SURVIVAL_SAMPLES) continue;
+
+      pairs.push({
+        endpoint: endpoint.name,
+        label: endpoint.label,
+        timeKey: time.key,
+        eventKey: best.event.key,
+        unit: time.unit,
+        samples: usable
+      });
+    }
+
+    return pairs;
+  }
+
+  /**
+   * Survival records { sample, time, event } for one endpoint
+   */
+  records(softSamples, timeKey, eventKey) {
+    return softSamples
+      .map(s => ({
+        sample: s.id,
+        time: parseTime(s.characteristics?.[timeKey]),
+        event: parseEvent(s.characteristics?.[eventKey])
+      }))
+      .filter(r => !isNaN(r.time) && r.time >= 0 && r.event !== null);
+  }
+
+  /**
+   * Kaplan-Meier estimate with Greenwood variance and log-log 95% confidence bands.
+   * One point per distinct time (censor-only times included for plotting marks).
+   */
+  kaplanMeier(records) {
+    const sorted = [...records].sort((a, b) => a.time - b.time);
+    const curve = [{ time: 0, atRisk: sorted.length, events: 0, censored: 0, survival: 1, lower: 1, upper: 1 }];
+
+    let atRisk = sorted.length;
+    let survival = 1;
+    let greenwood = 0;
+    let medianSurvival = null;
+
+    for (let i = 0; i < sorted.length;) {
+      const time = sorted[i].time;
+      let events = 0;
+      let censored = 0;
+      while (i < sorted.length && sorted[i].time === time) {
+        if (sorted[i].event === 1) events++;
+        else censored++;
+        i++;
+      }
+
+      if (events > 0) {
+        survival *= 1 - events / atRisk;
+        greenwood += atRisk > events ? events / (atRisk * (atRisk - events)) : 0;
+      }
+
+      let lower = survival;
+      let upper = survival;
+      if (survival > 0 && survival < 1) {
+        const seLogLog = Math.sqrt(greenwood) / Math.abs(Math.log(survival));
+        lower = Math.pow(survival, Math.exp(Z_95 * seLogLog));
+        upper = Math.pow(survival, Math.exp(-Z_95 * seLogLog));
+      }
+
+      curve.push({ time, atRisk, events, censored, survival, lower, upper });
+      if (medianSurvival === null && survival <= 0.5) medianSurvival = time;
+      atRisk -= events + censored;
+    }
+
+    return {
+      n: records.length,
+      events: records.filter(r => r.event === 1).length,
+      medianSurvival,
+      curve
+    };
+  }
+
+  /**
+   * Log-rank test across k groups (chi-square with k - 1 df)
+   */
+  logRank(groups) {
+    const k = groups.length;
+    const all = groups
+      .flatMap((records, g) => records.map(r => ({ time: r.time, event: r.event, group: g })))
+      .sort((a, b) => a.time - b.time);
+
+    const observed = new Array(k).fill(0);
+    const expected = new Array(k).fill(0);
+    const cov = Array.from({ length: k }, () => new Array(k).fill(0));
+    const atRisk = groups.map(records => records.length);
+
+    // Sweep distinct times in order; everyone at a time leaves the risk set after it
+    for (let i = 0; i < all.length;) {
+      const time = all[i].time;
+      const deaths = new Array(k).fill(0);
+      const leaving = new Array(k).fill(0);
+      while (i < all.length && all[i].time === time) {
+        if (all[i].event === 1) deaths[all[i].group]++;
+        leaving[all[i].group]++;
+        i++;
+      }
+
+      const n = atRisk.reduce((a, b) => a + b, 0);
+      const d = deaths.reduce((a, b) => a + b, 0);
+      if (d > 0) {
+        const factor = n > 1 ? (d * (n - d)) / (n * n * (n - 1)) : 0;
+        for (let g = 0; g < k; g++) {
+          observed[g] += deaths[g];
+          expected[g] += (d * atRisk[g]) / n;
+          for (let h = 0; h < k; h++) {
+            cov[g][h] += factor * atRisk[g] * ((g === h ? n : 0) - atRisk[h]);
+          }
+        }
+      }
+      leaving.forEach((count, g) => { atRisk[g] -= count; });
+    }
+
+    // Drop the last group: the O - E vector sums to zero
+    const diff = observed.slice(0, k - 1).map((o, g) => o - expected[g]);
+    const reduced = cov.slice(0, k - 1).map(row => row.slice(0, k - 1));
+    const solved = k > 1 ? solve(reduced, diff) : null;
+    const chiSquare = solved ? diff.reduce((sum, x, g) => sum + x * solved[g], 0) : NaN;
+
+    return {
+      chiSquare,
+      df: k - 1,
+      pValue: isNaN(chiSquare) ? NaN : chiSquareSf(chiSquare, k - 1),
+      observed,
+      expected
+    };
+  }
+
+  /**
+   * Univariate Cox proportional hazards fit (Breslow ties) by Newton-Raphson.
+   * covariate: one number per record. Returns the hazard ratio per unit.
+   */
+  cox(records, covariate) {
+    const order = records.map((_, i) => i).sort((a, b) => records[b].time - records[a].time);
+    const eventTimes = [...new Set(records.filter(r => r.event === 1).map(r => r.time))];
+    if (eventTimes.length === 0) {
+      return { beta: NaN, se: NaN, hazardRatio: NaN, ciLower: NaN, ciUpper: NaN, pValue: NaN, converged: false };
+    }
+
+    // Centering keeps exp() in range without changing the fit
+    const center = covariate.reduce((a, b) => a + b, 0) / covariate.length;
+    const x = covariate.map(v => v - center);
+
+    let beta = 0;
+    let information = 0;
+    let converged = false;
+
+    for (let iter = 0; iter < 30; iter++) {
+      let gradient = 0;
+      information = 0;
+      let s0 = 0;
+      let s1 = 0;
+      let s2 = 0;
+
+      // Walk from the longest time down so each risk set accumulates
+      for (let p = 0; p < order.length;) {
+        const time = records[order[p]].time;
+        let events = 0;
+        let eventSum = 0;
+        while (p < order.length && records[order[p]].time === time) {
+          const i = order[p];
+          const w = Math.exp(beta * x[i]);
+          s0 += w;
+          s1 += w * x[i];
+          s2 += w * x[i] * x[i];
+          if (records[i].event === 1) {
+            events++;
+            eventSum += x[i];
+          }
+          p++;
+        }
+        if (events === 0) continue;
+
+        const mean = s1 / s0;
+        gradient += eventSum - events * mean;
+        information += events * (s2 / s0 - mean * mean);
+      }
+
+      if (!(information > 0)) break;
+      const step = gradient / information;
+      beta += step;
+      if (Math.abs(step) < 1e-9) {
+        converged = true;
+        break;
+      }
+      if (Math.abs(beta) > 20) break; // monotone likelihood: no events in one group
+    }
+
+    if (!converged || !(information > 0)) {
+      return { beta: NaN, se: NaN, hazardRatio: NaN, ciLower: NaN, ciUpper: NaN, pValue: NaN, converged: false };
+    }
+
+    const se = Math.sqrt(1 / information);
+    return {
+      beta,
+      se,
+      hazardRatio: Math.exp(beta),
+      ciLower: Math.exp(beta - Z_95 * se),
+      ciUpper: Math.exp(beta + Z_95 * se),
+      pValue: 2 * normalSf(Math.abs(beta / se)),
+      converged
+    };
+  }
+
+  /**
+   * High/low split of a continuous value. 'median' splits at the median;
+   * 'optimal' takes the cutpoint with the smallest log-rank p-value among those
+   * leaving at least 20% of samples per side, and reports Altman's corrected p.
+   */
+  splitByValue(records, values, split = 'median') {
+    if (!SPLIT_METHODS.includes(split)) {
+      throw new Error(`Unknown split "${split}". Use one of: ${SPLIT_METHODS.join(', ')}`);
+    }
+
+    const groupsAt = (cut) => [
+      records.filter((_, i) => values[i] > cut),
+      records.filter((_, i) => values[i] <= cut)
+    ];
+
+    if (split === 'median') {
+      const cutpoint = median(values);
+      return { split: 'median', cutpoint, groups: groupsAt(cutpoint), candidates: 1 };
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const minSize = Math.max(1, Math.ceil(OPTIMAL_CUT_MIN_FRACTION * values.length));
+    const cuts = [...new Set(sorted.slice(minSize - 1, sorted.length - minSize))];
+
+    let best = null;
+    for (const cut of cuts) {
+      const groups = groupsAt(cut);
+      if (groups[0].length < minSize || groups[1].length < minSize) continue;
+      const test = this.logRank(groups);
+      if (!isNaN(test.pValue) && (!best || test.pValue < best.pValue)) {
+        best = { cutpoint: cut, groups, pValue: test.pValue };
+      }
+    }
+
+    if (!best) {
+      return this.splitByValue(records, values, 'median');
+    }
+
+    return {
+      split: 'optimal',
+      cutpoint: best.cutpoint,
+      groups: best.groups,
+      candidates: cuts.length,
+      correctedPValue: this.altmanCorrection(best.pValue, OPTIMAL_CUT_MIN_FRACTION)
+    };
+  }
+
+  /**
+   * Altman et al. (1994) correction of a minimum p-value from a cutpoint search
+   */
+  altmanCorrection(p, epsilon) {
+    const z = normalQuantile(1 - p / 2);
+    if (!(z > 0)) return 1;
+    const phi = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+    const corrected = phi * (z - 1 / z) * Math.log(((1 - epsilon) ** 2) / (epsilon ** 2)) + (4 * phi) / z;
+    return Math.min(1, Math.max(p, corrected));
+  }
+
+  /**
+   * Curves, log-rank test and Cox hazard ratios of each group against the last (reference) group
+   */
+  compare(namedGroups) {
+    const groups = namedGroups.filter(g => g.records.length > 0);
+    const curves = groups.map(g => ({ name: g.name, ...this.kaplanMeier(g.records) }));
+    const logRank = groups.length > 1 ? this.logRank(groups.map(g => g.records)) : null;
+
+    const reference = groups[groups.length - 1];
+    const hazardRatios = groups.slice(0, -1).map(group => {
+      const records = [...group.records, ...reference.records];
+      const indicator = records.map((_, i) => (i < group.records.length ? 1 : 0));
+      return { group: group.name, reference: reference.name, ...this.cox(records, indicator) };
+    });
+
+    return { groups: curves, logRank, hazardRatios };
+  }
+}
+
+export const survivalAnalyzer = new SurvivalAnalyzer();
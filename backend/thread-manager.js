@@ -3,6 +3,19 @@
  * Each thread represents a conversation about a specific dataset or general search
  */
 
+import { ACCESSION_TYPES } from './geo-accession.js';
+
+// What a download holds beyond series files, per accession type
+const DOWNLOAD_NOTES = {
+  GSE: (status) => [
+    status.platforms ? `, with one expression matrix per platform (${status.platforms.join(', ')}). Ask "which platforms?" to choose one or merge them` : '',
+    status.subSeries ? `. This is a SuperSeries: its data lives in ${status.subSeries.length} SubSeries. Say "download all SubSeries" to analyze them together as one dataset` : ''
+  ].join(''),
+  GDS: (status) => (status.referenceSeries ? `, including its reference series ${status.referenceSeries}` : ''),
+  GPL: () => ': the platform record with its probe table and gene annotation',
+  GSM: () => ': the sample record with its data table'
+};
+
 class ThreadManager {
   constructor() {
     this.threads = new Map();
@@ -30,17 +43,15 @@ class ThreadManager {
       return this.threads.get(threadId);
     }
 
-    let initialMessage = `I've created a dedicated thread for **${datasetId}**. `;
+    const label = ACCESSION_TYPES[datasetInfo.accessionType]?.label;
+    let initialMessage = `I've created a dedicated thread for **${datasetId}**${label ? ` (${label})` : ''}. `;
 
     if (downloadStatus?.downloading) {
       initialMessage += `\n\n📥 **Downloading dataset files...**\n\nThis may take a moment. I'll let you know when the data is ready for analysis.`;
     } else if (downloadStatus?.success) {
       initialMessage += `\n\n✅ **Dataset downloaded successfully!**\n\n`;
       initialMessage += `**Dataset Information:**\n`;
-      initialMessage += `${datasetInfo.title ? `- **Title:** ${datasetInfo.title}\n` : ''}`;
-      initialMessage += `${datasetInfo.organism ? `- **Organism:** ${datasetInfo.organism}\n` : ''}`;
-      initialMessage += `${datasetInfo.sampleCount ? `- **Samples:** ${datasetInfo.sampleCount}\n` : ''}`;
-      initialMessage += `${datasetInfo.dataType ? `- **Data Type:** ${datasetInfo.dataType}\n` : ''}`;
+      initialMessage += this.formatDatasetInfo(datasetInfo);
 
       if (downloadStatus.files && downloadStatus.files.length > 0) {
         initialMessage += `\n**Downloaded & Decompressed Files:**\n`;
@@ -56,11 +67,8 @@ class ThreadManager {
       initialMessage += `\n💡 You can now ask questions about the data, request analysis, or explore specific aspects of this dataset!`;
     } else {
       initialMessage += `\n\n**Dataset Information:**\n`;
-      initialMessage += `${datasetInfo.title ? `- **Title:** ${datasetInfo.title}\n` : ''}`;
-      initialMessage += `${datasetInfo.organism ? `- **Organism:** ${datasetInfo.organism}\n` : ''}`;
-      initialMessage += `${datasetInfo.sampleCount ? `- **Samples:** ${datasetInfo.sampleCount}\n` : ''}`;
-      initialMessage += `${datasetInfo.dataType ? `- **Data Type:** ${datasetInfo.dataType}\n` : ''}`;
-      initialMessage += `\nWhat would you like to know about this dataset?`;
+      initialMessage += this.formatDatasetInfo(datasetInfo);
+      initialMessage += `\nWhat would you like to know about this ${label || 'dataset'}?`;
     }
 
     const thread = {
@@ -86,6 +94,42 @@ class ThreadManager {
     return thread;
   }
 
+  /**
+   * Information lines for the kind of record a thread is about
+   */
+  formatDatasetInfo(datasetInfo) {
+    let info = `${datasetInfo.title ? `- **Title:** ${datasetInfo.title}\n` : ''}`;
+    info += `${datasetInfo.organism ? `- **Organism:** ${datasetInfo.organism}\n` : ''}`;
+
+    switch (datasetInfo.accessionType) {
+      case 'GSM':
+        info += `${datasetInfo.series?.length ? `- **Series:** ${datasetInfo.series.join(', ')}\n` : ''}`;
+        info += `${datasetInfo.platform ? `- **Platform:** ${datasetInfo.platform}\n` : ''}`;
+        info += `${datasetInfo.source ? `- **Source:** ${datasetInfo.source}\n` : ''}`;
+        for (const [key, value] of Object.entries(datasetInfo.characteristics || {})) {
+          info += `- **${key}:** ${value}\n`;
+        }
+        break;
+      case 'GPL':
+        info += `${datasetInfo.technology ? `- **Technology:** ${datasetInfo.technology}\n` : ''}`;
+        info += `${datasetInfo.manufacturer ? `- **Manufacturer:** ${datasetInfo.manufacturer}\n` : ''}`;
+        info += `${datasetInfo.sampleCount ? `- **Samples on Platform:** ${datasetInfo.sampleCount}\n` : ''}`;
+        info += `${datasetInfo.series?.length ? `- **Series:** ${datasetInfo.series.length}\n` : ''}`;
+        break;
+      default:
+        info += `${datasetInfo.sampleCount ? `- **Samples:** ${datasetInfo.sampleCount}\n` : ''}`;
+        info += `${datasetInfo.dataType ? `- **Data Type:** ${datasetInfo.dataType}\n` : ''}`;
+        if (datasetInfo.accessionType === 'GDS') {
+          info += `${datasetInfo.series?.length ? `- **Reference Series:** ${datasetInfo.series.join(', ')}\n` : ''}`;
+          info += `${datasetInfo.valueType ? `- **Value Type:** ${datasetInfo.valueType}\n` : ''}`;
+        }
+        info += `${datasetInfo.subSeries?.length ? `- **SuperSeries of:** ${datasetInfo.subSeries.length} SubSeries (${datasetInfo.subSeries.join(', ')})\n` : ''}`;
+        info += `${datasetInfo.superSeries?.length ? `- **Part of SuperSeries:** ${datasetInfo.superSeries.join(', ')}\n` : ''}`;
+    }
+
+    return info;
+  }
+
   updateThreadDownloadStatus(threadId, downloadStatus) {
     const thread = this.threads.get(threadId);
     if (thread) {
@@ -97,7 +141,7 @@ class ThreadManager {
         thread.messages.push({
           id: Date.now(),
           role: 'assistant',
-          content: `✅ **Download complete!**\n\nI've successfully downloaded ${downloadStatus.files?.length || 0} file(s) for ${thread.datasetId}.\n\nYou can now ask me to analyze the data, show statistics, or answer specific questions about the dataset!`,
+          content: `✅ **Download complete!**\n\nI've successfully downloaded ${downloadStatus.files?.length || 0} file(s) for ${thread.datasetId}${DOWNLOAD_NOTES[downloadStatus.accessionType]?.(downloadStatus) || ''}.\n\nYou can now ask me to analyze the data, show statistics, or answer specific questions about the dataset!`,
           timestamp: new Date()
         });
       } else if (downloadStatus.error) {
@@ -112,6 +156,18 @@ class ThreadManager {
     return thread;
   }
 
+  /**
+   * Attach the current experimental design (named groups and contrasts) to a dataset thread
+   */
+  updateThreadDesign(threadId, design) {
+    const thread = this.threads.get(threadId);
+    if (thread) {
+      thread.design = design;
+      thread.updatedAt = new Date();
+    }
+    return thread;
+  }
+
   getThread(threadId) {
     return this.threads.get(threadId);
   }
@@ -172,7 +172,7 @@ function App() {
     }
   };
 
-  const handleSendMessage = async (content) => {
+  const handleSendMessage = async (content, filters) => {
     if (!content.trim()) return;
 
     setIsLoading(true);
@@ -187,6 +187,7 @@ function App() {
         body: JSON.stringify({
           message: content.trim(),
           threadId: currentThreadId,
+          filters,
         }),
       });
 
@@ -202,7 +203,7 @@ function App() {
       // Check if a dataset was mentioned and offer to create thread
       if (data.datasetId && currentThreadId === 'general' && data.type !== 'error') {
         // Extract dataset ID from response
-        const match = data.message.match(/\b(GSE|GDS)\d+\b/);
+        const match = data.message.match(/\b(GSE|GDS|GSM|GPL)\d+\b/);
         if (match) {
           const foundDatasetId = match[0];
 
@@ -252,6 +253,12 @@ function App() {
     }
   };
 
+  // Re-run a search narrowed to a clicked facet value, keeping its other filters
+  const handleFacetClick = (search, field, value) => {
+    const filters = { ...search?.filters, ...value.filter };
+    handleSendMessage(`Filter by ${field.label.toLowerCase()}: ${value.value}`, filters);
+  };
+
   return (
     <div className="app">
       <Header serverStatus={serverStatus} onToggleSidebar={() => setSidebarOpen(!sidebarOpen)} />
@@ -272,6 +279,8 @@ function App() {
                 key={message.id}
                 message={message}
                 onDatasetClick={handleDatasetClick}
+                onFacetClick={handleFacetClick}
+                disabled={isLoading}
               />
             ))}
 
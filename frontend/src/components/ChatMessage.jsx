@@ -1,8 +1,9 @@
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
+import SearchFacets from './SearchFacets';
 import './ChatMessage.css';
 
-function ChatMessage({ message, onDatasetClick }) {
+function ChatMessage({ message, onDatasetClick, onFacetClick, disabled }) {
   const { role, content, timestamp, isError, metadata } = message;
 
   const handleDatasetClick = (datasetId) => {
@@ -52,6 +53,15 @@ function ChatMessage({ message, onDatasetClick }) {
             ))}
           </div>
         )}
+
+        {metadata?.facets && (
+          <SearchFacets
+            facets={metadata.facets}
+            search={metadata.search}
+            onFacetClick={onFacetClick}
+            disabled={disabled}
+          />
+        )}
       </div>
     </div>
   );
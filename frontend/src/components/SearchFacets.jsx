@@ -0,0 +1,63 @@
+import { useState } from 'react';
+import './SearchFacets.css';
+
+const COLLAPSED_VALUES = 5;
+
+function SearchFacets({ facets, search, onFacetClick, disabled }) {
+  const [expanded, setExpanded] = useState({});
+
+  if (!facets?.fields || facets.fields.length === 0) return null;
+
+  const handleClick = (field, value) => {
+    if (onFacetClick && !disabled) {
+      onFacetClick(search, field, value);
+    }
+  };
+
+  return (
+    <div className="search-facets">
+      <div className="facets-header">
+        Refine results
+        {!facets.complete && (
+          <span className="facets-coverage">
+            (counts from the first {facets.aggregated} of {facets.count})
+          </span>
+        )}
+      </div>
+
+      {facets.fields.map(field => {
+        const isExpanded = expanded[field.field];
+        const values = isExpanded ? field.values : field.values.slice(0, COLLAPSED_VALUES);
+
+        return (
+          <div key={field.field} className="facet-group">
+            <span className="facet-label">{field.label}</span>
+            <div className="facet-values">
+              {values.map(value => (
+                <button
+                  key={value.value}
+                  className="facet-chip"
+                  onClick={() => handleClick(field, value)}
+                  disabled={disabled}
+                  title={`Search again with ${field.label.toLowerCase()}: ${value.value}`}
+                >
+                  {value.value} <span className="facet-count">{value.count}</span>
+                </button>
+              ))}
+              {field.values.length > COLLAPSED_VALUES && (
+                <button
+                  className="facet-more"
+                  onClick={() => setExpanded({ ...expanded, [field.field]: !isExpanded })}
+                >
+                  {isExpanded ? 'Less' : `+${field.values.length - COLLAPSED_VALUES} more`}
+                </button>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default SearchFacets;
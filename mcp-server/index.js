@@ -13,11 +13,15 @@ import {
 } from '@modelcontextprotocol/sdk/types.js';
 import fetch from 'node-fetch';
 import { promises as fs } from 'fs';
-import { createWriteStream, createReadStream } from 'fs';
-import { pipeline } from 'stream/promises';
-import { createGunzip } from 'zlib';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { dataDownloader } from '../backend/data-downloader.js';
+import { advancedAnalyzer } from '../backend/advanced-analyzer.js';
+import { experimentalDesign } from '../backend/experimental-design.js';
+import { geneSetEnrichment } from '../backend/gene-set-enrichment.js';
+import { characteristicHarmonizer } from '../backend/characteristic-harmonizer.js';
+import { geoClient } from '../backend/geo-client.js';
+import { MERGED_PLATFORM } from '../backend/platform-matrices.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -25,9 +29,67 @@ const __dirname = path.dirname(__filename);
 // Data directory for downloads
 const DATA_DIR = path.join(__dirname, '..', 'backend', 'data');
 
-// NCBI API Key (optional but recommended for better rate limits)
-// Get yours at: https://www.ncbi.nlm.nih.gov/account/settings/
-const NCBI_API_KEY = process.env.NCBI_API_KEY || 'yourapikeyhere';
+await dataDownloader.setDataDir(DATA_DIR);
+geneSetEnrichment.setDirectory(process.env.GENE_SETS_DIR || path.join(__dirname, '..', 'backend', 'gene-sets'));
+
+// Schema shared by tools that read the expression matrix
+const PREPROCESSING_PROPERTIES = {
+  log2: {
+    type: 'string',
+    enum: ['auto', 'always', 'never'],
+    description: 'Log2-transform the matrix: "auto" (default) applies it when GEO2R\'s rule finds unlogged values',
+    default: 'auto',
+  },
+  normalization: {
+    type: 'string',
+    enum: ['none', 'quantile', 'median'],
+    description: 'Between-sample normalization applied after the log2 step (default: none)',
+    default: 'none',
+  },
+  count_units: {
+    type: 'string',
+    enum: ['cpm', 'tpm', 'size-factors', 'counts'],
+    description: 'For RNA-seq series whose expression comes from a supplementary count table: log2(CPM + 1) (default), log2(TPM + 1) (needs gene lengths), log2 of median-of-ratios size-factor normalized counts + 1, or raw counts',
+    default: 'cpm',
+  },
+};
+
+// Schema shared by single-dataset tools that can run on a batch-corrected matrix
+const BATCH_CORRECTION_PROPERTIES = {
+  batch_correction: {
+    type: 'string',
+    description: 'Apply ComBat batch correction for this variable first: a batch-like characteristic or sample metadata such as "submission date" (see detect_batch_effects)',
+  },
+  preserve: {
+    type: 'string',
+    description: 'Characteristic kept in the ComBat model so its effect is not removed (e.g., "treatment")',
+  },
+};
+
+// Schema shared by tools that take a sample group
+const SAMPLE_GROUP_PROPERTIES = {
+  group: {
+    type: 'string',
+    description: 'Name of a group defined with the experimental_design tool',
+  },
+  samples: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'GSM sample IDs',
+  },
+  characteristic: {
+    type: 'string',
+    description: 'Sample characteristic key (e.g., "treatment")',
+  },
+  value: {
+    type: 'string',
+    description: 'Sample characteristic value (e.g., "control")',
+  },
+  where: {
+    type: 'object',
+    description: 'Several characteristic conditions that must all match (e.g., {"treatment": "drug", "time": "24h"})',
+  },
+};
 
 class GeoMcpServer {
   constructor() {
@@ -52,26 +114,80 @@ class GeoMcpServer {
       tools: [
         {
           name: 'search_geo_datasets',
-          description: 'Search for GEO datasets by keyword. Returns dataset IDs, titles, and descriptions.',
+          description: 'Search for GEO datasets by keyword and structured filters (organism, entry type, study type, platform, sample-count range, publication-date range), translated to Entrez field tags. Returns the total hit count and one page of dataset IDs, titles, and descriptions, with a cursor for the next page. Give a query, at least one filter, or both.',
           inputSchema: {
             type: 'object',
             properties: {
               query: {
                 type: 'string',
-                description: 'Search query (e.g., "breast cancer paclitaxel", "RNA-seq diabetes")',
+                description: 'Keywords (e.g., "breast cancer paclitaxel"); Entrez syntax such as "asthma[TITL]" is passed through',
+              },
+              organism: {
+                type: 'string',
+                description: 'Organism, scientific or common name (e.g., "Homo sapiens", "mouse")',
+              },
+              entry_type: {
+                type: 'string',
+                enum: ['GSE', 'GDS', 'GPL', 'GSM'],
+                description: 'Record type: GSE series, GDS curated datasets, GPL platforms, GSM samples',
+              },
+              study_type: {
+                type: 'string',
+                description: 'GEO study type or a short name: "RNA-seq", "microarray", "ChIP-seq", "methylation", "miRNA", "SNP", or a full type such as "expression profiling by array"',
+              },
+              platform: {
+                type: 'string',
+                description: 'Platform accession (e.g., "GPL570")',
+              },
+              min_samples: {
+                type: 'number',
+                description: 'Minimum number of samples',
+              },
+              max_samples: {
+                type: 'number',
+                description: 'Maximum number of samples',
+              },
+              from_date: {
+                type: 'string',
+                description: 'Earliest publication date: YYYY, YYYY/MM or YYYY/MM/DD',
+              },
+              to_date: {
+                type: 'string',
+                description: 'Latest publication date: YYYY, YYYY/MM or YYYY/MM/DD',
               },
               max_results: {
                 type: 'number',
-                description: 'Maximum number of results to return (default: 10)',
+                description: 'Results per page (default: 10)',
                 default: 10,
               },
+              page: {
+                type: 'number',
+                description: 'Page of results to return, starting at 1 (default: 1)',
+              },
+              cursor: {
+                type: 'string',
+                description: 'Next-page cursor from a previous result; continues that search without re-running it (other arguments are ignored)',
+              },
             },
-            required: ['query'],
           },
         },
         {
           name: 'get_dataset_details',
-          description: 'Get detailed information about a specific GEO dataset including metadata, samples, and platform info.',
+          description: 'Get detailed information about a GEO record: a series (GSE), sample (GSM), platform (GPL) or curated dataset (GDS), with its GEO and FTP links.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              dataset_id: {
+                type: 'string',
+                description: 'GEO accession (e.g., "GSE123456", "GSM1234", "GPL570", "GDS5000")',
+              },
+            },
+            required: ['dataset_id'],
+          },
+        },
+        {
+          name: 'get_related_records',
+          description: 'Follow NCBI ELink from a GEO dataset to its PubMed articles (with abstracts), other GEO series citing the same articles, and linked BioProject and SRA records.',
           inputSchema: {
             type: 'object',
             properties: {
@@ -85,13 +201,18 @@ class GeoMcpServer {
         },
         {
           name: 'download_dataset',
-          description: 'Download and decompress GEO dataset files (series matrix and SOFT files) for analysis.',
+          description: 'Download and decompress GEO files for analysis: series matrix and SOFT files for a series (GSE), the DataSet SOFT plus its reference series for a GDS, or the SOFT record with data table for a platform (GPL) or sample (GSM). Builds the probe-to-gene platform annotation.',
           inputSchema: {
             type: 'object',
             properties: {
               dataset_id: {
                 type: 'string',
-                description: 'GEO dataset ID to download (e.g., "GSE123456")',
+                description: 'GEO accession to download (e.g., "GSE123456", "GDS5000", "GPL570", "GSM1234")',
+              },
+              include_subseries: {
+                type: 'boolean',
+                description: 'For a SuperSeries, also download every SubSeries; later analyses of the SuperSeries then run on all SubSeries samples combined (default: false)',
+                default: false,
               },
             },
             required: ['dataset_id'],
@@ -99,7 +220,7 @@ class GeoMcpServer {
         },
         {
           name: 'analyze_dataset',
-          description: 'Parse and analyze downloaded dataset. Returns sample info, characteristics, expression data summary, and statistics.',
+          description: 'Parse and analyze downloaded dataset. Returns sample info, characteristics, expression data summary, and a sample QC report (missing values, distribution shape, inter-sample correlation, outlier flags).',
           inputSchema: {
             type: 'object',
             properties: {
@@ -111,9 +232,39 @@ class GeoMcpServer {
             required: ['dataset_id'],
           },
         },
+        {
+          name: 'select_platform',
+          description: 'For a series run on several platforms (one series matrix per platform), list the per-platform matrices or choose which one later analyses use: a single platform, or all platforms merged side by side on shared probe IDs or on collapsed gene symbols. Without "platform", only lists them.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              dataset_id: {
+                type: 'string',
+                description: 'GEO series ID that has been downloaded',
+              },
+              platform: {
+                type: 'string',
+                description: 'Platform to analyze (e.g., "GPL570"), or "merged" for all platforms together',
+              },
+              merge_by: {
+                type: 'string',
+                enum: ['auto', 'probe', 'gene'],
+                description: 'How "merged" joins platforms: shared probe IDs, gene symbols, or "auto" (probe IDs when most are shared, default)',
+                default: 'auto',
+              },
+              collapse_strategy: {
+                type: 'string',
+                enum: ['maxMean', 'maxVariance', 'average', 'median'],
+                description: 'How probes are collapsed when merging by gene (default: maxMean)',
+                default: 'maxMean',
+              },
+            },
+            required: ['dataset_id'],
+          },
+        },
         {
           name: 'query_gene_expression',
-          description: 'Get expression values for a specific gene across all samples in a dataset.',
+          description: 'Get expression values for a gene across all samples in a dataset. Gene symbols and Entrez IDs are mapped through the platform annotation and return every probe for that gene; probe IDs are also accepted.',
           inputSchema: {
             type: 'object',
             properties: {
@@ -123,15 +274,194 @@ class GeoMcpServer {
               },
               gene_symbol: {
                 type: 'string',
-                description: 'Gene symbol (e.g., "BRCA1", "TP53", "EGFR")',
+                description: 'Gene symbol (e.g., "BRCA1", "TP53", "EGFR"), Entrez Gene ID, or probe ID (e.g., "1007_s_at")',
               },
+              level: {
+                type: 'string',
+                enum: ['probe', 'gene'],
+                description: 'Return every matching probe ("probe", default) or one collapsed gene-level row ("gene")',
+                default: 'probe',
+              },
+              collapse_strategy: {
+                type: 'string',
+                enum: ['maxMean', 'maxVariance', 'average', 'median'],
+                description: 'How probes are collapsed for level "gene" (default: maxMean)',
+                default: 'maxMean',
+              },
+              ...PREPROCESSING_PROPERTIES,
+              ...BATCH_CORRECTION_PROPERTIES,
             },
             required: ['dataset_id', 'gene_symbol'],
           },
         },
         {
           name: 'get_sample_characteristics',
-          description: 'Get detailed characteristics for all samples (treatments, drugs, conditions, etc.)',
+          description: 'Get detailed characteristics for all samples (treatments, drugs, conditions, etc.), plus harmonized fields (sex, age in years, tissue, cell type, treatment, dose, time in hours, disease state) that map differently named keys and values onto common terms',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              dataset_id: {
+                type: 'string',
+                description: 'GEO dataset ID',
+              },
+            },
+            required: ['dataset_id'],
+          },
+        },
+        {
+          name: 'get_drug_sample_pairs',
+          description: 'Recognize drugs and compounds in a downloaded dataset\'s titles, summary, treatment protocols and sample characteristics using a bundled dictionary (names, synonyms, DrugBank/PubChem/ChEBI identifiers). Returns distinct compounds with doses and identifiers, and which samples received each one.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              dataset_id: {
+                type: 'string',
+                description: 'GEO dataset ID',
+              },
+            },
+            required: ['dataset_id'],
+          },
+        },
+        {
+          name: 'differential_expression',
+          description: 'Find genes that differ between two sample groups in a downloaded dataset. Computes log fold change, Welch t-test, moderated t-statistics and Benjamini-Hochberg adjusted p-values, and returns a ranked table.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              dataset_id: {
+                type: 'string',
+                description: 'GEO dataset ID',
+              },
+              contrast: {
+                type: 'string',
+                description: 'Name of a contrast defined with the experimental_design tool (replaces group_a/group_b)',
+              },
+              group_a: {
+                type: 'object',
+                description: 'First group: a named group {"group": "treated"}, {"samples": ["GSM1", ...]}, a sample characteristic {"characteristic": "treatment", "value": "drug"} ("characteristic" is optional) or {"where": {...}}',
+                properties: SAMPLE_GROUP_PROPERTIES,
+              },
+              group_b: {
+                type: 'object',
+                description: 'Second (reference) group, same format as group_a',
+                properties: SAMPLE_GROUP_PROPERTIES,
+              },
+              level: {
+                type: 'string',
+                enum: ['probe', 'gene'],
+                description: 'Test probes (default) or collapsed gene-level rows',
+                default: 'probe',
+              },
+              collapse_strategy: {
+                type: 'string',
+                enum: ['maxMean', 'maxVariance', 'average', 'median'],
+                description: 'How probes are collapsed for level "gene" (default: maxMean)',
+                default: 'maxMean',
+              },
+              ...PREPROCESSING_PROPERTIES,
+              ...BATCH_CORRECTION_PROPERTIES,
+              top_n: {
+                type: 'number',
+                description: 'Number of top-ranked rows to return (default: 25)',
+                default: 25,
+              },
+            },
+            required: ['dataset_id'],
+          },
+        },
+        {
+          name: 'sample_pca',
+          description: 'Principal component analysis and hierarchical clustering of the samples in a downloaded dataset, on the most variable genes. Returns explained variance, per-sample PC scores (optionally labeled by a sample characteristic) and the dendrogram order with cluster assignments. Useful to spot batch effects and outliers.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              dataset_id: {
+                type: 'string',
+                description: 'GEO dataset ID',
+              },
+              top_genes: {
+                type: 'number',
+                description: 'Number of most variable rows to use (default: 500)',
+                default: 500,
+              },
+              components: {
+                type: 'number',
+                description: 'Number of principal components (default: 5)',
+                default: 5,
+              },
+              color_by: {
+                type: 'string',
+                description: 'Sample characteristic key used to label points and summarize group centroids (e.g., "treatment")',
+              },
+              include_clustering: {
+                type: 'boolean',
+                description: 'Also cluster the samples (default: true)',
+                default: true,
+              },
+              clusters: {
+                type: 'number',
+                description: 'Number of clusters to cut the dendrogram into (default: 2)',
+                default: 2,
+              },
+              linkage: {
+                type: 'string',
+                enum: ['average', 'complete', 'single'],
+                description: 'Linkage method (default: average)',
+                default: 'average',
+              },
+              level: {
+                type: 'string',
+                enum: ['probe', 'gene'],
+                description: 'Use probes (default) or collapsed gene-level rows',
+                default: 'probe',
+              },
+              collapse_strategy: {
+                type: 'string',
+                enum: ['maxMean', 'maxVariance', 'average', 'median'],
+                description: 'How probes are collapsed for level "gene" (default: maxMean)',
+                default: 'maxMean',
+              },
+              ...PREPROCESSING_PROPERTIES,
+              ...BATCH_CORRECTION_PROPERTIES,
+            },
+            required: ['dataset_id'],
+          },
+        },
+        {
+          name: 'detect_batch_effects',
+          description: 'Find candidate batch variables in a downloaded dataset (batch-like sample characteristics such as scan date or run, and metadata such as submission date) and measure their association with the top principal components (one-way ANOVA per PC). Flags likely batch effects and variables confounded with biological factors. Pass batch_correction to check what remains after ComBat.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              dataset_id: {
+                type: 'string',
+                description: 'GEO dataset ID',
+              },
+              top_genes: {
+                type: 'number',
+                description: 'Number of most variable rows to use (default: 500)',
+                default: 500,
+              },
+              components: {
+                type: 'number',
+                description: 'Number of principal components to test (default: 5)',
+                default: 5,
+              },
+              level: {
+                type: 'string',
+                enum: ['probe', 'gene'],
+                description: 'Use probes (default) or collapsed gene-level rows',
+                default: 'probe',
+              },
+              ...PREPROCESSING_PROPERTIES,
+              ...BATCH_CORRECTION_PROPERTIES,
+            },
+            required: ['dataset_id'],
+          },
+        },
+        {
+          name: 'coexpression',
+          description: 'Find genes co-expressed with a target gene in a downloaded dataset. Correlates the target with every gene (Pearson and Spearman, with p-values and Benjamini-Hochberg FDR) and returns the top positive and negative partners.',
           inputSchema: {
             type: 'object',
             properties: {
@@ -139,6 +469,198 @@ class GeoMcpServer {
                 type: 'string',
                 description: 'GEO dataset ID',
               },
+              gene_symbol: {
+                type: 'string',
+                description: 'Target gene symbol (e.g., EGFR) or probe ID',
+              },
+              method: {
+                type: 'string',
+                enum: ['pearson', 'spearman'],
+                description: 'Correlation used to rank partners (default: pearson)',
+                default: 'pearson',
+              },
+              top_n: {
+                type: 'number',
+                description: 'Number of positive and of negative partners to return (default: 25)',
+                default: 25,
+              },
+              level: {
+                type: 'string',
+                enum: ['probe', 'gene'],
+                description: 'Correlate collapsed gene-level rows (default) or probes',
+                default: 'gene',
+              },
+              collapse_strategy: {
+                type: 'string',
+                enum: ['maxMean', 'maxVariance', 'average', 'median'],
+                description: 'How probes are collapsed for level "gene" (default: maxMean)',
+                default: 'maxMean',
+              },
+              ...PREPROCESSING_PROPERTIES,
+              ...BATCH_CORRECTION_PROPERTIES,
+            },
+            required: ['dataset_id', 'gene_symbol'],
+          },
+        },
+        {
+          name: 'meta_analysis',
+          description: 'Meta-analysis of one gene across downloaded datasets. For each dataset the gene is compared between two groups (the same groups or contrast name everywhere, or one comparison per dataset); effect sizes (Hedges\' g) are pooled with fixed and random effects, p-values combined with Fisher and Stouffer, and heterogeneity (Q, I², tau²) reported.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              gene_symbol: {
+                type: 'string',
+                description: 'Gene symbol (e.g., TP53)',
+              },
+              dataset_ids: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Datasets to include (default: every downloaded dataset)',
+              },
+              contrast: {
+                type: 'string',
+                description: 'Contrast name defined with experimental_design in each dataset',
+              },
+              group_a: {
+                type: 'object',
+                description: 'First group, resolved in each dataset (e.g., {"value": "tumor"})',
+                properties: SAMPLE_GROUP_PROPERTIES,
+              },
+              group_b: {
+                type: 'object',
+                description: 'Second (reference) group, same format as group_a',
+                properties: SAMPLE_GROUP_PROPERTIES,
+              },
+              comparisons: {
+                type: 'object',
+                description: 'Per-dataset overrides keyed by dataset ID: {"GSE1": {"contrast": "tumorVsNormal"}, "GSE2": {"groupA": {"value": "tumor"}, "groupB": {"value": "normal"}}}',
+              },
+              collapse_strategy: {
+                type: 'string',
+                enum: ['maxMean', 'maxVariance', 'average', 'median'],
+                description: 'How probes are collapsed to genes (default: maxMean)',
+                default: 'maxMean',
+              },
+              ...PREPROCESSING_PROPERTIES,
+            },
+            required: ['gene_symbol'],
+          },
+        },
+        {
+          name: 'gene_set_enrichment',
+          description: 'Gene set enrichment against local GMT libraries. With dataset_id, tests a two-group comparison (or, with coexpressed_with, the genes co-expressed with a target gene): over-representation (hypergeometric) of the genes passing an FDR cutoff, or preranked GSEA on moderated t-statistics (correlation coefficients). With genes, tests a plain gene list for over-representation. Results carry Benjamini-Hochberg FDR.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              dataset_id: {
+                type: 'string',
+                description: 'GEO dataset ID (omit when passing genes)',
+              },
+              method: {
+                type: 'string',
+                enum: ['ora', 'gsea'],
+                description: 'Over-representation of significant genes (default) or preranked GSEA',
+                default: 'ora',
+              },
+              contrast: {
+                type: 'string',
+                description: 'Name of a contrast defined with the experimental_design tool (replaces group_a/group_b)',
+              },
+              group_a: {
+                type: 'object',
+                description: 'First group, same format as in differential_expression',
+                properties: SAMPLE_GROUP_PROPERTIES,
+              },
+              group_b: {
+                type: 'object',
+                description: 'Second (reference) group, same format as group_a',
+                properties: SAMPLE_GROUP_PROPERTIES,
+              },
+              coexpressed_with: {
+                type: 'string',
+                description: 'Target gene: test its co-expression partners instead of a group comparison',
+              },
+              correlation: {
+                type: 'string',
+                enum: ['pearson', 'spearman'],
+                description: 'Correlation used with coexpressed_with (default: pearson)',
+                default: 'pearson',
+              },
+              direction: {
+                type: 'string',
+                enum: ['both', 'up', 'down'],
+                description: 'For ORA: use genes higher in group_a / positively correlated ("up"), lower / anti-correlated ("down") or both (default)',
+                default: 'both',
+              },
+              fdr: {
+                type: 'number',
+                description: 'Adjusted p-value cutoff selecting genes for ORA (default: 0.05)',
+                default: 0.05,
+              },
+              genes: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Gene symbols to test directly (ORA only)',
+              },
+              universe: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Background genes for a gene list (default: all genes in the libraries)',
+              },
+              libraries: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'GMT library names to use (default: all in the gene set directory)',
+              },
+              collapse_strategy: {
+                type: 'string',
+                enum: ['maxMean', 'maxVariance', 'average', 'median'],
+                description: 'How probes are collapsed to genes (default: maxMean)',
+                default: 'maxMean',
+              },
+              ...PREPROCESSING_PROPERTIES,
+              ...BATCH_CORRECTION_PROPERTIES,
+              top_n: {
+                type: 'number',
+                description: 'Number of gene sets to return (default: 20)',
+                default: 20,
+              },
+            },
+          },
+        },
+        {
+          name: 'experimental_design',
+          description: 'Show or edit the experimental design of a downloaded dataset: tabulates sample characteristics, suggests factor columns, and saves named sample groups and contrasts that differential_expression and query_gene_expression can reference by name.',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              dataset_id: {
+                type: 'string',
+                description: 'GEO dataset ID',
+              },
+              action: {
+                type: 'string',
+                enum: ['show', 'define_group', 'remove_group', 'define_contrast', 'remove_contrast'],
+                description: 'What to do (default: show)',
+                default: 'show',
+              },
+              name: {
+                type: 'string',
+                description: 'Group or contrast name (for define/remove actions)',
+              },
+              group: {
+                type: 'object',
+                description: 'Group definition for define_group: {"samples": [...]}, {"characteristic", "value"} or {"where": {...}}',
+                properties: SAMPLE_GROUP_PROPERTIES,
+              },
+              group_a: {
+                type: 'string',
+                description: 'First group name for define_contrast',
+              },
+              group_b: {
+                type: 'string',
+                description: 'Reference group name for define_contrast',
+              },
             },
             required: ['dataset_id'],
           },
@@ -153,23 +675,128 @@ class GeoMcpServer {
       try {
         switch (name) {
           case 'search_geo_datasets':
-            return await this.searchDatasets(args.query, args.max_results || 10);
+            return await this.searchDatasets({
+              query: args.query,
+              organism: args.organism,
+              entryType: args.entry_type,
+              studyType: args.study_type,
+              platform: args.platform,
+              minSamples: args.min_samples,
+              maxSamples: args.max_samples,
+              fromDate: args.from_date,
+              toDate: args.to_date,
+            }, args.max_results || 10, { page: args.page || 1, cursor: args.cursor });
 
           case 'get_dataset_details':
             return await this.getDatasetDetails(args.dataset_id);
 
+          case 'get_related_records':
+            return await this.getRelatedRecords(args.dataset_id);
+
           case 'download_dataset':
-            return await this.downloadDataset(args.dataset_id);
+            return await this.downloadDataset(args.dataset_id, args.include_subseries);
 
           case 'analyze_dataset':
             return await this.analyzeDataset(args.dataset_id);
 
+          case 'select_platform':
+            return await this.selectPlatform(args.dataset_id, args.platform, {
+              by: args.merge_by,
+              strategy: args.collapse_strategy,
+            });
+
           case 'query_gene_expression':
-            return await this.queryGeneExpression(args.dataset_id, args.gene_symbol);
+            return await this.queryGeneExpression(args.dataset_id, args.gene_symbol, {
+              level: args.level || 'probe',
+              strategy: args.collapse_strategy,
+              log2: args.log2,
+              normalization: args.normalization,
+              units: args.count_units,
+              batch: args.batch_correction,
+              preserve: args.preserve,
+            });
 
           case 'get_sample_characteristics':
             return await this.getSampleCharacteristics(args.dataset_id);
 
+          case 'get_drug_sample_pairs':
+            return await this.getDrugSamplePairs(args.dataset_id);
+
+          case 'differential_expression':
+            return await this.differentialExpression(args.dataset_id, args.group_a, args.group_b, {
+              contrast: args.contrast,
+              level: args.level || 'probe',
+              strategy: args.collapse_strategy,
+              log2: args.log2,
+              normalization: args.normalization,
+              units: args.count_units,
+              batch: args.batch_correction,
+              preserve: args.preserve,
+              limit: args.top_n || 25,
+            });
+
+          case 'sample_pca':
+            return await this.samplePCA(args.dataset_id, {
+              topGenes: args.top_genes,
+              components: args.components,
+              colorBy: args.color_by,
+              level: args.level || 'probe',
+              strategy: args.collapse_strategy,
+              log2: args.log2,
+              normalization: args.normalization,
+              units: args.count_units,
+              batch: args.batch_correction,
+              preserve: args.preserve,
+            }, {
+              include: args.include_clustering !== false,
+              clusters: args.clusters,
+              linkage: args.linkage,
+            });
+
+          case 'detect_batch_effects':
+            return await this.detectBatchEffects(args.dataset_id, {
+              topGenes: args.top_genes,
+              components: args.components,
+              level: args.level || 'probe',
+              log2: args.log2,
+              normalization: args.normalization,
+              units: args.count_units,
+              batch: args.batch_correction,
+              preserve: args.preserve,
+            });
+
+          case 'coexpression':
+            return await this.coexpression(args.dataset_id, args.gene_symbol, {
+              method: args.method || 'pearson',
+              limit: args.top_n || 25,
+              level: args.level || 'gene',
+              strategy: args.collapse_strategy,
+              log2: args.log2,
+              normalization: args.normalization,
+              units: args.count_units,
+              batch: args.batch_correction,
+              preserve: args.preserve,
+            });
+
+          case 'meta_analysis':
+            return await this.metaAnalysis(args.gene_symbol, {
+              datasetIds: args.dataset_ids,
+              contrast: args.contrast,
+              groupA: args.group_a,
+              groupB: args.group_b,
+              comparisons: args.comparisons,
+              strategy: args.collapse_strategy,
+              log2: args.log2,
+              normalization: args.normalization,
+              units: args.count_units,
+            });
+
+          case 'gene_set_enrichment':
+            return await this.geneSetEnrichment(args);
+
+          case 'experimental_design':
+            return await this.experimentalDesign(args.dataset_id, args.action || 'show', args);
+
           default:
             throw new Error(`Unknown tool: ${name}`);
         }
@@ -186,51 +813,51 @@ class GeoMcpServer {
     });
   }
 
-  async searchDatasets(query, maxResults) {
-    const apiKeyParam = NCBI_API_KEY ? `&api_key=${NCBI_API_KEY}` : '';
-    const searchUrl = `https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esearch.fcgi?db=gds&term=${encodeURIComponent(query)}&retmax=${maxResults}&retmode=json${apiKeyParam}`;
-
-    const searchResponse = await fetch(searchUrl);
-    const searchData = await searchResponse.json();
-
-    const ids = searchData.esearchresult.idlist || [];
+  async searchDatasets(filters, pageSize, { page = 1, cursor } = {}) {
+    // A cursor from an earlier page resumes that search on the Entrez history server
+    let results;
+    if (cursor) {
+      let state;
+      try {
+        state = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+      } catch (error) {
+        throw new Error('Invalid cursor: pass the cursor from a previous search_geo_datasets result unchanged');
+      }
+      results = await geoClient.searchDatasets(state.history.term, state.pageSize, { page: state.page, history: state.history });
+    } else {
+      results = await geoClient.searchStructured(filters, pageSize, { page });
+      if (results.error) {
+        throw new Error(results.error);
+      }
+    }
 
-    if (ids.length === 0) {
+    const query = results.history.term;
+    if (results.datasets.length === 0) {
       return {
         content: [
           {
             type: 'text',
-            text: `No datasets found for query: "${query}"`,
+            text: results.count > 0
+              ? `No more results: all ${results.count} datasets for "${query}" have been listed.`
+              : `No datasets found for query: "${query}"`,
           },
         ],
       };
     }
 
-    // Get details for each ID
-    const summaryUrl = `https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esummary.fcgi?db=gds&id=${ids.join(',')}&retmode=json${apiKeyParam}`;
-    const summaryResponse = await fetch(summaryUrl);
-    const summaryData = await summaryResponse.json();
-
-    const datasets = ids.map((id) => {
-      const record = summaryData.result[id];
-      return {
-        id: record.accession,
-        title: record.title,
-        summary: record.summary,
-        organism: record.taxon,
-        samples: record.n_samples,
-        platform: record.gpl,
-        type: record.entrytype,
-      };
-    });
-
-    const resultText = `Found ${datasets.length} datasets:\n\n${datasets
+    const start = (results.page - 1) * results.pageSize;
+    let resultText = `Found ${results.count} datasets for ${query} (showing ${start + 1}-${start + results.datasets.length}, page ${results.page} of ${results.totalPages}):\n\n${results.datasets
       .map(
         (d, i) =>
-          `${i + 1}. **${d.id}** - ${d.title}\n   Organism: ${d.organism}, Samples: ${d.samples}\n   ${d.summary.substring(0, 200)}...`
+          `${start + i + 1}. **${d.id}** - ${d.title}\n   Organism: ${d.organism}, Samples: ${d.samples}, Type: ${d.type}\n   ${d.summary.substring(0, 200)}...`
       )
       .join('\n\n')}`;
 
+    if (results.hasMore) {
+      const next = Buffer.from(JSON.stringify({ history: results.history, page: results.page + 1, pageSize: results.pageSize })).toString('base64url');
+      resultText += `\n\nMore results available. Next page cursor: ${next}`;
+    }
+
     return {
       content: [
         {
@@ -242,109 +869,100 @@ class GeoMcpServer {
   }
 
   async getDatasetDetails(datasetId) {
-    const apiKeyParam = NCBI_API_KEY ? `&api_key=${NCBI_API_KEY}` : '';
-
-    // Search for the dataset
-    const searchUrl = `https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esearch.fcgi?db=gds&term=${datasetId}&retmode=json${apiKeyParam}`;
-    const searchResponse = await fetch(searchUrl);
-    const searchData = await searchResponse.json();
-
-    const ids = searchData.esearchresult.idlist || [];
-    if (ids.length === 0) {
-      throw new Error(`Dataset ${datasetId} not found`);
-    }
-
-    // Get summary
-    const summaryUrl = `https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esummary.fcgi?db=gds&id=${ids[0]}&retmode=json${apiKeyParam}`;
-    const summaryResponse = await fetch(summaryUrl);
-    const summaryData = await summaryResponse.json();
-
-    const record = summaryData.result[ids[0]];
-
-    const details = {
-      id: record.accession,
-      title: record.title,
-      summary: record.summary,
-      organism: record.taxon,
-      samples: record.n_samples,
-      platform: record.gpl,
-      platformTitle: record.gpl_title,
-      type: record.entrytype,
-      pubmedIds: record.pubmed_ids || [],
-      submissionDate: record.pdat,
-    };
-
-    const resultText = `**${details.id}**\n\n**Title:** ${details.title}\n\n**Summary:** ${details.summary}\n\n**Details:**\n- Organism: ${details.organism}\n- Sample Count: ${details.samples}\n- Platform: ${details.platform} (${details.platformTitle})\n- Type: ${details.type}\n- Submission Date: ${details.submissionDate}\n${details.pubmedIds.length > 0 ? `- PubMed IDs: ${details.pubmedIds.join(', ')}` : ''}`;
+    // Series, samples, platforms and curated datasets each get their own view
+    const result = await geoClient.getDatasetDetails(datasetId, { relations: true });
 
     return {
       content: [
         {
           type: 'text',
-          text: resultText,
+          text: result.content[0].text,
         },
       ],
     };
   }
 
-  async downloadDataset(datasetId) {
-    await fs.mkdir(DATA_DIR, { recursive: true });
-    const datasetDir = path.join(DATA_DIR, datasetId);
-    await fs.mkdir(datasetDir, { recursive: true });
+  async getRelatedRecords(datasetId) {
+    const related = await geoClient.getRelatedRecords(datasetId);
 
-    const seriesPath = datasetId.slice(0, -3) + 'nnn';
-    const ftpBase = `https://ftp.ncbi.nlm.nih.gov/geo/series/${seriesPath}/${datasetId}`;
+    let resultText = `**Related Records: ${related.id}**\n\n`;
 
-    const filesToDownload = [
-      {
-        name: 'series_matrix.txt.gz',
-        url: `${ftpBase}/matrix/${datasetId}_series_matrix.txt.gz`,
-      },
-      {
-        name: 'family.soft.gz',
-        url: `${ftpBase}/soft/${datasetId}_family.soft.gz`,
-      },
-    ];
+    resultText += `**Publications (${related.publications.length}):**\n`;
+    related.publications.forEach((p) => {
+      resultText += `- PMID ${p.pmid}: ${p.title || 'Untitled'} (${[p.authors, p.journal, p.year].filter(Boolean).join(', ')})${p.doi ? ` doi:${p.doi}` : ''}\n`;
+      if (p.abstract) {
+        resultText += `  Abstract: ${p.abstract}\n`;
+      }
+    });
+    if (related.publications.length === 0) resultText += '- none linked\n';
 
-    const downloaded = [];
-    const errors = [];
+    resultText += `\n**Other GEO series citing these articles (${related.relatedSeries.length}):**\n`;
+    related.relatedSeries.forEach((s) => {
+      resultText += `- ${s.id}: ${s.title} (${s.organism}, ${s.samples} samples; shared PMID ${s.pubmedIds.join(', ')})\n`;
+    });
+    if (related.relatedSeries.length === 0) resultText += '- none\n';
 
-    for (const file of filesToDownload) {
-      try {
-        const filePath = path.join(datasetDir, file.name);
-        const response = await fetch(file.url);
+    resultText += `\n**BioProject (${related.bioprojects.length}):**\n`;
+    related.bioprojects.forEach((p) => {
+      resultText += `- ${p.id}: ${p.title || ''}\n`;
+    });
+    if (related.bioprojects.length === 0) resultText += '- none linked\n';
 
-        if (response.ok) {
-          const arrayBuffer = await response.arrayBuffer();
-          await fs.writeFile(filePath, Buffer.from(arrayBuffer));
+    resultText += `\n**SRA:** ${related.sra.experimentCount} linked experiment(s)`;
+    resultText += related.sra.studies.length > 0 ? ` in ${related.sra.studies.map(st => st.id).join(', ')}\n` : '\n';
 
-          const sizeKB = (arrayBuffer.byteLength / 1024).toFixed(2);
-          downloaded.push(`${file.name} (${sizeKB} KB)`);
+    return {
+      content: [
+        {
+          type: 'text',
+          text: resultText,
+        },
+      ],
+    };
+  }
 
-          // Decompress
-          if (file.name.endsWith('.gz')) {
-            const outputPath = filePath.replace('.gz', '');
-            await pipeline(createReadStream(filePath), createGunzip(), createWriteStream(outputPath));
+  async downloadDataset(datasetId, includeSubSeries = false) {
+    const result = await dataDownloader.downloadDataset(datasetId);
+    const subSeries = includeSubSeries && result.subSeries?.length > 0
+      ? await dataDownloader.downloadSubSeries(datasetId)
+      : null;
+    advancedAnalyzer.clearCache(datasetId);
 
-            const stats = await fs.stat(outputPath);
-            const decompressedKB = (stats.size / 1024).toFixed(2);
-            downloaded.push(`  ✓ Decompressed: ${path.basename(outputPath)} (${decompressedKB} KB)`);
-          }
-        } else {
-          errors.push(`${file.name}: HTTP ${response.status}`);
-        }
-      } catch (error) {
-        errors.push(`${file.name}: ${error.message}`);
+    const downloaded = [];
+    for (const file of result.files) {
+      downloaded.push(`${file.name} (${file.sizeKB} KB)`);
+      if (file.decompressed) {
+        downloaded.push(`  ✓ Decompressed: ${path.basename(file.decompressed)} (${file.decompressedSizeKB} KB)`);
       }
     }
 
     let resultText = `**Download Complete for ${datasetId}**\n\n`;
+    if (result.referenceSeries) {
+      resultText += `Includes reference series ${result.referenceSeries}.\n\n`;
+    }
+    if (result.platforms) {
+      resultText += `One series matrix per platform (${result.platforms.join(', ')}); use select_platform to choose one or merge them.\n\n`;
+    }
+    if (result.superSeries?.length > 0) {
+      resultText += `Part of SuperSeries ${result.superSeries.join(', ')}.\n\n`;
+    }
+    if (subSeries) {
+      const lines = subSeries.subSeries.map((r) => `- ${r.id}: ${r.success ? (r.cached ? 'already downloaded' : `${r.files} files`) : `failed${r.errors?.length ? ` (${r.errors.join('; ')})` : ''}`}`);
+      const combined = (await advancedAnalyzer.getSubSeries(datasetId)).combined;
+      resultText += `SuperSeries of ${subSeries.subSeries.length} SubSeries:\n${lines.join('\n')}\n\n`;
+      if (combined) {
+        resultText += `Analyses of ${datasetId} use the ${combined.sampleCount} samples of ${combined.included.join(' + ')} combined (${combined.probeCount} rows).\n\n`;
+      }
+    } else if (result.subSeries?.length > 0) {
+      resultText += `This is a SuperSeries: its data is in SubSeries ${result.subSeries.join(', ')}. Download them individually, or again with include_subseries to analyze them as one dataset.\n\n`;
+    }
     if (downloaded.length > 0) {
       resultText += `Downloaded and decompressed:\n${downloaded.map((f) => `- ${f}`).join('\n')}`;
     }
-    if (errors.length > 0) {
-      resultText += `\n\nErrors:\n${errors.map((e) => `- ${e}`).join('\n')}`;
+    if (result.errors) {
+      resultText += `\n\nErrors:\n${result.errors.map((e) => `- ${e}`).join('\n')}`;
     }
-    resultText += `\n\nFiles stored in: ${datasetDir}`;
+    resultText += `\n\nFiles stored in: ${result.datasetDir}`;
 
     return {
       content: [
@@ -366,8 +984,9 @@ class GeoMcpServer {
       throw new Error(`Dataset ${datasetId} not downloaded. Use download_dataset first.`);
     }
 
-    // Parse series matrix
-    const matrixPath = path.join(datasetDir, 'series_matrix.txt');
+    // Parse series matrix (the active platform's for multi-platform series)
+    const dataset = await advancedAnalyzer.getDataset(datasetId);
+    const matrixPath = path.join(dataset.workDir || datasetDir, 'series_matrix.txt');
     let matrixData = null;
 
     try {
@@ -387,34 +1006,30 @@ class GeoMcpServer {
       resultText += `- Sample Count: ${matrixData.metadata.sampleCount || 0}\n\n`;
     }
 
+    if (dataset.platform) {
+      const others = dataset.platform.id === MERGED_PLATFORM ? dataset.platform.platforms : Object.keys(dataset.subMatrices);
+      resultText += `**Platform matrix:** ${dataset.platform.id} of ${others.join(', ')} (change with select_platform)\n\n`;
+    }
+
     if (matrixData.samples && matrixData.samples.length > 0) {
       resultText += `**Samples (${matrixData.samples.length} total):**\n\n`;
 
       // Get unique characteristic types
       const charTypes = new Set();
-      const drugs = new Set();
 
       matrixData.samples.forEach((sample) => {
         if (sample.characteristics) {
-          Object.keys(sample.characteristics).forEach((key) => {
-            charTypes.add(key);
-
-            // Detect drugs
-            if (key.toLowerCase().includes('drug') || key.toLowerCase().includes('treatment')) {
-              const value = sample.characteristics[key];
-              if (value && value !== 'none' && value !== 'control') {
-                drugs.add(value);
-              }
-            }
-          });
+          Object.keys(sample.characteristics).forEach((key) => charTypes.add(key));
         }
       });
 
       resultText += `**Characteristic Types:** ${Array.from(charTypes).join(', ')}\n\n`;
 
-      if (drugs.size > 0) {
-        resultText += `**Drugs/Treatments Found:** ${Array.from(drugs).join(', ')}\n`;
-        resultText += `**Drug Count:** ${drugs.size}\n\n`;
+      const drugs = await advancedAnalyzer.getDrugSamplePairs(datasetId);
+      const compounds = drugs.error ? [] : drugs.compounds.filter((c) => !c.vehicle);
+      if (compounds.length > 0) {
+        resultText += `**Drugs/Compounds Found:** ${compounds.map((c) => c.name).join(', ')}\n`;
+        resultText += `**Drug Count:** ${compounds.length} (${drugs.treatedSamples.length} treated samples)\n\n`;
       }
 
       // Show first 3 samples as examples
@@ -439,6 +1054,26 @@ class GeoMcpServer {
       resultText += `- Data Points: ${(matrixData.expressionMatrix.geneCount || 0) * (matrixData.metadata?.sampleCount || 0)}\n`;
     }
 
+    const qc = await advancedAnalyzer.getQualityReport(datasetId);
+    if (qc.error) {
+      resultText += `\n**Sample QC:** not available (${qc.error})\n`;
+    } else {
+      resultText += `\n**Sample QC** (${qc.preprocessing.description}):\n`;
+      resultText += `- Missing values: ${(qc.overall.missingRate * 100).toFixed(2)}% on average\n`;
+      resultText += `- Inter-sample correlation: median ${qc.overall.medianCorrelation.toFixed(3)}, minimum ${qc.overall.minCorrelation.toFixed(3)}\n`;
+      resultText += `- Flagged samples: ${qc.outliers.length > 0 ? qc.outliers.join(', ') : 'none'}\n`;
+      qc.samples.filter((s) => s.outlier).forEach((sample) => {
+        resultText += `  - ${sample.sample}: ${sample.flags.join('; ')}\n`;
+      });
+
+      resultText += `\n| Sample | Missing | Median | IQR | Skew | KS D | Median r |\n`;
+      resultText += `|---|---|---|---|---|---|---|\n`;
+      qc.samples.forEach((sample) => {
+        resultText += `| ${sample.sample}${sample.outlier ? ' (flagged)' : ''} | ${(sample.missingRate * 100).toFixed(1)}% | ${sample.median.toFixed(2)} | `;
+        resultText += `${sample.iqr.toFixed(2)} | ${sample.skewness.toFixed(2)} | ${sample.ksDistance.toFixed(3)} | ${sample.medianCorrelation.toFixed(3)} |\n`;
+      });
+    }
+
     return {
       content: [
         {
@@ -449,75 +1084,118 @@ class GeoMcpServer {
     };
   }
 
-  async queryGeneExpression(datasetId, geneSymbol) {
-    const datasetDir = path.join(DATA_DIR, datasetId);
-    const matrixPath = path.join(datasetDir, 'series_matrix.txt');
+  async selectPlatform(datasetId, platform, options) {
+    const result = platform
+      ? await advancedAnalyzer.selectPlatform(datasetId, platform, options)
+      : await advancedAnalyzer.getPlatforms(datasetId);
 
-    try {
-      const content = await fs.readFile(matrixPath, 'utf-8');
-      const matrixData = this.parseSeriesMatrix(content);
+    if (result.error) {
+      throw new Error(result.error);
+    }
 
-      if (!matrixData.expressionMatrix || !matrixData.expressionMatrix.data) {
-        throw new Error('No expression data available');
-      }
+    let resultText = `**Platforms of ${datasetId}**\n\n`;
+    if (!result.multiPlatform) {
+      resultText += `Single expression matrix (${result.sampleCount} samples, ${result.probeCount} rows); nothing to select.\n`;
+    } else {
+      result.platforms.forEach((p) => {
+        resultText += `- ${p.platform}: ${p.samples} samples, ${p.probes} probes${p.platform === result.active?.id ? ' (active)' : ''}\n`;
+      });
 
-      // Find gene (case-insensitive)
-      const geneUpper = geneSymbol.toUpperCase();
-      const geneIndex = matrixData.expressionMatrix.genes.findIndex((g) => g.toUpperCase().includes(geneUpper));
+      const { active } = result;
+      resultText += `\n**Active matrix:** `;
+      resultText += active.id === MERGED_PLATFORM
+        ? `${active.platforms.join(' + ')} merged on ${active.by === 'gene' ? `gene symbols (${active.strategy})` : 'shared probe IDs'}`
+        : active.id;
+      resultText += ` - ${result.sampleCount} samples x ${result.probeCount} rows\n`;
+    }
 
-      if (geneIndex === -1) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Gene ${geneSymbol} not found in dataset. Try a different gene symbol.`,
-            },
-          ],
-        };
-      }
+    return {
+      content: [
+        {
+          type: 'text',
+          text: resultText,
+        },
+      ],
+    };
+  }
+
+  async queryGeneExpression(datasetId, geneSymbol, options = {}) {
+    const result = await advancedAnalyzer.queryGene(datasetId, geneSymbol, options);
+
+    if (result.error) {
+      throw new Error(`Error querying gene expression: ${result.error}`);
+    }
+
+    if (!result.found) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Gene ${geneSymbol} not found in dataset. Try a different gene symbol, Entrez ID or probe ID.${result.suggestions?.length > 0 ? ` Rows containing it: ${result.suggestions.join(', ')}.` : ''}`,
+          },
+        ],
+      };
+    }
+
+    let resultText;
+    if (result.matchedBy === 'gene') {
+      resultText = `**Gene Expression: ${result.geneId}** (gene level, ${result.strategy}; collapsed from ${result.probes[0].sourceProbes.join(', ')})\n\n`;
+    } else if (result.matchedBy === 'symbol') {
+      resultText = `**Gene Expression: ${geneSymbol}** (${result.probes.length} probe${result.probes.length > 1 ? 's' : ''})\n\n`;
+    } else {
+      resultText = `**Gene Expression: ${result.geneId}**\n\n`;
+    }
 
-      const geneId = matrixData.expressionMatrix.genes[geneIndex];
-      const values = matrixData.expressionMatrix.data[geneIndex];
-      const samples = matrixData.samples.map((s) => s.id);
+    resultText += `_Preprocessing: ${result.preprocessing.description}._\n\n`;
 
-      // Calculate statistics
-      const validValues = values.filter((v) => !isNaN(v) && isFinite(v));
+    result.probes.forEach((probe) => {
+      const validValues = probe.values.filter((v) => !isNaN(v) && isFinite(v));
       const mean = validValues.reduce((a, b) => a + b, 0) / validValues.length;
       const max = Math.max(...validValues);
       const min = Math.min(...validValues);
 
-      let resultText = `**Gene Expression: ${geneId}**\n\n`;
-      resultText += `**Statistics:**\n`;
+      resultText += `**${result.matchedBy === 'gene' ? 'Gene' : 'Probe'} ${probe.probeId}**`;
+      if (probe.symbols.length > 0) {
+        resultText += ` (${probe.symbols.join(', ')}${probe.entrezIds.length > 0 ? `; Entrez ${probe.entrezIds.join(', ')}` : ''})`;
+      }
+      resultText += `\n`;
       resultText += `- Mean: ${mean.toFixed(3)}\n`;
       resultText += `- Min: ${min.toFixed(3)}\n`;
       resultText += `- Max: ${max.toFixed(3)}\n`;
-      resultText += `- Samples: ${values.length}\n\n`;
+      resultText += `- Samples: ${probe.values.length}\n\n`;
 
-      resultText += `**Expression Values (first 10 samples):**\n`;
-      samples.slice(0, 10).forEach((sample, i) => {
-        resultText += `- ${sample}: ${values[i]?.toFixed(3) || 'N/A'}\n`;
+      resultText += `Expression Values (first 10 samples):\n`;
+      result.samples.slice(0, 10).forEach((sample, i) => {
+        resultText += `- ${sample}: ${probe.values[i]?.toFixed(3) || 'N/A'}\n`;
       });
 
-      if (samples.length > 10) {
-        resultText += `\n...and ${samples.length - 10} more samples`;
+      if (result.samples.length > 10) {
+        resultText += `...and ${result.samples.length - 10} more samples\n`;
       }
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: resultText,
-          },
-        ],
-      };
-    } catch (error) {
-      throw new Error(`Error querying gene expression: ${error.message}`);
-    }
+      if (probe.groupSummary?.length > 0) {
+        resultText += `\nBy design group:\n`;
+        probe.groupSummary.forEach((group) => {
+          resultText += `- ${group.group} (n=${group.n}): mean ${group.mean.toFixed(3)}${isNaN(group.sd) ? '' : `, SD ${group.sd.toFixed(3)}`}\n`;
+        });
+      }
+      resultText += `\n`;
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: resultText,
+        },
+      ],
+    };
   }
 
   async getSampleCharacteristics(datasetId) {
     const datasetDir = path.join(DATA_DIR, datasetId);
-    const matrixPath = path.join(datasetDir, 'series_matrix.txt');
+    const dataset = await advancedAnalyzer.getDataset(datasetId);
+    const matrixPath = path.join(dataset.workDir || datasetDir, 'series_matrix.txt');
 
     try {
       const content = await fs.readFile(matrixPath, 'utf-8');
@@ -529,8 +1207,6 @@ class GeoMcpServer {
 
       // Collect all characteristics
       const charTypes = new Map();
-      const drugs = new Set();
-      let drugSamplePairs = 0;
 
       matrixData.samples.forEach((sample) => {
         if (sample.characteristics) {
@@ -539,14 +1215,6 @@ class GeoMcpServer {
               charTypes.set(key, new Set());
             }
             charTypes.get(key).add(value);
-
-            // Count drugs
-            if (key.toLowerCase().includes('drug') || key.toLowerCase().includes('treatment')) {
-              if (value && value !== 'none' && value !== 'control') {
-                drugs.add(value);
-                drugSamplePairs++;
-              }
-            }
           });
         }
       });
@@ -554,11 +1222,30 @@ class GeoMcpServer {
       let resultText = `**Sample Characteristics for ${datasetId}**\n\n`;
       resultText += `**Total Samples:** ${matrixData.samples.length}\n\n`;
 
-      if (drugs.size > 0) {
+      // Compounds from the drug dictionary (see get_drug_sample_pairs for every pair)
+      const drugs = await advancedAnalyzer.getDrugSamplePairs(datasetId);
+      const compounds = drugs.error ? [] : drugs.compounds.filter((c) => !c.vehicle);
+      if (compounds.length > 0) {
         resultText += `**Drugs/Treatments:**\n`;
-        resultText += `- Unique drugs: ${drugs.size}\n`;
-        resultText += `- Drug names: ${Array.from(drugs).join(', ')}\n`;
-        resultText += `- Drug-sample pairs: ${drugSamplePairs}\n\n`;
+        resultText += `- Unique drugs: ${compounds.length}\n`;
+        resultText += `- Drug names: ${compounds.map((c) => c.name).join(', ')}\n`;
+        resultText += `- Drug-sample pairs: ${drugs.pairs.filter((p) => compounds.some((c) => c.name === p.compound)).length}\n\n`;
+      }
+
+      // Common fields (sex, age, tissue, ...) regardless of how each submitter named them
+      matrixData.samples.forEach((sample) => {
+        sample.harmonized = characteristicHarmonizer.harmonizeSample(sample.characteristics).fields;
+      });
+      const harmonizedFields = characteristicHarmonizer.summarize(matrixData.samples);
+      if (harmonizedFields.length > 0) {
+        resultText += `**Harmonized Fields:**\n`;
+        harmonizedFields.forEach((field) => {
+          const range = field.min !== undefined && field.levels.length > 10
+            ? `${field.min} to ${field.max} ${field.levels[0].value.split(' ').slice(1).join(' ')}`
+            : field.levels.slice(0, 10).map((l) => `${l.value} (${l.count})`).join(', ');
+          resultText += `- ${field.field} [${field.sampleCount} samples; keys: ${field.keys.join(', ')}]: ${range}\n`;
+        });
+        resultText += `\n`;
       }
 
       resultText += `**All Characteristic Types:**\n`;
@@ -590,6 +1277,376 @@ class GeoMcpServer {
     }
   }
 
+  async differentialExpression(datasetId, groupA, groupB, options = {}) {
+    const de = await advancedAnalyzer.differentialExpression(datasetId, { groupA, groupB, ...options });
+
+    if (de.error) {
+      throw new Error(`Differential expression failed: ${de.error}`);
+    }
+
+    const formatP = (p) => (isNaN(p) ? 'NA' : p < 0.001 ? p.toExponential(2) : p.toFixed(3));
+
+    let resultText = `**Differential Expression: ${de.groupA.label} vs ${de.groupB.label}** (${datasetId})\n\n`;
+    resultText += `- Group A: ${de.groupA.samples.length} samples (${de.groupA.samples.join(', ')})\n`;
+    resultText += `- Group B: ${de.groupB.samples.length} samples (${de.groupB.samples.join(', ')})\n`;
+    resultText += `- Level: ${de.level}${de.level === 'gene' ? ` (${de.strategy})` : ''}\n`;
+    resultText += `- Tested: ${de.tested}; significant at BH adj. P < 0.05: ${de.significant}\n`;
+    resultText += `- Preprocessing: ${de.preprocessing.description}\n\n`;
+
+    resultText += `| Rank | ID | Symbol | logFC | meanA | meanB | mod. t | P | adj. P | Welch P |\n`;
+    resultText += `|---|---|---|---|---|---|---|---|---|---|\n`;
+    de.results.forEach((r, i) => {
+      resultText += `| ${i + 1} | ${r.id} | ${r.symbols.join(', ') || '-'} | ${r.logFC.toFixed(3)} | ${r.meanA.toFixed(2)} | ${r.meanB.toFixed(2)} | `;
+      resultText += `${r.modT.toFixed(2)} | ${formatP(r.pValue)} | ${formatP(r.adjPValue)} | ${formatP(r.welchP)} |\n`;
+    });
+
+    resultText += `\nlogFC = mean(A) - mean(B) on the matrix scale. Moderated t uses empirical Bayes variance shrinkage (prior df ${de.prior.d0 === Infinity ? 'Inf' : de.prior.d0.toFixed(1)}).`;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: resultText,
+        },
+      ],
+    };
+  }
+
+  async samplePCA(datasetId, options, clusteringOptions) {
+    const pca = await advancedAnalyzer.pca(datasetId, options);
+    if (pca.error) {
+      throw new Error(`PCA failed: ${pca.error}`);
+    }
+
+    const shown = pca.components.slice(0, 3);
+    let resultText = `**PCA of Samples: ${datasetId}** (${pca.rowsUsed} most variable ${pca.level === 'gene' ? 'genes' : 'probes'})\n`;
+    resultText += `Preprocessing: ${pca.preprocessing.description}\n\n`;
+
+    resultText += `**Explained variance:** ${pca.components.map(c => `${c.component} ${(c.explained * 100).toFixed(1)}%`).join(', ')}\n\n`;
+
+    resultText += `| Sample | ${shown.map(c => c.component).join(' | ')}${pca.colorBy ? ` | ${pca.colorBy}` : ''} |\n`;
+    resultText += `|---|${shown.map(() => '---|').join('')}${pca.colorBy ? '---|' : ''}\n`;
+    pca.points.forEach(point => {
+      resultText += `| ${point.sample} | ${shown.map((_, k) => point.scores[k].toFixed(3)).join(' | ')}${pca.colorBy ? ` | ${point.color}` : ''} |\n`;
+    });
+
+    if (clusteringOptions.include) {
+      const clustering = await advancedAnalyzer.clusterSamples(datasetId, {
+        ...options,
+        clusters: clusteringOptions.clusters,
+        linkage: clusteringOptions.linkage,
+      });
+
+      if (clustering.error) {
+        resultText += `\nClustering failed: ${clustering.error}\n`;
+      } else {
+        resultText += `\n**Hierarchical clustering** (${clustering.linkage} linkage, ${clustering.distance})\n`;
+        resultText += `Dendrogram order: ${clustering.order.join(', ')}\n`;
+        const byCluster = {};
+        clustering.clusters.forEach(c => {
+          (byCluster[c.cluster] = byCluster[c.cluster] || []).push(c.color ? `${c.sample} (${c.color})` : c.sample);
+        });
+        Object.entries(byCluster).forEach(([k, members]) => {
+          resultText += `- Cluster ${k}: ${members.join(', ')}\n`;
+        });
+      }
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: resultText,
+        },
+      ],
+    };
+  }
+
+  async getDrugSamplePairs(datasetId) {
+    const result = await advancedAnalyzer.getDrugSamplePairs(datasetId);
+    if (result.error) {
+      throw new Error(`Drug recognition failed: ${result.error}`);
+    }
+
+    let resultText = `**Drugs and Compounds: ${datasetId}** (${result.sampleCount} samples)\n\n`;
+
+    if (result.compounds.length === 0) {
+      resultText += 'No compounds from the drug dictionary were found in the metadata.\n';
+    }
+
+    result.compounds.forEach((c) => {
+      const ids = Object.entries(c.identifiers).map(([type, id]) => `${type}:${id}`).join(', ');
+      resultText += `**${c.name}** (${c.class}${ids ? `; ${ids}` : ''})\n`;
+      resultText += `- Matched as: ${c.matched.join(', ')}\n`;
+      resultText += `- Doses: ${c.doses.join(', ') || 'not stated'}\n`;
+      resultText += `- Samples: ${c.samples.length > 0 ? c.samples.join(', ') : 'none (named in study-level text only)'}\n`;
+      resultText += `- Found in: ${c.sources.join('; ')}\n\n`;
+    });
+
+    if (result.pairs.length > 0) {
+      resultText += `**Drug-Sample Pairs (${result.pairs.length}):**\n`;
+      result.pairs.forEach((p) => {
+        resultText += `- ${p.sample}\t${p.compound}\t${p.dose || 'NA'}\t${p.source}\n`;
+      });
+      resultText += '\n';
+    }
+
+    resultText += `Treated: ${result.treatedSamples.length}, vehicle only: ${result.vehicleSamples.length}, no treatment in metadata: ${result.untreatedSamples.length}\n`;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: resultText,
+        },
+      ],
+    };
+  }
+
+  async detectBatchEffects(datasetId, options) {
+    const result = await advancedAnalyzer.detectBatchEffects(datasetId, options);
+    if (result.error) {
+      throw new Error(`Batch effect detection failed: ${result.error}`);
+    }
+
+    let resultText = `**Batch Effects: ${datasetId}** (${result.sampleCount} samples, ${result.rowsUsed} most variable ${result.level === 'gene' ? 'genes' : 'probes'})\n`;
+    resultText += `Preprocessing: ${result.preprocessing.description}\n`;
+    resultText += `**Explained variance:** ${result.components.map(c => `${c.component} ${(c.explained * 100).toFixed(1)}%`).join(', ')}\n\n`;
+
+    if (result.candidates.length === 0) {
+      resultText += 'No candidate batch variables with replicated levels were found.\n';
+    }
+
+    result.candidates.forEach(c => {
+      resultText += `**${c.label}** (${c.source}${c.source === 'metadata' ? `, ${c.key}` : ''})${c.flagged ? ' - likely batch effect' : ''}\n`;
+      resultText += `- Levels: ${c.levels.map(l => `${l.value} (${l.count})`).join(', ')}\n`;
+      resultText += `- Share of top-PC variance: ${(c.varianceExplained * 100).toFixed(1)}%\n`;
+      resultText += `- Per PC: ${c.components.map(pc => `${pc.component} R²=${pc.rSquared.toFixed(2)} p=${isNaN(pc.pValue) ? 'NA' : pc.pValue.toExponential(2)}`).join('; ')}\n`;
+      if (c.confounding.length > 0) {
+        resultText += `- Overlap with factors (Cramér's V): ${c.confounding.map(f => `${f.factor} ${f.cramersV.toFixed(2)}`).join(', ')}${c.confounded ? ` - confounded with ${c.confounded}` : ''}\n`;
+      }
+      if (!c.correctable) {
+        resultText += '- Has single-sample levels; ComBat cannot correct it\n';
+      }
+      resultText += '\n';
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: resultText,
+        },
+      ],
+    };
+  }
+
+  async coexpression(datasetId, geneSymbol, options) {
+    const result = await advancedAnalyzer.coexpression(datasetId, geneSymbol, options);
+    if (result.error) {
+      throw new Error(`Co-expression search failed: ${result.error}`);
+    }
+
+    let resultText = `**Co-expression: ${geneSymbol} in ${datasetId}**\n\n`;
+    resultText += result.level === 'gene'
+      ? `Level: gene (${result.strategy}), ${result.tested} genes tested across ${result.sampleCount} samples\n`
+      : `Level: probe (target ${result.target} of ${result.targetProbes}), ${result.tested} probes tested across ${result.sampleCount} samples\n`;
+    resultText += `Ranked by: ${result.method}; significant at FDR < 0.05: ${result.significant}\n`;
+    resultText += `Preprocessing: ${result.preprocessing.description}\n`;
+
+    const list = (partners) => partners.map((r, idx) => {
+      const name = result.level === 'gene' || r.symbols.length === 0 ? r.id : `${r.id} (${r.symbols.join(', ')})`;
+      const adjP = result.method === 'spearman' ? r.spearmanAdjPValue : r.pearsonAdjPValue;
+      return `${idx + 1}. ${name}: r=${r.pearson.toFixed(3)} (p=${r.pearsonPValue.toExponential(2)}), rho=${r.spearman.toFixed(3)} (p=${r.spearmanPValue.toExponential(2)}), FDR=${adjP.toExponential(2)}\n`;
+    }).join('');
+
+    resultText += `\n**Positively correlated:**\n${list(result.positive) || 'none\n'}`;
+    resultText += `\n**Negatively correlated:**\n${list(result.negative) || 'none\n'}`;
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: resultText,
+        },
+      ],
+    };
+  }
+
+  async metaAnalysis(geneSymbol, options) {
+    const result = await advancedAnalyzer.metaAnalysis(geneSymbol, options);
+    const skippedText = (skipped) => skipped.map(s => `- ${s.datasetId}: ${s.reason}\n`).join('');
+
+    if (result.error) {
+      throw new Error(`Meta-analysis failed: ${result.error}${result.skipped ? `\n${skippedText(result.skipped)}` : ''}`);
+    }
+
+    const effect = (e) => `${e.estimate.toFixed(3)} [${e.ciLower.toFixed(3)}, ${e.ciUpper.toFixed(3)}], p=${e.pValue.toExponential(2)}`;
+
+    let resultText = `**Meta-analysis: ${geneSymbol}** (${result.studies.length} datasets, effect size ${result.effectSize})\n\n`;
+    resultText += `**Per dataset:**\n`;
+    result.studies.forEach(s => {
+      resultText += `- ${s.datasetId} (${s.groupA} vs ${s.groupB}, n=${s.nA}/${s.nB}): logFC=${s.logFC.toFixed(3)}, `;
+      resultText += `g=${s.g.toFixed(3)} [${s.ciLower.toFixed(3)}, ${s.ciUpper.toFixed(3)}], p=${s.pValue.toExponential(2)}\n`;
+    });
+
+    resultText += `\n**Pooled:**\n`;
+    resultText += `- Fixed effects: g=${effect(result.fixed)}\n`;
+    resultText += `- Random effects (DerSimonian-Laird): g=${effect(result.random)}\n`;
+    resultText += `- Fisher: chi2=${result.fisher.statistic.toFixed(2)} (df ${result.fisher.df}), p=${result.fisher.pValue.toExponential(2)}\n`;
+    resultText += `- Stouffer: Z=${result.stouffer.z.toFixed(3)}, p=${result.stouffer.pValue.toExponential(2)}\n`;
+    resultText += `- Direction: ${result.consistency.up} up, ${result.consistency.down} down\n`;
+
+    const h = result.heterogeneity;
+    resultText += `\n**Heterogeneity:** Q=${h.q.toFixed(3)} (df ${h.df}${h.df > 0 ? `, p=${h.pValue.toExponential(2)}` : ''}), `;
+    resultText += `I²=${(h.i2 * 100).toFixed(1)}%, tau²=${h.tau2.toFixed(4)}\n`;
+
+    if (result.skipped.length > 0) {
+      resultText += `\n**Skipped:**\n${skippedText(result.skipped)}`;
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: resultText,
+        },
+      ],
+    };
+  }
+
+  async geneSetEnrichment(args) {
+    const limit = args.top_n || 20;
+    let result;
+    let resultText;
+
+    if (args.genes && args.genes.length > 0) {
+      result = await geneSetEnrichment.overRepresentation(args.genes, args.universe || null, { libraries: args.libraries });
+      resultText = `**Gene Set Enrichment (ORA)**\n\n`;
+      resultText += `${result.querySize} of ${args.genes.length} genes found in a universe of ${result.universeSize}.\n`;
+    } else {
+      if (!args.dataset_id) throw new Error('Pass dataset_id with a comparison, or a genes list');
+      if (!args.contrast && !args.coexpressed_with && (!args.group_a || !args.group_b)) {
+        throw new Error('Pass group_a and group_b, a named contrast, or coexpressed_with');
+      }
+
+      result = await advancedAnalyzer.enrichment(args.dataset_id, {
+        method: args.method || 'ora',
+        groupA: args.group_a,
+        groupB: args.group_b,
+        contrast: args.contrast,
+        coexpressedWith: args.coexpressed_with,
+        correlation: args.correlation,
+        direction: args.direction || 'both',
+        fdr: args.fdr || 0.05,
+        libraries: args.libraries,
+        strategy: args.collapse_strategy,
+        log2: args.log2,
+        normalization: args.normalization,
+        units: args.count_units,
+        batch: args.batch_correction,
+        preserve: args.preserve,
+        limit,
+      });
+      if (result.error) {
+        throw new Error(`Enrichment analysis failed: ${result.error}`);
+      }
+
+      const subject = result.coexpression
+        ? `genes co-expressed with ${result.coexpression.gene}`
+        : `${result.comparison.groupA.label} vs ${result.comparison.groupB.label}`;
+      resultText = `**Gene Set Enrichment: ${args.dataset_id}** - ${subject}\n\n`;
+      if (result.method === 'ora') {
+        resultText += `Over-representation of ${result.selection.genes} genes (${result.selection.direction}, adj. P < ${result.selection.fdr}) among ${result.universeSize} tested genes.\n`;
+      } else {
+        const statistic = result.coexpression ? `${result.coexpression.method} correlation` : 'moderated t';
+        resultText += `Preranked GSEA on ${statistic} of ${result.rankedGenes} genes, ${result.permutations} permutations.\n`;
+      }
+      resultText += `Preprocessing: ${result.preprocessing.description}\n`;
+    }
+
+    resultText += `Gene sets tested: ${result.tested}\n\n`;
+    result.results.slice(0, limit).forEach((r, idx) => {
+      const stats = result.method === 'ora'
+        ? `overlap ${r.overlap}/${r.size}, fold ${r.foldEnrichment.toFixed(2)}`
+        : `size ${r.size}, NES ${isNaN(r.nes) ? 'NA' : r.nes.toFixed(2)}`;
+      const genes = result.method === 'ora' ? r.genes : r.leadingEdge;
+      resultText += `${idx + 1}. ${r.set} [${r.library}]: ${stats}, p=${r.pValue.toExponential(2)}, FDR=${r.adjPValue.toExponential(2)}\n`;
+      resultText += `   ${result.method === 'ora' ? 'Genes' : 'Leading edge'}: ${genes.slice(0, 15).join(', ')}${genes.length > 15 ? ', ...' : ''}\n`;
+    });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: resultText,
+        },
+      ],
+    };
+  }
+
+  async experimentalDesign(datasetId, action, args) {
+    if (action === 'define_group') {
+      if (!args.name || !args.group) throw new Error('define_group needs "name" and "group"');
+      await experimentalDesign.defineGroup(datasetId, args.name, args.group);
+    } else if (action === 'remove_group') {
+      if (!await experimentalDesign.removeGroup(datasetId, args.name)) throw new Error(`No group named ${args.name}`);
+    } else if (action === 'define_contrast') {
+      if (!args.name || !args.group_a || !args.group_b) throw new Error('define_contrast needs "name", "group_a" and "group_b"');
+      await experimentalDesign.defineContrast(datasetId, args.name, args.group_a, args.group_b);
+    } else if (action === 'remove_contrast') {
+      if (!await experimentalDesign.removeContrast(datasetId, args.name)) throw new Error(`No contrast named ${args.name}`);
+    }
+
+    const design = await advancedAnalyzer.getDesign(datasetId);
+    if (design.error) {
+      throw new Error(`Experimental design unavailable: ${design.error}`);
+    }
+
+    let resultText = `**Experimental Design: ${datasetId}** (${design.sampleCount} samples)\n\n`;
+
+    resultText += `**Suggested factors:**\n`;
+    if (design.suggestedFactors.length === 0) {
+      resultText += `- none found (no characteristic splits all samples into replicated levels)\n`;
+    }
+    design.suggestedFactors.forEach(factor => {
+      resultText += `- ${factor.key} [${factor.type}]: ${factor.levels.map(l => `${l.value} (${l.count})`).join(', ')}`;
+      resultText += factor.replicated ? '\n' : ' - some levels unreplicated\n';
+    });
+
+    resultText += `\n**All characteristics:**\n`;
+    design.characteristics.forEach(entry => {
+      resultText += `- ${entry.key}: ${entry.levelCount} value(s) across ${entry.sampleCount} samples\n`;
+    });
+
+    resultText += `\n**Groups:**\n`;
+    const groupNames = Object.keys(design.groups);
+    if (groupNames.length === 0) resultText += `- none defined\n`;
+    groupNames.forEach(name => {
+      const group = design.groups[name];
+      resultText += group.error
+        ? `- ${name}: ${group.error}\n`
+        : `- ${name}: ${group.samples.length} samples (${group.samples.join(', ')})\n`;
+    });
+
+    const contrastNames = Object.keys(design.contrasts);
+    if (contrastNames.length > 0) {
+      resultText += `\n**Contrasts:**\n`;
+      contrastNames.forEach(name => {
+        resultText += `- ${name}: ${design.contrasts[name].groupA} vs ${design.contrasts[name].groupB}\n`;
+      });
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: resultText,
+        },
+      ],
+    };
+  }
+
   parseSeriesMatrix(content) {
     const lines = content.split('\n');
     const result = {